@@ -37,6 +37,9 @@ export const STORAGE_KEYS = {
   SUBSCRIPTIONS: 'inv.subscriptions',          // Recurring subscriptions
   SHIPMENTS: 'inv.shipments',                  // Shipment tracking
 
+  // Audit trail
+  AUDIT_LOG: 'inv.auditLog',                   // Append-only change log
+
   // Calendar module
   CALENDAR_EVENTS: 'inv.calendarEvents',       // Calendar events
   CALENDAR_NOTES: 'inv.calendarNotes'          // Daily notes (keyed by date)
@@ -252,7 +255,7 @@ export const APP_VERSION = '1.0.0';
 /**
  * Data schema version for migration support
  */
-export const DATA_VERSION = 1;
+export const DATA_VERSION = 3;
 
 /**
  * Supported currencies
@@ -0,0 +1,824 @@
+/* ============================================
+   ENCRYPTION MODULE
+   CodeLapras - Optional At-rest Encryption
+   ============================================ */
+
+// When a passphrase is set, every stored value is encrypted with AES-GCM
+// using a key derived from the passphrase with PBKDF2. The encrypted adapter
+// wraps whichever backend is active (localStorage or IndexedDB) and keeps
+// decrypted values in memory, so the LS wrapper stays synchronous: writes
+// update memory at once and are encrypted and persisted in the background,
+// in order.
+//
+// The passphrase itself is never stored. The salt, iteration count and an
+// encrypted check value live in localStorage under ENCRYPTION_META_KEY
+// (storage-adapters.js) so the unlock screen can tell a wrong passphrase
+// from a right one.
+//
+// Changing the passphrase never overwrites a value the settings cannot
+// decrypt: the new settings are parked under ENCRYPTION_PENDING_META_KEY and
+// the re-encrypted values under ENCRYPTION_STAGING_PREFIX keys. Only once
+// all of them are stored do the new settings replace the old ones; unlock
+// finishes or discards a change that was interrupted.
+
+/**
+ * Prefix marking an encrypted stored value
+ */
+const ENCRYPTED_PREFIX = 'enc1:';
+
+/**
+ * PBKDF2 iterations for newly derived keys
+ */
+const PBKDF2_ITERATIONS = 600000;
+
+/**
+ * Plaintext of the check value used to verify a passphrase
+ */
+const ENCRYPTION_CHECK_TEXT = 'CodeLapras';
+
+/**
+ * Minimum passphrase length
+ */
+const MIN_PASSPHRASE_LENGTH = 8;
+
+/**
+ * Key prefix for values re-encrypted by a passphrase change not yet finished
+ */
+const ENCRYPTION_STAGING_PREFIX = 'inv.rekey:';
+
+// ============ Encoding Helpers ============
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string}
+ */
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 into bytes
+ * @param {string} base64 - Base64 string
+ * @returns {Uint8Array}
+ */
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Generate random bytes
+ * @param {number} length - Number of bytes
+ * @returns {Uint8Array}
+ */
+function randomBytes(length) {
+  return crypto.getRandomValues(new Uint8Array(length));
+}
+
+// ============ Crypto Primitives ============
+
+/**
+ * Derive an AES-GCM key from a passphrase
+ * @param {string} passphrase - Passphrase
+ * @param {Uint8Array} salt - Salt
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveEncryptionKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Encrypt a string
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {string} text - Plaintext
+ * @returns {Promise<string>} ENCRYPTED_PREFIX + base64(iv + ciphertext)
+ */
+async function encryptString(key, text) {
+  const iv = randomBytes(12);
+  const cipher = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+  const combined = new Uint8Array(iv.length + cipher.byteLength);
+  combined.set(iv);
+  combined.set(new Uint8Array(cipher), iv.length);
+  return ENCRYPTED_PREFIX + bytesToBase64(combined);
+}
+
+/**
+ * Decrypt a string produced by encryptString()
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {string} value - Encrypted value
+ * @returns {Promise<string>} Plaintext (rejects if the key is wrong or data was altered)
+ */
+async function decryptString(key, value) {
+  const combined = base64ToBytes(value.slice(ENCRYPTED_PREFIX.length));
+  const plain = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: combined.subarray(0, 12) },
+    key,
+    combined.subarray(12)
+  );
+  return new TextDecoder().decode(plain);
+}
+
+/**
+ * Check if a stored value is encrypted
+ * @param {string|null} value - Stored value
+ * @returns {boolean}
+ */
+function isEncryptedValue(value) {
+  return typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+}
+
+// ============ Settings ============
+
+/**
+ * Read the encryption settings
+ * @returns {object|null} { version, salt, iterations, keyId, check } or null when off
+ */
+function readEncryptionMeta() {
+  try {
+    return JSON.parse(localStorage.getItem(ENCRYPTION_META_KEY) || 'null');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read the settings of an unfinished passphrase change
+ * @returns {object|null} Encryption settings plus keys: staged key names
+ */
+function readPendingEncryptionMeta() {
+  try {
+    return JSON.parse(localStorage.getItem(ENCRYPTION_PENDING_META_KEY) || 'null');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check if stored data is encrypted
+ * @returns {boolean}
+ */
+function isEncryptionEnabled() {
+  return !!readEncryptionMeta();
+}
+
+/**
+ * Derive the key for a passphrase and verify it against the settings
+ * @param {string} passphrase - Passphrase
+ * @param {object} meta - Encryption settings
+ * @returns {Promise<CryptoKey|null>} Key, or null if the passphrase is wrong
+ */
+async function verifyPassphrase(passphrase, meta) {
+  const key = await deriveEncryptionKey(passphrase, base64ToBytes(meta.salt), meta.iterations);
+  try {
+    return (await decryptString(key, meta.check)) === ENCRYPTION_CHECK_TEXT ? key : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Create settings (salt, check value) for a new passphrase
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<object>} { key, meta }
+ */
+async function createEncryptionMeta(passphrase) {
+  const salt = randomBytes(16);
+  const key = await deriveEncryptionKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const meta = {
+    version: 1,
+    salt: bytesToBase64(salt),
+    iterations: PBKDF2_ITERATIONS,
+    keyId: bytesToBase64(randomBytes(9)),
+    check: await encryptString(key, ENCRYPTION_CHECK_TEXT)
+  };
+  return { key, meta };
+}
+
+/**
+ * Check a new passphrase is acceptable
+ * @param {string} passphrase - Passphrase
+ * @returns {string|null} Error message or null
+ */
+function validatePassphrase(passphrase) {
+  if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    return `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`;
+  }
+  return null;
+}
+
+// ============ Encrypted Adapter ============
+
+/**
+ * Create an adapter that encrypts values before handing them to another one
+ * @param {object} inner - Adapter that stores the encrypted values
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {object} meta - Encryption settings the key belongs to
+ * @returns {object} Storage adapter
+ */
+function createEncryptedAdapter(inner, key, meta) {
+  const cache = new Map();
+  let pending = Promise.resolve();
+  let failures = []; // [{ key, error }] since the last flush()
+  let holding = null; // { discard } while hold() is in effect
+
+  /**
+   * Check whether a key is stored encrypted
+   * @param {string} k - Key
+   * @returns {boolean}
+   */
+  function isProtected(k) {
+    return !BOOTSTRAP_KEYS.includes(k);
+  }
+
+  /**
+   * Queue a background write behind earlier ones.
+   * Writes stop if another tab has changed or removed the passphrase, so
+   * values are never written under a key the settings no longer describe.
+   * @param {string} label - Keys being written (for error reporting)
+   * @param {Function} fn - Async write
+   * @returns {Promise<void>} Rejects if the write fails
+   */
+  function enqueue(label, fn) {
+    const heldBy = holding;
+    const result = pending.then(() => {
+      if (heldBy && heldBy.discard) return undefined;
+      const current = readEncryptionMeta();
+      if (!current || current.keyId !== meta.keyId) {
+        throw new Error('Encryption passphrase was changed in another tab; reload to continue');
+      }
+      return fn();
+    });
+    pending = result.catch(err => {
+      console.error(`Encrypted write failed for "${label}":`, err);
+      failures.push({ key: label, error: err });
+      if (window.EventBus) {
+        const event = err && err.name === 'QuotaExceededError' ? 'storage:quota-exceeded' : 'storage:error';
+        window.EventBus.emit(event, { key: label, backend: 'encrypted', error: err });
+      }
+    });
+    return result;
+  }
+
+  return {
+    name: 'encrypted',
+    inner,
+    keyId: meta.keyId,
+    cryptoKey: key,
+
+    /**
+     * Encrypted storage is available wherever WebCrypto is
+     * @returns {boolean}
+     */
+    isAvailable() {
+      return typeof crypto !== 'undefined' && !!crypto.subtle;
+    },
+
+    /**
+     * Decrypt every stored value into memory.
+     * Values still in plaintext (e.g. written before encryption was turned
+     * on) are kept and encrypted in place.
+     * @returns {Promise<void>}
+     */
+    async init() {
+      const plaintext = [];
+
+      for (const k of inner.keys()) {
+        if (!k || !k.startsWith('inv.') || !isProtected(k) || k.startsWith(ENCRYPTION_STAGING_PREFIX)) continue;
+        const raw = inner.getItem(k);
+        if (raw === null) continue;
+
+        if (isEncryptedValue(raw)) {
+          cache.set(k, await decryptString(key, raw));
+        } else {
+          cache.set(k, raw);
+          plaintext.push([k, raw]);
+        }
+      }
+
+      if (plaintext.length > 0) {
+        // A failure is reported by flush()
+        this.setItems(plaintext).catch(() => {});
+        await this.flush();
+      }
+    },
+
+    /**
+     * Read a decrypted value
+     * @param {string} k - Key
+     * @returns {string|null}
+     */
+    getItem(k) {
+      if (!isProtected(k)) return inner.getItem(k);
+      return cache.has(k) ? cache.get(k) : null;
+    },
+
+    /**
+     * Write a value (encrypted in the background)
+     * @param {string} k - Key
+     * @param {string} value - Serialized value
+     */
+    setItem(k, value) {
+      return this.setItems([[k, value]]);
+    },
+
+    /**
+     * Write several values; they reach the inner adapter in one setItems call
+     * @param {Array<Array<string>>} entries - [key, value] pairs
+     * @returns {Promise<void>} Rejects if encrypting or the inner write fails
+     */
+    setItems(entries) {
+      entries.forEach(([k, value]) => cache.set(k, value));
+      return enqueue(entries.map(([k]) => k).join(', '), async () => {
+        const encrypted = [];
+        for (const [k, value] of entries) {
+          encrypted.push([k, isProtected(k) ? await encryptString(key, value) : value]);
+        }
+        if (typeof inner.setItems === 'function') {
+          await inner.setItems(encrypted);
+        } else {
+          await Promise.all(encrypted.map(([k, value]) => inner.setItem(k, value)));
+        }
+      });
+    },
+
+    /**
+     * Remove a key
+     * @param {string} k - Key
+     * @returns {Promise<void>} Rejects if the delete fails
+     */
+    removeItem(k) {
+      cache.delete(k);
+      return enqueue(k, () => inner.removeItem(k));
+    },
+
+    /**
+     * Take a value another tab has already encrypted and stored
+     * @param {string} k - Key
+     * @param {string|null} value - Decrypted value
+     */
+    syncItem(k, value) {
+      if (value === null) {
+        cache.delete(k);
+      } else {
+        cache.set(k, value);
+      }
+    },
+
+    /**
+     * List stored keys
+     * @returns {Array<string>}
+     */
+    keys() {
+      return Array.from(cache.keys());
+    },
+
+    /**
+     * Hold writes made from now on until the returned function is called.
+     * Memory is still updated at once. release({ discard: true }) drops the
+     * held writes, for when the caller persists the values another way.
+     * @returns {Function} release(options)
+     */
+    hold() {
+      const state = { discard: false };
+      let open;
+      const gate = new Promise(resolve => { open = resolve; });
+      pending = pending.then(() => gate);
+      holding = state;
+
+      return ({ discard = false } = {}) => {
+        state.discard = discard;
+        if (holding === state) holding = null;
+        open();
+      };
+    },
+
+    /**
+     * Wait for queued writes to be encrypted and persisted
+     * @returns {Promise<void>} Rejects if a write since the last flush failed
+     */
+    flush() {
+      return pending.then(() => {
+        const failed = failures;
+        failures = [];
+        return inner.flush().then(() => {
+          if (failed.length === 0) return;
+          const err = new Error(`Encrypted write failed for ${failed.map(f => f.key).join('; ')}`);
+          err.failures = failed;
+          throw err;
+        });
+      });
+    }
+  };
+}
+
+// ============ Public API ============
+
+/**
+ * Get the adapter that stores the actual bytes
+ * @returns {object}
+ */
+function getInnerAdapter() {
+  const active = window.StorageAdapters.getStorageAdapter();
+  return active.inner || active;
+}
+
+/**
+ * Check that every value of an unfinished passphrase change was staged
+ * @param {object} inner - Adapter holding the encrypted values
+ * @param {object} pending - Pending encryption settings
+ * @returns {boolean}
+ */
+function isPassphraseChangeStaged(inner, pending) {
+  return Array.isArray(pending.keys) &&
+    pending.keys.every(k => inner.getItem(ENCRYPTION_STAGING_PREFIX + k) !== null);
+}
+
+/**
+ * Move staged values over the ones they replace. Staged values always
+ * belong to the current settings by the time this runs.
+ * @param {object} inner - Adapter holding the encrypted values
+ * @returns {Promise<void>}
+ */
+async function finishPassphraseChange(inner) {
+  const staged = inner.keys().filter(k => k && k.startsWith(ENCRYPTION_STAGING_PREFIX));
+  if (staged.length === 0) return;
+
+  inner.setItems(staged.map(k => [k.slice(ENCRYPTION_STAGING_PREFIX.length), inner.getItem(k)]));
+  staged.forEach(k => inner.removeItem(k));
+  await inner.flush();
+}
+
+/**
+ * Drop the staged values and settings of a passphrase change
+ * @param {object} inner - Adapter holding the encrypted values
+ * @returns {Promise<void>}
+ */
+async function discardPassphraseChange(inner) {
+  inner.keys()
+    .filter(k => k && k.startsWith(ENCRYPTION_STAGING_PREFIX))
+    .forEach(k => inner.removeItem(k));
+  await inner.flush();
+  localStorage.removeItem(ENCRYPTION_PENDING_META_KEY);
+}
+
+/**
+ * Make pending settings the current ones
+ * @param {object} pending - Pending encryption settings
+ * @returns {object} Settings as stored
+ */
+function commitPendingEncryptionMeta(pending) {
+  const { keys, ...meta } = pending;
+  localStorage.setItem(ENCRYPTION_META_KEY, JSON.stringify(meta));
+  localStorage.removeItem(ENCRYPTION_PENDING_META_KEY);
+  return meta;
+}
+
+/**
+ * Unlock encrypted storage for this session.
+ * If a passphrase change was interrupted, either passphrase works: the old
+ * one discards the change, the new one finishes it (when every value was
+ * re-encrypted before the interruption).
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<object>} { success: boolean, error?: string }
+ */
+async function unlockStorage(passphrase) {
+  let meta = readEncryptionMeta();
+  if (!meta) {
+    return { success: true };
+  }
+
+  const inner = getInnerAdapter();
+  const pending = readPendingEncryptionMeta();
+  let key = await verifyPassphrase(passphrase || '', meta);
+  let finishing = false;
+
+  if (!key && pending) {
+    key = await verifyPassphrase(passphrase || '', pending);
+    if (key && !isPassphraseChangeStaged(inner, pending)) {
+      return { success: false, error: 'The passphrase change did not finish - unlock with your previous passphrase' };
+    }
+    finishing = !!key;
+  }
+
+  if (!key) {
+    return { success: false, error: 'Wrong passphrase' };
+  }
+
+  try {
+    if (finishing) {
+      meta = commitPendingEncryptionMeta(pending);
+    } else if (pending) {
+      await discardPassphraseChange(inner);
+    }
+    await finishPassphraseChange(inner);
+
+    const adapter = createEncryptedAdapter(inner, key, meta);
+    await adapter.init();
+    window.StorageAdapters.setStorageAdapter(adapter);
+    return { success: true };
+  } catch (err) {
+    console.error('Unlock failed:', err);
+    return { success: false, error: 'Stored data could not be decrypted' };
+  }
+}
+
+/**
+ * Turn encryption on and encrypt everything currently stored
+ * @param {string} passphrase - New passphrase
+ * @returns {Promise<object>} { success: boolean, error?: string }
+ */
+async function enableEncryption(passphrase) {
+  if (isEncryptionEnabled()) {
+    return { success: false, error: 'Encryption is already on' };
+  }
+
+  const invalid = validatePassphrase(passphrase);
+  if (invalid) {
+    return { success: false, error: invalid };
+  }
+
+  const inner = getInnerAdapter();
+  const plaintext = new Map();
+
+  try {
+    await inner.flush();
+
+    // The encrypted adapter only writes while the meta describes its key,
+    // so the meta goes first; plaintext is kept to undo a partial run
+    inner.keys()
+      .filter(k => k && k.startsWith('inv.') && !BOOTSTRAP_KEYS.includes(k))
+      .forEach(k => plaintext.set(k, inner.getItem(k)));
+
+    const { key, meta } = await createEncryptionMeta(passphrase);
+    localStorage.setItem(ENCRYPTION_META_KEY, JSON.stringify(meta));
+
+    const adapter = createEncryptedAdapter(inner, key, meta);
+    await adapter.init();
+    window.StorageAdapters.setStorageAdapter(adapter);
+
+    if (window.EventBus) {
+      window.EventBus.emit('encryption:enabled', {});
+    }
+    return { success: true };
+  } catch (err) {
+    console.error('Enabling encryption failed:', err);
+    try {
+      await restorePlaintext(inner, plaintext);
+    } catch (restoreErr) {
+      console.error('Restoring plaintext after a failed encryption failed:', restoreErr);
+    }
+    return { success: false, error: err.message || 'Enabling encryption failed' };
+  }
+}
+
+/**
+ * Undo a failed enableEncryption: put back the plaintext of any value that
+ * was already encrypted, then remove the meta so the next start doesn't ask
+ * for a passphrase
+ * @param {object} inner - Adapter the values live in
+ * @param {Map} plaintext - key -> value from before encryption started
+ * @returns {Promise<void>}
+ */
+async function restorePlaintext(inner, plaintext) {
+  await inner.flush().catch(() => {});
+
+  const encrypted = Array.from(plaintext.entries())
+    .filter(([k, value]) => value !== null && isEncryptedValue(inner.getItem(k)));
+  if (encrypted.length > 0) {
+    await inner.setItems(encrypted);
+    await inner.flush();
+  }
+
+  localStorage.removeItem(ENCRYPTION_META_KEY);
+}
+
+/**
+ * Replace the passphrase and re-encrypt everything with the new key.
+ * Writes made meanwhile are held and saved with the new key afterwards
+ * (or with the old one if the change fails).
+ * @param {string} currentPassphrase - Current passphrase
+ * @param {string} newPassphrase - New passphrase
+ * @returns {Promise<object>} { success: boolean, error?: string }
+ */
+async function changePassphrase(currentPassphrase, newPassphrase) {
+  const meta = readEncryptionMeta();
+  if (!meta) {
+    return { success: false, error: 'Encryption is not on' };
+  }
+
+  const invalid = validatePassphrase(newPassphrase);
+  if (invalid) {
+    return { success: false, error: invalid };
+  }
+
+  if (!(await verifyPassphrase(currentPassphrase || '', meta))) {
+    return { success: false, error: 'Current passphrase is wrong' };
+  }
+
+  const active = window.StorageAdapters.getStorageAdapter();
+  if (active.keyId !== meta.keyId) {
+    return { success: false, error: 'Unlock storage before changing the passphrase' };
+  }
+
+  const inner = getInnerAdapter();
+  let release = null;
+
+  try {
+    await active.flush();
+    release = active.hold();
+
+    const values = new Map(active.keys().map(k => [k, active.getItem(k)]));
+    const next = await createEncryptionMeta(newPassphrase);
+    localStorage.setItem(ENCRYPTION_PENDING_META_KEY, JSON.stringify({ ...next.meta, keys: Array.from(values.keys()) }));
+
+    // Stage the re-encrypted values next to the old ones
+    const encrypted = [];
+    for (const [k, value] of values) {
+      encrypted.push([k, await encryptString(next.key, value)]);
+    }
+    if (encrypted.length > 0) {
+      inner.setItems(encrypted.map(([k, value]) => [ENCRYPTION_STAGING_PREFIX + k, value]));
+    }
+    await inner.flush();
+
+    // Commit point: from here on the new passphrase unlocks the data
+    commitPendingEncryptionMeta(next.meta);
+
+    const adapter = createEncryptedAdapter(inner, next.key, next.meta);
+    active.keys().forEach(k => adapter.syncItem(k, active.getItem(k)));
+    window.StorageAdapters.setStorageAdapter(adapter);
+    release({ discard: true });
+    release = null;
+
+    try {
+      await finishPassphraseChange(inner);
+    } catch (err) {
+      // Unlock moves whatever is still staged next time
+      console.error('Moving re-encrypted values failed:', err);
+    }
+
+    // Save writes held during the change with the new key
+    const changed = active.keys().filter(k => active.getItem(k) !== values.get(k));
+    if (changed.length > 0) {
+      adapter.setItems(changed.map(k => [k, active.getItem(k)]));
+    }
+    values.forEach((value, k) => {
+      if (active.getItem(k) === null) adapter.removeItem(k);
+    });
+
+    if (window.EventBus) {
+      window.EventBus.emit('encryption:passphrase-changed', {});
+    }
+    return { success: true };
+  } catch (err) {
+    console.error('Changing passphrase failed:', err);
+    if (release) {
+      try {
+        await discardPassphraseChange(inner);
+      } catch (cleanupErr) {
+        console.error('Discarding the passphrase change failed:', cleanupErr);
+      }
+      release();
+    }
+    return { success: false, error: err.message || 'Changing passphrase failed' };
+  }
+}
+
+/**
+ * Turn encryption off and store everything in plaintext again
+ * @param {string} passphrase - Current passphrase
+ * @returns {Promise<object>} { success: boolean, error?: string }
+ */
+async function disableEncryption(passphrase) {
+  const meta = readEncryptionMeta();
+  if (!meta) {
+    return { success: true };
+  }
+
+  if (!(await verifyPassphrase(passphrase || '', meta))) {
+    return { success: false, error: 'Wrong passphrase' };
+  }
+
+  try {
+    const active = window.StorageAdapters.getStorageAdapter();
+    await active.flush();
+
+    const inner = getInnerAdapter();
+    const values = active.keys().map(k => [k, active.getItem(k)]);
+    if (values.length > 0) {
+      inner.setItems(values);
+    }
+    await inner.flush();
+    localStorage.removeItem(ENCRYPTION_META_KEY);
+    window.StorageAdapters.setStorageAdapter(inner);
+
+    if (window.EventBus) {
+      window.EventBus.emit('encryption:disabled', {});
+    }
+    return { success: true };
+  } catch (err) {
+    console.error('Disabling encryption failed:', err);
+    return { success: false, error: err.message || 'Disabling encryption failed' };
+  }
+}
+
+// ============ Backup & Export Files ============
+
+/**
+ * Serialize a backup/export payload for download.
+ * When encryption is on, the file is encrypted with the current passphrase.
+ * @param {object} payload - Backup or export object
+ * @returns {Promise<string>} File contents
+ */
+async function protectFile(payload) {
+  const json = JSON.stringify(payload, null, 2);
+  const meta = readEncryptionMeta();
+  if (!meta) {
+    return json;
+  }
+
+  // Storage and files use the same key, so the passphrase opens both
+  const active = window.StorageAdapters ? window.StorageAdapters.getStorageAdapter() : null;
+  if (!active || active.keyId !== meta.keyId) {
+    throw new Error('Unlock storage before exporting encrypted files');
+  }
+
+  return JSON.stringify({
+    appName: 'CodeLapras',
+    encrypted: 'AES-GCM',
+    version: 1,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', salt: meta.salt, iterations: meta.iterations },
+    payload: await encryptString(active.cryptoKey, json)
+  }, null, 2);
+}
+
+/**
+ * Check if a parsed file is an encrypted backup/export
+ * @param {object} obj - Parsed file
+ * @returns {boolean}
+ */
+function isEncryptedFile(obj) {
+  return !!obj && typeof obj === 'object' && obj.encrypted === 'AES-GCM' && isEncryptedValue(obj.payload);
+}
+
+/**
+ * Decrypt an encrypted backup/export file
+ * @param {object} obj - Parsed file
+ * @param {string} passphrase - Passphrase the file was made with
+ * @returns {Promise<object>} Original payload (rejects on a wrong passphrase)
+ */
+async function openFile(obj, passphrase) {
+  if (!isEncryptedFile(obj)) return obj;
+
+  const key = await deriveEncryptionKey(passphrase || '', base64ToBytes(obj.kdf.salt), obj.kdf.iterations);
+  let json;
+  try {
+    json = await decryptString(key, obj.payload);
+  } catch {
+    throw new Error('Wrong passphrase for this file');
+  }
+  return JSON.parse(json);
+}
+
+// ============ Global Exports ============
+if (typeof window !== 'undefined') {
+  window.Encryption = {
+    ENCRYPTION_META_KEY,
+    MIN_PASSPHRASE_LENGTH,
+    isEnabled: isEncryptionEnabled,
+    isEncryptedValue,
+    validatePassphrase,
+    unlock: unlockStorage,
+    enable: enableEncryption,
+    disable: disableEncryption,
+    changePassphrase,
+    protectFile,
+    isEncryptedFile,
+    openFile,
+    createEncryptedAdapter
+  };
+}
@@ -6,19 +6,197 @@
 /**
  * Simple pub/sub event bus for cross-module communication
  * Allows modules to emit events and other modules to listen for them
+ *
+ * Event names are namespaced with colons ("order:created"). Listeners may
+ * subscribe with patterns:
+ *   "*"            - every event
+ *   "order:*"      - any single segment after "order:"
+ *   "*:deleted"    - any namespace ending in ":deleted"
+ *   "order:**"     - "order:" followed by any number of segments
  */
 const EventBus = (function() {
-  // Private storage for event listeners
+  // Private storage for event listeners, keyed by event name or pattern
   const listeners = {};
 
+  // Compiled pattern matchers, keyed by pattern
+  const matchers = {};
+
+  // Handlers notified when a listener throws or rejects
+  const errorHandlers = [];
+
+  // Insertion counter so equal-priority listeners keep subscription order
+  let nextSeq = 0;
+
+  // Debug mode records recent events with their payloads
+  const debug = {
+    enabled: false,
+    limit: 100,
+    history: []
+  };
+
+  /**
+   * Check whether a name contains wildcard characters
+   * @param {string} name - Event name or pattern
+   * @returns {boolean} True if it is a pattern
+   */
+  function isPattern(name) {
+    return name.indexOf('*') !== -1;
+  }
+
+  /**
+   * Get (and cache) a matcher for a pattern
+   * @param {string} pattern - Event pattern
+   * @returns {RegExp} Matcher for full event names
+   */
+  function getMatcher(pattern) {
+    if (!matchers[pattern]) {
+      if (pattern === '*' || pattern === '**') {
+        matchers[pattern] = /^.*$/;
+      } else {
+        const source = pattern
+          .split('**')
+          .map(part => part
+            .split('*')
+            .map(text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+            .join('[^:]*'))
+          .join('.*');
+        matchers[pattern] = new RegExp(`^${source}$`);
+      }
+    }
+    return matchers[pattern];
+  }
+
+  /**
+   * Check whether an event name matches a listener key
+   * @param {string} key - Event name or pattern a listener was added with
+   * @param {string} eventName - Emitted event name
+   * @returns {boolean} True if the listener should be called
+   */
+  function matches(key, eventName) {
+    if (key === eventName) return true;
+    return isPattern(key) && getMatcher(key).test(eventName);
+  }
+
+  /**
+   * Collect listeners for an event, highest priority first
+   * @param {string} eventName - Emitted event name
+   * @returns {Array<object>} Listener entries
+   */
+  function collectListeners(eventName) {
+    const entries = [];
+    Object.keys(listeners).forEach(key => {
+      if (matches(key, eventName)) {
+        listeners[key].forEach(entry => entries.push(entry));
+      }
+    });
+    return entries.sort((a, b) => (b.priority - a.priority) || (a.seq - b.seq));
+  }
+
+  /**
+   * Remove a single listener entry
+   * @param {object} entry - Listener entry
+   */
+  function removeEntry(entry) {
+    const list = listeners[entry.key];
+    if (!list) return;
+    listeners[entry.key] = list.filter(e => e !== entry);
+    if (listeners[entry.key].length === 0) {
+      delete listeners[entry.key];
+    }
+  }
+
+  /**
+   * Report an error thrown (or rejected) by a listener
+   * @param {string} eventName - Event being delivered
+   * @param {object} entry - Listener entry
+   * @param {*} error - Thrown value
+   * @param {object|null} record - Debug record for this emit
+   * @returns {object} Error info
+   */
+  function reportError(eventName, entry, error, record) {
+    const info = { eventName, pattern: entry.key, error, callback: entry.callback };
+
+    if (record) {
+      record.errors.push(error && error.message ? error.message : String(error));
+    }
+
+    if (errorHandlers.length === 0) {
+      console.error(`EventBus: Error in listener for "${eventName}":`, error);
+    } else {
+      errorHandlers.forEach(handler => {
+        try {
+          handler(info);
+        } catch (err) {
+          console.error('EventBus: Error in error handler:', err);
+        }
+      });
+    }
+
+    return info;
+  }
+
+  /**
+   * Record an emitted event in the debug history
+   * @param {string} eventName - Event name
+   * @param {*} data - Payload
+   * @param {number} listenerCount - Number of listeners called
+   * @param {boolean} async - Emitted with emitAsync
+   * @returns {object|null} Record, or null when debug mode is off
+   */
+  function recordEvent(eventName, data, listenerCount, async) {
+    if (!debug.enabled) return null;
+
+    const record = {
+      eventName,
+      data,
+      listenerCount,
+      async,
+      timestamp: new Date().toISOString(),
+      errors: []
+    };
+
+    debug.history.push(record);
+    if (debug.history.length > debug.limit) {
+      debug.history.splice(0, debug.history.length - debug.limit);
+    }
+
+    return record;
+  }
+
+  /**
+   * Prepare an emit: validate, collect listeners, drop once-listeners
+   * @param {string} eventName - Event name
+   * @param {*} data - Payload
+   * @param {boolean} async - Emitted with emitAsync
+   * @returns {object|null} { entries, record } or null when invalid
+   */
+  function beginEmit(eventName, data, async) {
+    if (!eventName || isPattern(eventName)) {
+      console.warn('EventBus.emit: Invalid eventName');
+      return null;
+    }
+
+    const entries = collectListeners(eventName);
+
+    // Once-listeners are removed before they run so re-entrant emits skip them
+    entries.forEach(entry => {
+      if (entry.once) removeEntry(entry);
+    });
+
+    return { entries, record: recordEvent(eventName, data, entries.length, async) };
+  }
+
   return {
     /**
-     * Subscribe to an event
-     * @param {string} eventName - Name of the event
-     * @param {Function} callback - Function to call when event is emitted
+     * Subscribe to an event or pattern
+     * @param {string} eventName - Name of the event, or a wildcard pattern
+     * @param {Function} callback - Function to call when event is emitted (data, eventName)
+     * @param {object} options - Listener options
+     * @param {number} options.priority - Higher runs first (default 0)
+     * @param {boolean} options.once - Remove after the first call
      * @returns {Function} Unsubscribe function
      */
-    on(eventName, callback) {
+    on(eventName, callback, options = {}) {
       if (!eventName || typeof callback !== 'function') {
         console.warn('EventBus.on: Invalid eventName or callback');
         return () => {};
@@ -29,18 +207,26 @@ const EventBus = (function() {
         listeners[eventName] = [];
       }
 
+      const entry = {
+        key: eventName,
+        callback,
+        priority: Number(options.priority) || 0,
+        once: !!options.once,
+        seq: nextSeq++
+      };
+
       // Add callback to listeners
-      listeners[eventName].push(callback);
+      listeners[eventName].push(entry);
 
       // Return unsubscribe function
       return () => {
-        this.off(eventName, callback);
+        removeEntry(entry);
       };
     },
 
     /**
      * Unsubscribe from an event
-     * @param {string} eventName - Name of the event
+     * @param {string} eventName - Name of the event or pattern
      * @param {Function} callback - Function to remove
      */
     off(eventName, callback) {
@@ -48,7 +234,10 @@ const EventBus = (function() {
 
       if (callback) {
         // Remove specific callback
-        listeners[eventName] = listeners[eventName].filter(cb => cb !== callback);
+        listeners[eventName] = listeners[eventName].filter(entry => entry.callback !== callback);
+        if (listeners[eventName].length === 0) {
+          delete listeners[eventName];
+        }
       } else {
         // Remove all callbacks for this event
         delete listeners[eventName];
@@ -57,50 +246,90 @@ const EventBus = (function() {
 
     /**
      * Emit an event to all subscribers
+     * Listeners run synchronously in priority order. A listener that throws
+     * (or returns a promise that rejects) is reported and does not stop the
+     * others.
      * @param {string} eventName - Name of the event
      * @param {*} data - Data to pass to listeners
+     * @returns {Array<object>} Errors raised synchronously by listeners
      */
     emit(eventName, data = null) {
-      if (!eventName) {
-        console.warn('EventBus.emit: Invalid eventName');
-        return;
-      }
+      const emit = beginEmit(eventName, data, false);
+      if (!emit) return [];
 
-      const eventListeners = listeners[eventName];
-
-      if (!eventListeners || eventListeners.length === 0) {
-        // No listeners for this event (not an error)
-        return;
-      }
+      const errors = [];
 
       // Call each listener with the data
-      eventListeners.forEach(callback => {
+      emit.entries.forEach(entry => {
         try {
-          callback(data);
+          const result = entry.callback(data, eventName);
+          if (result && typeof result.then === 'function') {
+            result.then(null, err => reportError(eventName, entry, err, emit.record));
+          }
         } catch (err) {
-          console.error(`EventBus: Error in listener for "${eventName}":`, err);
+          errors.push(reportError(eventName, entry, err, emit.record));
         }
       });
+
+      return errors;
     },
 
     /**
-     * Subscribe to an event for one-time execution
+     * Emit an event and await each listener in priority order
      * @param {string} eventName - Name of the event
+     * @param {*} data - Data to pass to listeners
+     * @returns {Promise<Array<object>>} Errors raised by listeners
+     */
+    async emitAsync(eventName, data = null) {
+      const emit = beginEmit(eventName, data, true);
+      if (!emit) return [];
+
+      const errors = [];
+
+      for (const entry of emit.entries) {
+        try {
+          await entry.callback(data, eventName);
+        } catch (err) {
+          errors.push(reportError(eventName, entry, err, emit.record));
+        }
+      }
+
+      return errors;
+    },
+
+    /**
+     * Subscribe to an event for one-time execution
+     * @param {string} eventName - Name of the event or pattern
      * @param {Function} callback - Function to call when event is emitted
+     * @param {object} options - Listener options (see on)
      * @returns {Function} Unsubscribe function
      */
-    once(eventName, callback) {
+    once(eventName, callback, options = {}) {
       if (!eventName || typeof callback !== 'function') {
         console.warn('EventBus.once: Invalid eventName or callback');
         return () => {};
       }
 
-      const onceCallback = (data) => {
-        callback(data);
-        this.off(eventName, onceCallback);
-      };
+      return this.on(eventName, callback, { ...options, once: true });
+    },
+
+    /**
+     * Register a handler for listener errors
+     * When any handler is registered, errors are no longer logged to the console.
+     * @param {Function} handler - ({ eventName, pattern, error, callback }) => void
+     * @returns {Function} Unsubscribe function
+     */
+    onError(handler) {
+      if (typeof handler !== 'function') {
+        console.warn('EventBus.onError: Invalid handler');
+        return () => {};
+      }
 
-      return this.on(eventName, onceCallback);
+      errorHandlers.push(handler);
+      return () => {
+        const index = errorHandlers.indexOf(handler);
+        if (index !== -1) errorHandlers.splice(index, 1);
+      };
     },
 
     /**
@@ -119,16 +348,21 @@ const EventBus = (function() {
     },
 
     /**
-     * Get count of listeners for an event
+     * Get count of listeners that would receive an event
+     * Includes listeners registered with matching patterns.
      * @param {string} eventName - Event name
      * @returns {number} Number of listeners
      */
     getListenerCount(eventName) {
-      return listeners[eventName] ? listeners[eventName].length : 0;
+      if (!eventName) return 0;
+      if (isPattern(eventName)) {
+        return listeners[eventName] ? listeners[eventName].length : 0;
+      }
+      return collectListeners(eventName).length;
     },
 
     /**
-     * Get all registered event names
+     * Get all registered event names and patterns
      * @returns {Array} Array of event names
      */
     getEventNames() {
@@ -141,7 +375,63 @@ const EventBus = (function() {
      * @returns {boolean} True if event has listeners
      */
     hasListeners(eventName) {
-      return !!(listeners[eventName] && listeners[eventName].length > 0);
+      return this.getListenerCount(eventName) > 0;
+    },
+
+    /**
+     * Check whether an event name matches an event name or pattern
+     * @param {string} pattern - Event name or wildcard pattern
+     * @param {string} eventName - Event name
+     * @returns {boolean} True if it matches
+     */
+    matches(pattern, eventName) {
+      if (!pattern || !eventName) return false;
+      return matches(pattern, eventName);
+    },
+
+    // ============ DEBUG ============
+
+    /**
+     * Turn event recording on or off
+     * @param {boolean} enabled - Record emitted events
+     * @param {object} options - Debug options
+     * @param {number} options.limit - Number of events to keep (default 100)
+     */
+    setDebug(enabled, options = {}) {
+      debug.enabled = !!enabled;
+      if (options.limit > 0) {
+        debug.limit = Math.floor(options.limit);
+        if (debug.history.length > debug.limit) {
+          debug.history.splice(0, debug.history.length - debug.limit);
+        }
+      }
+    },
+
+    /**
+     * Check whether debug recording is on
+     * @returns {boolean} True if recording
+     */
+    isDebugEnabled() {
+      return debug.enabled;
+    },
+
+    /**
+     * Get recorded events, oldest first
+     * @param {string} pattern - Optional event name or pattern to filter by
+     * @returns {Array<object>} { eventName, data, listenerCount, async, timestamp, errors }
+     */
+    getHistory(pattern) {
+      const history = pattern
+        ? debug.history.filter(record => matches(pattern, record.eventName))
+        : debug.history;
+      return history.slice();
+    },
+
+    /**
+     * Clear recorded events
+     */
+    clearHistory() {
+      debug.history.length = 0;
     }
   };
 })();
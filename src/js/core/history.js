@@ -0,0 +1,591 @@
+/* ============================================
+   HISTORY MODULE
+   CodeLapras - Undo/Redo for Data Changes
+   ============================================ */
+
+// Every committed write to a dataset collection (see Storage.DATASET_FIELDS)
+// is diffed against the value it replaced and recorded as a history entry.
+// Writes made in the same task (one CRUD call, one transaction, one bulk
+// delete) are grouped into a single entry. Undo writes each changed record
+// back to its "before" state; redo writes the "after" state again.
+//
+// The stacks live in sessionStorage so they survive a reload of the tab but
+// not a new session. When storage encryption is on they are kept in memory
+// only, as they hold copies of the records.
+
+/**
+ * sessionStorage key for the undo/redo stacks
+ */
+const HISTORY_SESSION_KEY = 'inv.history';
+
+/**
+ * Maximum number of undo entries kept
+ */
+const MAX_HISTORY = 50;
+
+/**
+ * Collections that change on their own, or are append-only ledgers, and are
+ * not undone (undo and redo add stock movements instead of removing them)
+ */
+const HISTORY_IGNORED_FIELDS = ['snapshots', 'snaps', 'stockMovements'];
+
+/**
+ * Settings the app writes in the background (not user changes). They are
+ * left out of history entries and keep their current value on undo/redo.
+ */
+const HISTORY_IGNORED_SETTINGS = ['lastBackupAt', 'lastAutoBackupAt'];
+
+/**
+ * Singular nouns used to describe entries, keyed by dataset field
+ */
+const HISTORY_NOUNS = {
+  data: 'product',
+  order: 'current order',
+  po: 'purchase order',
+  damaged: 'damaged item',
+  invoices: 'invoice',
+  kits: 'kit',
+  settings: 'settings',
+  employees: 'employee',
+  employeeSchedules: 'schedule',
+  employeeTimesheets: 'timesheet',
+  employeeTasks: 'task',
+  payrollPeriods: 'payroll period',
+  deductions: 'deduction',
+  rentals: 'rental',
+  subscriptions: 'subscription',
+  shipments: 'shipment',
+  transfers: 'transfer',
+  locations: 'location',
+  bins: 'bin',
+  categories: 'category',
+  countSessions: 'count session',
+  purchaseOrders: 'purchase order',
+  suppliers: 'supplier',
+  orders: 'order',
+  customers: 'customer',
+  contacts: 'contact',
+  accounts: 'account',
+  calendarEvents: 'calendar event',
+  calendarNotes: 'calendar notes'
+};
+
+const UndoHistory = (() => {
+  let undoStack = [];
+  let redoStack = [];
+  let pending = null;
+  let applying = false;
+  let recording = false;
+  let entryCounter = 0;
+
+  // ============ Helpers ============
+
+  /**
+   * Find the dataset field stored under a key
+   * @param {string} key - Storage key
+   * @returns {string|null} Field name
+   */
+  function fieldForKey(key) {
+    const fields = window.Storage ? window.Storage.DATASET_FIELDS : {};
+    const match = Object.keys(fields).find(field => fields[field].key === key);
+    return match && !HISTORY_IGNORED_FIELDS.includes(match) ? match : null;
+  }
+
+  /**
+   * Parse a raw stored value
+   * @param {string|null} raw - Raw string
+   * @returns {*} Parsed value or null
+   */
+  function parse(raw) {
+    if (raw === null || raw === undefined) return null;
+    try {
+      return JSON.parse(raw);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Deep copy a JSON value
+   * @param {*} value - Value
+   * @returns {*} Copy
+   */
+  function clone(value) {
+    return value === null || value === undefined ? value : JSON.parse(JSON.stringify(value));
+  }
+
+  /**
+   * Copy a settings object without the background-only fields
+   * @param {*} settings - Parsed settings
+   * @returns {*} Copy (non-objects are returned as they are)
+   */
+  function withoutBackgroundSettings(settings) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) return settings;
+    const copy = { ...settings };
+    HISTORY_IGNORED_SETTINGS.forEach(name => delete copy[name]);
+    return copy;
+  }
+
+  /**
+   * Check if encrypted storage is on, so history must not reach sessionStorage
+   * @returns {boolean}
+   */
+  function isStorageEncrypted() {
+    return !!(window.Encryption && window.Encryption.isEnabled());
+  }
+
+  /**
+   * Check if a value is an array of records with ids
+   * @param {*} value - Value
+   * @returns {boolean}
+   */
+  function isRecordList(value) {
+    return Array.isArray(value) && value.every(item => item && typeof item === 'object' && item.id);
+  }
+
+  /**
+   * Diff two versions of a collection
+   * @param {string} field - Dataset field
+   * @param {*} before - Previous value
+   * @param {*} after - New value
+   * @returns {Array} Changes: { field, id, before, after, beforeIndex, afterIndex } or { field, whole, before, after }
+   */
+  function diffCollection(field, before, after) {
+    const prevList = before === null ? [] : before;
+    const nextList = after === null ? [] : after;
+
+    if (!isRecordList(prevList) || !isRecordList(nextList)) {
+      return [{ field, whole: true, before, after }];
+    }
+
+    const changes = [];
+    const prevIndex = new Map(prevList.map((item, i) => [item.id, i]));
+    const nextIndex = new Map(nextList.map((item, i) => [item.id, i]));
+
+    prevList.forEach((item, i) => {
+      const j = nextIndex.get(item.id);
+      if (j === undefined) {
+        changes.push({ field, id: item.id, before: item, after: null, beforeIndex: i, afterIndex: null });
+      } else if (JSON.stringify(item) !== JSON.stringify(nextList[j])) {
+        changes.push({ field, id: item.id, before: item, after: nextList[j], beforeIndex: i, afterIndex: j });
+      }
+    });
+
+    nextList.forEach((item, j) => {
+      if (!prevIndex.has(item.id)) {
+        changes.push({ field, id: item.id, before: null, after: item, beforeIndex: null, afterIndex: j });
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Merge new changes into an entry, keeping the earliest "before"
+   * @param {object} entry - History entry
+   * @param {Array} changes - Changes to add
+   */
+  function mergeChanges(entry, changes) {
+    changes.forEach(change => {
+      const existing = entry.changes.find(c =>
+        c.field === change.field && (change.whole ? c.whole : c.id === change.id)
+      );
+      if (existing) {
+        existing.after = change.after;
+        existing.afterIndex = change.afterIndex;
+      } else {
+        entry.changes.push(change);
+      }
+    });
+
+    // Drop records that ended up back where they started
+    entry.changes = entry.changes.filter(c => JSON.stringify(c.before) !== JSON.stringify(c.after));
+  }
+
+  /**
+   * Build a short description such as "Deleted 2 products"
+   * @param {Array} changes - Entry changes
+   * @returns {string}
+   */
+  function describe(changes) {
+    const first = changes[0];
+    const noun = HISTORY_NOUNS[first.field] || first.field;
+
+    if (first.whole) {
+      return `Changed ${noun}`;
+    }
+
+    const same = changes.filter(c => c.field === first.field && !c.whole);
+    const verb = first.before === null ? 'Created' : first.after === null ? 'Deleted' : 'Updated';
+    const count = same.filter(c =>
+      (c.before === null) === (first.before === null) && (c.after === null) === (first.after === null)
+    ).length;
+
+    let label = `${verb} ${count} ${noun}${count === 1 ? '' : 's'}`;
+    const others = changes.length - count;
+    if (others > 0) {
+      label += ` (+${others} related change${others === 1 ? '' : 's'})`;
+    }
+    return label;
+  }
+
+  /**
+   * Emit a history event if the EventBus is loaded
+   * @param {string} name - Event name
+   * @param {object} payload - Event data
+   */
+  function emit(name, payload) {
+    if (window.EventBus) {
+      window.EventBus.emit(name, payload);
+    }
+  }
+
+  /**
+   * List the record changes an undo/redo step made, for event listeners
+   * @param {object} entry - History entry
+   * @param {string} side - 'before' (undo) or 'after' (redo)
+   * @returns {Array} [{ field, id, whole, from, to }]
+   */
+  function describeStep(entry, side) {
+    const other = side === 'before' ? 'after' : 'before';
+    return entry.changes.map(c => ({
+      field: c.field,
+      id: c.id || null,
+      whole: !!c.whole,
+      from: c[other],
+      to: c[side]
+    }));
+  }
+
+  // ============ Persistence ============
+
+  /**
+   * Save the stacks to sessionStorage, dropping the oldest entries if full.
+   * With encryption on, any saved copy is removed instead.
+   */
+  function persist() {
+    try {
+      if (typeof sessionStorage === 'undefined') return;
+    } catch {
+      return;
+    }
+
+    if (isStorageEncrypted()) {
+      try {
+        sessionStorage.removeItem(HISTORY_SESSION_KEY);
+      } catch {}
+      return;
+    }
+
+    while (true) {
+      try {
+        sessionStorage.setItem(HISTORY_SESSION_KEY, JSON.stringify({ undo: undoStack, redo: redoStack }));
+        return;
+      } catch (err) {
+        if (redoStack.length > 0) {
+          redoStack.shift();
+        } else if (undoStack.length > 0) {
+          undoStack.shift();
+        } else {
+          console.warn('Undo history could not be saved:', err);
+          return;
+        }
+      }
+    }
+  }
+
+  /**
+   * Load the stacks saved earlier in this session
+   */
+  function restore() {
+    if (isStorageEncrypted()) {
+      persist();
+      return;
+    }
+
+    try {
+      const saved = JSON.parse(sessionStorage.getItem(HISTORY_SESSION_KEY) || 'null');
+      if (saved && Array.isArray(saved.undo) && Array.isArray(saved.redo)) {
+        undoStack = saved.undo;
+        redoStack = saved.redo;
+        entryCounter = undoStack.concat(redoStack).reduce((max, e) => Math.max(max, e.seq || 0), 0);
+      }
+    } catch {}
+  }
+
+  // ============ Recording ============
+
+  /**
+   * Move the pending entry onto the undo stack
+   */
+  function flush() {
+    if (!pending) return;
+    const entry = pending;
+    pending = null;
+
+    if (entry.changes.length === 0) return;
+
+    entry.label = describe(entry.changes);
+    undoStack.push(entry);
+    if (undoStack.length > MAX_HISTORY) {
+      undoStack.splice(0, undoStack.length - MAX_HISTORY);
+    }
+    redoStack = [];
+    persist();
+    emit('history:recorded', { id: entry.id, label: entry.label });
+  }
+
+  /**
+   * Storage write listener
+   * @param {Array} writes - [{ key, previous, value }]
+   */
+  function handleWrites(writes) {
+    if (!recording || applying) return;
+
+    // Values merged from another tab are that tab's edits, not this one's
+    writes.filter(write => !write.synced).forEach(({ key, previous, value }) => {
+      const field = fieldForKey(key);
+      if (!field) return;
+
+      const changes = field === 'settings'
+        ? diffCollection(field, withoutBackgroundSettings(parse(previous)), withoutBackgroundSettings(parse(value)))
+        : diffCollection(field, parse(previous), parse(value));
+      if (changes.length === 0) return;
+
+      if (!pending) {
+        entryCounter++;
+        pending = {
+          id: 'hist-' + Date.now() + '-' + entryCounter,
+          seq: entryCounter,
+          timestamp: new Date().toISOString(),
+          changes: []
+        };
+        setTimeout(flush, 0);
+      }
+      mergeChanges(pending, changes);
+    });
+  }
+
+  // ============ Applying ============
+
+  /**
+   * Record the stock an undo or redo put back, so the stock ledger's running
+   * balance still matches the product (the ledger itself is not undone)
+   * @param {object} previous - Product before the step
+   * @param {object} product - Product after the step
+   * @param {string} side - 'before' (undo) or 'after' (redo)
+   * @param {object} entry - History entry
+   */
+  function recordStockReversal(previous, product, side, entry) {
+    if (!window.StockLedger) return;
+    window.StockLedger.recordStockMovement(product, { qty: previous.qty, looseUnits: previous.looseUnits }, {
+      reason: side === 'before' ? 'undo' : 'redo',
+      note: entry.label || ''
+    });
+  }
+
+  /**
+   * Write one side of an entry's changes back to storage and memory
+   * @param {object} entry - History entry
+   * @param {string} side - 'before' (undo) or 'after' (redo)
+   */
+  function applyEntry(entry, side) {
+    const indexKey = side === 'before' ? 'beforeIndex' : 'afterIndex';
+    const changes = side === 'before' ? entry.changes.slice().reverse() : entry.changes;
+    const fields = Array.from(new Set(changes.map(c => c.field)));
+    const defs = window.Storage.DATASET_FIELDS;
+
+    applying = true;
+    try {
+      window.Storage.runTransaction(fields, () => {
+        fields.forEach(field => {
+          const def = defs[field];
+          if (window[field] === undefined) {
+            window[field] = window.Storage.LS.get(def.key, clone(def.fallback));
+          }
+
+          changes.filter(c => c.field === field).forEach(change => {
+            const target = clone(change[side]);
+
+            if (change.whole) {
+              const restored = target === null ? clone(def.fallback) : target;
+              if (field === 'settings' && window.settings && restored && typeof restored === 'object') {
+                HISTORY_IGNORED_SETTINGS.forEach(name => {
+                  if (window.settings[name] !== undefined) restored[name] = window.settings[name];
+                });
+              }
+              window[field] = restored;
+              return;
+            }
+
+            const list = window[field];
+            const index = list.findIndex(item => item.id === change.id);
+            if (target === null) {
+              if (index !== -1) list.splice(index, 1);
+            } else if (index !== -1) {
+              if (field === 'data') recordStockReversal(list[index], target, side, entry);
+              list[index] = target;
+            } else {
+              list.splice(Math.min(change[indexKey] ?? list.length, list.length), 0, target);
+            }
+          });
+
+          window.Storage.LS.set(def.key, window[field]);
+        });
+        return { success: true };
+      });
+    } finally {
+      applying = false;
+    }
+
+    if (typeof window.render === 'function') {
+      window.render();
+    }
+  }
+
+  return {
+    /**
+     * Start recording writes (called once the app has loaded its data)
+     */
+    init() {
+      if (recording || !window.Storage || !window.Storage.onStorageWrite) return;
+      restore();
+      window.Storage.onStorageWrite(handleWrites);
+      recording = true;
+
+      // Drop or write the sessionStorage copy as encryption is switched
+      if (window.EventBus) {
+        window.EventBus.on('encryption:enabled', persist);
+        window.EventBus.on('encryption:disabled', persist);
+      }
+    },
+
+    /**
+     * Undo the most recent change.
+     * @param {string} entryId - Only undo if this is still the latest entry (optional)
+     * @returns {object} { success: boolean, label?: string, error?: string }
+     */
+    undo(entryId = null) {
+      flush();
+      const entry = undoStack[undoStack.length - 1];
+      if (!entry) {
+        return { success: false, error: 'Nothing to undo' };
+      }
+      if (entryId && entry.id !== entryId) {
+        return { success: false, error: 'Newer changes were made since; use Ctrl+Z to step back' };
+      }
+
+      try {
+        applyEntry(entry, 'before');
+      } catch (err) {
+        console.error('Undo failed:', err);
+        return { success: false, error: err.message || 'Undo failed' };
+      }
+
+      undoStack.pop();
+      redoStack.push(entry);
+      persist();
+      emit('history:undo', { id: entry.id, label: entry.label, changes: describeStep(entry, 'before') });
+      return { success: true, label: entry.label };
+    },
+
+    /**
+     * Redo the most recently undone change
+     * @returns {object} { success: boolean, label?: string, error?: string }
+     */
+    redo() {
+      flush();
+      const entry = redoStack[redoStack.length - 1];
+      if (!entry) {
+        return { success: false, error: 'Nothing to redo' };
+      }
+
+      try {
+        applyEntry(entry, 'after');
+      } catch (err) {
+        console.error('Redo failed:', err);
+        return { success: false, error: err.message || 'Redo failed' };
+      }
+
+      redoStack.pop();
+      undoStack.push(entry);
+      persist();
+      emit('history:redo', { id: entry.id, label: entry.label, changes: describeStep(entry, 'after') });
+      return { success: true, label: entry.label };
+    },
+
+    /**
+     * Check if there is anything to undo
+     * @returns {boolean}
+     */
+    canUndo() {
+      return !!pending || undoStack.length > 0;
+    },
+
+    /**
+     * Check if there is anything to redo
+     * @returns {boolean}
+     */
+    canRedo() {
+      return redoStack.length > 0;
+    },
+
+    /**
+     * Get the id of the change made just now, if any.
+     * Used by success toasts to offer an Undo button for their own change.
+     * @param {number} maxAgeMs - How recent the entry must be (default: 2000)
+     * @returns {string|null} Entry ID
+     */
+    latestEntryId(maxAgeMs = 2000) {
+      if (pending) return pending.id;
+      const entry = undoStack[undoStack.length - 1];
+      if (!entry) return null;
+      return Date.now() - new Date(entry.timestamp).getTime() <= maxAgeMs ? entry.id : null;
+    },
+
+    /**
+     * List entries for display
+     * @returns {object} { undo: Array, redo: Array } newest first, { id, label, timestamp }
+     */
+    getEntries() {
+      flush();
+      const summary = e => ({ id: e.id, label: e.label, timestamp: e.timestamp });
+      return {
+        undo: undoStack.slice().reverse().map(summary),
+        redo: redoStack.slice().reverse().map(summary)
+      };
+    },
+
+    /**
+     * Forget all history
+     */
+    clear() {
+      pending = null;
+      undoStack = [];
+      redoStack = [];
+      persist();
+    }
+  };
+})();
+
+// ============ Auto-initialization ============
+// Start after the app has loaded and migrated its data, so startup writes
+// are not recorded as undoable changes
+function startUndoHistory() {
+  if (typeof window.whenAppReady === 'function') {
+    window.whenAppReady().then(() => UndoHistory.init());
+  } else {
+    UndoHistory.init();
+  }
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', startUndoHistory);
+} else {
+  startUndoHistory();
+}
+
+// ============ Global Exports ============
+if (typeof window !== 'undefined') {
+  window.UndoHistory = UndoHistory;
+}
@@ -81,10 +81,100 @@ function applyCompactMode() {
   }
 }
 
+/**
+ * Show the passphrase prompt and wait until encrypted storage is unlocked
+ * @returns {Promise<void>}
+ */
+function showUnlockScreen() {
+  return new Promise(resolve => {
+    const screen = document.createElement('div');
+    screen.id = 'unlockScreen';
+    screen.className = 'unlock-screen';
+    screen.innerHTML = `
+      <form class="card unlock-card">
+        <h2>CodeLapras is locked</h2>
+        <p class="muted">Your data is encrypted. Enter the passphrase to open it.</p>
+        <label class="field">Passphrase
+          <input type="password" id="unlockPassphrase" autocomplete="current-password" required>
+        </label>
+        <div class="unlock-error warn-text" role="alert"></div>
+        <button type="submit" class="btn primary">Unlock</button>
+      </form>
+    `;
+    document.body.appendChild(screen);
+
+    const form = screen.querySelector('form');
+    const input = screen.querySelector('#unlockPassphrase');
+    const error = screen.querySelector('.unlock-error');
+    const button = screen.querySelector('button[type="submit"]');
+    input.focus();
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      button.disabled = true;
+      button.textContent = 'Unlocking...';
+      error.textContent = '';
+
+      const result = await window.Encryption.unlock(input.value);
+      if (result.success) {
+        screen.remove();
+        resolve();
+        return;
+      }
+
+      error.textContent = result.error;
+      button.disabled = false;
+      button.textContent = 'Unlock';
+      input.select();
+    });
+  });
+}
+
+/**
+ * Show why storage could not be opened. Startup stops here: running on
+ * an empty fallback store would hide the user's data and split their edits.
+ * @param {Error} err - Error from initStorageBackend
+ * @returns {Promise<void>} Never settles; the page has to be reloaded
+ */
+function showStorageErrorScreen(err) {
+  return new Promise(() => {
+    const screen = document.createElement('div');
+    screen.id = 'storageErrorScreen';
+    screen.className = 'unlock-screen';
+    screen.innerHTML = `
+      <div class="card unlock-card" role="alert">
+        <h2>CodeLapras could not open its data</h2>
+        <p class="muted">Close other tabs running CodeLapras and reload. If this keeps happening, check that the browser allows site storage.</p>
+        <div class="unlock-error warn-text"></div>
+        <button type="button" class="btn primary">Reload</button>
+      </div>
+    `;
+    screen.querySelector('.unlock-error').textContent = err && err.message ? err.message : String(err);
+    screen.querySelector('button').addEventListener('click', () => window.location.reload());
+    document.body.appendChild(screen);
+  });
+}
+
 /**
  * Initialize application on DOMContentLoaded
+ * @returns {Promise<void>}
  */
-function initializeApp() {
+async function initializeApp() {
+  // Open the storage backend (IndexedDB loads asynchronously) before reading state
+  if (window.StorageAdapters) {
+    try {
+      await window.StorageAdapters.initStorageBackend();
+    } catch (err) {
+      console.error('Storage backend failed to start:', err);
+      await showStorageErrorScreen(err);
+    }
+  }
+
+  // Encrypted data cannot be read until the passphrase is entered
+  if (window.Encryption && window.Encryption.isEnabled()) {
+    await showUnlockScreen();
+  }
+
   // Initialize app state
   initializeAppState();
 
@@ -129,12 +219,38 @@ function initializeApp() {
   }
 
   console.log('CodeLapras initialized successfully');
+
+  if (window.EventBus) {
+    window.EventBus.emit('app:ready', {});
+  }
+}
+
+/**
+ * Promise that resolves once storage is open and app state is loaded.
+ * Modules that read window.data etc. during startup should wait on this.
+ */
+let appReadyPromise = null;
+
+/**
+ * Start the app once and share the result
+ * @returns {Promise<void>}
+ */
+function whenAppReady() {
+  if (!appReadyPromise) {
+    appReadyPromise = initializeApp().catch(err => {
+      console.error('App initialization failed:', err);
+    });
+  }
+  return appReadyPromise;
 }
 
 // Export functions
 if (typeof window !== 'undefined') {
   window.initializeAppState = initializeAppState;
   window.initializeApp = initializeApp;
+  window.whenAppReady = whenAppReady;
+  window.showUnlockScreen = showUnlockScreen;
+  window.showStorageErrorScreen = showStorageErrorScreen;
   window.markDirty = markDirty;
   window.markSaved = markSaved;
   window.applyCompactMode = applyCompactMode;
@@ -142,8 +258,8 @@ if (typeof window !== 'undefined') {
 
 // Auto-initialize on DOMContentLoaded
 if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', initializeApp);
+  document.addEventListener('DOMContentLoaded', whenAppReady);
 } else {
   // DOM is already ready
-  initializeApp();
+  whenAppReady();
 }
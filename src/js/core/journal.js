@@ -0,0 +1,342 @@
+/* ============================================
+   EVENT JOURNAL MODULE
+   CodeLapras - Persistent Domain Event Log
+   ============================================ */
+
+// When turned on in Settings (settings.eventJournal), domain events emitted
+// on the EventBus (order:fulfilled, transfer:completed, invoice:paid, ...)
+// are appended to a persistent journal. Each event gets an increasing
+// sequence number, so integrations and reports can remember the last one
+// they processed (their cursor) and replay only what came after it.
+// Sequence numbers are the append time in milliseconds times
+// JOURNAL_SEQ_SLOTS plus a per-tab slot, so two tabs appending at once
+// never hand out the same number; they are unique but not contiguous.
+//
+// Payloads are stored as emitted, minus embedded files, which is enough to
+// rebuild derived data (sales stats, stock movements, customer value) from
+// history instead of from the current state of the collections.
+
+/**
+ * Maximum number of events kept; the oldest are dropped first
+ */
+const JOURNAL_MAX_EVENTS = 5000;
+
+/**
+ * Sequence numbers per millisecond, one per tab slot
+ */
+const JOURNAL_SEQ_SLOTS = 1000;
+
+/**
+ * Event patterns that are journaled
+ */
+const JOURNALED_EVENTS = [
+  'product:*',
+  'order:*',
+  'invoice:*',
+  'transfer:*',
+  'customer:*',
+  'account:*',
+  'contact:*',
+  'rental:*',
+  'subscription:*',
+  'shipment:*',
+  'kit:*',
+  'location:*',
+  'history:undo',
+  'history:redo'
+];
+
+/**
+ * Built-in projections: rebuild derived data by replaying the journal.
+ * Each has the shape { types, initial(), reduce(state, event) }.
+ */
+const JOURNAL_PROJECTIONS = {
+  /**
+   * Fulfilled order count and revenue per day
+   */
+  salesByDay: {
+    types: ['order:fulfilled'],
+    initial: () => ({}),
+    reduce(state, event) {
+      const order = event.payload && event.payload.order;
+      if (!order) return state;
+      const day = (order.fulfilledAt || event.timestamp).slice(0, 10);
+      const row = state[day] || (state[day] = { orders: 0, revenue: 0 });
+      row.orders += 1;
+      row.revenue = Math.round((row.revenue + (Number(order.total) || 0)) * 100) / 100;
+      return state;
+    }
+  },
+
+  /**
+   * Lifetime order value per customer (by customerId, else name)
+   */
+  customerLifetimeValue: {
+    types: ['order:fulfilled'],
+    initial: () => ({}),
+    reduce(state, event) {
+      const order = event.payload && event.payload.order;
+      const customer = order && (order.customerId || order.customerName);
+      if (!customer) return state;
+      const row = state[customer] || (state[customer] = { name: order.customerName || '', orders: 0, total: 0, lastOrderAt: null });
+      row.orders += 1;
+      row.total = Math.round((row.total + (Number(order.total) || 0)) * 100) / 100;
+      row.lastOrderAt = order.fulfilledAt || event.timestamp;
+      return state;
+    }
+  }
+};
+
+const EventJournal = (() => {
+  const tabSlot = Math.floor(Math.random() * JOURNAL_SEQ_SLOTS);
+  let initialized = false;
+
+  // ============ Helpers ============
+
+  /**
+   * Check whether journaling is turned on in Settings
+   * @returns {boolean}
+   */
+  function isEnabled() {
+    const settings = window.Storage ? window.Storage.getStoredSettings() : (window.settings || {});
+    return !!(settings && settings.eventJournal);
+  }
+
+  /**
+   * Highest sequence number in the journal
+   * @param {Array} events - Journal events
+   * @returns {number} 0 when empty
+   */
+  function maxSeq(events) {
+    return events.reduce((max, e) => Math.max(max, e.seq || 0), 0);
+  }
+
+  /**
+   * Next sequence number: later than every stored event and unique to this tab
+   * @param {Array} events - Journal events
+   * @returns {number}
+   */
+  function nextSeq(events) {
+    const lastMs = Math.floor(maxSeq(events) / JOURNAL_SEQ_SLOTS);
+    return Math.max(Date.now(), lastMs + 1) * JOURNAL_SEQ_SLOTS + tabSlot;
+  }
+
+  /**
+   * Get all journal events (oldest first)
+   * @returns {Array}
+   */
+  function getEvents() {
+    if (!window.eventJournal) {
+      window.eventJournal = typeof loadEventJournal === 'function' ? loadEventJournal() : [];
+    }
+    return window.eventJournal;
+  }
+
+  /**
+   * Copy a payload for storage, leaving out embedded files
+   * @param {*} payload - Event payload
+   * @returns {*} JSON-safe copy
+   */
+  function clonePayload(payload) {
+    if (payload === undefined) return null;
+    try {
+      return JSON.parse(JSON.stringify(payload, (key, value) =>
+        (typeof value === 'string' && value.startsWith('data:')) ? '[file]' : value
+      ));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Check whether an event type matches any of the requested types
+   * @param {string} type - Event name
+   * @param {Array<string>|null} types - Event names or patterns
+   * @returns {boolean}
+   */
+  function typeMatches(type, types) {
+    if (!types || types.length === 0) return true;
+    return types.some(pattern => window.EventBus.matches(pattern, type));
+  }
+
+  // ============ Recording ============
+
+  /**
+   * Append an event to the journal and persist it
+   * @param {string} type - Event name
+   * @param {*} payload - Event payload
+   * @returns {object} The stored event
+   */
+  function append(type, payload) {
+    const events = getEvents();
+
+    const event = {
+      id: typeof uid === 'function' ? uid() : 'evt-' + Date.now(),
+      seq: nextSeq(events),
+      type,
+      timestamp: new Date().toISOString(),
+      payload: clonePayload(payload)
+    };
+
+    events.push(event);
+    if (events.length > JOURNAL_MAX_EVENTS) {
+      // Remember what was dropped so readers behind it learn they missed events
+      const dropped = events.splice(0, events.length - JOURNAL_MAX_EVENTS);
+      events[0].dropped = Math.max(maxSeq(dropped), events[0].dropped || 0);
+    }
+
+    if (typeof saveEventJournal === 'function' && !saveEventJournal(events)) {
+      console.warn('Event journal could not be saved (storage full?)');
+    }
+
+    window.EventBus.emit('journal:appended', { event });
+    return event;
+  }
+
+  /**
+   * Journal an emitted event if journaling is on
+   * @param {*} payload - Event payload
+   * @param {string} eventName - Event name
+   */
+  function handleEvent(payload, eventName) {
+    if (!isEnabled()) return;
+    append(eventName, payload);
+  }
+
+  // ============ Reading ============
+
+  /**
+   * Get the sequence number of the latest event
+   * @returns {number} 0 when the journal is empty
+   */
+  function getCursor() {
+    return maxSeq(getEvents());
+  }
+
+  /**
+   * Read events after a cursor
+   * @param {object} options - Read options
+   * @param {number} options.after - Return events with seq greater than this (default 0)
+   * @param {Array<string>} options.types - Event names or patterns to include
+   * @param {number} options.limit - Maximum number of events
+   * @returns {object} { events, cursor, truncated } - cursor is the seq of the
+   *   last event returned (or `after`); truncated is true when events after
+   *   the requested cursor have already been dropped from the journal
+   */
+  function read(options = {}) {
+    const after = Number(options.after) || 0;
+    const types = options.types || null;
+    const limit = options.limit > 0 ? options.limit : Infinity;
+
+    const all = getEvents().slice().sort((a, b) => a.seq - b.seq);
+    // Older journals numbered events 1, 2, 3, ... and have no dropped marker
+    const legacy = all.length > 0 && all[0].seq < JOURNAL_SEQ_SLOTS * 1e9;
+    const truncated = all.some(e => (e.dropped || 0) > after) ||
+      (legacy && all[0].seq > after + 1);
+
+    const events = [];
+    let cursor = after;
+    for (const event of all) {
+      if (event.seq <= after) continue;
+      if (events.length >= limit) break;
+      cursor = event.seq;
+      if (typeMatches(event.type, types)) {
+        events.push(event);
+      }
+    }
+
+    return { events, cursor, truncated };
+  }
+
+  /**
+   * Replay events after a cursor through an (optionally async) handler, in order
+   * @param {Function} handler - (event) => void | Promise
+   * @param {object} options - Same as read()
+   * @returns {Promise<object>} { count, cursor, truncated }
+   */
+  async function replay(handler, options = {}) {
+    const { events, cursor, truncated } = read(options);
+    for (const event of events) {
+      await handler(event);
+    }
+    return { count: events.length, cursor, truncated };
+  }
+
+  /**
+   * Fold events after a cursor into a value
+   * @param {Function} reducer - (state, event) => state
+   * @param {*} initial - Starting state
+   * @param {object} options - Same as read()
+   * @returns {object} { state, cursor, truncated }
+   */
+  function reduce(reducer, initial, options = {}) {
+    const { events, cursor, truncated } = read(options);
+    const state = events.reduce(reducer, initial);
+    return { state, cursor, truncated };
+  }
+
+  /**
+   * Rebuild a built-in projection (see JOURNAL_PROJECTIONS)
+   * @param {string} name - Projection name
+   * @param {object} options - { after, state }: continue from an earlier result
+   * @returns {object|null} { state, cursor, truncated }, or null if unknown
+   */
+  function project(name, options = {}) {
+    const projection = JOURNAL_PROJECTIONS[name];
+    if (!projection) return null;
+    const initial = options.state || projection.initial();
+    return reduce(projection.reduce, initial, { after: options.after, types: projection.types });
+  }
+
+  // ============ Initialization ============
+
+  /**
+   * Subscribe to the journaled events
+   */
+  function start() {
+    if (initialized || !window.EventBus || !window.Storage) return;
+    initialized = true;
+
+    JOURNALED_EVENTS.forEach(pattern => {
+      // Low priority: journal after the app has reacted to the event
+      window.EventBus.on(pattern, handleEvent, { priority: -100 });
+    });
+  }
+
+  return {
+    isEnabled,
+    getEvents,
+    append,
+    getCursor,
+    read,
+    replay,
+    reduce,
+    project,
+    start
+  };
+})();
+
+// ============ Auto-initialization ============
+
+/**
+ * Start journaling after the app has loaded its data
+ */
+function startEventJournal() {
+  if (typeof window.whenAppReady === 'function') {
+    window.whenAppReady().then(() => EventJournal.start());
+  } else {
+    EventJournal.start();
+  }
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', startEventJournal);
+} else {
+  startEventJournal();
+}
+
+// ============ Global Exports ============
+if (typeof window !== 'undefined') {
+  window.EventJournal = EventJournal;
+  window.JOURNAL_PROJECTIONS = JOURNAL_PROJECTIONS;
+}
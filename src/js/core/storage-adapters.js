@@ -0,0 +1,556 @@
+/* ============================================
+   STORAGE ADAPTERS MODULE
+   CodeLapras - Pluggable Persistence Backends
+   ============================================ */
+
+// The LS wrapper in storage.js talks to whichever adapter is active.
+// Every adapter exposes the same synchronous key/value surface so the
+// existing loadX/saveX functions keep working unchanged:
+//   init()            -> Promise (resolves once the adapter can serve reads)
+//   getItem(key)      -> string|null
+//   setItem(key, str) -> void|Promise (throws on failure; adapters that write
+//                        in the background return a Promise that rejects)
+//   setItems(entries) -> void|Promise (all-or-nothing write of [key, str] pairs)
+//   removeItem(key)   -> void|Promise
+//   syncItem(key, str|null) -> void (adopt a value another tab already persisted)
+//   keys()            -> Array<string>
+//   flush()           -> Promise (resolves once pending writes are durable;
+//                        rejects if a write since the last flush failed)
+
+/**
+ * localStorage key holding the selected backend name.
+ * Always kept in localStorage so it can be read before any adapter is ready.
+ */
+const STORAGE_BACKEND_KEY = 'inv.storageBackend';
+
+/**
+ * localStorage key recording that inv.* keys were moved into IndexedDB
+ */
+const IDB_MIGRATED_KEY = 'inv.idbMigrated';
+
+/**
+ * localStorage key holding the encryption settings (see encryption.js)
+ */
+const ENCRYPTION_META_KEY = 'inv.encryption';
+
+/**
+ * localStorage key holding the settings of a passphrase change in progress
+ */
+const ENCRYPTION_PENDING_META_KEY = 'inv.encryptionPending';
+
+/**
+ * Keys that must stay in localStorage regardless of the active backend
+ */
+const BOOTSTRAP_KEYS = [STORAGE_BACKEND_KEY, IDB_MIGRATED_KEY, ENCRYPTION_META_KEY, ENCRYPTION_PENDING_META_KEY];
+
+// ============ LocalStorage Adapter ============
+
+/**
+ * Adapter backed directly by window.localStorage
+ */
+const LocalStorageAdapter = {
+  name: 'localStorage',
+
+  /**
+   * Check if localStorage is usable in this browser
+   * @returns {boolean}
+   */
+  isAvailable() {
+    try {
+      localStorage.setItem('__t', '1');
+      localStorage.removeItem('__t');
+      return true;
+    } catch {
+      return false;
+    }
+  },
+
+  /**
+   * Nothing to prepare - localStorage is synchronous
+   * @returns {Promise<void>}
+   */
+  init() {
+    return Promise.resolve();
+  },
+
+  /**
+   * Read raw string value
+   * @param {string} key - Key
+   * @returns {string|null}
+   */
+  getItem(key) {
+    return localStorage.getItem(key);
+  },
+
+  /**
+   * Write raw string value (throws on quota errors)
+   * @param {string} key - Key
+   * @param {string} value - Serialized value
+   */
+  setItem(key, value) {
+    localStorage.setItem(key, value);
+  },
+
+  /**
+   * Write several values at once. If any write fails, keys already written
+   * are put back to their previous values before the error is rethrown.
+   * @param {Array<Array<string>>} entries - [key, value] pairs
+   */
+  setItems(entries) {
+    const previous = [];
+    try {
+      entries.forEach(([key, value]) => {
+        previous.push([key, localStorage.getItem(key)]);
+        localStorage.setItem(key, value);
+      });
+    } catch (err) {
+      previous.reverse().forEach(([key, value]) => {
+        try {
+          if (value === null) localStorage.removeItem(key);
+          else localStorage.setItem(key, value);
+        } catch {}
+      });
+      throw err;
+    }
+  },
+
+  /**
+   * Remove a key
+   * @param {string} key - Key
+   */
+  removeItem(key) {
+    localStorage.removeItem(key);
+  },
+
+  /**
+   * Nothing to do - other tabs write to the same localStorage
+   * @param {string} key - Key
+   * @param {string|null} value - Value written by the other tab
+   */
+  syncItem(key, value) {},
+
+  /**
+   * List stored keys
+   * @returns {Array<string>}
+   */
+  keys() {
+    const result = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      result.push(localStorage.key(i));
+    }
+    return result;
+  },
+
+  /**
+   * Writes are synchronous, nothing to wait for
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return Promise.resolve();
+  }
+};
+
+// ============ IndexedDB Adapter ============
+
+/**
+ * Adapter backed by IndexedDB.
+ * All records are read into an in-memory cache during init() so reads stay
+ * synchronous; writes update the cache immediately and are persisted in the
+ * background, in order.
+ */
+const IndexedDBAdapter = (function() {
+  const DB_NAME = 'codelapras';
+  const DB_VERSION = 1;
+  const STORE = 'kv';
+
+  const cache = new Map();
+  let db = null;
+  let ready = null;
+  let pending = Promise.resolve();
+  let failures = []; // [{ key, error }] since the last flush()
+
+  /**
+   * Open (and create if needed) the database
+   * @returns {Promise<IDBDatabase>}
+   */
+  function openDatabase() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const database = request.result;
+        if (!database.objectStoreNames.contains(STORE)) {
+          database.createObjectStore(STORE);
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('IndexedDB open blocked by another tab'));
+    });
+  }
+
+  /**
+   * Read every record into the cache
+   * @param {IDBDatabase} database - Open database
+   * @returns {Promise<void>}
+   */
+  function hydrate(database) {
+    return new Promise((resolve, reject) => {
+      const tx = database.transaction(STORE, 'readonly');
+      const store = tx.objectStore(STORE);
+      const request = store.openCursor();
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          cache.set(String(cursor.key), cursor.value);
+          cursor.continue();
+        }
+      };
+
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Run a single readwrite request against the store
+   * @param {Function} fn - Receives the object store, performs the write
+   * @returns {Promise<void>}
+   */
+  function write(fn) {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, 'readwrite');
+      fn(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+    });
+  }
+
+  /**
+   * Read values straight from the object store, bypassing the cache
+   * @param {Array<string>} keys - Keys to read
+   * @returns {Promise<Map>} key -> stored value (undefined when missing)
+   */
+  function readStored(keys) {
+    return new Promise((resolve, reject) => {
+      const values = new Map();
+      const tx = db.transaction(STORE, 'readonly');
+      const store = tx.objectStore(STORE);
+      keys.forEach(key => {
+        const request = store.get(key);
+        request.onsuccess = () => values.set(key, request.result);
+      });
+      tx.oncomplete = () => resolve(values);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Queue a write behind any earlier ones so they land in order. A failure
+   * is reported, remembered for flush(), and rejects the returned promise;
+   * later writes still run.
+   * @param {string} key - Key being written (for error reporting)
+   * @param {Function} fn - Store operation
+   * @returns {Promise<void>} Settles when this write has landed or failed
+   */
+  function enqueue(key, fn) {
+    const result = pending.then(() => write(fn));
+    pending = result.catch(err => {
+      console.error(`IndexedDB write failed for "${key}":`, err);
+      failures.push({ key, error: err });
+      if (window.EventBus) {
+        const event = err && err.name === 'QuotaExceededError' ? 'storage:quota-exceeded' : 'storage:error';
+        window.EventBus.emit(event, { key, backend: 'indexedDB', error: err });
+      }
+    });
+    return result;
+  }
+
+  return {
+    name: 'indexedDB',
+
+    /**
+     * Check if IndexedDB exists in this browser
+     * @returns {boolean}
+     */
+    isAvailable() {
+      return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    },
+
+    /**
+     * Open the database and load all records into memory
+     * @returns {Promise<void>}
+     */
+    init() {
+      if (!ready) {
+        ready = openDatabase().then(database => {
+          db = database;
+          return hydrate(database);
+        });
+      }
+      return ready;
+    },
+
+    /**
+     * Read raw string value from the cache
+     * @param {string} key - Key
+     * @returns {string|null}
+     */
+    getItem(key) {
+      return cache.has(key) ? cache.get(key) : null;
+    },
+
+    /**
+     * Write raw string value
+     * @param {string} key - Key
+     * @param {string} value - Serialized value
+     * @returns {Promise<void>} Rejects if the write fails
+     */
+    setItem(key, value) {
+      if (!db) throw new Error('IndexedDB adapter used before init()');
+      cache.set(key, value);
+      return enqueue(key, store => store.put(value, key));
+    },
+
+    /**
+     * Write several values in a single IndexedDB transaction
+     * @param {Array<Array<string>>} entries - [key, value] pairs
+     * @returns {Promise<void>} Rejects if the transaction fails
+     */
+    setItems(entries) {
+      if (!db) throw new Error('IndexedDB adapter used before init()');
+      entries.forEach(([key, value]) => cache.set(key, value));
+      const label = entries.map(([key]) => key).join(', ');
+      return enqueue(label, store => {
+        entries.forEach(([key, value]) => store.put(value, key));
+      });
+    },
+
+    /**
+     * Remove a key
+     * @param {string} key - Key
+     * @returns {Promise<void>} Rejects if the delete fails
+     */
+    removeItem(key) {
+      if (!db) throw new Error('IndexedDB adapter used before init()');
+      cache.delete(key);
+      return enqueue(key, store => store.delete(key));
+    },
+
+    /**
+     * Update the cache with a value another tab has already written to
+     * the database (nothing is written from this tab)
+     * @param {string} key - Key
+     * @param {string|null} value - Value written by the other tab
+     */
+    syncItem(key, value) {
+      if (value === null) {
+        cache.delete(key);
+      } else {
+        cache.set(key, value);
+      }
+    },
+
+    /**
+     * List stored keys
+     * @returns {Array<string>}
+     */
+    keys() {
+      return Array.from(cache.keys());
+    },
+
+    /**
+     * Read values from the object store itself rather than the cache,
+     * e.g. to confirm writes really landed
+     * @param {Array<string>} keys - Keys to read
+     * @returns {Promise<Map>} key -> stored value (undefined when missing)
+     */
+    readStoredItems(keys) {
+      if (!db) return Promise.reject(new Error('IndexedDB adapter used before init()'));
+      return pending.then(() => readStored(keys));
+    },
+
+    /**
+     * Wait for all queued writes to reach disk
+     * @returns {Promise<void>} Rejects, with err.failures = [{ key, error }],
+     *   if any write since the last flush failed
+     */
+    flush() {
+      return pending.then(() => {
+        if (failures.length === 0) return;
+        const failed = failures;
+        failures = [];
+        const err = new Error(`IndexedDB write failed for ${failed.map(f => f.key).join('; ')}`);
+        err.failures = failed;
+        throw err;
+      });
+    }
+  };
+})();
+
+// ============ Adapter Registry ============
+
+const adapters = {
+  [LocalStorageAdapter.name]: LocalStorageAdapter,
+  [IndexedDBAdapter.name]: IndexedDBAdapter
+};
+
+let activeAdapter = LocalStorageAdapter;
+
+/**
+ * Register a custom storage adapter
+ * @param {object} adapter - Adapter implementing the interface above
+ */
+function registerStorageAdapter(adapter) {
+  if (!adapter || !adapter.name) {
+    console.warn('registerStorageAdapter: adapter must have a name');
+    return;
+  }
+  adapters[adapter.name] = adapter;
+}
+
+/**
+ * Get a registered adapter by name
+ * @param {string} name - Adapter name
+ * @returns {object|null}
+ */
+function getStorageAdapterByName(name) {
+  return adapters[name] || null;
+}
+
+/**
+ * Get the adapter currently used by LS
+ * @returns {object}
+ */
+function getStorageAdapter() {
+  return activeAdapter;
+}
+
+/**
+ * Swap the adapter used by LS (adapter must already be initialized)
+ * @param {object} adapter - Adapter
+ */
+function setStorageAdapter(adapter) {
+  activeAdapter = adapter;
+}
+
+/**
+ * Get the backend the user prefers (defaults to IndexedDB when present)
+ * @returns {string} Adapter name
+ */
+function getPreferredBackend() {
+  try {
+    const stored = localStorage.getItem(STORAGE_BACKEND_KEY);
+    if (stored && adapters[stored]) return stored;
+  } catch {}
+  return IndexedDBAdapter.isAvailable() ? IndexedDBAdapter.name : LocalStorageAdapter.name;
+}
+
+/**
+ * Remember the preferred backend for the next startup
+ * @param {string} name - Adapter name
+ */
+function setPreferredBackend(name) {
+  try {
+    localStorage.setItem(STORAGE_BACKEND_KEY, name);
+  } catch {}
+}
+
+// ============ One-time Migration ============
+
+/**
+ * Move existing inv.* keys from localStorage into IndexedDB.
+ * Until a migration completes the app runs on localStorage, so its values
+ * overwrite whatever an earlier, failed attempt left in IndexedDB, and keys
+ * it no longer has are removed there. localStorage copies are only removed
+ * once every key has been read back from the object store with the value
+ * localStorage holds.
+ * @returns {Promise<object>} { migrated: boolean, keys: string[] }
+ * @throws {Error} When a write failed or a key didn't land; localStorage is
+ *   left untouched
+ */
+async function migrateLocalStorageToIndexedDB() {
+  if (localStorage.getItem(IDB_MIGRATED_KEY)) {
+    return { migrated: false, keys: [] };
+  }
+
+  const isDataKey = k => k && k.startsWith('inv.') && !BOOTSTRAP_KEYS.includes(k);
+  const keys = LocalStorageAdapter.keys().filter(isDataKey);
+  const stale = IndexedDBAdapter.keys().filter(k => isDataKey(k) && !keys.includes(k));
+
+  // Both reject if a write failed
+  if (keys.length > 0) {
+    await IndexedDBAdapter.setItems(keys.map(key => [key, localStorage.getItem(key)]));
+  }
+  await Promise.all(stale.map(key => IndexedDBAdapter.removeItem(key)));
+
+  // Verify every key landed on disk (not just in the cache) before freeing
+  // the localStorage quota
+  const stored = await IndexedDBAdapter.readStoredItems([...keys, ...stale]);
+  const missing = keys.filter(k => stored.get(k) !== localStorage.getItem(k))
+    .concat(stale.filter(k => stored.get(k) !== undefined));
+  if (missing.length > 0) {
+    throw new Error(`Migration incomplete, missing keys: ${missing.join(', ')}`);
+  }
+
+  keys.forEach(key => localStorage.removeItem(key));
+  localStorage.setItem(IDB_MIGRATED_KEY, new Date().toISOString());
+
+  console.log(`Moved ${keys.length} key(s) from localStorage to IndexedDB`);
+  return { migrated: true, keys };
+}
+
+/**
+ * Initialize the preferred backend and make it active.
+ * Falls back to localStorage if IndexedDB cannot be opened, unless the data
+ * has already been moved there: localStorage would then open empty.
+ * @returns {Promise<object>} Active adapter
+ * @throws {Error} When IndexedDB holds the data but cannot be opened
+ */
+async function initStorageBackend() {
+  const preferred = getPreferredBackend();
+  const adapter = adapters[preferred] || LocalStorageAdapter;
+
+  try {
+    await adapter.init();
+
+    if (adapter === IndexedDBAdapter) {
+      await migrateLocalStorageToIndexedDB();
+    }
+
+    setStorageAdapter(adapter);
+  } catch (err) {
+    if (adapter === IndexedDBAdapter && localStorage.getItem(IDB_MIGRATED_KEY)) {
+      const error = new Error(`Your data is stored in IndexedDB, which could not be opened: ${err && err.message ? err.message : err}`);
+      error.cause = err;
+      throw error;
+    }
+    console.error(`Storage backend "${adapter.name}" failed to start, using localStorage:`, err);
+    setStorageAdapter(LocalStorageAdapter);
+  }
+
+  if (window.EventBus) {
+    window.EventBus.emit('storage:ready', { backend: activeAdapter.name });
+  }
+
+  return activeAdapter;
+}
+
+// ============ Global Exports ============
+if (typeof window !== 'undefined') {
+  window.StorageAdapters = {
+    LocalStorageAdapter,
+    IndexedDBAdapter,
+    registerStorageAdapter,
+    getStorageAdapterByName,
+    getStorageAdapter,
+    setStorageAdapter,
+    getPreferredBackend,
+    setPreferredBackend,
+    migrateLocalStorageToIndexedDB,
+    initStorageBackend
+  };
+}
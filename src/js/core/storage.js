@@ -8,17 +8,37 @@
 
 // ============ LocalStorage Wrapper ============
 /**
- * LocalStorage wrapper with JSON serialization
+ * Transaction currently collecting writes (see runTransaction), or null
+ */
+let activeTransaction = null;
+
+/**
+ * Get the active persistence adapter (see storage-adapters.js).
+ * Falls back to plain localStorage when the adapter module is not loaded.
+ * @returns {object} Adapter
+ */
+function activeStorage() {
+  if (window.StorageAdapters) {
+    return window.StorageAdapters.getStorageAdapter();
+  }
+  return localStorage;
+}
+
+/**
+ * Key/value wrapper with JSON serialization.
+ * Reads and writes go through the active storage adapter, so callers do not
+ * need to know whether data lives in localStorage or IndexedDB.
  */
 const LS = {
   /**
-   * Check if localStorage is available
+   * Check if storage is available
    * @returns {boolean}
    */
   ok() {
     try {
-      localStorage.setItem('__t', '1');
-      localStorage.removeItem('__t');
+      const store = activeStorage();
+      store.setItem('__t', '1');
+      store.removeItem('__t');
       return true;
     } catch {
       return false;
@@ -26,14 +46,16 @@ const LS = {
   },
 
   /**
-   * Get and parse JSON from localStorage with default value
+   * Get and parse JSON from storage with default value
    * @param {string} k - Key
    * @param {*} d - Default value
    * @returns {*} Parsed value or default
    */
   get(k, d) {
     try {
-      const v = localStorage.getItem(k);
+      const v = activeTransaction && activeTransaction.staged.has(k)
+        ? activeTransaction.staged.get(k)
+        : activeStorage().getItem(k);
       return v ? JSON.parse(v) : d;
     } catch {
       return d;
@@ -41,29 +63,109 @@ const LS = {
   },
 
   /**
-   * Stringify and set to localStorage
+   * Stringify and write to storage
    * @param {string} k - Key
    * @param {*} v - Value to store
    */
   set(k, v) {
     try {
-      localStorage.setItem(k, JSON.stringify(v));
+      if (stageWrite(k, v)) return;
+      writeRaw([[k, JSON.stringify(v)]]);
     } catch (err) {
-      console.error('localStorage.setItem failed:', err);
+      console.error('Storage setItem failed:', err);
     }
   },
 
   /**
-   * Delete from localStorage
+   * Stringify and write to storage, reporting failure instead of logging it
+   * @param {string} k - Key
+   * @param {*} v - Value to store
+   * @returns {boolean} True if the write succeeded
+   */
+  trySet(k, v) {
+    try {
+      if (stageWrite(k, v)) return true;
+      writeRaw([[k, JSON.stringify(v)]]);
+      return true;
+    } catch {
+      return false;
+    }
+  },
+
+  /**
+   * Write several values as one batch. Adapters that support setItems()
+   * apply it all-or-nothing; otherwise keys are written one by one.
+   * @param {Array<Array>} entries - [key, value] pairs (values not yet serialized)
+   * @returns {boolean} True if every write succeeded
+   */
+  setMany(entries) {
+    try {
+      const serialized = entries.map(([k, v]) => [k, JSON.stringify(v)]);
+      writeRaw(serialized);
+      return true;
+    } catch (err) {
+      console.error('Storage setMany failed:', err);
+      return false;
+    }
+  },
+
+  /**
+   * Delete from storage
    * @param {string} k - Key
    */
   del(k) {
     try {
-      localStorage.removeItem(k);
+      const store = activeStorage();
+      const previous = writeListeners.length > 0 ? store.getItem(k) : null;
+      store.removeItem(k);
+      forgetStoredSettings([k]);
+      notifyWrite([[k, previous, null]]);
     } catch {}
   }
 };
 
+// ============ Write Observers ============
+/**
+ * Listeners told about every committed write
+ */
+const writeListeners = [];
+
+/**
+ * Subscribe to committed writes. Staged transaction writes are reported
+ * once, when the transaction commits; rolled back writes are never reported.
+ * Writes of values merged from another tab carry synced: true.
+ * @param {Function} listener - Called with [{ key, previous, value, synced? }] (raw strings, null when absent)
+ * @returns {Function} Unsubscribe function
+ */
+function onStorageWrite(listener) {
+  writeListeners.push(listener);
+  return () => {
+    const index = writeListeners.indexOf(listener);
+    if (index !== -1) writeListeners.splice(index, 1);
+  };
+}
+
+/**
+ * Tell write listeners about a batch of writes
+ * @param {Array<Array>} changes - [key, previous raw, new raw] triples
+ * @param {object} marks - Extra properties for each write, e.g. { synced: true }
+ */
+function notifyWrite(changes, marks = {}) {
+  if (writeListeners.length === 0) return;
+  const writes = changes
+    .filter(([, previous, value]) => previous !== value)
+    .map(([key, previous, value]) => ({ key, previous, value, ...marks }));
+  if (writes.length === 0) return;
+
+  writeListeners.slice().forEach(listener => {
+    try {
+      listener(writes);
+    } catch (err) {
+      console.error('Storage write listener failed:', err);
+    }
+  });
+}
+
 // ============ Data Validation ============
 
 /**
@@ -165,9 +267,9 @@ function sanitizeData(data, type) {
 // ============ Versioning & Migration ============
 
 /**
- * Current data schema version
+ * Current data schema version (must match the highest registered migration)
  */
-const DATA_VERSION = 1;
+const DATA_VERSION = 3;
 
 /**
  * Application version
@@ -200,35 +302,234 @@ function needsMigration() {
 }
 
 /**
- * Migrate data from old version to current version
+ * Ordered list of schema migrations.
+ * Each step receives the whole dataset (backup-payload shape, see
+ * DATASET_FIELDS) and may mutate it in place or return a replacement.
+ */
+const migrations = [];
+
+/**
+ * Register a migration step
+ * @param {object} migration - { version: number, name: string, up: Function }
+ */
+function registerMigration(migration) {
+  if (!migration || typeof migration.version !== 'number' || typeof migration.up !== 'function') {
+    console.warn('registerMigration: version and up() are required');
+    return;
+  }
+
+  if (migrations.some(m => m.version === migration.version)) {
+    console.warn(`registerMigration: version ${migration.version} is already registered`);
+    return;
+  }
+
+  migrations.push({
+    version: migration.version,
+    name: migration.name || `v${migration.version}`,
+    up: migration.up
+  });
+  migrations.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Get registered migrations
+ * @returns {Array<object>} Migrations sorted by version
+ */
+function getMigrations() {
+  return [...migrations];
+}
+
+/**
+ * Apply migrations to a dataset without touching storage
+ * @param {object} dataset - Dataset to migrate (not modified)
+ * @param {number} fromVersion - Version the dataset is at
+ * @param {number} toVersion - Target version
+ * @returns {object} { dataset, applied: Array<{version, name}> }
+ * @throws {Error} If a step fails (message names the failing step)
+ */
+function runMigrations(dataset, fromVersion, toVersion = DATA_VERSION) {
+  let working = JSON.parse(JSON.stringify(dataset || {}));
+  const applied = [];
+
+  migrations
+    .filter(m => m.version > fromVersion && m.version <= toVersion)
+    .forEach(m => {
+      try {
+        const result = m.up(working);
+        if (result && typeof result === 'object') {
+          working = result;
+        }
+        applied.push({ version: m.version, name: m.name });
+      } catch (err) {
+        throw new Error(`Migration v${m.version} (${m.name}) failed: ${err.message}`);
+      }
+    });
+
+  return { dataset: working, applied };
+}
+
+/**
+ * Migrate data from old version to current version.
+ * The stored dataset is snapshotted first; if a step throws nothing is
+ * written, and if writing fails the snapshot is written back.
  * @param {number} fromVersion - Version to migrate from
  * @returns {boolean} Success
  */
 function migrateData(fromVersion) {
+  console.log(`Migrating data from version ${fromVersion} to ${DATA_VERSION}`);
+
+  const snapshot = loadDataset();
+  let result;
+
   try {
-    console.log(`Migrating data from version ${fromVersion} to ${DATA_VERSION}`);
+    result = runMigrations(snapshot, fromVersion, DATA_VERSION);
+  } catch (err) {
+    console.error('Data migration failed, stored data left untouched:', err);
+    return false;
+  }
 
-    // Migration logic for different versions
-    if (fromVersion < 1) {
-      // Migration from version 0 to 1
-      // For now, just ensure data version is set
-      console.log('Migration v0 -> v1: Initializing data version');
+  if (!writeDataset(result.dataset)) {
+    console.error('Data migration could not be written, rolling back');
+    writeDataset(snapshot);
+    return false;
+  }
+
+  result.applied.forEach(m => console.log(`Migration v${m.version}: ${m.name}`));
+  setDataVersion(DATA_VERSION);
+  console.log('Data migration completed successfully');
+  return true;
+}
+
+/**
+ * Report what migrating the stored data would change, without writing
+ * @param {number} fromVersion - Version to migrate from (default: stored version)
+ * @returns {object} { fromVersion, toVersion, steps: Array, error: string|null }
+ */
+function dryRunMigration(fromVersion = getDataVersion()) {
+  const report = {
+    fromVersion,
+    toVersion: DATA_VERSION,
+    steps: [],
+    error: null
+  };
+
+  let current = loadDataset();
+
+  for (const m of migrations.filter(step => step.version > fromVersion && step.version <= DATA_VERSION)) {
+    try {
+      const { dataset } = runMigrations(current, m.version - 1, m.version);
+      report.steps.push({
+        version: m.version,
+        name: m.name,
+        changes: diffDatasets(current, dataset)
+      });
+      current = dataset;
+    } catch (err) {
+      report.error = err.message;
+      break;
     }
+  }
 
-    // Add more migration steps as needed for future versions
-    // if (fromVersion < 2) { ... }
+  return report;
+}
 
-    // Set current version
-    setDataVersion(DATA_VERSION);
-    console.log('Data migration completed successfully');
-    return true;
+/**
+ * Summarize per-collection differences between two datasets
+ * @param {object} before - Dataset before
+ * @param {object} after - Dataset after
+ * @returns {object} Map of field -> { added, removed, changed }
+ */
+function diffDatasets(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
 
-  } catch (err) {
-    console.error('Data migration failed:', err);
-    return false;
+  fields.forEach(field => {
+    const a = before ? before[field] : undefined;
+    const b = after ? after[field] : undefined;
+
+    if (JSON.stringify(a) === JSON.stringify(b)) return;
+
+    if (Array.isArray(a) || Array.isArray(b)) {
+      const keyOf = (item, i) => (item && item.id) || `#${i}`;
+      const left = new Map((a || []).map((item, i) => [keyOf(item, i), item]));
+      const right = new Map((b || []).map((item, i) => [keyOf(item, i), item]));
+      let added = 0;
+      let removed = 0;
+      let changed = 0;
+
+      right.forEach((item, key) => {
+        if (!left.has(key)) added++;
+        else if (JSON.stringify(left.get(key)) !== JSON.stringify(item)) changed++;
+      });
+      left.forEach((item, key) => {
+        if (!right.has(key)) removed++;
+      });
+
+      changes[field] = { added, removed, changed };
+    } else {
+      changes[field] = { added: 0, removed: 0, changed: 1 };
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Bring a backup/export object up to the current schema
+ * @param {object} obj - Backup payload (may carry dataVersion)
+ * @returns {object} Migrated copy of the payload
+ * @throws {Error} If the backup is newer than this app or a step fails
+ */
+function migrateBackupObject(obj) {
+  const fromVersion = typeof obj.dataVersion === 'number' ? obj.dataVersion : 0;
+
+  if (fromVersion > DATA_VERSION) {
+    throw new Error(`Backup data version ${fromVersion} is newer than supported version ${DATA_VERSION}`);
   }
+
+  const { dataset } = runMigrations(obj, fromVersion, DATA_VERSION);
+  dataset.dataVersion = DATA_VERSION;
+  return dataset;
 }
 
+// ============ Built-in Migrations ============
+
+registerMigration({
+  version: 1,
+  name: 'Initialize data version',
+  up: dataset => dataset
+});
+
+registerMigration({
+  version: 2,
+  name: 'Add multi-location stock fields to products',
+  up: dataset => {
+    (dataset.data || []).forEach(product => {
+      if (!product || typeof product !== 'object') return;
+      if (!product.stockByLocation || typeof product.stockByLocation !== 'object') {
+        product.stockByLocation = {};
+      }
+      if (product.defaultLocationId === undefined) {
+        product.defaultLocationId = null;
+      }
+    });
+  }
+});
+
+registerMigration({
+  version: 3,
+  name: 'Add payment and workflow fields to orders',
+  up: dataset => {
+    (dataset.orders || []).forEach(order => {
+      if (!order || typeof order !== 'object') return;
+      if (!order.paymentStatus) order.paymentStatus = 'unpaid';
+      if (order.paymentMethod === undefined) order.paymentMethod = '';
+      if (order.fulfilledAt === undefined) order.fulfilledAt = null;
+      if (order.cancelledAt === undefined) order.cancelledAt = null;
+    });
+  }
+});
+
 /**
  * Initialize or migrate data on app startup
  * @returns {boolean} Success
@@ -259,7 +560,8 @@ function getAppInfo() {
     dataVersion: getDataVersion(),
     expectedDataVersion: DATA_VERSION,
     needsMigration: needsMigration(),
-    storageAvailable: LS.ok()
+    storageAvailable: LS.ok(),
+    storageBackend: window.StorageAdapters ? window.StorageAdapters.getStorageAdapter().name : 'localStorage'
   };
 }
 
@@ -291,12 +593,368 @@ const STORAGE_KEYS = {
   PAY_PERIOD: 'inv.payPeriod',
   TRANSFERS: 'inv.transfers',
   LOCATIONS: 'inv.locations',
+  BINS: 'inv.bins',
+  CATEGORIES: 'inv.categories',
+  COUNT_SESSIONS: 'inv.countSessions',
+  PURCHASE_ORDERS: 'inv.purchaseOrders',
+  SUPPLIERS: 'inv.suppliers',
   ORDERS: 'inv.orders',
   CUSTOMERS: 'inv.customers',
   CONTACTS: 'inv.contacts',
-  ACCOUNTS: 'inv.accounts'
+  ACCOUNTS: 'inv.accounts',
+  AUDIT_LOG: 'inv.auditLog',
+  EVENT_JOURNAL: 'inv.eventJournal',
+  STOCK_MOVEMENTS: 'inv.stockMovements'
 };
 
+// ============ Dataset Mapping ============
+/**
+ * Dataset fields (backup payload names) and the storage keys behind them.
+ * Used by migrations to load and write the whole dataset at once.
+ */
+const DATASET_FIELDS = {
+  data: { key: STORAGE_KEYS.DATA, fallback: [] },
+  order: { key: STORAGE_KEYS.ORDER, fallback: {} },
+  po: { key: STORAGE_KEYS.PO, fallback: {} },
+  damaged: { key: STORAGE_KEYS.DAMAGED, fallback: [] },
+  invoices: { key: STORAGE_KEYS.INVOICES, fallback: [] },
+  kits: { key: STORAGE_KEYS.KITS, fallback: [] },
+  settings: { key: STORAGE_KEYS.SETTINGS, fallback: {} },
+  snapshots: { key: STORAGE_KEYS.SNAPSHOTS, fallback: {} },
+  snaps: { key: STORAGE_KEYS.SNAPS, fallback: [] },
+  employees: { key: STORAGE_KEYS.EMPLOYEES, fallback: [] },
+  employeeSchedules: { key: STORAGE_KEYS.SCHEDULES, fallback: [] },
+  employeeTimesheets: { key: STORAGE_KEYS.TIMESHEETS, fallback: [] },
+  employeeTasks: { key: STORAGE_KEYS.TASKS, fallback: [] },
+  payrollPeriods: { key: STORAGE_KEYS.PAYROLL_PERIODS, fallback: [] },
+  deductions: { key: STORAGE_KEYS.DEDUCTIONS, fallback: [] },
+  rentals: { key: STORAGE_KEYS.RENTALS, fallback: [] },
+  subscriptions: { key: STORAGE_KEYS.SUBSCRIPTIONS, fallback: [] },
+  shipments: { key: STORAGE_KEYS.SHIPMENTS, fallback: [] },
+  transfers: { key: STORAGE_KEYS.TRANSFERS, fallback: [] },
+  locations: { key: STORAGE_KEYS.LOCATIONS, fallback: [] },
+  bins: { key: STORAGE_KEYS.BINS, fallback: [] },
+  categories: { key: STORAGE_KEYS.CATEGORIES, fallback: [] },
+  countSessions: { key: STORAGE_KEYS.COUNT_SESSIONS, fallback: [] },
+  purchaseOrders: { key: STORAGE_KEYS.PURCHASE_ORDERS, fallback: [] },
+  suppliers: { key: STORAGE_KEYS.SUPPLIERS, fallback: [] },
+  orders: { key: STORAGE_KEYS.ORDERS, fallback: [] },
+  customers: { key: STORAGE_KEYS.CUSTOMERS, fallback: [] },
+  contacts: { key: STORAGE_KEYS.CONTACTS, fallback: [] },
+  accounts: { key: STORAGE_KEYS.ACCOUNTS, fallback: [] },
+  calendarEvents: { key: STORAGE_KEYS.CALENDAR_EVENTS, fallback: [] },
+  calendarNotes: { key: STORAGE_KEYS.CALENDAR_NOTES, fallback: {} },
+  stockMovements: { key: STORAGE_KEYS.STOCK_MOVEMENTS, fallback: [] }
+};
+
+/**
+ * Read every dataset collection straight from storage
+ * @returns {object} Dataset keyed by DATASET_FIELDS names
+ */
+function loadDataset() {
+  const dataset = {};
+  Object.entries(DATASET_FIELDS).forEach(([field, def]) => {
+    dataset[field] = LS.get(def.key, def.fallback);
+  });
+  return dataset;
+}
+
+/**
+ * Write every dataset collection to storage
+ * @param {object} dataset - Dataset keyed by DATASET_FIELDS names
+ * @returns {boolean} True if every write succeeded
+ */
+function writeDataset(dataset) {
+  let ok = true;
+  Object.entries(DATASET_FIELDS).forEach(([field, def]) => {
+    if (dataset[field] === undefined) return;
+    if (!LS.trySet(def.key, dataset[field])) ok = false;
+  });
+  return ok;
+}
+
+// ============ Transactions ============
+// Number of writes made to each key, so a late failure can tell whether a
+// newer write has replaced the value since
+const writeVersions = new Map();
+
+// Settings as last read by getStoredSettings, with the adapter they came
+// from; cleared when the settings key is written here or in another tab
+let storedSettings = null;
+
+/**
+ * Write raw (already serialized) entries through the active adapter.
+ * Uses the adapter's all-or-nothing setItems() when it has one.
+ * @param {Array<Array<string>>} entries - [key, serialized value] pairs
+ * @param {object} marks - Passed on to write listeners (see notifyWrite)
+ * @returns {Promise|null} For adapters that write in the background, a
+ *   promise that rejects if the write fails; null when already written
+ */
+function writeRaw(entries, marks = {}) {
+  const store = activeStorage();
+  const previous = writeListeners.length > 0 ? entries.map(([k]) => store.getItem(k)) : [];
+
+  let written;
+  try {
+    if (typeof store.setItems === 'function') {
+      written = store.setItems(entries);
+    } else {
+      const results = entries.map(([k, v]) => store.setItem(k, v));
+      written = results.some(r => r && typeof r.then === 'function') ? Promise.all(results) : null;
+    }
+  } catch (err) {
+    reportWriteError(entries.map(([k]) => k).join(', '), err);
+    throw err;
+  }
+
+  entries.forEach(([k]) => writeVersions.set(k, (writeVersions.get(k) || 0) + 1));
+  forgetStoredSettings(entries.map(([k]) => k));
+
+  if (previous.length > 0) {
+    notifyWrite(entries.map(([k, v], i) => [k, previous[i], v]), marks);
+  }
+
+  return written && typeof written.then === 'function' ? written : null;
+}
+
+/**
+ * Check if an error means storage is full
+ * @param {Error} err - Error thrown by a write
+ * @returns {boolean}
+ */
+function isQuotaError(err) {
+  if (!err) return false;
+  return err.name === 'QuotaExceededError' ||
+    err.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    err.code === 22 ||
+    err.code === 1014;
+}
+
+/**
+ * Tell listeners a write failed (storage:quota-exceeded when storage is full)
+ * @param {string} key - Key(s) being written
+ * @param {Error} err - Error thrown by the write
+ */
+function reportWriteError(key, err) {
+  if (!window.EventBus) return;
+  const backend = window.StorageAdapters ? window.StorageAdapters.getStorageAdapter().name : 'localStorage';
+  window.EventBus.emit(isQuotaError(err) ? 'storage:quota-exceeded' : 'storage:error', { key, backend, error: err });
+}
+
+/**
+ * Hold a write in the active transaction if it covers the key
+ * @param {string} k - Key
+ * @param {*} v - Value to store
+ * @returns {boolean} True if the write was staged instead of performed
+ */
+function stageWrite(k, v) {
+  if (!activeTransaction || !activeTransaction.keys.has(k)) return false;
+  activeTransaction.staged.set(k, JSON.stringify(v));
+  return true;
+}
+
+/**
+ * Deep-copy the in-memory collections behind the given dataset fields
+ * @param {Array<string>} fields - DATASET_FIELDS names
+ * @returns {Map} field -> copy (undefined if the collection was not loaded)
+ */
+function snapshotCollections(fields) {
+  const snapshots = new Map();
+  fields.forEach(field => {
+    const current = window[field];
+    snapshots.set(field, current === undefined ? undefined : JSON.parse(JSON.stringify(current)));
+  });
+  return snapshots;
+}
+
+/**
+ * Put in-memory collections back to a snapshot.
+ * Arrays and objects are refilled in place so references held by other
+ * modules (e.g. getOrdersArray()) see the restored contents.
+ * @param {Map} snapshots - Result of snapshotCollections()
+ */
+function restoreCollections(snapshots) {
+  snapshots.forEach((saved, field) => {
+    const current = window[field];
+    if (Array.isArray(current) && Array.isArray(saved)) {
+      current.length = 0;
+      saved.forEach(item => current.push(item));
+    } else if (current && saved && typeof current === 'object' && typeof saved === 'object') {
+      Object.keys(current).forEach(key => delete current[key]);
+      Object.assign(current, saved);
+    } else {
+      window[field] = saved;
+    }
+  });
+}
+
+/**
+ * Undo a transaction whose background write failed after it returned.
+ * Collections that have been written again since are left alone, as the
+ * newer write supersedes this one.
+ * @param {object} tx - Transaction
+ * @param {Map} versions - key -> write version of this commit
+ * @param {Map} previousRaw - key -> stored value before this commit
+ * @param {Error} err - Write error
+ */
+function rollbackFailedCommit(tx, versions, previousRaw, err) {
+  const store = activeStorage();
+  const restored = new Map();
+
+  tx.snapshots.forEach((saved, field) => {
+    const key = DATASET_FIELDS[field].key;
+    if (!versions.has(key) || writeVersions.get(key) !== versions.get(key)) return;
+    restored.set(field, saved);
+    if (typeof store.syncItem === 'function') {
+      store.syncItem(key, previousRaw.get(key));
+    }
+  });
+
+  restoreCollections(restored);
+  console.error('runTransaction commit failed:', err);
+
+  if (window.EventBus) {
+    window.EventBus.emit('storage:transaction-failed', {
+      fields: Array.from(restored.keys()),
+      error: err
+    });
+  }
+}
+
+/**
+ * Run a unit of work that changes several collections as a single write.
+ *
+ * While fn runs, saves to the listed collections are held in memory and
+ * then written together when fn returns. If fn throws, returns
+ * { success: false }, or the final write fails, the in-memory collections
+ * (window.data, window.orders, ...) are restored and nothing is persisted.
+ *
+ * Adapters that write in the background (IndexedDB) report a failed write
+ * after fn's result has been returned; the collections are then restored
+ * and storage:transaction-failed is emitted. afterCommit callbacks wait for
+ * the write to land and are dropped if it fails.
+ *
+ * Calls made inside another transaction join it: their writes land with
+ * the outer commit, and a failure only undoes the inner call's changes.
+ *
+ * fn must be synchronous.
+ *
+ * @param {Array<string>} fields - DATASET_FIELDS names, e.g. ['data', 'orders']
+ * @param {Function} fn - Work to perform
+ * @returns {*} Whatever fn returned
+ * @throws {Error} fn's error, or a commit error, after rolling back
+ */
+function runTransaction(fields, fn) {
+  const unknown = fields.filter(field => !DATASET_FIELDS[field]);
+  if (unknown.length > 0) {
+    throw new Error(`runTransaction: unknown collection(s): ${unknown.join(', ')}`);
+  }
+
+  const outer = activeTransaction;
+  const keys = fields.map(field => DATASET_FIELDS[field].key);
+  const tx = {
+    keys: new Set([...(outer ? outer.keys : []), ...keys]),
+    staged: outer ? new Map(outer.staged) : new Map(),
+    callbacks: [],
+    snapshots: snapshotCollections(fields)
+  };
+
+  const rollback = () => {
+    restoreCollections(tx.snapshots);
+    activeTransaction = outer;
+  };
+
+  activeTransaction = tx;
+
+  let result;
+  try {
+    result = fn();
+  } catch (err) {
+    rollback();
+    throw err;
+  }
+
+  if (result && result.success === false) {
+    rollback();
+    return result;
+  }
+
+  activeTransaction = outer;
+
+  // Nested: hand staged writes and callbacks to the enclosing transaction
+  if (outer) {
+    tx.keys.forEach(k => outer.keys.add(k));
+    tx.staged.forEach((v, k) => outer.staged.set(k, v));
+    outer.callbacks.push(...tx.callbacks);
+    return result;
+  }
+
+  const entries = Array.from(tx.staged.entries());
+  const store = activeStorage();
+  const previousRaw = new Map(entries.map(([k]) => [k, store.getItem(k)]));
+
+  let written;
+  try {
+    written = writeRaw(entries);
+  } catch (err) {
+    restoreCollections(tx.snapshots);
+    console.error('runTransaction commit failed:', err);
+    throw new Error(`Could not save changes: ${err.message || err}`);
+  }
+
+  const runCallbacks = () => tx.callbacks.forEach(cb => {
+    try {
+      cb();
+    } catch (err) {
+      console.error('afterCommit callback failed:', err);
+    }
+  });
+
+  if (written) {
+    const versions = new Map(entries.map(([k]) => [k, writeVersions.get(k)]));
+    written.then(runCallbacks, err => rollbackFailedCommit(tx, versions, previousRaw, err));
+  } else {
+    runCallbacks();
+  }
+
+  return result;
+}
+
+/**
+ * Save a value merged from another tab's change. Written like any other
+ * write (failures are reported, listeners see it), but marked synced so undo
+ * history and the audit log, which record this tab's own edits, skip it.
+ * @param {string} key - Storage key
+ * @param {string} raw - Serialized value
+ * @returns {Promise|null} See writeRaw
+ * @throws {Error} When a synchronous adapter fails to write
+ */
+function writeSyncedValue(key, raw) {
+  return writeRaw([[key, raw]], { synced: true });
+}
+
+/**
+ * Run a callback once the current transaction has been written.
+ * Runs immediately when no transaction is active; dropped on rollback.
+ * Use for events that should only fire after data is persisted.
+ * @param {Function} cb - Callback
+ */
+function afterCommit(cb) {
+  if (activeTransaction) {
+    activeTransaction.callbacks.push(cb);
+  } else {
+    cb();
+  }
+}
+
+/**
+ * Check if a transaction is collecting writes
+ * @returns {boolean}
+ */
+function inTransaction() {
+  return activeTransaction !== null;
+}
+
 // ============ Save All Data ============
 /**
  * Save all app state to localStorage
@@ -335,6 +993,11 @@ function saveAll() {
     // Save inventory data
     if (window.transfers) saveTransfers(window.transfers);
     if (window.locations) saveLocations(window.locations);
+    if (window.bins) saveBins(window.bins);
+    if (window.categories) saveCategories(window.categories);
+    if (window.countSessions) saveCountSessions(window.countSessions);
+    if (window.purchaseOrders) savePurchaseOrders(window.purchaseOrders);
+    if (window.suppliers) saveSuppliers(window.suppliers);
 
     // Save sales data
     if (window.orders) saveOrders(window.orders);
@@ -348,6 +1011,9 @@ function saveAll() {
     if (window.calendarEvents) saveCalendarEvents(window.calendarEvents);
     if (window.calendarNotes) saveCalendarNotes(window.calendarNotes);
 
+    // Save the stock ledger
+    if (window.stockMovements) saveStockMovements(window.stockMovements);
+
     // Mark as saved and trigger related actions
     if (typeof window.markSaved === 'function') {
       window.markSaved();
@@ -603,6 +1269,86 @@ function saveLocations(locations) {
   LS.set(STORAGE_KEYS.LOCATIONS, locations);
 }
 
+/**
+ * Load bins (sub-locations) from localStorage
+ * @returns {Array} Bins array
+ */
+function loadBins() {
+  return LS.get(STORAGE_KEYS.BINS, []);
+}
+
+/**
+ * Save bins (sub-locations) to localStorage
+ * @param {Array} bins - Bins to save
+ */
+function saveBins(bins) {
+  LS.set(STORAGE_KEYS.BINS, bins);
+}
+
+/**
+ * Load product categories from localStorage
+ * @returns {Array} Categories array
+ */
+function loadCategories() {
+  return LS.get(STORAGE_KEYS.CATEGORIES, []);
+}
+
+/**
+ * Save product categories to localStorage
+ * @param {Array} categories - Categories to save
+ */
+function saveCategories(categories) {
+  LS.set(STORAGE_KEYS.CATEGORIES, categories);
+}
+
+/**
+ * Load stock count sessions from localStorage
+ * @returns {Array} Count sessions array
+ */
+function loadCountSessions() {
+  return LS.get(STORAGE_KEYS.COUNT_SESSIONS, []);
+}
+
+/**
+ * Save stock count sessions to localStorage
+ * @param {Array} sessions - Count sessions to save
+ */
+function saveCountSessions(sessions) {
+  LS.set(STORAGE_KEYS.COUNT_SESSIONS, sessions);
+}
+
+/**
+ * Load purchase orders from localStorage
+ * @returns {Array} Purchase orders array
+ */
+function loadPurchaseOrders() {
+  return LS.get(STORAGE_KEYS.PURCHASE_ORDERS, []);
+}
+
+/**
+ * Save purchase orders to localStorage
+ * @param {Array} purchaseOrders - Purchase orders to save
+ */
+function savePurchaseOrders(purchaseOrders) {
+  LS.set(STORAGE_KEYS.PURCHASE_ORDERS, purchaseOrders);
+}
+
+/**
+ * Load suppliers from localStorage
+ * @returns {Array} Suppliers array
+ */
+function loadSuppliers() {
+  return LS.get(STORAGE_KEYS.SUPPLIERS, []);
+}
+
+/**
+ * Save suppliers to localStorage
+ * @param {Array} suppliers - Suppliers to save
+ */
+function saveSuppliers(suppliers) {
+  LS.set(STORAGE_KEYS.SUPPLIERS, suppliers);
+}
+
 /**
  * Load sales orders from localStorage
  * @returns {Array} Orders array
@@ -667,6 +1413,57 @@ function saveAccounts(accounts) {
   LS.set(STORAGE_KEYS.ACCOUNTS, accounts);
 }
 
+/**
+ * Load audit log entries from localStorage
+ * @returns {Array} Audit entries (oldest first)
+ */
+function loadAuditLog() {
+  return LS.get(STORAGE_KEYS.AUDIT_LOG, []);
+}
+
+/**
+ * Save audit log entries to localStorage
+ * @param {Array} entries - Audit entries
+ * @returns {boolean} True if the write succeeded
+ */
+function saveAuditLog(entries) {
+  return LS.trySet(STORAGE_KEYS.AUDIT_LOG, entries);
+}
+
+/**
+ * Load event journal entries from localStorage
+ * @returns {Array} Journal events (oldest first)
+ */
+function loadEventJournal() {
+  return LS.get(STORAGE_KEYS.EVENT_JOURNAL, []);
+}
+
+/**
+ * Save event journal entries to localStorage
+ * @param {Array} events - Journal events
+ * @returns {boolean} True if the write succeeded
+ */
+function saveEventJournal(events) {
+  return LS.trySet(STORAGE_KEYS.EVENT_JOURNAL, events);
+}
+
+/**
+ * Load stock movement ledger entries from localStorage
+ * @returns {Array} Stock movements (oldest first)
+ */
+function loadStockMovements() {
+  return LS.get(STORAGE_KEYS.STOCK_MOVEMENTS, []);
+}
+
+/**
+ * Save stock movement ledger entries to localStorage
+ * @param {Array} movements - Stock movements
+ * @returns {boolean} True if the write succeeded
+ */
+function saveStockMovements(movements) {
+  return LS.trySet(STORAGE_KEYS.STOCK_MOVEMENTS, movements);
+}
+
 // ============ Core Business Entity Functions ============
 
 /**
@@ -814,6 +1611,34 @@ function saveSettings(settings) {
   LS.set(STORAGE_KEYS.SETTINGS, settings);
 }
 
+/**
+ * Saved settings, for modules that read a single option. The settings
+ * dialog writes storage directly, so window.settings can lag behind; this
+ * parses the stored value once per change instead of on every call.
+ * Treat the result as read-only.
+ * @returns {object} Settings (empty object when none are saved)
+ */
+function getStoredSettings() {
+  const key = STORAGE_KEYS.SETTINGS;
+  if (activeTransaction && activeTransaction.staged.has(key)) {
+    return LS.get(key, {}) || {};
+  }
+
+  const store = activeStorage();
+  if (!storedSettings || storedSettings.store !== store) {
+    storedSettings = { store, settings: LS.get(key, {}) || {} };
+  }
+  return storedSettings.settings;
+}
+
+/**
+ * Drop the cached settings if a write touched them
+ * @param {Array<string>} keys - Keys written or removed
+ */
+function forgetStoredSettings(keys) {
+  if (keys.includes(STORAGE_KEYS.SETTINGS)) storedSettings = null;
+}
+
 /**
  * Load monthly snapshots from localStorage
  * @returns {object} Snapshots object
@@ -904,6 +1729,7 @@ function backupPayload() {
   return {
     timestamp: new Date().toISOString(),
     version: '1.0',
+    dataVersion: DATA_VERSION,
     data: window.data || [],
     order: window.order || {},
     po: window.po || {},
@@ -924,12 +1750,18 @@ function backupPayload() {
     shipments: window.shipments || [],
     transfers: window.transfers || [],
     locations: window.locations || [],
+    bins: window.bins || [],
+    categories: window.categories || [],
+    countSessions: window.countSessions || [],
+    purchaseOrders: window.purchaseOrders || [],
+    suppliers: window.suppliers || [],
     orders: window.orders || [],
     customers: window.customers || [],
     contacts: window.contacts || [],
     accounts: window.accounts || [],
     calendarEvents: window.calendarEvents || [],
-    calendarNotes: window.calendarNotes || {}
+    calendarNotes: window.calendarNotes || {},
+    stockMovements: window.stockMovements || loadStockMovements()
   };
 }
 
@@ -967,6 +1799,9 @@ function restoreFromObject(obj) {
   if (!obj) return false;
 
   try {
+    // Older backups are brought up to the current schema before restoring
+    obj = migrateBackupObject(obj);
+
     if (obj.data) window.data = obj.data;
     if (obj.order) window.order = obj.order;
     if (obj.po) window.po = obj.po;
@@ -987,14 +1822,21 @@ function restoreFromObject(obj) {
     if (obj.shipments) window.shipments = obj.shipments;
     if (obj.transfers) window.transfers = obj.transfers;
     if (obj.locations) window.locations = obj.locations;
+    if (obj.bins) window.bins = obj.bins;
+    if (obj.categories) window.categories = obj.categories;
+    if (obj.countSessions) window.countSessions = obj.countSessions;
+    if (obj.purchaseOrders) window.purchaseOrders = obj.purchaseOrders;
+    if (obj.suppliers) window.suppliers = obj.suppliers;
     if (obj.orders) window.orders = obj.orders;
     if (obj.customers) window.customers = obj.customers;
     if (obj.contacts) window.contacts = obj.contacts;
     if (obj.accounts) window.accounts = obj.accounts;
     if (obj.calendarEvents) window.calendarEvents = obj.calendarEvents;
     if (obj.calendarNotes) window.calendarNotes = obj.calendarNotes;
+    if (obj.stockMovements) window.stockMovements = obj.stockMovements;
 
     saveAll();
+    setDataVersion(DATA_VERSION);
     return true;
   } catch (err) {
     console.error('Restore failed:', err);
@@ -1049,8 +1891,24 @@ if (typeof window !== 'undefined') {
     needsMigration,
     migrateData,
     initializeDataVersion,
+    registerMigration,
+    getMigrations,
+    runMigrations,
+    dryRunMigration,
+    migrateBackupObject,
+    loadDataset,
+    writeDataset,
+    DATASET_FIELDS,
     getAppInfo,
 
+    // Transactions
+    runTransaction,
+    afterCommit,
+    writeSyncedValue,
+    inTransaction,
+    onStorageWrite,
+    isQuotaError,
+
     // Validation
     validateProduct,
     validateInvoice,
@@ -1070,6 +1928,7 @@ if (typeof window !== 'undefined') {
     loadDamaged,
     saveDamaged,
     loadSettings,
+    getStoredSettings,
     saveSettings,
     loadSnapshots,
     saveSnapshots,
@@ -1105,6 +1964,16 @@ if (typeof window !== 'undefined') {
     saveTransfers,
     loadLocations,
     saveLocations,
+    loadBins,
+    saveBins,
+    loadCategories,
+    saveCategories,
+    loadCountSessions,
+    saveCountSessions,
+    loadPurchaseOrders,
+    savePurchaseOrders,
+    loadSuppliers,
+    saveSuppliers,
     loadOrders,
     saveOrders,
     loadCalendarEvents,
@@ -1117,6 +1986,12 @@ if (typeof window !== 'undefined') {
     saveContacts,
     loadAccounts,
     saveAccounts,
+    loadAuditLog,
+    saveAuditLog,
+    loadEventJournal,
+    saveEventJournal,
+    loadStockMovements,
+    saveStockMovements,
 
     // Backup/Restore
     backupPayload,
@@ -1124,4 +1999,11 @@ if (typeof window !== 'undefined') {
     restoreFromObject,
     maybeAutoBackup
   };
+
+  // Another tab saved settings; the sync module has already written them
+  if (window.EventBus) {
+    window.EventBus.on('sync:changed', payload => {
+      if (payload && payload.key === STORAGE_KEYS.SETTINGS) storedSettings = null;
+    });
+  }
 }
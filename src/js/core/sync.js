@@ -0,0 +1,574 @@
+/* ============================================
+   TAB SYNC MODULE
+   CodeLapras - Cross-tab Synchronization
+   ============================================ */
+
+// Every tab keeps its own in-memory copy of the collections (window.data,
+// window.orders, ...). When one tab saves a collection, the new value is sent
+// to the other tabs, which load it into memory and re-render.
+//
+// Each message carries the value the sender replaced. If the receiving tab
+// still holds that value, it simply adopts the new one. Otherwise both tabs
+// saved the collection at about the same time and the two versions are
+// merged record by record. A record changed in both tabs is a conflict: both
+// tabs pick the same winner (latest updatedAt), and the user is notified and
+// can switch to the other version.
+
+/**
+ * BroadcastChannel name shared by all tabs of the app
+ */
+const SYNC_CHANNEL_NAME = 'codelapras-sync';
+
+/**
+ * Collections synced besides Storage.DATASET_FIELDS: field -> STORAGE_KEYS name
+ */
+const SYNC_EXTRA_FIELDS = {
+  auditLog: 'AUDIT_LOG',
+  eventJournal: 'EVENT_JOURNAL'
+};
+
+/**
+ * Singular nouns used in conflict notices, keyed by field
+ */
+const SYNC_NOUNS = {
+  data: 'Product',
+  invoices: 'Invoice',
+  kits: 'Kit',
+  orders: 'Order',
+  customers: 'Customer',
+  contacts: 'Contact',
+  accounts: 'Account',
+  rentals: 'Rental',
+  subscriptions: 'Subscription',
+  shipments: 'Shipment',
+  transfers: 'Transfer',
+  locations: 'Location',
+  bins: 'Bin',
+  categories: 'Category',
+  countSessions: 'Count session',
+  purchaseOrders: 'Purchase order',
+  suppliers: 'Supplier',
+  employees: 'Employee',
+  settings: 'Settings'
+};
+
+/**
+ * Views to redraw when a collection changes in another tab.
+ * window.render() (main inventory view) always runs.
+ */
+const SYNC_REFRESHERS = {
+  customers: () => {
+    if (typeof window.renderCustomerTable === 'function' && document.getElementById('customerTableBody')) {
+      window.renderCustomerTable('customerTableBody', window.customers || []);
+    }
+  },
+  invoices: () => {
+    if (typeof window.renderInvoiceTracker === 'function' && document.getElementById('invoiceTrackerBody')) {
+      window.renderInvoiceTracker();
+    }
+  },
+  rentals: () => {
+    if (window.RentalUI) window.RentalUI.refreshRentalTable();
+  },
+  subscriptions: () => {
+    if (window.SubscriptionUI) window.SubscriptionUI.refreshSubscriptionTable();
+  },
+  orders: () => {
+    if (window.OrderUI && document.getElementById('orderTableBody')) {
+      window.OrderUI.renderOrderTable('orderTableBody', window.orders || []);
+    }
+  },
+  transfers: () => {
+    if (window.ReplenishmentUI) window.ReplenishmentUI.refreshReplenishmentDialogs();
+  },
+  shipments: () => {
+    if (window.shipmentUI && document.getElementById('shipmentsTableContainer')) {
+      window.shipmentUI.refreshShipmentData();
+    }
+  },
+  purchaseOrders: () => {
+    if (window.PurchaseOrderUI) window.PurchaseOrderUI.refreshPurchaseOrderLists();
+  }
+};
+
+const TabSync = (() => {
+  const tabId = 'tab-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+
+  /**
+   * Raw value of each synced key as this tab last saw it
+   */
+  const known = new Map();
+
+  let channel = null;
+  let listening = false;
+  let ready = false;
+  let queue = [];
+
+  // ============ Helpers ============
+
+  /**
+   * Map of synced storage keys to their in-memory field
+   * @returns {object} { key: field }
+   */
+  function syncedKeys() {
+    const map = {};
+    const fields = window.Storage ? window.Storage.DATASET_FIELDS : {};
+    Object.keys(fields).forEach(field => {
+      map[fields[field].key] = field;
+    });
+    Object.keys(SYNC_EXTRA_FIELDS).forEach(field => {
+      const key = window.Storage && window.Storage.STORAGE_KEYS[SYNC_EXTRA_FIELDS[field]];
+      if (key) map[key] = field;
+    });
+    return map;
+  }
+
+  /**
+   * Parse a raw stored value
+   * @param {string|null} raw - Raw string
+   * @returns {*} Parsed value or null
+   */
+  function parse(raw) {
+    if (raw === null || raw === undefined) return null;
+    try {
+      return JSON.parse(raw);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Compare two JSON values
+   * @param {*} a - Value
+   * @param {*} b - Value
+   * @returns {boolean}
+   */
+  function same(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+  }
+
+  /**
+   * Check if a value is an array of records with ids
+   * @param {*} value - Value
+   * @returns {boolean}
+   */
+  function isRecordList(value) {
+    return Array.isArray(value) && value.every(item => item && typeof item === 'object' && item.id);
+  }
+
+  /**
+   * Choose between two versions of a record edited in both tabs.
+   * Both tabs must reach the same answer, so only the values are used:
+   * a deleted record loses to an edited one, then the latest updatedAt
+   * wins, then the serialized values are compared.
+   * @param {*} mine - This tab's version
+   * @param {*} theirs - Other tab's version
+   * @returns {boolean} True if this tab's version wins
+   */
+  function mineWins(mine, theirs) {
+    if (mine === null || mine === undefined) return false;
+    if (theirs === null || theirs === undefined) return true;
+
+    const mineAt = mine.updatedAt || '';
+    const theirsAt = theirs.updatedAt || '';
+    if (mineAt !== theirsAt) return mineAt > theirsAt;
+
+    return JSON.stringify(mine) > JSON.stringify(theirs);
+  }
+
+  /**
+   * Describe a record for a conflict notice
+   * @param {string} field - Collection field
+   * @param {object} record - Record
+   * @returns {string}
+   */
+  function describeRecord(field, record) {
+    const noun = SYNC_NOUNS[field] || field;
+    if (!record || typeof record !== 'object' || !record.id) return noun;
+    const name = record.name || record.number || record.orderNumber || record.sku || record.id;
+    return `${noun} "${name}"`;
+  }
+
+  // ============ Merging ============
+
+  /**
+   * Three-way merge of a collection changed in two tabs
+   * @param {*} base - Value both tabs started from
+   * @param {*} mine - This tab's value
+   * @param {*} theirs - Other tab's value
+   * @returns {object} { value, conflicts: [{ id, mine, theirs, kept }] }
+   */
+  function mergeValues(base, mine, theirs) {
+    if (!isRecordList(base || []) || !isRecordList(mine || []) || !isRecordList(theirs || [])) {
+      if (same(base, mine)) return { value: theirs, conflicts: [] };
+      if (same(base, theirs) || same(mine, theirs)) return { value: mine, conflicts: [] };
+      const keepMine = mineWins(mine, theirs);
+      return {
+        value: keepMine ? mine : theirs,
+        conflicts: [{ id: null, mine, theirs, kept: keepMine ? 'mine' : 'theirs' }]
+      };
+    }
+
+    const baseById = new Map((base || []).map(r => [r.id, r]));
+    const mineById = new Map((mine || []).map(r => [r.id, r]));
+    const theirsById = new Map((theirs || []).map(r => [r.id, r]));
+
+    // Keep the other tab's order, then records only this tab has
+    const ids = [];
+    (theirs || []).forEach(r => ids.push(r.id));
+    (mine || []).forEach(r => {
+      if (!theirsById.has(r.id)) ids.push(r.id);
+    });
+
+    const value = [];
+    const conflicts = [];
+
+    ids.forEach(id => {
+      const b = baseById.get(id) || null;
+      const m = mineById.get(id) || null;
+      const t = theirsById.get(id) || null;
+      let result;
+
+      if (same(b, m)) {
+        result = t;
+      } else if (same(b, t) || same(m, t)) {
+        result = m;
+      } else {
+        const keepMine = mineWins(m, t);
+        result = keepMine ? m : t;
+        conflicts.push({ id, mine: m, theirs: t, kept: keepMine ? 'mine' : 'theirs' });
+      }
+
+      if (result) value.push(result);
+    });
+
+    return { value, conflicts };
+  }
+
+  // ============ Applying ============
+
+  /**
+   * Replace an in-memory collection's contents.
+   * Arrays and objects are refilled in place so references held by other
+   * modules keep seeing current data.
+   * @param {string} field - Collection field
+   * @param {*} value - New value
+   */
+  function applyToMemory(field, value) {
+    const current = window[field];
+    if (current === undefined) return;
+
+    if (SYNC_EXTRA_FIELDS[field]) {
+      // Loaded on demand; drop the cached copy
+      window[field] = null;
+      return;
+    }
+
+    const fallback = window.Storage.DATASET_FIELDS[field]
+      ? window.Storage.DATASET_FIELDS[field].fallback
+      : null;
+    const next = value === null ? JSON.parse(JSON.stringify(fallback)) : value;
+
+    if (Array.isArray(current) && Array.isArray(next)) {
+      current.length = 0;
+      next.forEach(item => current.push(item));
+    } else if (current && next && typeof current === 'object' && typeof next === 'object' && !Array.isArray(next)) {
+      // themeTokens is added to settings in memory only (see loadSettings)
+      Object.keys(current).forEach(key => {
+        if (!(key in next) && key !== 'themeTokens') delete current[key];
+      });
+      Object.assign(current, next);
+    } else {
+      window[field] = next;
+    }
+  }
+
+  /**
+   * Redraw views showing the changed collections
+   * @param {Array<string>} fields - Changed fields
+   */
+  function refreshViews(fields) {
+    if (typeof window.render === 'function') {
+      try {
+        window.render();
+      } catch (err) {
+        console.error('Render after sync failed:', err);
+      }
+    }
+
+    fields.forEach(field => {
+      if (!SYNC_REFRESHERS[field]) return;
+      try {
+        SYNC_REFRESHERS[field]();
+      } catch (err) {
+        console.error(`Refreshing ${field} after sync failed:`, err);
+      }
+    });
+  }
+
+  /**
+   * Send a write to the other tabs
+   * @param {string} key - Storage key
+   * @param {string|null} previous - Value before the write
+   * @param {string|null} value - Value written
+   */
+  function broadcast(key, previous, value) {
+    if (!channel) return;
+    try {
+      channel.postMessage({ type: 'write', tabId, key, previous, value });
+    } catch (err) {
+      console.warn(`Could not send "${key}" to other tabs:`, err);
+    }
+  }
+
+  /**
+   * Save the merged value from this tab. handleLocalWrites passes it on to
+   * the other tabs like any other write.
+   * @param {string} key - Storage key
+   * @param {string} raw - Merged value
+   */
+  function persistMerged(key, raw) {
+    try {
+      const written = window.Storage.writeSyncedValue(key, raw);
+      if (written) {
+        written.catch(err => console.error(`Could not save merged "${key}":`, err));
+      }
+    } catch (err) {
+      console.error(`Could not save merged "${key}":`, err);
+    }
+  }
+
+  /**
+   * Offer to switch the conflicting records to the version that lost
+   * @param {string} field - Collection field
+   * @param {Array} conflicts - Conflicts from mergeValues()
+   */
+  function notifyConflicts(field, conflicts) {
+    const first = conflicts[0];
+    const kept = first.kept === 'mine' ? first.mine : first.theirs;
+    const subject = describeRecord(field, kept || first.mine || first.theirs);
+    const message = conflicts.length === 1
+      ? `${subject} was changed in another tab at the same time. Kept the ${first.kept === 'mine' ? 'version from this tab' : 'other tab\'s version'}.`
+      : `${conflicts.length} ${(SYNC_NOUNS[field] || field).toLowerCase()} records were changed in two tabs at the same time. Kept the latest edit of each.`;
+
+    if (window.EventBus) {
+      window.EventBus.emit('sync:conflict', { field, conflicts });
+    }
+
+    if (typeof window.showToast !== 'function') {
+      console.warn(message);
+      return;
+    }
+
+    window.showToast(message, 'warning', 0, {
+      action: {
+        label: 'Use other version',
+        onClick: () => useLosingVersions(field, conflicts)
+      }
+    });
+  }
+
+  /**
+   * Replace conflict winners with the versions that were not kept.
+   * Saved through LS so the switch can itself be undone.
+   * @param {string} field - Collection field
+   * @param {Array} conflicts - Conflicts from mergeValues()
+   */
+  function useLosingVersions(field, conflicts) {
+    const key = Object.keys(syncedKeys()).find(k => syncedKeys()[k] === field);
+    let value = window.Storage.LS.get(key, null);
+
+    conflicts.forEach(conflict => {
+      const loser = conflict.kept === 'mine' ? conflict.theirs : conflict.mine;
+
+      if (conflict.id === null) {
+        value = loser;
+        return;
+      }
+
+      const list = Array.isArray(value) ? value : [];
+      const index = list.findIndex(r => r.id === conflict.id);
+      if (loser === null) {
+        if (index !== -1) list.splice(index, 1);
+      } else if (index !== -1) {
+        list[index] = loser;
+      } else {
+        list.push(loser);
+      }
+      value = list;
+    });
+
+    window.Storage.LS.set(key, value);
+    applyToMemory(field, value);
+    refreshViews([field]);
+  }
+
+  /**
+   * Handle a write made by another tab
+   * @param {object} message - { key, previous, value }
+   */
+  function handleRemoteWrite(message) {
+    const field = syncedKeys()[message.key];
+    if (!field) return;
+
+    const adapter = window.StorageAdapters.getStorageAdapter();
+    const stored = adapter.getItem(message.key);
+    const mine = known.has(message.key) ? known.get(message.key) : stored;
+
+    if (mine === message.value) {
+      // Already up to date
+      adapter.syncItem(message.key, message.value);
+      return;
+    }
+
+    adapter.syncItem(message.key, message.value);
+
+    let raw = message.value;
+    let conflicts = [];
+
+    if (mine !== message.previous) {
+      // Both tabs saved since they last agreed
+      const merged = mergeValues(parse(message.previous), parse(mine), parse(message.value));
+      conflicts = merged.conflicts;
+      const mergedRaw = JSON.stringify(merged.value);
+      if (mergedRaw !== message.value) {
+        raw = mergedRaw;
+        persistMerged(message.key, raw);
+      }
+    }
+
+    known.set(message.key, raw);
+    const value = parse(raw);
+    applyToMemory(field, value);
+
+    if (window.EventBus) {
+      const before = parse(mine);
+      const ids = isRecordList(before || []) && isRecordList(value || [])
+        ? Array.from(new Set([...(before || []), ...(value || [])].map(r => r.id)))
+            .filter(id => !same((before || []).find(r => r.id === id), (value || []).find(r => r.id === id)))
+        : [];
+      window.EventBus.emit('sync:changed', { key: message.key, field, ids, conflicts: conflicts.length });
+    }
+
+    refreshViews([field]);
+
+    if (conflicts.length > 0) {
+      notifyConflicts(field, conflicts);
+    }
+  }
+
+  /**
+   * Queue or handle an incoming message
+   * @param {object} message - Message from another tab
+   */
+  function receive(message) {
+    if (!message || message.type !== 'write' || message.tabId === tabId) return;
+    if (!ready) {
+      queue.push(message);
+      return;
+    }
+    try {
+      handleRemoteWrite(message);
+    } catch (err) {
+      console.error(`Applying "${message.key}" from another tab failed:`, err);
+    }
+  }
+
+  /**
+   * Storage write listener: remember and broadcast this tab's writes
+   * @param {Array} writes - [{ key, previous, value }]
+   */
+  function handleLocalWrites(writes) {
+    const keys = syncedKeys();
+    writes.forEach(({ key, previous, value }) => {
+      if (!keys[key]) return;
+      known.set(key, value);
+      broadcast(key, previous, value);
+    });
+  }
+
+  return {
+    /**
+     * Open the channel. Messages are queued until start() so none are
+     * missed while the app loads.
+     */
+    listen() {
+      if (listening || typeof window === 'undefined') return;
+      listening = true;
+
+      if (typeof BroadcastChannel !== 'undefined') {
+        channel = new BroadcastChannel(SYNC_CHANNEL_NAME);
+        channel.onmessage = event => receive(event.data);
+      } else {
+        // Fallback: only localStorage writes are visible to other tabs
+        window.addEventListener('storage', event => {
+          if (!event.key || event.storageArea !== localStorage) return;
+          // Encrypted values cannot be read here; they are picked up on reload
+          if (window.Encryption && window.Encryption.isEncryptedValue(event.newValue)) return;
+          receive({ type: 'write', key: event.key, previous: event.oldValue, value: event.newValue });
+        });
+      }
+    },
+
+    /**
+     * Start syncing (called once the app has loaded its data)
+     */
+    start() {
+      if (ready || !window.Storage || !window.StorageAdapters) return;
+      this.listen();
+
+      const adapter = window.StorageAdapters.getStorageAdapter();
+      Object.keys(syncedKeys()).forEach(key => known.set(key, adapter.getItem(key)));
+      window.Storage.onStorageWrite(handleLocalWrites);
+      ready = true;
+
+      const pending = queue;
+      queue = [];
+      pending.forEach(receive);
+    },
+
+    /**
+     * Check if syncing is running
+     * @returns {boolean}
+     */
+    isActive() {
+      return ready;
+    },
+
+    /**
+     * Get this tab's id
+     * @returns {string}
+     */
+    getTabId() {
+      return tabId;
+    },
+
+    // Exposed for other modules and debugging
+    mergeValues
+  };
+})();
+
+// ============ Auto-initialization ============
+TabSync.listen();
+
+/**
+ * Start syncing after the app has loaded its data
+ */
+function startTabSync() {
+  if (typeof window.whenAppReady === 'function') {
+    window.whenAppReady().then(() => TabSync.start());
+  } else {
+    TabSync.start();
+  }
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', startTabSync);
+} else {
+  startTabSync();
+}
+
+// ============ Global Exports ============
+if (typeof window !== 'undefined') {
+  window.TabSync = TabSync;
+}
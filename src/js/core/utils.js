@@ -64,6 +64,18 @@ const clamp = (n, min, max) => Math.max(min, Math.min(max, n));
  */
 const daysAgo = iso => Math.floor((Date.now() - new Date(iso).getTime()) / 86400000);
 
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} e.g. "1.4 MB"
+ */
+const formatBytes = bytes => {
+  const n = Number(bytes || 0);
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+  return `${(n / (1024 * 1024)).toFixed(1)} MB`;
+};
+
 /**
  * HTML escape special characters
  * @param {string} s - String to escape
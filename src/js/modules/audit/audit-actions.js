@@ -0,0 +1,80 @@
+/**
+ * audit-actions.js - Audit Action Registration
+ *
+ * Registers audit log actions with the ActionRegistry
+ */
+
+/**
+ * Register audit actions with ActionRegistry
+ */
+function registerAuditActions() {
+  if (!window.ActionRegistry) {
+    console.warn('ActionRegistry not available');
+    return;
+  }
+
+  const AR = window.ActionRegistry;
+
+  // Full log
+  AR.register('view-audit-log', {
+    label: 'Audit Log',
+    icon: '🕘',
+    handler: () => {
+      if (window.AuditUI) {
+        window.AuditUI.showAuditLog();
+      }
+    },
+    description: 'Show every recorded data change'
+  });
+
+  // Per-record history (context menus pass the row's data-* attributes)
+  ['product', 'order', 'customer', 'invoice'].forEach(entity => {
+    AR.register(`${entity}-audit-history`, {
+      label: 'History',
+      icon: '🕘',
+      handler: (data) => {
+        const id = data && typeof data === 'object' ? data.id : data;
+        if (window.AuditUI && id) {
+          window.AuditUI.showRecordHistory(entity, id);
+        }
+      },
+      description: `Show the change history of this ${entity}`
+    });
+  });
+}
+
+/**
+ * Wire up the Audit Log button in Settings
+ */
+function bindAuditButtons() {
+  const btn = document.getElementById('btnAuditLog');
+  if (btn) {
+    btn.addEventListener('click', () => {
+      if (window.AuditUI) {
+        window.AuditUI.showAuditLog();
+      }
+    });
+  }
+}
+
+/**
+ * Initialize all audit actions
+ */
+function initializeAuditActions() {
+  registerAuditActions();
+  bindAuditButtons();
+}
+
+// Auto-initialize when DOM is ready
+if (typeof window !== 'undefined') {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeAuditActions);
+  } else {
+    initializeAuditActions();
+  }
+
+  window.AuditActions = {
+    register: registerAuditActions,
+    initialize: initializeAuditActions
+  };
+}
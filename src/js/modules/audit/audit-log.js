@@ -0,0 +1,523 @@
+/* ============================================
+   AUDIT LOG MODULE
+   CodeLapras - Append-only Change History
+   ============================================ */
+
+// Entries are recorded from the EventBus events modules already emit
+// (product:updated, invoice:paid, ...). The "before" side of each diff is the
+// record as it was before the first storage write since it was last audited,
+// so operations that save several times before emitting still show every
+// field they changed.
+
+/**
+ * Entries kept in the browser. Nothing is dropped automatically: past this
+ * the user is asked to archive older entries to a file (Storage Usage).
+ */
+const AUDIT_MAX_ENTRIES = 5000;
+
+/**
+ * Record fields that change on every save and are left out of diffs
+ */
+const AUDIT_IGNORED_KEYS = ['updatedAt'];
+
+/**
+ * Audited entity types: backing collection, display label and events
+ */
+const AUDITED_ENTITIES = {
+  product: {
+    field: 'data',
+    label: r => r.name || r.sku || r.id,
+    actions: ['created', 'updated', 'deleted', 'duplicated', 'quantity-changed', 'received', 'written-off']
+  },
+  invoice: {
+    field: 'invoices',
+    label: r => r.number || r.id,
+    actions: ['created', 'updated', 'deleted', 'paid']
+  },
+  customer: {
+    field: 'customers',
+    label: r => r.name || r.company || r.id,
+    actions: ['created', 'updated', 'deleted']
+  },
+  account: {
+    field: 'accounts',
+    label: r => {
+      const customer = (window.customers || []).find(c => c.id === r.customerId);
+      return customer ? `${customer.name} (account)` : r.id;
+    },
+    parent: r => r.customerId,
+    actions: ['created', 'updated']
+  },
+  contact: {
+    field: 'contacts',
+    label: r => r.name || r.id,
+    parent: r => r.customerId,
+    actions: ['created', 'updated', 'deleted']
+  },
+  order: {
+    field: 'orders',
+    label: r => r.orderNumber || r.id,
+    actions: ['created', 'updated', 'deleted', 'fulfilled', 'cancelled']
+  },
+  transfer: {
+    field: 'transfers',
+    label: r => r.id,
+    actions: ['created', 'updated', 'deleted', 'completed', 'cancelled']
+  },
+  rental: {
+    field: 'rentals',
+    label: r => [r.customer, r.equipment].filter(Boolean).join(' - ') || r.id,
+    actions: ['created', 'updated', 'deleted', 'returned', 'invoiced']
+  },
+  subscription: {
+    field: 'subscriptions',
+    label: r => [r.customer, r.plan].filter(Boolean).join(' - ') || r.id,
+    actions: ['created', 'updated', 'deleted', 'billed', 'paused', 'resumed', 'cancelled']
+  },
+  kit: {
+    field: 'kits',
+    label: r => r.name || r.id,
+    actions: ['created', 'updated', 'deleted']
+  },
+  location: {
+    field: 'locations',
+    label: r => r.name || r.id,
+    actions: ['created', 'updated', 'deleted']
+  },
+  bin: {
+    field: 'bins',
+    label: r => (window.Bins && window.Bins.getBinPath(r)) || r.code || r.id,
+    actions: ['created', 'updated', 'deleted']
+  },
+  category: {
+    field: 'categories',
+    label: r => r.name || r.id,
+    actions: ['created', 'updated', 'deleted']
+  },
+  countSession: {
+    field: 'countSessions',
+    label: r => r.name || r.id,
+    actions: ['created', 'updated', 'deleted', 'posted', 'cancelled']
+  },
+  purchaseOrder: {
+    field: 'purchaseOrders',
+    label: r => [r.number, r.supplier].filter(Boolean).join(' - ') || r.id,
+    actions: ['created', 'updated', 'deleted', 'sent', 'received', 'closed']
+  },
+  supplier: {
+    field: 'suppliers',
+    label: r => r.name || r.id,
+    actions: ['created', 'updated', 'deleted']
+  },
+  shipment: {
+    field: 'shipments',
+    label: r => r.trackingNumber || r.id,
+    actions: ['created', 'updated', 'deleted', 'shipped', 'delivered']
+  }
+};
+
+// ============ State ============
+
+/**
+ * Records changed since they were last audited, as they were before the first
+ * of those changes: storage key -> Map<id, record|null> (null = did not exist)
+ */
+const auditPendingBefore = new Map();
+
+let auditInitialized = false;
+let auditArchiveWarned = false;
+
+// ============ Factory ============
+
+/**
+ * Create an audit entry
+ * @param {object} data - Entry data
+ * @returns {object} Audit entry
+ */
+function createAuditEntry(data = {}) {
+  return {
+    id: data.id || (typeof uid === 'function' ? uid() : 'audit-' + Date.now()),
+    timestamp: data.timestamp || new Date().toISOString(),
+    user: data.user || getActingUser(),
+    entity: data.entity || '',
+    entityId: data.entityId || '',
+    parentId: data.parentId || null,
+    action: data.action || '',
+    label: data.label || '',
+    changes: data.changes || {}
+  };
+}
+
+// ============ Helpers ============
+
+/**
+ * Name of the person making changes (Settings > Your Name)
+ * @returns {string}
+ */
+function getActingUser() {
+  const settings = window.Storage ? window.Storage.getStoredSettings() : (window.settings || {});
+  return (settings && settings.currentUser) || 'Unknown user';
+}
+
+/**
+ * Find the storage key behind an audited entity
+ * @param {string} entity - Entity type
+ * @returns {string|null}
+ */
+function auditKeyFor(entity) {
+  const config = AUDITED_ENTITIES[entity];
+  if (!config || !window.Storage) return null;
+  const def = window.Storage.DATASET_FIELDS[config.field];
+  return def ? def.key : null;
+}
+
+/**
+ * Work out the record id from an event payload.
+ * Payloads vary: { id }, { orderId }, { order }, { duplicate }, or the record itself.
+ * @param {string} entity - Entity type
+ * @param {object} payload - Event payload
+ * @returns {string|null}
+ */
+function resolveAuditRecordId(entity, payload) {
+  if (!payload || typeof payload !== 'object') return null;
+  if (payload.duplicate && payload.duplicate.id) return payload.duplicate.id;
+  if (payload[entity + 'Id']) return payload[entity + 'Id'];
+  if (payload[entity] && payload[entity].id) return payload[entity].id;
+  return payload.id || null;
+}
+
+/**
+ * Make a field value safe to keep in the log
+ * @param {*} value - Field value
+ * @returns {*}
+ */
+function summarizeAuditValue(value) {
+  if (typeof value === 'string' && value.startsWith('data:')) {
+    return '[file]';
+  }
+  return value === undefined ? null : value;
+}
+
+/**
+ * Diff two versions of a record field by field
+ * @param {object|null} before - Previous record
+ * @param {object|null} after - New record
+ * @returns {object} { field: { from, to } }
+ */
+function diffRecords(before, after) {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  keys.forEach(key => {
+    if (AUDIT_IGNORED_KEYS.includes(key)) return;
+    const from = before ? before[key] : undefined;
+    const to = after ? after[key] : undefined;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[key] = { from: summarizeAuditValue(from), to: summarizeAuditValue(to) };
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Parse a stored collection into a map of records by id
+ * @param {string|null} raw - Stored JSON
+ * @returns {Map<string, object>}
+ */
+function parseAuditCollection(raw) {
+  let list = [];
+  try {
+    list = raw ? JSON.parse(raw) : [];
+  } catch {
+    list = [];
+  }
+  const byId = new Map();
+  (Array.isArray(list) ? list : []).forEach(r => {
+    if (r && r.id) byId.set(r.id, r);
+  });
+  return byId;
+}
+
+/**
+ * Remember the pre-write version of every record a write changed, unless an
+ * earlier unaudited version is already held
+ * @param {string} key - Storage key
+ * @param {string|null} previous - Stored JSON before the write
+ * @param {string|null} value - Stored JSON after the write
+ */
+function trackAuditWrite(key, previous, value) {
+  const before = parseAuditCollection(previous);
+  const after = parseAuditCollection(value);
+  const pending = auditPendingBefore.get(key) || new Map();
+
+  new Set([...before.keys(), ...after.keys()]).forEach(id => {
+    if (pending.has(id)) return;
+    const from = before.get(id) || null;
+    if (JSON.stringify(from) !== JSON.stringify(after.get(id) || null)) {
+      pending.set(id, from);
+    }
+  });
+
+  if (pending.size > 0) auditPendingBefore.set(key, pending);
+}
+
+/**
+ * Get a record as it was before the changes not yet audited.
+ * Each change is only taken once so repeated events do not report
+ * the same change twice.
+ * @param {string} key - Storage key
+ * @param {string} id - Record ID
+ * @returns {object} { found: boolean, record: object|null }
+ */
+function takePreviousRecord(key, id) {
+  const pending = auditPendingBefore.get(key);
+  if (!pending || !pending.has(id)) {
+    return { found: false, record: null };
+  }
+
+  const record = pending.get(id);
+  pending.delete(id);
+  return { found: true, record };
+}
+
+// ============ Recording ============
+
+/**
+ * Get all audit entries (oldest first)
+ * @returns {Array}
+ */
+function getAuditLog() {
+  if (!window.auditLog) {
+    window.auditLog = typeof loadAuditLog === 'function' ? loadAuditLog() : [];
+  }
+  return window.auditLog;
+}
+
+/**
+ * Append an entry to the log and persist it
+ * @param {object} entry - Audit entry
+ * @returns {object} The stored entry
+ */
+function appendAuditEntry(entry) {
+  const log = getAuditLog();
+  log.push(entry);
+  if (log.length > AUDIT_MAX_ENTRIES) {
+    warnAuditLogFull(log.length);
+  }
+
+  if (typeof saveAuditLog === 'function' && !saveAuditLog(log)) {
+    console.warn('Audit log could not be saved (storage full?)');
+  }
+
+  if (window.EventBus) {
+    window.EventBus.emit('audit:recorded', { entry });
+  }
+  return entry;
+}
+
+/**
+ * Ask the user (once per session) to archive older entries
+ * @param {number} count - Entries in the log
+ */
+function warnAuditLogFull(count) {
+  if (auditArchiveWarned) return;
+  auditArchiveWarned = true;
+
+  console.warn(`Audit log has ${count} entries; archive older entries from Storage Usage`);
+  if (window.EventBus) {
+    window.EventBus.emit('audit:archive-needed', { count, overflow: count - AUDIT_MAX_ENTRIES });
+  }
+  if (window.showToast) {
+    window.showToast(`Audit log has ${count} entries. Archive older entries in Settings > Storage Usage.`, 'warning');
+  }
+}
+
+/**
+ * Get the oldest entries beyond the newest `keep`
+ * @param {number} keep - Entries to keep in the browser
+ * @returns {Array}
+ */
+function getArchivableAuditEntries(keep = AUDIT_MAX_ENTRIES) {
+  const log = getAuditLog();
+  return log.slice(0, Math.max(0, log.length - Math.max(0, keep)));
+}
+
+/**
+ * Remove archived entries from the log. Only call once they are saved elsewhere.
+ * @param {Array} entries - Entries to remove
+ * @returns {boolean} True if the log was saved
+ */
+function removeAuditEntries(entries) {
+  const ids = new Set(entries.map(e => e.id));
+  const log = getAuditLog();
+  const remaining = log.filter(e => !ids.has(e.id));
+  log.length = 0;
+  remaining.forEach(e => log.push(e));
+  auditArchiveWarned = log.length > AUDIT_MAX_ENTRIES;
+
+  return typeof saveAuditLog === 'function' ? saveAuditLog(log) : true;
+}
+
+/**
+ * Record an entity event
+ * @param {string} entity - Entity type (product, invoice, ...)
+ * @param {string} action - Event action (created, updated, ...)
+ * @param {object} payload - Event payload
+ * @returns {object|null} Recorded entry
+ */
+function recordEntityEvent(entity, action, payload) {
+  const config = AUDITED_ENTITIES[entity];
+  const id = resolveAuditRecordId(entity, payload);
+  if (!config || !id) return null;
+
+  const collection = window[config.field];
+  const current = Array.isArray(collection) ? collection.find(r => r && r.id === id) || null : null;
+  const key = auditKeyFor(entity);
+  const previous = key ? takePreviousRecord(key, id) : { found: false, record: null };
+
+  let before = previous.found ? previous.record : current;
+  if (!before && action === 'deleted' && payload[entity]) {
+    before = payload[entity];
+  }
+  const after = action === 'deleted' ? null : current;
+  const changes = diffRecords(before, after);
+
+  // A plain update that changed nothing is not worth an entry
+  if (action === 'updated' && Object.keys(changes).length === 0) return null;
+
+  const subject = after || before || {};
+  return appendAuditEntry(createAuditEntry({
+    entity,
+    entityId: id,
+    parentId: config.parent ? config.parent(subject) : null,
+    action,
+    label: subject.id ? config.label(subject) : id,
+    changes
+  }));
+}
+
+/**
+ * Record the records touched by an undo or redo step
+ * @param {string} action - 'undo' or 'redo'
+ * @param {object} payload - history:undo / history:redo payload
+ */
+function recordHistoryStep(action, payload) {
+  (payload.changes || []).forEach(change => {
+    const entity = Object.keys(AUDITED_ENTITIES).find(e => AUDITED_ENTITIES[e].field === change.field);
+    if (!entity || change.whole) return;
+
+    const config = AUDITED_ENTITIES[entity];
+    const pending = auditPendingBefore.get(auditKeyFor(entity));
+    if (pending) pending.delete(change.id);
+
+    const subject = change.to || change.from;
+    appendAuditEntry(createAuditEntry({
+      entity,
+      entityId: change.id,
+      parentId: config.parent ? config.parent(subject) : null,
+      action,
+      label: config.label(subject),
+      changes: diffRecords(change.from, change.to)
+    }));
+  });
+}
+
+// ============ Queries ============
+
+/**
+ * Get the history of one record (newest first)
+ * @param {string} entity - Entity type
+ * @param {string} id - Record ID
+ * @param {object} options - { includeChildren: include entries whose parentId is this record }
+ * @returns {Array}
+ */
+function getRecordHistory(entity, id, options = {}) {
+  const { includeChildren = true } = options;
+  return getAuditLog()
+    .filter(e =>
+      (e.entity === entity && e.entityId === id) ||
+      (includeChildren && e.parentId === id)
+    )
+    .slice()
+    .reverse();
+}
+
+/**
+ * Describe an entry's changes in one line
+ * @param {object} entry - Audit entry
+ * @returns {string}
+ */
+function describeAuditChanges(entry) {
+  const fields = Object.keys(entry.changes || {});
+  if (entry.action === 'created') return 'Created';
+  if (entry.action === 'deleted') return 'Deleted';
+  if (fields.length === 0) return '—';
+
+  return fields.map(field => {
+    const { from, to } = entry.changes[field];
+    const show = v => (v !== null && typeof v === 'object') ? JSON.stringify(v) : String(v ?? '∅');
+    return `${field}: ${show(from)} → ${show(to)}`;
+  }).join('; ');
+}
+
+// ============ Initialization ============
+
+/**
+ * Start recording: watch storage writes and subscribe to entity events
+ */
+function initAuditLog() {
+  if (auditInitialized || !window.EventBus || !window.Storage) return;
+  auditInitialized = true;
+
+  getAuditLog();
+
+  const auditedKeys = new Set(Object.keys(AUDITED_ENTITIES).map(auditKeyFor).filter(Boolean));
+  window.Storage.onStorageWrite(writes => {
+    // Values merged from another tab are audited by that tab
+    writes.forEach(({ key, previous, value, synced }) => {
+      if (auditedKeys.has(key) && !synced) trackAuditWrite(key, previous, value);
+    });
+  });
+
+  Object.entries(AUDITED_ENTITIES).forEach(([entity, config]) => {
+    config.actions.forEach(action => {
+      window.EventBus.on(`${entity}:${action}`, payload => recordEntityEvent(entity, action, payload));
+    });
+  });
+
+  window.EventBus.on('history:undo', payload => recordHistoryStep('undo', payload));
+  window.EventBus.on('history:redo', payload => recordHistoryStep('redo', payload));
+}
+
+// Start once the app (and its data) is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => {
+    if (typeof window.whenAppReady === 'function') window.whenAppReady().then(initAuditLog);
+    else initAuditLog();
+  });
+} else if (typeof window.whenAppReady === 'function') {
+  window.whenAppReady().then(initAuditLog);
+} else {
+  initAuditLog();
+}
+
+// ============ Exports (for window object) ============
+
+if (typeof window !== 'undefined') {
+  window.AuditLog = {
+    AUDIT_MAX_ENTRIES,
+    AUDITED_ENTITIES,
+    createAuditEntry,
+    getActingUser,
+    diffRecords,
+    getAuditLog,
+    appendAuditEntry,
+    getArchivableAuditEntries,
+    removeAuditEntries,
+    recordEntityEvent,
+    getRecordHistory,
+    describeAuditChanges,
+    init: initAuditLog
+  };
+}
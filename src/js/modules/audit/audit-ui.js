@@ -0,0 +1,183 @@
+/**
+ * audit-ui.js - Audit Log Viewer
+ *
+ * Filterable table of audit entries, either for the whole log or for a
+ * single record (opened from the "History" context menu entries).
+ */
+
+// ============================================================================
+// TABLE COLUMN DEFINITIONS
+// ============================================================================
+
+/**
+ * Get audit table column definitions
+ * @param {object} options - Column options
+ * @returns {Array<object>} Column definitions
+ */
+function getAuditColumns(options = {}) {
+  const { showRecord = true } = options;
+  const esc = window.TableRenderer ? window.TableRenderer.escapeHtml : (v => String(v ?? ''));
+
+  const columns = [
+    {
+      key: 'timestamp',
+      label: 'When',
+      formatter: window.TableRenderer ? window.TableRenderer.formatters.datetime : (v => v)
+    },
+    {
+      key: 'user',
+      label: 'User'
+    },
+    {
+      key: 'entity',
+      label: 'Type'
+    }
+  ];
+
+  if (showRecord) {
+    columns.push({
+      key: 'label',
+      label: 'Record',
+      formatter: (value, row) => `<strong>${esc(value || row.entityId)}</strong>`
+    });
+  }
+
+  columns.push(
+    {
+      key: 'action',
+      label: 'Action'
+    },
+    {
+      key: 'changes',
+      label: 'Changes',
+      formatter: (value, row) => `<span class="audit-changes">${esc(window.AuditLog.describeAuditChanges(row))}</span>`
+    }
+  );
+
+  return columns;
+}
+
+// ============================================================================
+// FILTERS
+// ============================================================================
+
+/**
+ * Build filter configurations from the values present in the log
+ * @param {Array} entries - Audit entries
+ * @returns {Array<object>} Filter configurations
+ */
+function getAuditFilterConfigs(entries) {
+  const unique = key => Array.from(new Set(entries.map(e => e[key]).filter(Boolean))).sort();
+
+  return [
+    { key: 'entity', label: 'Type', type: 'select', options: unique('entity'), active: false },
+    { key: 'action', label: 'Action', type: 'select', options: unique('action'), active: false },
+    { key: 'user', label: 'User', type: 'select', options: unique('user'), active: false },
+    { key: 'label', label: 'Record', type: 'contains', active: false },
+    { key: 'timestamp', label: 'Date', type: 'date-range', active: false }
+  ];
+}
+
+// ============================================================================
+// DIALOG
+// ============================================================================
+
+/**
+ * Open the audit viewer dialog
+ * @param {Array} entries - Entries to show (newest first)
+ * @param {object} options - { title, showRecord }
+ */
+function openAuditDialog(entries, options = {}) {
+  const { title = 'Audit Log', showRecord = true } = options;
+
+  if (!window.createDialog || !window.Filters || !window.TableRenderer) {
+    console.log(`${title}:`, entries);
+    return;
+  }
+
+  const dlg = window.createDialog({
+    id: 'dlgAudit_' + Date.now(),
+    title,
+    className: 'dialog-audit',
+    content: `
+      <div class="audit-filters"></div>
+      <div class="audit-count muted"></div>
+      <div class="audit-table-wrap">
+        <table class="small-table">
+          <thead></thead>
+          <tbody></tbody>
+        </table>
+      </div>
+    `,
+    buttons: [
+      { text: 'Close', class: 'btn small', onclick: () => window.hideDialog(dlg) }
+    ]
+  });
+
+  const columns = getAuditColumns({ showRecord });
+  const tbody = dlg.querySelector('tbody');
+  const count = dlg.querySelector('.audit-count');
+  window.TableRenderer.renderTableHeader(dlg.querySelector('thead'), columns);
+
+  const controller = window.Filters.createFilterController(entries, getAuditFilterConfigs(entries));
+  controller.subscribe(rows => {
+    count.textContent = `${rows.length} of ${entries.length} entries`;
+    window.TableRenderer.renderTable(tbody, rows, columns, {
+      emptyMessage: 'No matching changes recorded.'
+    });
+  });
+  controller.renderControls(dlg.querySelector('.audit-filters'));
+  controller.apply();
+
+  window.showDialog(dlg);
+
+  // Clean up after close
+  dlg.addEventListener('close', () => {
+    setTimeout(() => {
+      if (dlg.parentNode) {
+        dlg.parentNode.removeChild(dlg);
+      }
+    }, 500);
+  });
+}
+
+/**
+ * Show the full audit log
+ */
+function showAuditLog() {
+  if (!window.AuditLog) return;
+  const entries = window.AuditLog.getAuditLog().slice().reverse();
+  openAuditDialog(entries, { title: 'Audit Log' });
+}
+
+/**
+ * Show the change history of one record
+ * @param {string} entity - Entity type (product, invoice, customer, ...)
+ * @param {string} id - Record ID
+ */
+function showRecordHistory(entity, id) {
+  if (!window.AuditLog || !id) return;
+
+  const entries = window.AuditLog.getRecordHistory(entity, id);
+  const latest = entries.find(e => e.entity === entity);
+  const name = latest ? latest.label : id;
+
+  openAuditDialog(entries, {
+    title: `History: ${name}`,
+    showRecord: entity === 'customer'
+  });
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+if (typeof window !== 'undefined') {
+  window.AuditUI = {
+    getAuditColumns,
+    getAuditFilterConfigs,
+    openAuditDialog,
+    showAuditLog,
+    showRecordHistory
+  };
+}
@@ -90,6 +90,10 @@ function ensureCustomerAccount(customerId, data = {}) {
     const accounts = getAllAccounts();
     accounts.push(account);
     saveAccountsToStorage();
+
+    if (window.EventBus && typeof window.EventBus.emit === 'function') {
+      window.EventBus.emit('account:created', account);
+    }
   }
   return account;
 }
@@ -118,8 +122,8 @@ function updateAccount(id, updates) {
   accounts[index] = updated;
   saveAccountsToStorage();
 
-  if (window.eventBus && typeof window.eventBus.emit === 'function') {
-    window.eventBus.emit('account:updated', updated);
+  if (window.EventBus && typeof window.EventBus.emit === 'function') {
+    window.EventBus.emit('account:updated', updated);
   }
 
   return updated;
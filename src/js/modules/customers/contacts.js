@@ -84,8 +84,8 @@ function createContactCRUD(customerId, data) {
 
   saveContactsToStorage();
 
-  if (window.eventBus && typeof window.eventBus.emit === 'function') {
-    window.eventBus.emit('contact:created', contact);
+  if (window.EventBus && typeof window.EventBus.emit === 'function') {
+    window.EventBus.emit('contact:created', contact);
   }
 
   return contact;
@@ -115,8 +115,8 @@ function updateContact(id, updates) {
   contacts[index] = updated;
   saveContactsToStorage();
 
-  if (window.eventBus && typeof window.eventBus.emit === 'function') {
-    window.eventBus.emit('contact:updated', updated);
+  if (window.EventBus && typeof window.EventBus.emit === 'function') {
+    window.EventBus.emit('contact:updated', updated);
   }
 
   return updated;
@@ -137,8 +137,8 @@ function deleteContact(id) {
   contacts.splice(index, 1);
   saveContactsToStorage();
 
-  if (window.eventBus && typeof window.eventBus.emit === 'function') {
-    window.eventBus.emit('contact:deleted', { id, contact: deleted });
+  if (window.EventBus && typeof window.EventBus.emit === 'function') {
+    window.EventBus.emit('contact:deleted', { id, contact: deleted });
   }
 
   return true;
@@ -451,8 +451,8 @@ function createCustomerCRUD(data) {
   saveToStorage();
 
   // Emit event if event bus available
-  if (window.eventBus && typeof window.eventBus.emit === 'function') {
-    window.eventBus.emit('customer:created', customer);
+  if (window.EventBus && typeof window.EventBus.emit === 'function') {
+    window.EventBus.emit('customer:created', customer);
   }
 
   return customer;
@@ -491,8 +491,8 @@ function updateCustomer(id, updates) {
   saveToStorage();
 
   // Emit event
-  if (window.eventBus && typeof window.eventBus.emit === 'function') {
-    window.eventBus.emit('customer:updated', updated);
+  if (window.EventBus && typeof window.EventBus.emit === 'function') {
+    window.EventBus.emit('customer:updated', updated);
   }
 
   return updated;
@@ -516,8 +516,8 @@ function deleteCustomer(id) {
   saveToStorage();
 
   // Emit event
-  if (window.eventBus && typeof window.eventBus.emit === 'function') {
-    window.eventBus.emit('customer:deleted', { id, customer: deleted });
+  if (window.EventBus && typeof window.EventBus.emit === 'function') {
+    window.EventBus.emit('customer:deleted', { id, customer: deleted });
   }
 
   return true;
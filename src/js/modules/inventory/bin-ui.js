@@ -0,0 +1,408 @@
+/**
+ * bin-ui.js - Bins, Putaway & Pick Lists
+ *
+ * Dialogs for the aisles, shelves and bins inside a location (see bins.js),
+ * and the putaway step that asks where received or transferred stock went.
+ */
+
+// Products waiting for putaway, by location, collected from receipts and
+// transfers made in the same tick
+let pendingPutaway = new Map();
+let putawayTimer = null;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Format base units in stock units plus loose base units
+ * @param {object} product - Product object
+ * @param {number} baseUnits - Quantity in base units
+ * @returns {string} HTML
+ */
+function formatBinStock(product, baseUnits) {
+  const { qty, looseUnits } = splitBaseUnits(product, baseUnits);
+  return formatTransferStock(product, qty, looseUnits);
+}
+
+/**
+ * Build location <option>s
+ * @param {string} selected - Selected location ID
+ * @returns {string} HTML
+ */
+function binLocationOptions(selected) {
+  return window.Locations.getAllLocations(true)
+    .map(loc => `<option value="${esc(loc.id)}"${loc.id === selected ? ' selected' : ''}>${esc(loc.name)}</option>`)
+    .join('');
+}
+
+// ============================================================================
+// TABLE COLUMN DEFINITIONS
+// ============================================================================
+
+/**
+ * Get bin table column definitions
+ * @returns {Array<object>} Column definitions
+ */
+function getBinColumns() {
+  return [
+    { key: 'path', label: 'Path', formatter: (v, row) =>
+      `<strong>${esc(v)}</strong>${row.name ? `<br><span class="muted">${esc(row.name)}</span>` : ''}${row.isActive ? '' : ' <span class="pill">Inactive</span>'}` },
+    { key: 'type', label: 'Type', formatter: v => esc(window.Bins.BIN_TYPES[v] || v) },
+    { key: 'contents', label: 'Contents', formatter: v => (v.length === 0
+      ? '<span class="muted">Empty</span>'
+      : v.slice(0, 3).map(c => `${esc(c.product.name)} <span class="muted">${formatBinStock(c.product, c.baseUnits)}</span>`).join('<br>')
+        + (v.length > 3 ? `<br><span class="muted">+${v.length - 3} more</span>` : '')) },
+    { key: 'id', label: '', className: 'right', formatter: v => `
+      <button type="button" class="btn small" data-bin-action="edit" data-id="${esc(v)}">Edit</button>
+      <button type="button" class="btn small danger" data-bin-action="delete" data-id="${esc(v)}">Delete</button>
+    ` }
+  ];
+}
+
+// ============================================================================
+// BINS DIALOG
+// ============================================================================
+
+/**
+ * Show and add the bins inside a location
+ * @param {string} locationId - Location to show first
+ */
+function openBinsDialog(locationId = '') {
+  if (!window.createDialog || !window.Bins || !window.Locations) return;
+
+  const first = locationId || (window.Locations.getDefaultLocation() || {}).id || '';
+  const typeOptions = Object.entries(window.Bins.BIN_TYPES)
+    .map(([value, label]) => `<option value="${value}"${value === 'bin' ? ' selected' : ''}>${esc(label)}</option>`)
+    .join('');
+
+  const dlg = window.createDialog({
+    id: 'dlgBins_' + Date.now(),
+    title: 'Bins',
+    className: 'dialog-tracking',
+    content: `
+      <div class="row">
+        <label class="field">Location
+          <select class="bin-location">${binLocationOptions(first)}</select>
+        </label>
+      </div>
+      <form class="bin-add">
+        <div class="row">
+          <label class="field">New bins (one path per line)
+            <textarea name="paths" rows="3" placeholder="A/01/A&#10;A/01/B&#10;A/02/A"></textarea>
+          </label>
+          <label class="field">Type <select name="type">${typeOptions}</select></label>
+          <button type="submit" class="btn small">Add</button>
+        </div>
+        <div class="muted">Aisles and shelves along each path are created as needed. Paths start with the location's code.</div>
+      </form>
+      <div class="tracking-table-wrap">
+        <table class="small-table">
+          <thead></thead>
+          <tbody></tbody>
+        </table>
+      </div>
+    `,
+    buttons: [
+      { text: 'Put Away', class: 'btn small', onclick: () => putAway() },
+      { text: 'Close', class: 'btn small', onclick: () => window.hideDialog(dlg) }
+    ]
+  });
+
+  const select = dlg.querySelector('.bin-location');
+  const form = dlg.querySelector('.bin-add');
+  const tbody = dlg.querySelector('tbody');
+  const columns = getBinColumns();
+
+  window.TableRenderer.renderTableHeader(dlg.querySelector('thead'), columns);
+
+  const renderBins = () => {
+    const rows = window.Bins.getBinsForLocation(select.value)
+      .map(bin => ({ ...bin, contents: window.Bins.getBinContents(bin.id) }));
+    window.TableRenderer.renderTable(tbody, rows, columns, {
+      emptyMessage: 'No bins at this location yet.'
+    });
+  };
+
+  const putAway = () => {
+    const items = window.Bins.getPutawayItems(select.value);
+    if (items.length === 0) {
+      window.showToast('All stock at this location is in bins', 'info');
+      return;
+    }
+    openPutawayDialog(items);
+  };
+
+  form.addEventListener('submit', e => {
+    e.preventDefault();
+    const paths = form.elements.paths.value.split('\n').map(line => line.trim()).filter(Boolean);
+    if (paths.length === 0) return;
+
+    const errors = [];
+    let created = 0;
+    paths.forEach(path => {
+      const result = window.Bins.ensureBinPath(select.value, path, { type: form.elements.type.value });
+      if (result.success) created += result.created.length;
+      else errors.push(`${path}: ${result.errors.join(', ')}`);
+    });
+
+    if (errors.length > 0) {
+      window.showToast(errors.join('; '), 'error');
+    } else {
+      window.showToast(`${created} bin(s) added`, 'success');
+      form.elements.paths.value = '';
+    }
+    renderBins();
+  });
+
+  tbody.addEventListener('click', e => {
+    const btn = e.target.closest('[data-bin-action]');
+    if (!btn) return;
+    const bin = window.Bins.getBin(btn.dataset.id);
+    if (!bin) return;
+
+    if (btn.dataset.binAction === 'edit') {
+      openBinDialog(bin);
+      return;
+    }
+
+    const inside = window.Bins.getBinsForLocation(bin.locationId).filter(b => b.path.startsWith(window.Bins.getBinPath(bin) + '/')).length;
+    const message = inside > 0
+      ? `Delete ${window.Bins.getBinPath(bin)} and the ${inside} bin(s) inside it?`
+      : `Delete ${window.Bins.getBinPath(bin)}?`;
+    if (!confirm(message)) return;
+
+    const result = window.Bins.deleteBinCRUD(bin.id);
+    if (!result.success) {
+      window.showToast(result.errors.join(', '), 'error');
+    }
+  });
+
+  select.addEventListener('change', renderBins);
+
+  if (window.EventBus) {
+    const unsubscribers = ['bin:*', 'product:*', 'location:*'].map(event => window.EventBus.on(event, renderBins));
+    dlg.addEventListener('close', () => unsubscribers.forEach(unsubscribe => unsubscribe()));
+  }
+
+  renderBins();
+  showTrackingDialog(dlg);
+}
+
+/**
+ * Edit a bin's code, name, type, parent and whether it's in use
+ * @param {object} bin - Bin to edit
+ */
+function openBinDialog(bin) {
+  if (!window.createDialog || !window.Bins) return;
+
+  const typeOptions = Object.entries(window.Bins.BIN_TYPES)
+    .map(([value, label]) => `<option value="${value}"${value === bin.type ? ' selected' : ''}>${esc(label)}</option>`)
+    .join('');
+  const parentOptions = window.Bins.getBinsForLocation(bin.locationId)
+    .filter(other => other.id !== bin.id)
+    .map(other => `<option value="${esc(other.id)}"${other.id === bin.parentId ? ' selected' : ''}>${esc(other.path)}</option>`)
+    .join('');
+
+  const dlg = window.createDialog({
+    id: 'dlgBin_' + Date.now(),
+    title: `Bin ${window.Bins.getBinPath(bin)}`,
+    className: 'dialog-receipt',
+    content: `
+      <form class="bin-form">
+        <div class="row">
+          <label class="field">Code <input name="code" required pattern="[^/]+" value="${esc(bin.code)}"></label>
+          <label class="field">Type <select name="type">${typeOptions}</select></label>
+        </div>
+        <label class="field">Inside
+          <select name="parentId"><option value="">${esc(trackingLocationName(bin.locationId))}</option>${parentOptions}</select>
+        </label>
+        <label class="field">Name <input name="name" value="${esc(bin.name || '')}" placeholder="Optional, e.g. Fasteners"></label>
+        <label class="pill"><input type="checkbox" name="isActive"${bin.isActive ? ' checked' : ''}> Active (used for putaway)</label>
+        <div class="btn-group">
+          <button type="button" class="btn" data-action="cancel">Cancel</button>
+          <button type="submit" class="btn primary">Save</button>
+        </div>
+      </form>
+    `
+  });
+
+  const form = dlg.querySelector('form');
+  form.querySelector('[data-action="cancel"]').addEventListener('click', () => window.hideDialog(dlg));
+  form.addEventListener('submit', e => {
+    e.preventDefault();
+    const result = window.Bins.updateBinCRUD(bin.id, {
+      code: form.elements.code.value.trim(),
+      type: form.elements.type.value,
+      parentId: form.elements.parentId.value,
+      name: form.elements.name.value.trim(),
+      isActive: form.elements.isActive.checked
+    });
+    if (!result.success) {
+      window.showToast(result.errors.join(', '), 'error');
+      return;
+    }
+    window.showToast(`Saved ${window.Bins.getBinPath(result.bin)}`, 'success');
+    window.hideDialog(dlg);
+  });
+
+  showTrackingDialog(dlg);
+}
+
+// ============================================================================
+// PUTAWAY DIALOG
+// ============================================================================
+
+/**
+ * Ask which bins stock went into
+ * @param {Array<object>} items - [{ product, locationId, baseUnits }] from
+ *   Bins.getPutawayItems
+ */
+function openPutawayDialog(items) {
+  if (!window.createDialog || !window.Bins || items.length === 0) return;
+
+  const datalists = {};
+  items.forEach(item => {
+    if (datalists[item.locationId]) return;
+    const paths = window.Bins.getBinsForLocation(item.locationId, true)
+      .map(bin => window.Bins.getBinPath(bin, false));
+    datalists[item.locationId] = { id: `putawayBins_${Object.keys(datalists).length}_${Date.now()}`, paths };
+  });
+
+  const rows = items.map((item, i) => {
+    const current = window.Bins.getProductBinStock(item.product, item.locationId)[0];
+    const suggested = current ? window.Bins.getBinPath(current.bin, false) : '';
+    return `
+      <tr class="putaway-row" data-index="${i}">
+        <td>${esc(item.product.name)}<br><span class="muted">${esc(item.product.sku || '')}</span></td>
+        <td>${esc(trackingLocationName(item.locationId))}</td>
+        <td class="right">${formatBinStock(item.product, item.baseUnits)}</td>
+        <td><input class="putaway-path" list="${datalists[item.locationId].id}" value="${esc(suggested)}" placeholder="A/03/B"></td>
+        <td><input type="number" class="putaway-qty" min="0" max="${item.baseUnits}" step="any" value="${item.baseUnits}"> ${esc(getBaseUnitName(item.product))}</td>
+      </tr>
+    `;
+  }).join('');
+
+  const dlg = window.createDialog({
+    id: 'dlgPutaway_' + Date.now(),
+    title: 'Put Away',
+    className: 'dialog-receipt',
+    content: `
+      <form class="putaway-form">
+        <div class="muted">Stock that isn't in a bin yet. Enter the bin each item went into; new paths are created. Leave the bin blank to put it away later.</div>
+        ${Object.values(datalists).map(list => `<datalist id="${list.id}">${list.paths.map(p => `<option value="${esc(p)}"></option>`).join('')}</datalist>`).join('')}
+        <div class="receipt-table-wrap">
+          <table class="small-table">
+            <thead><tr><th>Product</th><th>Location</th><th class="right">Not in a Bin</th><th>Bin</th><th>Quantity</th></tr></thead>
+            <tbody>${rows}</tbody>
+          </table>
+        </div>
+        <div class="btn-group">
+          <button type="button" class="btn" data-action="cancel">Later</button>
+          <button type="submit" class="btn primary">Put Away</button>
+        </div>
+      </form>
+    `
+  });
+
+  const form = dlg.querySelector('form');
+  form.querySelector('[data-action="cancel"]').addEventListener('click', () => window.hideDialog(dlg));
+
+  form.addEventListener('submit', e => {
+    e.preventDefault();
+    const errors = [];
+    let count = 0;
+
+    form.querySelectorAll('.putaway-row').forEach(row => {
+      const item = items[Number(row.dataset.index)];
+      const path = row.querySelector('.putaway-path').value.trim();
+      const baseUnits = parseFloat(row.querySelector('.putaway-qty').value) || 0;
+      if (!path || baseUnits <= 0) return;
+
+      const result = window.Bins.putAwayStock(item.product.id, item.locationId, [{ path, baseUnits }]);
+      if (result.success) count++;
+      else errors.push(result.errors.join(', '));
+    });
+
+    if (errors.length > 0) {
+      window.showToast(errors.join('; '), 'error');
+      return;
+    }
+
+    if (count > 0) {
+      window.showToast(`${count} item(s) put away`, 'success');
+    }
+    window.hideDialog(dlg);
+  });
+
+  showTrackingDialog(dlg);
+}
+
+/**
+ * Queue stock that arrived at a location for putaway; everything queued in
+ * the same tick opens in one dialog
+ * @param {string} locationId - Location ID
+ * @param {string} productId - Product ID
+ */
+function queuePutaway(locationId, productId) {
+  if (!locationId || !productId || !window.Bins || !window.Bins.locationHasBins(locationId)) return;
+
+  if (!pendingPutaway.has(locationId)) pendingPutaway.set(locationId, new Set());
+  pendingPutaway.get(locationId).add(productId);
+
+  if (putawayTimer) return;
+  putawayTimer = setTimeout(() => {
+    const queued = pendingPutaway;
+    pendingPutaway = new Map();
+    putawayTimer = null;
+
+    const items = [];
+    queued.forEach((productIds, id) => {
+      items.push(...window.Bins.getPutawayItems(id, Array.from(productIds)));
+    });
+    if (items.length > 0) openPutawayDialog(items);
+  }, 0);
+}
+
+// ============================================================================
+// STARTUP
+// ============================================================================
+
+/**
+ * Wire up the Bins and Pick List buttons and the putaway step after
+ * receipts and transfers
+ */
+function bindBinUI() {
+  const btnBins = document.getElementById('btnBins');
+  if (btnBins) {
+    btnBins.addEventListener('click', () => openBinsDialog());
+  }
+
+  const btnPickList = document.getElementById('btnPickList');
+  if (btnPickList && window.ActionRegistry) {
+    btnPickList.addEventListener('click', () => window.ActionRegistry.execute('pick-pending-orders'));
+  }
+
+  if (window.EventBus) {
+    window.EventBus.on('product:received', payload => queuePutaway(payload.locationId, payload.id));
+    window.EventBus.on('transfer:completed', payload => {
+      const transfer = payload && payload.transfer;
+      if (transfer) queuePutaway(transfer.toLocationId, transfer.productId);
+    });
+  }
+}
+
+// Auto-initialize when DOM is ready
+if (typeof window !== 'undefined') {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', bindBinUI);
+  } else {
+    bindBinUI();
+  }
+
+  window.BinUI = {
+    openBinsDialog,
+    openBinDialog,
+    openPutawayDialog
+  };
+}
@@ -0,0 +1,756 @@
+/* ============================================
+   BINS MODULE
+   CodeLapras - Sub-locations, Putaway & Pick Lists
+   ============================================ */
+
+// A location (see locations.js) is a whole site; bins divide it into the
+// aisles, shelves and bins pickers walk. Bins nest through parentId and are
+// addressed by a path that starts with the location's code (or its name
+// when it has none), e.g. WH1/A/03/B.
+//
+// Stock at a location stays in product.stockByLocation. product.binStock
+// ({ binId: baseUnits }) records where in the location it sits; whatever
+// isn't in a bin is unbinned, such as stock received but not yet put away.
+// Bins are emptied in path order when an order ships from the location, so
+// pick lists walk the location from the first path to the last.
+
+const BIN_TYPES = {
+  aisle: 'Aisle',
+  shelf: 'Shelf',
+  bin: 'Bin',
+  other: 'Other'
+};
+
+/**
+ * Get reference to global bins array
+ * @returns {Array} Bins array
+ */
+function getBinsArray() {
+  if (!window.bins) {
+    window.bins = typeof loadBins === 'function' ? loadBins() : [];
+  }
+  return window.bins;
+}
+
+/**
+ * Save bins to storage
+ */
+function saveBinsToStorage() {
+  if (typeof saveBins === 'function') {
+    saveBins(getBinsArray());
+  }
+}
+
+/**
+ * Load bins from storage
+ * @returns {Array} Bins array
+ */
+function loadBinsFromStorage() {
+  window.bins = typeof loadBins === 'function' ? loadBins() : [];
+  return window.bins;
+}
+
+// ============ Factory ============
+
+/**
+ * Create a bin object with default values
+ * @param {object} data - Initial bin data
+ * @returns {object} Bin object
+ */
+function createBin(data = {}) {
+  const now = new Date().toISOString();
+
+  return {
+    id: data.id || `bin-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    locationId: data.locationId || '',
+    parentId: data.parentId || '', // '' for a top-level bin, such as an aisle
+    code: String(data.code || '').trim(),
+    name: data.name || '',
+    type: data.type || 'bin', // aisle, shelf, bin, other
+    isActive: data.isActive !== undefined ? data.isActive : true,
+    createdAt: data.createdAt || now,
+    updatedAt: data.updatedAt || now
+  };
+}
+
+// ============ Paths ============
+
+/**
+ * Compare two bin paths segment by segment, numbers numerically, so A/9
+ * comes before A/10 and A before A/01
+ * @param {string} a - Path
+ * @param {string} b - Path
+ * @returns {number} Sort order
+ */
+function compareBinPaths(a, b) {
+  const left = String(a || '').split('/');
+  const right = String(b || '').split('/');
+  for (let i = 0; i < Math.min(left.length, right.length); i++) {
+    const order = left[i].localeCompare(right[i], undefined, { numeric: true, sensitivity: 'base' });
+    if (order !== 0) return order;
+  }
+  return left.length - right.length;
+}
+
+/**
+ * First segment of bin paths at a location
+ * @param {string} locationId - Location ID
+ * @returns {string} Location code, else its name
+ */
+function getLocationPathCode(locationId) {
+  const location = window.Locations ? window.Locations.getLocationById(locationId) : null;
+  if (!location) return '';
+  return location.code || location.name;
+}
+
+/**
+ * Get a bin's path
+ * @param {object|string} binOrId - Bin or bin ID
+ * @param {boolean} includeLocation - Start with the location code
+ * @returns {string} Path such as WH1/A/03/B ('' for an unknown bin)
+ */
+function getBinPath(binOrId, includeLocation = true) {
+  let bin = typeof binOrId === 'string' ? getBin(binOrId) : binOrId;
+  if (!bin) return '';
+
+  const codes = [];
+  const seen = new Set();
+  const locationId = bin.locationId;
+  while (bin && !seen.has(bin.id)) {
+    seen.add(bin.id);
+    codes.unshift(bin.code);
+    bin = bin.parentId ? getBin(bin.parentId) : null;
+  }
+
+  if (includeLocation) codes.unshift(getLocationPathCode(locationId));
+  return codes.join('/');
+}
+
+/**
+ * Split a path into bin codes, dropping the location code when the path
+ * starts with it
+ * @param {string} locationId - Location ID
+ * @param {string} path - Path such as WH1/A/03/B or A/03/B
+ * @returns {string[]} Bin codes
+ */
+function splitBinPath(locationId, path) {
+  const codes = String(path || '').split('/').map(code => code.trim()).filter(Boolean);
+  const prefix = getLocationPathCode(locationId).toLowerCase();
+  const startsWithLocation = codes.length > 1 && codes[0].toLowerCase() === prefix
+    && !getChildBins(locationId, '').some(bin => bin.code.toLowerCase() === prefix);
+  return startsWithLocation ? codes.slice(1) : codes;
+}
+
+/**
+ * Find a bin by its path
+ * @param {string} locationId - Location ID
+ * @param {string} path - Path, with or without the location code
+ * @returns {object|null} Bin
+ */
+function findBinByPath(locationId, path) {
+  const codes = splitBinPath(locationId, path);
+  if (codes.length === 0) return null;
+
+  let bin = null;
+  for (const code of codes) {
+    bin = getChildBins(locationId, bin ? bin.id : '')
+      .find(child => child.code.toLowerCase() === code.toLowerCase());
+    if (!bin) return null;
+  }
+  return bin;
+}
+
+// ============ Validation ============
+
+/**
+ * Validate a bin
+ * @param {object} bin - Bin to validate
+ * @returns {object} { valid: boolean, errors: string[] }
+ */
+function validateBin(bin) {
+  const errors = [];
+
+  if (!bin.locationId || !window.Locations || !window.Locations.getLocationById(bin.locationId)) {
+    errors.push('Bin location not found');
+  }
+
+  if (!bin.code) {
+    errors.push('Bin code is required');
+  } else if (bin.code.includes('/')) {
+    errors.push('Bin code cannot contain "/"');
+  } else {
+    const duplicate = getChildBins(bin.locationId, bin.parentId)
+      .find(other => other.id !== bin.id && other.code.toLowerCase() === bin.code.toLowerCase());
+    if (duplicate) errors.push(`${getBinPath(duplicate)} already exists`);
+  }
+
+  if (!BIN_TYPES[bin.type]) {
+    errors.push('Invalid bin type');
+  }
+
+  if (bin.parentId) {
+    const parent = getBin(bin.parentId);
+    if (!parent) {
+      errors.push('Parent bin not found');
+    } else if (parent.locationId !== bin.locationId) {
+      errors.push('A bin must be in the same location as its parent');
+    } else if (parent.id === bin.id || getBinDescendantIds(bin.id).includes(parent.id)) {
+      errors.push('A bin cannot be inside itself');
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+// ============ Queries ============
+
+/**
+ * Get a bin
+ * @param {string} id - Bin ID
+ * @returns {object|null}
+ */
+function getBin(id) {
+  return getBinsArray().find(bin => bin.id === id) || null;
+}
+
+/**
+ * Get the bins directly inside a bin
+ * @param {string} locationId - Location ID
+ * @param {string} parentId - Parent bin ID ('' for top-level bins)
+ * @returns {Array} Bins
+ */
+function getChildBins(locationId, parentId = '') {
+  return getBinsArray().filter(bin => bin.locationId === locationId && (bin.parentId || '') === (parentId || ''));
+}
+
+/**
+ * Get the IDs of every bin inside a bin, at any depth
+ * @param {string} id - Bin ID
+ * @returns {string[]} Bin IDs
+ */
+function getBinDescendantIds(id) {
+  const ids = [];
+  const queue = [id];
+  while (queue.length > 0) {
+    const parentId = queue.shift();
+    getBinsArray().forEach(bin => {
+      if (bin.parentId === parentId && !ids.includes(bin.id) && bin.id !== id) {
+        ids.push(bin.id);
+        queue.push(bin.id);
+      }
+    });
+  }
+  return ids;
+}
+
+/**
+ * Get a location's bins in path order
+ * @param {string} locationId - Location ID
+ * @param {boolean} activeOnly - Only active bins
+ * @returns {Array} Bins, each with its path
+ */
+function getBinsForLocation(locationId, activeOnly = false) {
+  return getBinsArray()
+    .filter(bin => bin.locationId === locationId && (!activeOnly || bin.isActive))
+    .map(bin => ({ ...bin, path: getBinPath(bin) }))
+    .sort((a, b) => compareBinPaths(a.path, b.path));
+}
+
+/**
+ * Check whether a location is divided into bins
+ * @param {string} locationId - Location ID
+ * @returns {boolean}
+ */
+function locationHasBins(locationId) {
+  return getBinsArray().some(bin => bin.locationId === locationId && bin.isActive);
+}
+
+// ============ Bin Stock ============
+
+/**
+ * Stock at a location in base units
+ * @param {object} product - Product object
+ * @param {string} locationId - Location ID
+ * @returns {number} Base units
+ */
+function getLocationBaseUnits(product, locationId) {
+  const stock = (product.stockByLocation || {})[locationId];
+  if (!stock) return 0;
+  return Math.max(0, (Number(stock.qty) || 0) * getUnitsPerPackage(product) + (Number(stock.looseUnits) || 0));
+}
+
+/**
+ * Get where a product sits in bins
+ * @param {object} product - Product object
+ * @param {string|null} locationId - Location ID (null for every location)
+ * @returns {Array<object>} [{ binId, bin, path, locationId, baseUnits }] in path order
+ */
+function getProductBinStock(product, locationId = null) {
+  return Object.entries(product.binStock || {})
+    .map(([binId, baseUnits]) => ({ binId, bin: getBin(binId), baseUnits: Number(baseUnits) || 0 }))
+    .filter(entry => entry.bin && entry.baseUnits > 0 && (!locationId || entry.bin.locationId === locationId))
+    .map(entry => ({ ...entry, locationId: entry.bin.locationId, path: getBinPath(entry.bin) }))
+    .sort((a, b) => compareBinPaths(a.path, b.path));
+}
+
+/**
+ * Base units of a product in a location's bins
+ * @param {object} product - Product object
+ * @param {string} locationId - Location ID
+ * @returns {number} Base units
+ */
+function getBinnedBaseUnits(product, locationId) {
+  return getProductBinStock(product, locationId).reduce((sum, entry) => sum + entry.baseUnits, 0);
+}
+
+/**
+ * Base units of a product at a location that aren't in a bin
+ * @param {object} product - Product object
+ * @param {string} locationId - Location ID
+ * @returns {number} Base units
+ */
+function getUnbinnedBaseUnits(product, locationId) {
+  return Math.max(0, Math.round((getLocationBaseUnits(product, locationId) - getBinnedBaseUnits(product, locationId)) * 1e6) / 1e6);
+}
+
+/**
+ * Get the products in a bin
+ * @param {string} binId - Bin ID
+ * @param {boolean} includeChildren - Include the bins inside it
+ * @returns {Array<object>} [{ product, binId, baseUnits }]
+ */
+function getBinContents(binId, includeChildren = false) {
+  const ids = includeChildren ? [binId, ...getBinDescendantIds(binId)] : [binId];
+  const contents = [];
+  (window.data || []).forEach(product => {
+    ids.forEach(id => {
+      const baseUnits = Number((product.binStock || {})[id]) || 0;
+      if (baseUnits > 0) contents.push({ product, binId: id, baseUnits });
+    });
+  });
+  return contents;
+}
+
+/**
+ * Set the base units of a product in a bin, dropping empty bins
+ * @param {object} product - Product object
+ * @param {string} binId - Bin ID
+ * @param {number} baseUnits - Base units
+ */
+function setBinQuantity(product, binId, baseUnits) {
+  if (!product.binStock) product.binStock = {};
+  const rounded = Math.round(baseUnits * 1e6) / 1e6;
+  if (rounded > 0) product.binStock[binId] = rounded;
+  else delete product.binStock[binId];
+}
+
+/**
+ * Take a product out of a location's bins in path order. Changes
+ * product.binStock in place; the caller changes the location's stock.
+ * @param {object} product - Product object
+ * @param {string} locationId - Location ID
+ * @param {number} baseUnits - Base units leaving the location
+ * @returns {Array<object>} [{ binId, path, baseUnits }] taken from each bin;
+ *   any remainder came from unbinned stock
+ */
+function takeFromBins(product, locationId, baseUnits) {
+  const picks = [];
+  let remaining = baseUnits;
+  for (const entry of getProductBinStock(product, locationId)) {
+    if (remaining <= 0) break;
+    const taken = Math.min(entry.baseUnits, remaining);
+    setBinQuantity(product, entry.binId, entry.baseUnits - taken);
+    picks.push({ binId: entry.binId, path: entry.path, baseUnits: taken });
+    remaining -= taken;
+  }
+  return picks;
+}
+
+/**
+ * Keep a location's bins within its stock after stock left without a pick
+ * (a transfer out, a count, a write-off). The excess comes off the last
+ * bins in path order first, leaving the first pick faces full.
+ * @param {object} product - Product object
+ * @param {string} locationId - Location ID
+ * @returns {number} Base units removed from bins
+ */
+function reconcileBinStock(product, locationId) {
+  if (!product.binStock || !locationId) return 0;
+
+  let excess = Math.round((getBinnedBaseUnits(product, locationId) - getLocationBaseUnits(product, locationId)) * 1e6) / 1e6;
+  const removed = Math.max(0, excess);
+  getProductBinStock(product, locationId).reverse().forEach(entry => {
+    if (excess <= 0) return;
+    const taken = Math.min(entry.baseUnits, excess);
+    setBinQuantity(product, entry.binId, entry.baseUnits - taken);
+    excess -= taken;
+  });
+  return removed;
+}
+
+// ============ CRUD Operations ============
+
+/**
+ * Save bins and products as one write
+ * @param {Function} fn - Changes to make; returns { success, ... }
+ * @returns {object} Result of fn
+ */
+function runBinTransaction(fn) {
+  const save = () => {
+    const result = fn();
+    if (!result.success) return result;
+    saveBinsToStorage();
+    if (typeof saveProductsToStorage === 'function') saveProductsToStorage();
+    else if (typeof saveProducts === 'function') saveProducts(window.data);
+    return result;
+  };
+
+  if (window.Storage && typeof window.Storage.runTransaction === 'function') {
+    return window.Storage.runTransaction(['bins', 'data'], save);
+  }
+  return save();
+}
+
+/**
+ * Create a bin
+ * @param {object} data - Bin data
+ * @returns {object} { success: boolean, bin?: object, errors?: array }
+ */
+function createBinCRUD(data = {}) {
+  try {
+    const bin = createBin(data);
+
+    const validation = validateBin(bin);
+    if (!validation.valid) {
+      return { success: false, errors: validation.errors };
+    }
+
+    getBinsArray().push(bin);
+    saveBinsToStorage();
+
+    if (typeof EventBus !== 'undefined') {
+      EventBus.emit('bin:created', { id: bin.id, bin });
+    }
+
+    return { success: true, bin };
+
+  } catch (err) {
+    console.error('Error creating bin:', err);
+    return { success: false, errors: [err.message] };
+  }
+}
+
+/**
+ * Create the bins along a path that don't exist yet
+ * @param {string} locationId - Location ID
+ * @param {string} path - Path such as A/03/B (the location code is optional)
+ * @param {object} defaults - Fields for the last bin, e.g. { type }
+ * @returns {object} { success: boolean, bin?: object, created?: array, errors?: array }
+ */
+function ensureBinPath(locationId, path, defaults = {}) {
+  const codes = splitBinPath(locationId, path);
+  if (codes.length === 0) {
+    return { success: false, errors: ['Enter a bin path, e.g. A/03/B'] };
+  }
+
+  const types = ['aisle', 'shelf', 'bin'];
+  const created = [];
+  let parent = null;
+  for (let i = 0; i < codes.length; i++) {
+    let bin = getChildBins(locationId, parent ? parent.id : '')
+      .find(child => child.code.toLowerCase() === codes[i].toLowerCase());
+    if (!bin) {
+      const last = i === codes.length - 1;
+      const result = createBinCRUD({
+        ...(last ? defaults : {}),
+        locationId,
+        parentId: parent ? parent.id : '',
+        code: codes[i],
+        type: last && defaults.type ? defaults.type : types[Math.min(i, types.length - 1)]
+      });
+      if (!result.success) return result;
+      bin = result.bin;
+      created.push(bin);
+    }
+    parent = bin;
+  }
+
+  return { success: true, bin: parent, created };
+}
+
+/**
+ * Update a bin
+ * @param {string} id - Bin ID
+ * @param {object} updates - Fields to update
+ * @returns {object} { success: boolean, bin?: object, errors?: array }
+ */
+function updateBinCRUD(id, updates = {}) {
+  try {
+    const bins = getBinsArray();
+    const index = bins.findIndex(bin => bin.id === id);
+    if (index === -1) {
+      return { success: false, errors: ['Bin not found'] };
+    }
+
+    const existing = bins[index];
+    const updated = createBin({
+      ...existing,
+      ...updates,
+      id: existing.id,
+      locationId: existing.locationId, // stock can't change location by editing a bin
+      createdAt: existing.createdAt,
+      updatedAt: new Date().toISOString()
+    });
+
+    const validation = validateBin(updated);
+    if (!validation.valid) {
+      return { success: false, errors: validation.errors };
+    }
+
+    bins[index] = updated;
+    saveBinsToStorage();
+
+    if (typeof EventBus !== 'undefined') {
+      EventBus.emit('bin:updated', { id, bin: updated });
+    }
+
+    return { success: true, bin: updated };
+
+  } catch (err) {
+    console.error('Error updating bin:', err);
+    return { success: false, errors: [err.message] };
+  }
+}
+
+/**
+ * Delete a bin and the bins inside it. Bins holding stock can't be deleted.
+ * @param {string} id - Bin ID
+ * @returns {object} { success: boolean, deleted?: number, errors?: array }
+ */
+function deleteBinCRUD(id) {
+  try {
+    const bin = getBin(id);
+    if (!bin) {
+      return { success: false, errors: ['Bin not found'] };
+    }
+
+    if (getBinContents(id, true).length > 0) {
+      return { success: false, errors: [`${getBinPath(bin)} holds stock. Pick or move it first.`] };
+    }
+
+    const ids = [id, ...getBinDescendantIds(id)];
+    window.bins = getBinsArray().filter(b => !ids.includes(b.id));
+    saveBinsToStorage();
+
+    if (typeof EventBus !== 'undefined') {
+      EventBus.emit('bin:deleted', { id, bin });
+    }
+
+    return { success: true, deleted: ids.length };
+
+  } catch (err) {
+    console.error('Error deleting bin:', err);
+    return { success: false, errors: [err.message] };
+  }
+}
+
+/**
+ * Remove a deleted location's bins and any bin stock records left in them
+ * @param {string} locationId - Location ID
+ * @returns {number} Bins removed
+ */
+function removeLocationBins(locationId) {
+  const ids = getBinsArray().filter(bin => bin.locationId === locationId).map(bin => bin.id);
+  if (ids.length === 0) return 0;
+
+  runBinTransaction(() => {
+    window.bins = getBinsArray().filter(bin => bin.locationId !== locationId);
+    (window.data || []).forEach(product => {
+      if (product.binStock) ids.forEach(id => delete product.binStock[id]);
+    });
+    return { success: true };
+  });
+  return ids.length;
+}
+
+// ============ Putaway ============
+
+/**
+ * Put unbinned stock at a location away into bins
+ * @param {string} productId - Product ID
+ * @param {string} locationId - Location ID
+ * @param {Array<object>} allocations - [{ binId } or { path }, baseUnits]; a
+ *   path that doesn't exist yet is created
+ * @returns {object} { success: boolean, product?: object, putAway?: number, errors?: array }
+ */
+function putAwayStock(productId, locationId, allocations = []) {
+  try {
+    const product = (window.data || []).find(p => p.id === productId);
+    if (!product) {
+      return { success: false, errors: ['Product not found'] };
+    }
+
+    const lines = allocations.filter(a => (Number(a.baseUnits) || 0) > 0);
+    const total = lines.reduce((sum, a) => sum + Number(a.baseUnits), 0);
+    if (total === 0) {
+      return { success: false, errors: ['Enter a quantity to put away'] };
+    }
+    const unbinned = getUnbinnedBaseUnits(product, locationId);
+    if (total > unbinned + 1e-9) {
+      return { success: false, errors: [`${product.name}: only ${unbinned} ${getBaseUnitName(product)} at this location are not in a bin`] };
+    }
+
+    const result = runBinTransaction(() => {
+      for (const line of lines) {
+        let bin = line.binId ? getBin(line.binId) : null;
+        if (!bin && line.path) {
+          const ensured = ensureBinPath(locationId, line.path);
+          if (!ensured.success) return ensured;
+          bin = ensured.bin;
+        }
+        if (!bin || bin.locationId !== locationId) {
+          return { success: false, errors: [`${line.path || line.binId || 'Bin'}: not a bin at this location`] };
+        }
+        if (!bin.isActive) {
+          return { success: false, errors: [`${getBinPath(bin)} is inactive`] };
+        }
+        setBinQuantity(product, bin.id, (Number(product.binStock && product.binStock[bin.id]) || 0) + Number(line.baseUnits));
+      }
+      product.updatedAt = new Date().toISOString();
+      return { success: true };
+    });
+
+    if (!result.success) {
+      return result;
+    }
+
+    if (typeof EventBus !== 'undefined') {
+      EventBus.emit('product:updated', {
+        id: product.id,
+        updates: { binStock: product.binStock },
+        product
+      });
+    }
+
+    return { success: true, product, putAway: total };
+
+  } catch (err) {
+    console.error('Error putting away stock:', err);
+    return { success: false, errors: [err.message] };
+  }
+}
+
+/**
+ * Get the products at a location that aren't all in bins yet
+ * @param {string} locationId - Location ID
+ * @param {Array<string>|null} productIds - Only these products (null for all)
+ * @returns {Array<object>} [{ product, locationId, baseUnits }]
+ */
+function getPutawayItems(locationId, productIds = null) {
+  if (!locationHasBins(locationId)) return [];
+  return (window.data || [])
+    .filter(product => !productIds || productIds.includes(product.id))
+    .map(product => ({ product, locationId, baseUnits: getUnbinnedBaseUnits(product, locationId) }))
+    .filter(item => item.baseUnits > 0);
+}
+
+// ============ Pick Lists ============
+
+/**
+ * Build a pick list for orders: each line taken from bins in path order,
+ * then from unbinned stock, sorted by location and bin path. Orders without
+ * a location aren't taken from bins when fulfilled, so they get one unbinned line
+ * @param {Array} orders - Orders to pick
+ * @returns {Array<object>} [{ locationId, binId, path, product, baseUnits,
+ *   orderNumbers, short }] where short marks stock the location doesn't have
+ */
+function getPickList(orders) {
+  const rows = new Map();
+  const taken = new Map(); // `${productId}|${binId}` -> base units already on the list
+
+  const add = (locationId, binId, path, product, baseUnits, orderNumber, short = false) => {
+    const key = `${locationId}|${binId}|${product.id}|${short}`;
+    const row = rows.get(key) || { locationId, binId, path, product, baseUnits: 0, orderNumbers: [], short };
+    row.baseUnits = Math.round((row.baseUnits + baseUnits) * 1e6) / 1e6;
+    if (!row.orderNumbers.includes(orderNumber)) row.orderNumbers.push(orderNumber);
+    rows.set(key, row);
+  };
+
+  orders.forEach(order => {
+    // Same rule as deductStockForOrder: bins and location stock only when the order names a location
+    const locationId = order.locationId || '';
+    (order.lineItems || []).forEach(item => {
+      const product = (window.data || []).find(p => p.id === item.productId);
+      if (!product) return;
+
+      let remaining = window.LineItems ? window.LineItems.getLineItemBaseQuantity(item, product) : item.quantity;
+      if (!remaining) return;
+
+      (locationId ? getProductBinStock(product, locationId) : []).forEach(entry => {
+        const key = `${product.id}|${entry.binId}`;
+        const left = entry.baseUnits - (taken.get(key) || 0);
+        const qty = Math.min(left, remaining);
+        if (qty <= 0) return;
+        taken.set(key, (taken.get(key) || 0) + qty);
+        add(locationId, entry.binId, entry.path, product, qty, order.orderNumber);
+        remaining -= qty;
+      });
+      if (remaining <= 0) return;
+
+      const key = `${product.id}|`;
+      const unbinnedLeft = (locationId ? getUnbinnedBaseUnits(product, locationId) : calculateTotalUnits(product)) - (taken.get(key) || 0);
+      const qty = Math.max(0, Math.min(unbinnedLeft, remaining));
+      if (qty > 0) {
+        taken.set(key, (taken.get(key) || 0) + qty);
+        add(locationId, '', '', product, qty, order.orderNumber);
+        remaining -= qty;
+      }
+      if (remaining > 1e-9) add(locationId, '', '', product, remaining, order.orderNumber, true);
+    });
+  });
+
+  // Unbinned and short lines come after the bins at their location
+  const locationName = id => {
+    const location = id && window.Locations ? window.Locations.getLocationById(id) : null;
+    return location ? location.name : '';
+  };
+  return Array.from(rows.values()).sort((a, b) =>
+    locationName(a.locationId).localeCompare(locationName(b.locationId))
+    || (!a.path - !b.path)
+    || compareBinPaths(a.path, b.path)
+    || a.short - b.short
+    || String(a.product.name || '').localeCompare(String(b.product.name || '')));
+}
+
+// ============ Exports (for window object) ============
+
+if (typeof window !== 'undefined') {
+  window.Bins = {
+    BIN_TYPES,
+    createBin,
+    validateBin,
+    compareBinPaths,
+    getBinPath,
+    findBinByPath,
+    getBin,
+    getChildBins,
+    getBinsForLocation,
+    locationHasBins,
+    getLocationBaseUnits,
+    getProductBinStock,
+    getBinnedBaseUnits,
+    getUnbinnedBaseUnits,
+    getBinContents,
+    takeFromBins,
+    reconcileBinStock,
+    createBinCRUD,
+    ensureBinPath,
+    updateBinCRUD,
+    deleteBinCRUD,
+    removeLocationBins,
+    putAwayStock,
+    getPutawayItems,
+    getPickList,
+    loadBinsFromStorage
+  };
+}
@@ -5,14 +5,22 @@
  * - Extract unique categories/suppliers
  * - Filter products by category/supplier
  * - Count products per category
- * - Category tree management (future)
+ * - Category records: a parent/child tree stored in window.categories.
+ *   Products keep their category as a path string ("Hardware > Screws");
+ *   renaming or moving a category rewrites the paths of its products.
+ * - Category defaults (tax rate, reorder policy, attribute definitions)
+ *   inherited down the tree and by the products in it
  *
  * Usage:
  * const categories = getAllCategories(products);
  * const electronics = getProductsByCategory(products, 'Electronics');
  * const counts = getCategoryCounts(products);
+ * const { taxRate, attributes } = getProductCategorySettings(product);
  */
 
+const CATEGORY_PATH_SEPARATOR = '>';
+const CATEGORY_ATTRIBUTE_TYPES = ['text', 'number', 'select', 'boolean'];
+
 // ============================================================================
 // CATEGORY EXTRACTION
 // ============================================================================
@@ -315,6 +323,566 @@ function buildCategoryTree(products, separator = '>') {
   return tree;
 }
 
+// ============================================================================
+// CATEGORY RECORDS
+// ============================================================================
+
+/**
+ * Get reference to global categories array
+ * @returns {Array} Categories array
+ */
+function getCategoriesArray() {
+  if (!window.categories) {
+    window.categories = typeof loadCategories === 'function' ? loadCategories() : [];
+  }
+  return window.categories;
+}
+
+/**
+ * Create a new category record with default values
+ * @param {object} data - Initial category data
+ * @returns {object} Category object
+ */
+function createCategory(data = {}) {
+  const now = new Date().toISOString();
+  const optionalNumber = value => (value === '' || value === null || value === undefined || isNaN(Number(value)) ? null : Number(value));
+
+  return {
+    id: data.id || `cat-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    name: String(data.name || '').trim(),
+    parentId: data.parentId || null,
+    // Defaults for products in the category; null inherits from the parent
+    taxRate: optionalNumber(data.taxRate), // percent
+    reorderPoint: optionalNumber(data.reorderPoint),
+    reorderQty: optionalNumber(data.reorderQty),
+    attributes: normalizeCategoryAttributes(data.attributes),
+    notes: data.notes || '',
+    createdAt: data.createdAt || now,
+    updatedAt: data.updatedAt || now
+  };
+}
+
+/**
+ * Normalize attribute definitions
+ * @param {Array<object>} attributes - [{ key, label, type, options, required }]
+ * @returns {Array<object>} Definitions with a key, a known type and options
+ *   as an array of strings
+ */
+function normalizeCategoryAttributes(attributes) {
+  if (!Array.isArray(attributes)) return [];
+
+  return attributes
+    .map(attr => {
+      const label = String(attr.label || attr.key || '').trim();
+      const key = String(attr.key || label).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+      const options = Array.isArray(attr.options)
+        ? attr.options
+        : String(attr.options || '').split(',');
+      return {
+        key,
+        label: label || key,
+        type: CATEGORY_ATTRIBUTE_TYPES.includes(attr.type) ? attr.type : 'text',
+        options: options.map(o => String(o).trim()).filter(Boolean),
+        required: !!attr.required
+      };
+    })
+    .filter(attr => attr.key);
+}
+
+/**
+ * Validate a category record
+ * @param {object} category - Category to validate
+ * @returns {object} { valid: boolean, errors: string[] }
+ */
+function validateCategoryRecord(category) {
+  const errors = validateCategory(category.name, {
+    allowEmpty: false,
+    forbiddenChars: [CATEGORY_PATH_SEPARATOR]
+  }).errors;
+
+  if (category.parentId) {
+    if (!getCategoryById(category.parentId)) {
+      errors.push('Parent category does not exist');
+    } else if (category.parentId === category.id ||
+               getCategoryAncestors(category.parentId).some(c => c.id === category.id)) {
+      errors.push('A category cannot be moved under itself or one of its subcategories');
+    }
+  }
+
+  const sibling = getCategoriesArray().find(c =>
+    c.id !== category.id &&
+    (c.parentId || null) === (category.parentId || null) &&
+    c.name.toLowerCase() === String(category.name || '').trim().toLowerCase());
+  if (sibling) {
+    errors.push(`A category named "${category.name}" already exists here`);
+  }
+
+  if (category.taxRate !== null && (category.taxRate < 0 || category.taxRate > 100)) {
+    errors.push('Tax rate must be between 0 and 100');
+  }
+  if (category.reorderPoint !== null && category.reorderPoint < 0) {
+    errors.push('Reorder point cannot be negative');
+  }
+  if (category.reorderQty !== null && category.reorderQty < 0) {
+    errors.push('Reorder quantity cannot be negative');
+  }
+
+  const keys = new Set();
+  category.attributes.forEach(attr => {
+    if (keys.has(attr.key)) {
+      errors.push(`Attribute "${attr.label}" is defined more than once`);
+    }
+    keys.add(attr.key);
+    if (attr.type === 'select' && attr.options.length === 0) {
+      errors.push(`Attribute "${attr.label}" needs at least one option`);
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+// ============================================================================
+// CATEGORY TREE QUERIES
+// ============================================================================
+
+/**
+ * Get a category record by ID
+ * @param {string} id - Category ID
+ * @returns {object|null} Category
+ */
+function getCategoryById(id) {
+  return getCategoriesArray().find(c => c.id === id) || null;
+}
+
+/**
+ * Get the direct subcategories of a category
+ * @param {string|null} parentId - Parent ID (null for top-level categories)
+ * @returns {Array<object>} Categories sorted by name
+ */
+function getCategoryChildren(parentId = null) {
+  return getCategoriesArray()
+    .filter(c => (c.parentId || null) === (parentId || null))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get a category's ancestors, nearest first
+ * @param {string} id - Category ID
+ * @returns {Array<object>} Parent, grandparent, ...
+ */
+function getCategoryAncestors(id) {
+  const ancestors = [];
+  const seen = new Set([id]);
+  let current = getCategoryById(id);
+  while (current && current.parentId && !seen.has(current.parentId)) {
+    seen.add(current.parentId);
+    current = getCategoryById(current.parentId);
+    if (current) ancestors.push(current);
+  }
+  return ancestors;
+}
+
+/**
+ * Get all subcategories below a category
+ * @param {string} id - Category ID
+ * @returns {Array<object>} Descendants, depth first
+ */
+function getCategoryDescendants(id) {
+  const result = [];
+  getCategoryChildren(id).forEach(child => {
+    result.push(child, ...getCategoryDescendants(child.id));
+  });
+  return result;
+}
+
+/**
+ * Get the full path of a category, as stored on products
+ * @param {string} id - Category ID
+ * @returns {string} e.g. "Hardware > Screws"
+ */
+function getCategoryPath(id) {
+  const category = getCategoryById(id);
+  if (!category) return '';
+  return [...getCategoryAncestors(id).reverse(), category]
+    .map(c => c.name)
+    .join(` ${CATEGORY_PATH_SEPARATOR} `);
+}
+
+/**
+ * Find the category record for a path
+ * @param {string} path - Category path (case-insensitive)
+ * @returns {object|null} Category
+ */
+function findCategoryByPath(path) {
+  const segments = parseCategoryPath(path || '', CATEGORY_PATH_SEPARATOR);
+  let current = null;
+  for (const segment of segments) {
+    current = getCategoryChildren(current ? current.id : null)
+      .find(c => c.name.toLowerCase() === segment.toLowerCase());
+    if (!current) return null;
+  }
+  return current;
+}
+
+/**
+ * Get the category records as a nested tree
+ * @param {string|null} parentId - Root of the tree (null for all)
+ * @param {number} depth - Depth of parentId's children
+ * @returns {Array<object>} [{ category, path, depth, children }]
+ */
+function getCategoryRecordTree(parentId = null, depth = 0) {
+  return getCategoryChildren(parentId).map(category => ({
+    category,
+    path: getCategoryPath(category.id),
+    depth,
+    children: getCategoryRecordTree(category.id, depth + 1)
+  }));
+}
+
+/**
+ * Get the path of every category record, parents before their subcategories
+ * @returns {string[]} Paths
+ */
+function getCategoryPathList() {
+  return getCategoryDescendants(null).map(c => getCategoryPath(c.id));
+}
+
+/**
+ * Get products in a category or any of its subcategories
+ * @param {string} id - Category ID
+ * @param {Array<object>} products - Products (default: window.data)
+ * @returns {Array<object>} Products
+ */
+function getProductsInCategoryTree(id, products = window.data || []) {
+  const path = getCategoryPath(id).toLowerCase();
+  if (!path) return [];
+  return products.filter(p => isInCategoryPath(p.category, path));
+}
+
+/**
+ * Check if a category path is a path or below it
+ * @param {string} category - Product's category path
+ * @param {string} path - Category path
+ * @returns {boolean}
+ */
+function isInCategoryPath(category, path) {
+  const normalized = parseCategoryPath(category || '', CATEGORY_PATH_SEPARATOR).join(` ${CATEGORY_PATH_SEPARATOR} `).toLowerCase();
+  const root = String(path || '').toLowerCase();
+  return normalized === root || normalized.startsWith(`${root} ${CATEGORY_PATH_SEPARATOR} `);
+}
+
+// ============================================================================
+// CATEGORY INHERITANCE
+// ============================================================================
+
+/**
+ * Get the defaults that apply in a category: the nearest tax rate and
+ * reorder policy set on it or an ancestor, and the attribute definitions of
+ * the whole branch (a subcategory's definition replaces one with the same key)
+ * @param {string} id - Category ID
+ * @returns {object} { taxRate, reorderPoint, reorderQty, attributes }
+ */
+function getEffectiveCategorySettings(id) {
+  const settings = { taxRate: null, reorderPoint: null, reorderQty: null, attributes: [] };
+  const category = getCategoryById(id);
+  if (!category) return settings;
+
+  const chain = [category, ...getCategoryAncestors(id)];
+  ['taxRate', 'reorderPoint', 'reorderQty'].forEach(field => {
+    const source = chain.find(c => c[field] !== null && c[field] !== undefined);
+    if (source) settings[field] = source[field];
+  });
+
+  const attributes = new Map();
+  chain.slice().reverse().forEach(c => {
+    (c.attributes || []).forEach(attr => attributes.set(attr.key, attr));
+  });
+  settings.attributes = Array.from(attributes.values());
+
+  return settings;
+}
+
+/**
+ * Get the category defaults for a product
+ * @param {object} product - Product object
+ * @returns {object} See getEffectiveCategorySettings
+ */
+function getProductCategorySettings(product) {
+  const category = product ? findCategoryByPath(product.category) : null;
+  return getEffectiveCategorySettings(category ? category.id : null);
+}
+
+/**
+ * Check a product's attribute values against its category's definitions
+ * @param {object} product - Product object
+ * @returns {string[]} Error messages
+ */
+function validateProductAttributes(product) {
+  const errors = [];
+  const values = (product && product.attributes) || {};
+
+  getProductCategorySettings(product).attributes.forEach(attr => {
+    const value = values[attr.key];
+    const empty = value === undefined || value === null || value === '';
+
+    if (empty) {
+      if (attr.required && attr.type !== 'boolean') {
+        errors.push(`${attr.label} is required`);
+      }
+      return;
+    }
+
+    if (attr.type === 'number' && isNaN(Number(value))) {
+      errors.push(`${attr.label} must be a number`);
+    } else if (attr.type === 'select' && !attr.options.includes(String(value))) {
+      errors.push(`${attr.label} must be one of: ${attr.options.join(', ')}`);
+    }
+  });
+
+  return errors;
+}
+
+// ============================================================================
+// CATEGORY CRUD
+// ============================================================================
+
+/**
+ * Make sure every level of a category path has a record
+ * @param {string} path - Category path
+ * @returns {object|null} Category for the full path
+ */
+function ensureCategoryPath(path) {
+  const segments = parseCategoryPath(path || '', CATEGORY_PATH_SEPARATOR);
+  let parent = null;
+  let created = false;
+
+  segments.forEach(segment => {
+    let category = getCategoryChildren(parent ? parent.id : null)
+      .find(c => c.name.toLowerCase() === segment.toLowerCase());
+    if (!category) {
+      category = createCategory({ name: segment, parentId: parent ? parent.id : null });
+      getCategoriesArray().push(category);
+      created = true;
+      if (window.EventBus) {
+        window.EventBus.emit('category:created', { category });
+      }
+    }
+    parent = category;
+  });
+
+  if (created) saveCategoriesToStorage();
+  return parent;
+}
+
+/**
+ * Create category records for categories products already use
+ * @param {Array<object>} products - Products (default: window.data)
+ * @returns {number} Number of categories created
+ */
+function syncCategoriesFromProducts(products = window.data || []) {
+  const before = getCategoriesArray().length;
+  getAllCategories(products).forEach(path => ensureCategoryPath(path));
+  return getCategoriesArray().length - before;
+}
+
+/**
+ * Rewrite the category path of products in a category and its subcategories
+ * @param {string} oldPath - Path before the change
+ * @param {string} newPath - Path after the change ('' to uncategorize)
+ * @returns {Array<object>} Products that changed
+ */
+function moveProductsToCategoryPath(oldPath, newPath) {
+  const changed = [];
+  const sep = ` ${CATEGORY_PATH_SEPARATOR} `;
+  const oldSegments = parseCategoryPath(oldPath, CATEGORY_PATH_SEPARATOR);
+
+  (window.data || []).forEach(product => {
+    if (!isInCategoryPath(product.category, oldPath)) return;
+    const rest = parseCategoryPath(product.category, CATEGORY_PATH_SEPARATOR).slice(oldSegments.length);
+    product.category = [newPath, ...rest].filter(Boolean).join(sep);
+    product.updatedAt = new Date().toISOString();
+    changed.push(product);
+  });
+
+  return changed;
+}
+
+/**
+ * Save categories and the products a category change touched, together
+ * @param {Array<object>} products - Changed products
+ */
+function saveCategoryChanges(products) {
+  const save = () => {
+    saveCategoriesToStorage();
+    if (products.length > 0) {
+      if (typeof saveProductsToStorage === 'function') saveProductsToStorage();
+      else if (typeof saveProducts === 'function') saveProducts(window.data);
+    }
+    return { success: true };
+  };
+
+  if (window.Storage && typeof window.Storage.runTransaction === 'function') {
+    window.Storage.runTransaction(['categories', 'data'], save);
+  } else {
+    save();
+  }
+
+  if (window.EventBus) {
+    products.forEach(product => {
+      window.EventBus.emit('product:updated', {
+        id: product.id,
+        updates: { category: product.category },
+        product
+      });
+    });
+  }
+}
+
+/**
+ * Create a new category
+ * @param {object} data - Category data
+ * @returns {object} { success: boolean, category: object|null, error: string|null }
+ */
+function createCategoryCRUD(data) {
+  try {
+    const category = createCategory(data);
+
+    const validation = validateCategoryRecord(category);
+    if (!validation.valid) {
+      return { success: false, category: null, error: validation.errors.join(', ') };
+    }
+
+    getCategoriesArray().push(category);
+    saveCategoriesToStorage();
+
+    if (window.EventBus) {
+      window.EventBus.emit('category:created', { category });
+    }
+
+    return { success: true, category, error: null };
+
+  } catch (err) {
+    console.error('createCategoryCRUD error:', err);
+    return { success: false, category: null, error: err.message || 'Unknown error' };
+  }
+}
+
+/**
+ * Update a category. Renaming or moving it updates the category path of
+ * every product in it and its subcategories.
+ * @param {string} id - Category ID
+ * @param {object} updates - Fields to update
+ * @returns {object} { success: boolean, category: object|null, moved: number, error: string|null }
+ */
+function updateCategoryCRUD(id, updates) {
+  try {
+    const categories = getCategoriesArray();
+    const index = categories.findIndex(c => c.id === id);
+
+    if (index === -1) {
+      return { success: false, category: null, moved: 0, error: 'Category not found' };
+    }
+
+    const existing = categories[index];
+    const updated = createCategory({
+      ...existing,
+      ...updates,
+      id: existing.id, // Prevent ID changes
+      createdAt: existing.createdAt,
+      updatedAt: new Date().toISOString()
+    });
+
+    const validation = validateCategoryRecord(updated);
+    if (!validation.valid) {
+      return { success: false, category: null, moved: 0, error: validation.errors.join(', ') };
+    }
+
+    const oldPath = getCategoryPath(id);
+    categories[index] = updated;
+    const newPath = getCategoryPath(id);
+
+    const moved = oldPath !== newPath ? moveProductsToCategoryPath(oldPath, newPath) : [];
+    saveCategoryChanges(moved);
+
+    if (window.EventBus) {
+      window.EventBus.emit('category:updated', { category: updated });
+    }
+
+    return { success: true, category: updated, moved: moved.length, error: null };
+
+  } catch (err) {
+    console.error('updateCategoryCRUD error:', err);
+    return { success: false, category: null, moved: 0, error: err.message || 'Unknown error' };
+  }
+}
+
+/**
+ * Delete a category. Its products move up to the parent category
+ * (or become uncategorized); categories with subcategories can't be deleted.
+ * @param {string} id - Category ID
+ * @returns {object} { success: boolean, moved: number, error: string|null }
+ */
+function deleteCategoryCRUD(id) {
+  try {
+    const categories = getCategoriesArray();
+    const index = categories.findIndex(c => c.id === id);
+
+    if (index === -1) {
+      return { success: false, moved: 0, error: 'Category not found' };
+    }
+
+    if (getCategoryChildren(id).length > 0) {
+      return { success: false, moved: 0, error: 'Cannot delete a category with subcategories. Move or delete them first.' };
+    }
+
+    const category = categories[index];
+    const oldPath = getCategoryPath(id);
+    const parentPath = category.parentId ? getCategoryPath(category.parentId) : '';
+
+    categories.splice(index, 1);
+    const moved = moveProductsToCategoryPath(oldPath, parentPath);
+    saveCategoryChanges(moved);
+
+    if (window.EventBus) {
+      window.EventBus.emit('category:deleted', { categoryId: id, category });
+    }
+
+    return { success: true, moved: moved.length, error: null };
+
+  } catch (err) {
+    console.error('deleteCategoryCRUD error:', err);
+    return { success: false, moved: 0, error: err.message || 'Unknown error' };
+  }
+}
+
+// ============================================================================
+// STORAGE INTEGRATION
+// ============================================================================
+
+/**
+ * Save categories to localStorage
+ */
+function saveCategoriesToStorage() {
+  if (typeof window.Storage !== 'undefined' && typeof window.Storage.saveCategories === 'function') {
+    window.Storage.saveCategories(getCategoriesArray());
+  } else if (typeof saveCategories === 'function') {
+    saveCategories(getCategoriesArray());
+  } else {
+    console.warn('Storage.saveCategories not available');
+  }
+}
+
+/**
+ * Load categories from localStorage, adding records for categories that
+ * products use but that have none yet
+ * @returns {Array} Categories array
+ */
+function loadCategoriesFromStorage() {
+  window.categories = typeof loadCategories === 'function' ? loadCategories() : [];
+  syncCategoriesFromProducts();
+  return window.categories;
+}
+
 // ============================================================================
 // VALIDATION
 // ============================================================================
@@ -371,6 +939,32 @@ if (typeof window !== 'undefined') {
     getSupplierStats,
     parseCategoryPath,
     buildCategoryTree,
-    validateCategory
+    validateCategory,
+
+    // Category records
+    CATEGORY_ATTRIBUTE_TYPES,
+    createCategory,
+    normalizeCategoryAttributes,
+    validateCategoryRecord,
+    getCategoryById,
+    getCategoryChildren,
+    getCategoryAncestors,
+    getCategoryDescendants,
+    getCategoryPath,
+    findCategoryByPath,
+    getCategoryRecordTree,
+    getCategoryPathList,
+    getProductsInCategoryTree,
+    isInCategoryPath,
+    getEffectiveCategorySettings,
+    getProductCategorySettings,
+    validateProductAttributes,
+    ensureCategoryPath,
+    syncCategoriesFromProducts,
+    createCategoryCRUD,
+    updateCategoryCRUD,
+    deleteCategoryCRUD,
+    saveCategoriesToStorage,
+    loadCategoriesFromStorage
   };
 }
@@ -0,0 +1,424 @@
+/**
+ * category-ui.js - Category Management UI
+ *
+ * Dialogs for the category tree (add, rename, move and delete categories,
+ * with their default tax rate, reorder policy and attribute definitions),
+ * plus the category attribute fields in the product dialog.
+ */
+
+// ============================================================================
+// TABLE COLUMN DEFINITIONS
+// ============================================================================
+
+/**
+ * Format an own value, or the inherited one in muted text
+ * @param {number|null} own - Value set on the category
+ * @param {number|null} inherited - Effective value
+ * @param {string} suffix - Text after the value
+ * @returns {string} HTML
+ */
+function formatCategoryDefault(own, inherited, suffix = '') {
+  if (own !== null && own !== undefined) return esc(`${own}${suffix}`);
+  if (inherited !== null && inherited !== undefined) return `<span class="muted">${esc(`${inherited}${suffix}`)}</span>`;
+  return '<span class="muted">-</span>';
+}
+
+/**
+ * Get category tree column definitions
+ * @returns {Array<object>} Column definitions
+ */
+function getCategoryColumns() {
+  return [
+    { key: 'name', label: 'Category', formatter: (v, row) =>
+      `<span style="padding-left:${row.depth * 18}px">${row.depth > 0 ? '<span class="muted">└ </span>' : ''}${esc(v)}</span>` },
+    { key: 'productCount', label: 'Products', className: 'right' },
+    { key: 'taxRate', label: 'Tax', className: 'right', formatter: (v, row) => formatCategoryDefault(v, row.effective.taxRate, '%') },
+    { key: 'reorderPoint', label: 'Reorder @', className: 'right', formatter: (v, row) => formatCategoryDefault(v, row.effective.reorderPoint) },
+    { key: 'reorderQty', label: 'Reorder Qty', className: 'right', formatter: (v, row) => formatCategoryDefault(v, row.effective.reorderQty) },
+    { key: 'attributes', label: 'Attributes', formatter: (v, row) => {
+      const own = (v || []).map(a => esc(a.label));
+      const inherited = row.effective.attributes.length - own.length;
+      return own.join(', ') + (inherited > 0 ? ` <span class="muted">+${inherited} inherited</span>` : '') || '<span class="muted">-</span>';
+    } },
+    { key: 'id', label: '', formatter: v => `
+      <button class="btn small" data-action="edit" data-id="${esc(v)}">Edit</button>
+      <button class="btn small" data-action="add-child" data-id="${esc(v)}">Add Sub</button>
+      <button class="btn small danger" data-action="delete" data-id="${esc(v)}">Delete</button>` }
+  ];
+}
+
+/**
+ * Flatten the category tree into table rows, parents before children
+ * @param {Array<object>} nodes - Nodes from Categories.getCategoryRecordTree
+ * @returns {Array<object>} Rows
+ */
+function flattenCategoryTree(nodes) {
+  const rows = [];
+  nodes.forEach(node => {
+    rows.push({
+      ...node.category,
+      depth: node.depth,
+      path: node.path,
+      productCount: window.Categories.getProductsInCategoryTree(node.category.id).length,
+      effective: window.Categories.getEffectiveCategorySettings(node.category.id)
+    });
+    rows.push(...flattenCategoryTree(node.children));
+  });
+  return rows;
+}
+
+// ============================================================================
+// CATEGORY TREE DIALOG
+// ============================================================================
+
+/**
+ * Show the category tree
+ */
+function openCategoriesDialog() {
+  if (!window.createDialog || !window.Categories) return;
+
+  const dlg = window.createDialog({
+    id: 'dlgCategories_' + Date.now(),
+    title: 'Categories',
+    className: 'dialog-tracking',
+    content: `
+      <div class="muted">Muted values are inherited from a parent category. Products use their own reorder point and tax when set.</div>
+      <div class="tracking-table-wrap">
+        <table class="small-table">
+          <thead></thead>
+          <tbody></tbody>
+        </table>
+      </div>
+    `,
+    buttons: [
+      { text: 'New Category', class: 'btn small primary', onclick: () => openCategoryEditDialog(null) },
+      { text: 'Close', class: 'btn small', onclick: () => window.hideDialog(dlg) }
+    ]
+  });
+
+  const columns = getCategoryColumns();
+  window.TableRenderer.renderTableHeader(dlg.querySelector('thead'), columns);
+
+  const renderCategories = () => {
+    window.TableRenderer.renderTable(dlg.querySelector('tbody'), flattenCategoryTree(window.Categories.getCategoryRecordTree()), columns, {
+      emptyMessage: 'No categories yet. Add one with New Category or give a product a category.'
+    });
+  };
+
+  dlg.querySelector('tbody').addEventListener('click', e => {
+    const btn = e.target.closest('[data-action]');
+    if (!btn) return;
+    const id = btn.dataset.id;
+    if (btn.dataset.action === 'edit') openCategoryEditDialog(id);
+    else if (btn.dataset.action === 'add-child') openCategoryEditDialog(null, { parentId: id });
+    else if (btn.dataset.action === 'delete') deleteCategory(id);
+  });
+
+  if (window.EventBus) {
+    const unsubscribe = window.EventBus.on('category:*', renderCategories);
+    dlg.addEventListener('close', unsubscribe);
+  }
+
+  renderCategories();
+  showTrackingDialog(dlg);
+}
+
+/**
+ * Delete a category after confirmation
+ * @param {string} id - Category ID
+ */
+function deleteCategory(id) {
+  const category = window.Categories.getCategoryById(id);
+  if (!category) return;
+
+  const count = window.Categories.getProductsInCategoryTree(id).length;
+  const parentPath = category.parentId ? window.Categories.getCategoryPath(category.parentId) : '';
+  const note = count > 0
+    ? `\n\n${count} product(s) will move to ${parentPath ? `"${parentPath}"` : 'no category'}.`
+    : '';
+  if (!confirm(`Delete category "${window.Categories.getCategoryPath(id)}"?${note}`)) return;
+
+  const result = window.Categories.deleteCategoryCRUD(id);
+  if (!result.success) {
+    window.showToast(result.error, 'error');
+    return;
+  }
+
+  window.showToast(result.moved > 0 ? `Category deleted, ${result.moved} product(s) moved` : 'Category deleted', 'success');
+  if (result.moved > 0) refreshTrackedProducts();
+}
+
+// ============================================================================
+// CATEGORY EDIT DIALOG
+// ============================================================================
+
+/**
+ * Render one row of the attribute definition editor
+ * @param {object} attr - Attribute definition
+ * @returns {string} HTML
+ */
+function renderCategoryAttributeRow(attr = {}) {
+  const types = window.Categories.CATEGORY_ATTRIBUTE_TYPES;
+  return `
+    <tr class="category-attribute" data-key="${esc(attr.key || '')}">
+      <td><input class="attr-label" value="${esc(attr.label || '')}" placeholder="e.g. Thread size"></td>
+      <td>
+        <select class="attr-type">
+          ${types.map(t => `<option value="${t}"${t === (attr.type || 'text') ? ' selected' : ''}>${t}</option>`).join('')}
+        </select>
+      </td>
+      <td><input class="attr-options" value="${esc((attr.options || []).join(', '))}" placeholder="For select: M3, M4, M5"></td>
+      <td><input type="checkbox" class="attr-required"${attr.required ? ' checked' : ''}></td>
+      <td><button type="button" class="btn small danger" data-action="remove-attr">Remove</button></td>
+    </tr>
+  `;
+}
+
+/**
+ * Build parent options, leaving out a category and its subcategories
+ * @param {string|null} excludeId - Category being edited
+ * @param {string|null} selected - Selected parent ID
+ * @returns {string} HTML options
+ */
+function categoryParentOptions(excludeId, selected) {
+  const excluded = new Set(excludeId
+    ? [excludeId, ...window.Categories.getCategoryDescendants(excludeId).map(c => c.id)]
+    : []);
+  return '<option value="">-- Top level --</option>' + window.Categories.getCategoryDescendants(null)
+    .filter(c => !excluded.has(c.id))
+    .map(c => `<option value="${esc(c.id)}"${c.id === selected ? ' selected' : ''}>${esc(window.Categories.getCategoryPath(c.id))}</option>`)
+    .join('');
+}
+
+/**
+ * Add or edit a category
+ * @param {string|null} categoryId - Category ID (null for a new category)
+ * @param {object} options - { parentId } for a new category
+ */
+function openCategoryEditDialog(categoryId, options = {}) {
+  if (!window.createDialog || !window.Categories) return;
+
+  const existing = categoryId ? window.Categories.getCategoryById(categoryId) : null;
+  if (categoryId && !existing) return;
+
+  const category = existing || window.Categories.createCategory({ parentId: options.parentId || null });
+  const value = v => (v === null || v === undefined ? '' : v);
+
+  const dlg = window.createDialog({
+    id: 'dlgCategory_' + Date.now(),
+    title: existing ? `Edit Category - ${window.Categories.getCategoryPath(existing.id)}` : 'New Category',
+    className: 'dialog-tracking',
+    content: `
+      <form class="category-form">
+        <div class="row">
+          <label class="field">Name <input name="name" value="${esc(category.name)}" required></label>
+          <label class="field">Parent
+            <select name="parentId">${categoryParentOptions(existing ? existing.id : null, category.parentId)}</select>
+          </label>
+        </div>
+        <div class="row">
+          <label class="field">Tax rate (%) <input type="number" name="taxRate" min="0" max="100" step="0.01" value="${value(category.taxRate)}"></label>
+          <label class="field">Reorder point <input type="number" name="reorderPoint" min="0" step="1" value="${value(category.reorderPoint)}"></label>
+          <label class="field">Reorder qty <input type="number" name="reorderQty" min="0" step="1" value="${value(category.reorderQty)}"></label>
+        </div>
+        <div class="muted category-inherited"></div>
+        <h3>Product attributes</h3>
+        <table class="small-table">
+          <thead><tr><th>Label</th><th>Type</th><th>Options</th><th>Required</th><th></th></tr></thead>
+          <tbody class="category-attributes">${category.attributes.map(renderCategoryAttributeRow).join('')}</tbody>
+        </table>
+        <button type="button" class="btn small" data-action="add-attr">Add Attribute</button>
+        <label class="field">Notes <textarea name="notes" rows="2">${esc(category.notes)}</textarea></label>
+        <div class="btn-group">
+          <button type="button" class="btn" data-action="cancel">Cancel</button>
+          <button type="submit" class="btn primary">Save</button>
+        </div>
+      </form>
+    `
+  });
+
+  const form = dlg.querySelector('form');
+  const attrBody = form.querySelector('.category-attributes');
+
+  // Leaving a default blank inherits the parent's; show what that would be
+  const renderInherited = () => {
+    const parentId = form.elements.parentId.value || null;
+    const inherited = window.Categories.getEffectiveCategorySettings(parentId);
+    form.elements.taxRate.placeholder = inherited.taxRate !== null ? `${inherited.taxRate} (inherited)` : 'Order tax';
+    form.elements.reorderPoint.placeholder = inherited.reorderPoint !== null ? `${inherited.reorderPoint} (inherited)` : '';
+    form.elements.reorderQty.placeholder = inherited.reorderQty !== null ? `${inherited.reorderQty} (inherited)` : '';
+    form.querySelector('.category-inherited').textContent = inherited.attributes.length > 0
+      ? `Inherited attributes: ${inherited.attributes.map(a => a.label).join(', ')}`
+      : '';
+  };
+
+  const readAttributes = () => Array.from(attrBody.querySelectorAll('.category-attribute'))
+    .map(row => ({
+      key: row.dataset.key || undefined,
+      label: row.querySelector('.attr-label').value,
+      type: row.querySelector('.attr-type').value,
+      options: row.querySelector('.attr-options').value,
+      required: row.querySelector('.attr-required').checked
+    }))
+    .filter(attr => attr.label.trim());
+
+  form.elements.parentId.addEventListener('change', renderInherited);
+  form.querySelector('[data-action="cancel"]').addEventListener('click', () => window.hideDialog(dlg));
+  form.querySelector('[data-action="add-attr"]').addEventListener('click', () => {
+    attrBody.insertAdjacentHTML('beforeend', renderCategoryAttributeRow());
+  });
+  attrBody.addEventListener('click', e => {
+    const btn = e.target.closest('[data-action="remove-attr"]');
+    if (btn) btn.closest('tr').remove();
+  });
+
+  form.addEventListener('submit', e => {
+    e.preventDefault();
+    const data = {
+      name: form.elements.name.value.trim(),
+      parentId: form.elements.parentId.value || null,
+      taxRate: form.elements.taxRate.value,
+      reorderPoint: form.elements.reorderPoint.value,
+      reorderQty: form.elements.reorderQty.value,
+      attributes: readAttributes(),
+      notes: form.elements.notes.value.trim()
+    };
+
+    const result = existing
+      ? window.Categories.updateCategoryCRUD(existing.id, data)
+      : window.Categories.createCategoryCRUD(data);
+
+    if (!result.success) {
+      window.showToast(result.error, 'error');
+      return;
+    }
+
+    window.showToast(result.moved > 0 ? `Category saved, ${result.moved} product(s) updated` : 'Category saved', 'success');
+    if (result.moved > 0) refreshTrackedProducts();
+    window.hideDialog(dlg);
+  });
+
+  renderInherited();
+  showTrackingDialog(dlg);
+}
+
+// ============================================================================
+// PRODUCT DIALOG INTEGRATION
+// ============================================================================
+
+/**
+ * Render an input for one attribute
+ * @param {object} attr - Attribute definition
+ * @param {*} value - Current value
+ * @returns {string} HTML
+ */
+function renderProductAttributeInput(attr, value) {
+  const name = `${esc(attr.label)}${attr.required ? ' *' : ''}`;
+  const current = value === undefined || value === null ? '' : value;
+
+  if (attr.type === 'boolean') {
+    return `<label class="pill"><input type="checkbox" data-attr="${esc(attr.key)}"${current === true || current === 'true' ? ' checked' : ''}> ${name}</label>`;
+  }
+  if (attr.type === 'select') {
+    return `<label class="field">${name}
+      <select data-attr="${esc(attr.key)}">
+        <option value=""></option>
+        ${attr.options.map(o => `<option value="${esc(o)}"${o === String(current) ? ' selected' : ''}>${esc(o)}</option>`).join('')}
+      </select>
+    </label>`;
+  }
+  return `<label class="field">${name}<input${attr.type === 'number' ? ' type="number" step="any"' : ''} data-attr="${esc(attr.key)}" value="${esc(String(current))}"></label>`;
+}
+
+/**
+ * Show inputs for the attributes of the category in the product dialog
+ * @param {object} values - Attribute values (key -> value)
+ */
+function renderProductAttributeFields(values = {}) {
+  const box = document.getElementById('productAttributes');
+  const categoryInput = document.getElementById('category');
+  if (!box || !categoryInput || !window.Categories) return;
+
+  const attributes = window.Categories.getProductCategorySettings({ category: categoryInput.value }).attributes;
+  box.innerHTML = attributes.length > 0
+    ? `<div class="row">${attributes.map(attr => renderProductAttributeInput(attr, values[attr.key])).join('')}</div>`
+    : '';
+}
+
+/**
+ * Read the attribute values entered in the product dialog
+ * @returns {object} Attribute values (key -> value)
+ */
+function readProductAttributeFields() {
+  const values = {};
+  document.querySelectorAll('#productAttributes [data-attr]').forEach(el => {
+    if (el.type === 'checkbox') {
+      values[el.dataset.attr] = el.checked;
+    } else if (el.value !== '') {
+      values[el.dataset.attr] = el.type === 'number' ? Number(el.value) : el.value;
+    }
+  });
+  return values;
+}
+
+/**
+ * Fill the category suggestions of the product dialog
+ */
+function refreshCategoryPathList() {
+  const list = document.getElementById('categoryPathList');
+  if (!list || !window.Categories) return;
+  list.innerHTML = window.Categories.getCategoryPathList()
+    .map(path => `<option value="${esc(path)}"></option>`)
+    .join('');
+}
+
+/**
+ * Wire up the Categories button and the product dialog's category field,
+ * and load category records once app data is available
+ */
+function bindCategoryUI() {
+  const btn = document.getElementById('btnCategories');
+  if (btn) {
+    btn.addEventListener('click', () => openCategoriesDialog());
+  }
+
+  // Keep what was typed when the category (and so the attribute list) changes
+  const categoryInput = document.getElementById('category');
+  if (categoryInput) {
+    categoryInput.addEventListener('change', () => renderProductAttributeFields(readProductAttributeFields()));
+  }
+
+  if (window.EventBus) {
+    window.EventBus.on('category:*', refreshCategoryPathList);
+  }
+
+  if (typeof window.whenAppReady === 'function') {
+    window.whenAppReady().then(initCategoryRecords);
+  }
+}
+
+/**
+ * Load category records, adding any that products already use
+ */
+function initCategoryRecords() {
+  if (!window.Categories) return;
+  window.Categories.loadCategoriesFromStorage();
+  refreshCategoryPathList();
+}
+
+// Auto-initialize when DOM is ready
+if (typeof window !== 'undefined') {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', bindCategoryUI);
+  } else {
+    bindCategoryUI();
+  }
+
+  window.CategoryUI = {
+    openCategoriesDialog,
+    openCategoryEditDialog,
+    renderProductAttributeFields,
+    readProductAttributeFields,
+    refreshCategoryPathList
+  };
+}
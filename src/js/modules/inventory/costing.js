@@ -0,0 +1,420 @@
+/* ============================================
+   INVENTORY COSTING MODEL
+   CodeLapras - Cost Layers, Valuation & COGS
+   ============================================ */
+
+// Every receipt adds a cost layer to the product (product.costLayers):
+// the quantity still on hand from that receipt and what each unit cost,
+// including its share of freight, duty and other landed costs. The product
+// also keeps a moving-average unit cost (product.avgCost).
+//
+// Stock is valued with the method chosen in Settings (settings.costingMethod):
+//   'fifo'    - remaining layers at their own cost
+//   'average' - quantity x moving-average cost
+// Stock leaving on an order is costed the same way; the cost of goods sold
+// is stored on the order line when the order is fulfilled.
+//
+// Quantities changed outside receiving (manual edits, imports) are
+// reconciled lazily: missing stock gets a layer at the average cost, and
+// surplus layers are used up oldest first.
+
+/**
+ * Costing methods
+ */
+const COSTING_METHODS = ['fifo', 'average'];
+
+/**
+ * Ways to spread landed costs across the lines of a receipt
+ */
+const LANDED_COST_ALLOCATIONS = ['value', 'quantity'];
+
+// ============ Factory Functions ============
+
+/**
+ * Create a cost layer
+ * @param {object} data - Layer data
+ * @returns {object} Cost layer
+ */
+function createCostLayer(data = {}) {
+  return {
+    id: data.id || (typeof uid === 'function' ? uid() : 'layer-' + Date.now()),
+    qty: typeof data.qty === 'number' ? data.qty : 0,
+    unitCost: typeof data.unitCost === 'number' ? data.unitCost : 0,
+    landedCost: typeof data.landedCost === 'number' ? data.landedCost : 0,
+    receiptId: data.receiptId || null,
+    reference: data.reference || '',
+    receivedAt: data.receivedAt || (typeof nowISO === 'function' ? nowISO() : new Date().toISOString())
+  };
+}
+
+// ============ Helpers ============
+
+/**
+ * Round a money amount to cents
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+function roundCost(amount) {
+  return Math.round((Number(amount) || 0) * 100) / 100;
+}
+
+/**
+ * Round a stock quantity, which can be a fraction of a package
+ * @param {number} qty - Quantity
+ * @returns {number} Rounded quantity
+ */
+function roundQty(qty) {
+  return Math.round((Number(qty) || 0) * 1e6) / 1e6;
+}
+
+/**
+ * Get the costing method chosen in Settings
+ * @returns {string} 'fifo' or 'average'
+ */
+function getCostingMethod() {
+  const settings = window.Storage ? window.Storage.getStoredSettings() : (window.settings || {});
+  return settings && COSTING_METHODS.includes(settings.costingMethod) ? settings.costingMethod : 'fifo';
+}
+
+/**
+ * Get the stock on hand in stock units, loose base units counting as a
+ * fraction of a package (layers are kept in stock units)
+ * @param {object} product - Product object
+ * @returns {number} Quantity
+ */
+function getCostedQty(product) {
+  const qty = typeof product.qty === 'number' ? product.qty : 0;
+  const loose = typeof product.looseUnits === 'number' ? product.looseUnits : 0;
+  if (!loose || typeof getUnitsPerPackage !== 'function') return qty;
+  return roundQty(qty + loose / getUnitsPerPackage(product));
+}
+
+/**
+ * Get a layer's full unit cost (purchase + landed)
+ * @param {object} layer - Cost layer
+ * @returns {number} Unit cost
+ */
+function getLayerUnitCost(layer) {
+  return (Number(layer.unitCost) || 0) + (Number(layer.landedCost) || 0);
+}
+
+/**
+ * Get a product's moving-average unit cost
+ * @param {object} product - Product object
+ * @returns {number} Unit cost (falls back to product.cost)
+ */
+function getAverageCost(product) {
+  if (!product) return 0;
+  if (typeof product.avgCost === 'number') return product.avgCost;
+  return typeof product.cost === 'number' ? product.cost : 0;
+}
+
+/**
+ * Get a product's cost layers matched to its current stock (packages plus
+ * loose units), oldest first. Does not change the product.
+ * @param {object} product - Product object
+ * @returns {Array} Cost layers
+ */
+function getCostLayers(product) {
+  if (!product) return [];
+
+  const qty = getCostedQty(product);
+  const layers = (product.costLayers || [])
+    .filter(l => l.qty > 0)
+    .map(l => ({ ...l }))
+    .sort((a, b) => String(a.receivedAt).localeCompare(String(b.receivedAt)));
+
+  let layered = roundQty(layers.reduce((sum, l) => sum + l.qty, 0));
+
+  // Surplus layers: stock left without being costed, oldest goes first
+  while (layered > qty && layers.length > 0) {
+    const excess = roundQty(layered - qty);
+    const taken = Math.min(layers[0].qty, excess);
+    layers[0].qty = roundQty(layers[0].qty - taken);
+    layered = roundQty(layered - taken);
+    if (layers[0].qty <= 0) layers.shift();
+  }
+
+  // Missing layers: stock added without a receipt, at the average cost
+  if (layered < qty) {
+    layers.push(createCostLayer({
+      qty: roundQty(qty - layered),
+      unitCost: getAverageCost(product),
+      reference: 'Adjustment',
+      receivedAt: product.updatedAt || product.createdAt
+    }));
+  }
+
+  return layers;
+}
+
+/**
+ * Bring a product's stored cost layers in line with its quantity
+ * @param {object} product - Product object (changed in place)
+ */
+function reconcileCostLayers(product) {
+  product.costLayers = getCostLayers(product);
+  if (typeof product.avgCost !== 'number') {
+    product.avgCost = getAverageCost(product);
+  }
+}
+
+// ============ Valuation ============
+
+/**
+ * Value a product's stock
+ * @param {object} product - Product object
+ * @param {string} method - 'fifo' or 'average' (default from Settings)
+ * @returns {number} Stock value
+ */
+function getInventoryValue(product, method = getCostingMethod()) {
+  if (!product) return 0;
+
+  if (method === 'average') {
+    return roundCost(getCostedQty(product) * getAverageCost(product));
+  }
+
+  return roundCost(getCostLayers(product).reduce((sum, l) => sum + l.qty * getLayerUnitCost(l), 0));
+}
+
+/**
+ * Value all stock
+ * @param {Array} products - Products (default: all)
+ * @param {string} method - 'fifo' or 'average' (default from Settings)
+ * @returns {object} { method, total, products: [{ id, name, qty, unitCost, value }] }
+ */
+function getInventoryValuation(products = window.data || [], method = getCostingMethod()) {
+  const rows = products
+    .map(p => ({ product: p, qty: getCostedQty(p) }))
+    .filter(({ qty }) => qty > 0)
+    .map(({ product: p, qty }) => {
+      const value = getInventoryValue(p, method);
+      return { id: p.id, name: p.name, qty, unitCost: roundCost(value / qty), value };
+    });
+
+  return {
+    method,
+    total: roundCost(rows.reduce((sum, r) => sum + r.value, 0)),
+    products: rows
+  };
+}
+
+// ============ Stock Movements ============
+
+/**
+ * Record the cost of stock coming in. Call before the product's qty is
+ * increased.
+ * @param {object} product - Product object (changed in place)
+ * @param {number} qty - Quantity received
+ * @param {number} unitCost - Purchase cost per unit
+ * @param {object} extra - { landedCost (per unit), receiptId, reference, receivedAt }
+ * @returns {object} The new cost layer
+ */
+function addCostLayer(product, qty, unitCost, extra = {}) {
+  reconcileCostLayers(product);
+
+  const layer = createCostLayer({ ...extra, qty, unitCost: Number(unitCost) || 0 });
+  const onHand = getCostedQty(product);
+  const total = onHand + qty;
+
+  product.avgCost = total > 0
+    ? Math.round(((onHand * getAverageCost(product)) + (qty * getLayerUnitCost(layer))) / total * 10000) / 10000
+    : getLayerUnitCost(layer);
+
+  product.costLayers.push(layer);
+  return layer;
+}
+
+/**
+ * Cost stock going out and use up layers oldest first. Call before the
+ * product's qty is reduced.
+ * @param {object} product - Product object (changed in place)
+ * @param {number} qty - Quantity leaving stock
+ * @param {string} method - 'fifo' or 'average' (default from Settings)
+ * @returns {object} { cogs, unitCost, layers: [{ layerId, qty, unitCost }] }
+ */
+function consumeCostLayers(product, qty, method = getCostingMethod()) {
+  reconcileCostLayers(product);
+
+  const used = [];
+  let remaining = qty;
+  let fifoCost = 0;
+
+  for (const layer of product.costLayers) {
+    if (remaining <= 0) break;
+    const taken = Math.min(layer.qty, remaining);
+    if (taken <= 0) continue;
+    layer.qty = roundQty(layer.qty - taken);
+    remaining = roundQty(remaining - taken);
+    fifoCost += taken * getLayerUnitCost(layer);
+    used.push({ layerId: layer.id, qty: taken, unitCost: getLayerUnitCost(layer) });
+  }
+  product.costLayers = product.costLayers.filter(l => l.qty > 0);
+
+  // Anything beyond the layers (overselling) is costed at the average
+  if (remaining > 0) {
+    fifoCost += remaining * getAverageCost(product);
+  }
+
+  const cogs = roundCost(method === 'average' ? qty * getAverageCost(product) : fifoCost);
+  return { cogs, unitCost: qty > 0 ? roundCost(cogs / qty) : 0, layers: used };
+}
+
+/**
+ * Put costed stock back (cancelled sale, returned goods). Call before the
+ * product's qty is increased.
+ * @param {object} product - Product object (changed in place)
+ * @param {object} consumption - Result of consumeCostLayers
+ */
+function restoreCostLayers(product, consumption) {
+  if (!consumption || !Array.isArray(consumption.layers)) return;
+
+  consumption.layers.forEach(({ qty, unitCost }) => {
+    addCostLayer(product, qty, unitCost, { reference: 'Returned' });
+  });
+}
+
+// ============ Landed Costs ============
+
+/**
+ * Spread landed costs over the lines of a receipt
+ * @param {Array} lines - [{ qty, unitCost }]
+ * @param {Array} charges - [{ label, amount }] e.g. freight, duty
+ * @param {string} allocateBy - 'value' (default) or 'quantity'
+ * @returns {Array<number>} Landed cost per unit for each line
+ */
+function allocateLandedCosts(lines, charges = [], allocateBy = 'value') {
+  const total = (charges || []).reduce((sum, c) => sum + (Number(c.amount) || 0), 0);
+  if (total <= 0 || lines.length === 0) return lines.map(() => 0);
+
+  const weights = lines.map(line => {
+    const qty = Number(line.qty) || 0;
+    return allocateBy === 'quantity' ? qty : qty * (Number(line.unitCost) || 0);
+  });
+  let base = weights.reduce((sum, w) => sum + w, 0);
+
+  // Nothing to weigh by value (free goods): fall back to quantity
+  if (base <= 0) {
+    lines.forEach((line, i) => { weights[i] = Number(line.qty) || 0; });
+    base = weights.reduce((sum, w) => sum + w, 0);
+  }
+  if (base <= 0) return lines.map(() => 0);
+
+  return lines.map((line, i) => {
+    const qty = Number(line.qty) || 0;
+    return qty > 0 ? Math.round((total * weights[i] / base) / qty * 10000) / 10000 : 0;
+  });
+}
+
+// ============ CRUD Operations ============
+
+/**
+ * Receive several products at once, spreading freight, duty and other
+ * landed costs over the lines
+ * @param {object} data - Receipt
+ * @param {Array} data.lines - [{ productId, qty, unitCost, serials, lot, expiresAt }]
+ * @param {Array} data.charges - [{ label, amount }]
+ * @param {string} data.allocateBy - 'value' or 'quantity'
+ * @param {string} data.locationId - Receiving location
+ * @param {string} data.reference - Supplier invoice, packing slip...
+ * @param {string} data.receivedAt - ISO date
+ * @returns {object} { success: boolean, receiptId?: string, lines?: array, errors?: array }
+ */
+function receiveGoodsCRUD(data = {}) {
+  try {
+    if (!window.Tracking) {
+      return { success: false, errors: ['Receiving is not available'] };
+    }
+
+    const lines = (data.lines || []).filter(line => line && line.productId);
+    if (lines.length === 0) {
+      return { success: false, errors: ['Add at least one product to receive'] };
+    }
+    if (!LANDED_COST_ALLOCATIONS.includes(data.allocateBy || 'value')) {
+      return { success: false, errors: [`Unknown allocation: ${data.allocateBy}`] };
+    }
+    if ((data.charges || []).some(c => (Number(c.amount) || 0) < 0)) {
+      return { success: false, errors: ['Landed costs cannot be negative'] };
+    }
+
+    // Serial-tracked lines are counted by their serials
+    const quantities = lines.map(line => {
+      const product = (window.data || []).find(p => p.id === line.productId);
+      return product && window.Tracking.getTrackingMode(product) === 'serial'
+        ? (line.serials || []).filter(s => String(s).trim()).length
+        : Number(line.qty) || 0;
+    });
+    const landed = allocateLandedCosts(
+      lines.map((line, i) => ({ qty: quantities[i], unitCost: line.unitCost })),
+      data.charges,
+      data.allocateBy || 'value'
+    );
+
+    const receiptId = typeof uid === 'function' ? uid() : 'rcpt-' + Date.now();
+    const received = [];
+
+    const result = window.Storage.runTransaction(['data'], () => {
+      for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const outcome = window.Tracking.receiveStockCRUD(line.productId, {
+          qty: quantities[i],
+          serials: line.serials,
+          lot: line.lot,
+          expiresAt: line.expiresAt,
+          unitCost: Number(line.unitCost) || 0,
+          landedCost: landed[i],
+          receiptId,
+          reference: data.reference,
+          locationId: data.locationId,
+          receivedAt: data.receivedAt
+        });
+
+        if (!outcome.success) {
+          const product = (window.data || []).find(p => p.id === line.productId);
+          const name = product ? product.name : line.productId;
+          return { success: false, errors: outcome.errors.map(e => `${name}: ${e}`) };
+        }
+
+        received.push({
+          productId: line.productId,
+          qty: outcome.qty,
+          unitCost: Number(line.unitCost) || 0,
+          landedCost: landed[i]
+        });
+      }
+      return { success: true };
+    });
+
+    if (!result.success) {
+      return result;
+    }
+
+    return { success: true, receiptId, lines: received };
+
+  } catch (err) {
+    console.error('Error receiving goods:', err);
+    return { success: false, errors: [err.message] };
+  }
+}
+
+// ============ Exports (for window object) ============
+
+if (typeof window !== 'undefined') {
+  window.Costing = {
+    COSTING_METHODS,
+    LANDED_COST_ALLOCATIONS,
+    createCostLayer,
+    getCostingMethod,
+    getLayerUnitCost,
+    getAverageCost,
+    getCostLayers,
+    reconcileCostLayers,
+    getInventoryValue,
+    getInventoryValuation,
+    addCostLayer,
+    consumeCostLayers,
+    restoreCostLayers,
+    allocateLandedCosts,
+    receiveGoodsCRUD
+  };
+}
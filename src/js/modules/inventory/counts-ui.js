@@ -0,0 +1,419 @@
+/**
+ * counts-ui.js - Stock Count UI
+ *
+ * Dialogs for starting count sessions, entering counted packages and loose
+ * units, reviewing variances and posting them, plus printable count sheets.
+ * Blind sessions hide expected stock and variances until counting is done.
+ */
+
+// ============================================================================
+// TABLE COLUMN DEFINITIONS
+// ============================================================================
+
+/**
+ * Format a value impact
+ * @param {number} value - Value change
+ * @returns {string} HTML
+ */
+function formatCountValue(value) {
+  const amount = Number(value) || 0;
+  if (amount === 0) return '$0.00';
+  const cls = amount > 0 ? 'movement-in' : 'movement-out';
+  return `<span class="${cls}">${amount > 0 ? '+' : '-'}$${Math.abs(amount).toFixed(2)}</span>`;
+}
+
+/**
+ * Format packages plus loose units
+ * @param {number} qty - Packages
+ * @param {number} loose - Loose units
+ * @returns {string}
+ */
+function formatCountQty(qty, loose) {
+  return loose ? `${qty} + ${loose}` : String(qty);
+}
+
+/**
+ * Get count session list column definitions
+ * @returns {Array<object>} Column definitions
+ */
+function getCountSessionColumns() {
+  return [
+    { key: 'name', label: 'Count', formatter: (v, row) => `<a href="#" data-open="${esc(row.id)}">${esc(v)}</a>${row.blind ? ' <span class="muted">(blind)</span>' : ''}` },
+    { key: 'locationId', label: 'Location', formatter: v => v ? trackingLocationName(v) : 'All stock' },
+    { key: 'status', label: 'Status', formatter: v => esc(v) },
+    { key: 'lines', label: 'Counted', className: 'right', formatter: (v, row) => {
+      const summary = window.Counts.summarizeCountSession(row);
+      return `${summary.counted} / ${summary.lines}`;
+    } },
+    { key: 'id', label: 'Net Variance', className: 'right', formatter: (v, row) =>
+      row.blind && row.status === 'open' ? '<span class="muted">hidden</span>' : formatCountValue(window.Counts.summarizeCountSession(row).netValue) },
+    { key: 'createdAt', label: 'Started', formatter: v => esc(new Date(v).toLocaleDateString()) }
+  ];
+}
+
+/**
+ * Get count line column definitions
+ * @param {boolean} showExpected - Show expected stock and variances
+ * @param {boolean} editable - Render count inputs
+ * @returns {Array<object>} Column definitions
+ */
+function getCountLineColumns(showExpected, editable) {
+  const columns = [
+    { key: 'sku', label: 'SKU', formatter: v => esc(v || '-') },
+    { key: 'productName', label: 'Product', formatter: v => esc(v) },
+    { key: 'unitsPerPackage', label: 'Units / Pkg', className: 'right' }
+  ];
+
+  if (showExpected) {
+    columns.push({ key: 'expectedQty', label: 'Expected', className: 'right', formatter: (v, row) => formatCountQty(v, row.expectedLoose) });
+  }
+
+  columns.push(
+    { key: 'countedQty', label: 'Counted Pkgs', formatter: (v, row) => editable
+      ? `<input type="number" class="count-qty" data-product="${esc(row.productId)}" min="0" step="1" value="${v === null ? '' : v}">`
+      : (v === null ? '-' : v) },
+    { key: 'countedLoose', label: 'Loose Units', formatter: (v, row) => editable
+      ? `<input type="number" class="count-loose" data-product="${esc(row.productId)}" min="0" step="1" value="${v || ''}"${(row.unitsPerPackage || 1) > 1 ? '' : ' disabled'}>`
+      : (v || '-') }
+  );
+
+  if (showExpected) {
+    columns.push(
+      { key: 'productId', label: 'Variance', className: 'right count-variance', formatter: (v, row) => {
+        const variance = window.Counts.calculateLineVariance(row);
+        if (!variance) return '-';
+        return variance.varianceUnits > 0 ? `+${variance.varianceUnits}` : String(variance.varianceUnits);
+      } },
+      { key: 'unitCost', label: 'Value', className: 'right count-value', formatter: (v, row) => {
+        const variance = window.Counts.calculateLineVariance(row);
+        return variance ? formatCountValue(variance.valueImpact) : '-';
+      } }
+    );
+  }
+
+  columns.push({ key: 'countedBy', label: 'Counted By', formatter: v => esc(v || '') });
+  return columns;
+}
+
+// ============================================================================
+// SESSION LIST
+// ============================================================================
+
+/**
+ * Show all count sessions
+ */
+function openCountSessionsDialog() {
+  if (!window.createDialog || !window.Counts) return;
+
+  const dlg = window.createDialog({
+    id: 'dlgCountSessions_' + Date.now(),
+    title: 'Stock Counts',
+    className: 'dialog-tracking',
+    content: `
+      <div class="tracking-table-wrap">
+        <table class="small-table">
+          <thead></thead>
+          <tbody></tbody>
+        </table>
+      </div>
+    `,
+    buttons: [
+      { text: 'New Count', class: 'btn small primary', onclick: () => openNewCountDialog() },
+      { text: 'Close', class: 'btn small', onclick: () => window.hideDialog(dlg) }
+    ]
+  });
+
+  const columns = getCountSessionColumns();
+  window.TableRenderer.renderTableHeader(dlg.querySelector('thead'), columns);
+
+  const renderSessions = () => {
+    window.TableRenderer.renderTable(dlg.querySelector('tbody'), window.Counts.getCountSessions(), columns, {
+      emptyMessage: 'No counts yet. Start one with New Count.'
+    });
+  };
+
+  dlg.querySelector('tbody').addEventListener('click', e => {
+    const link = e.target.closest('[data-open]');
+    if (!link) return;
+    e.preventDefault();
+    openCountSessionDialog(link.dataset.open);
+  });
+
+  if (window.EventBus) {
+    const unsubscribe = window.EventBus.on('countSession:*', renderSessions);
+    dlg.addEventListener('close', unsubscribe);
+  }
+
+  renderSessions();
+  showTrackingDialog(dlg);
+}
+
+// ============================================================================
+// NEW COUNT DIALOG
+// ============================================================================
+
+/**
+ * Start a new count session
+ */
+function openNewCountDialog() {
+  if (!window.createDialog || !window.Counts) return;
+
+  const today = new Date().toISOString().split('T')[0];
+  // Counting a category includes its subcategories
+  const categories = window.Categories ? window.Categories.getCategoryPathList() : [];
+
+  const dlg = window.createDialog({
+    id: 'dlgNewCount_' + Date.now(),
+    title: 'New Stock Count',
+    content: `
+      <form class="count-form">
+        <label class="field">Name <input name="name" value="Count ${today}" required></label>
+        <label class="field">Location
+          <select name="locationId">${trackingLocationOptions(null).replace('-- No location --', 'All stock (no location)')}</select>
+        </label>
+        <label class="field">Category
+          <select name="category">
+            <option value="">All categories</option>
+            ${categories.map(c => `<option value="${esc(c)}">${esc(c)}</option>`).join('')}
+          </select>
+        </label>
+        <label class="field inline"><input type="checkbox" name="includeZero"> Include products with no stock at this location</label>
+        <label class="field inline"><input type="checkbox" name="blind"> Blind count (hide expected quantities while counting)</label>
+        <div class="btn-group">
+          <button type="button" class="btn" data-action="cancel">Cancel</button>
+          <button type="submit" class="btn primary">Start Count</button>
+        </div>
+      </form>
+    `
+  });
+
+  const form = dlg.querySelector('form');
+  form.querySelector('[data-action="cancel"]').addEventListener('click', () => window.hideDialog(dlg));
+
+  form.addEventListener('submit', e => {
+    e.preventDefault();
+    const result = window.Counts.createCountSessionCRUD({
+      name: form.elements.name.value.trim(),
+      locationId: form.elements.locationId.value || null,
+      category: form.elements.category.value,
+      includeZero: form.elements.includeZero.checked,
+      blind: form.elements.blind.checked
+    });
+
+    if (!result.success) {
+      window.showToast(result.errors.join(', '), 'error');
+      return;
+    }
+
+    window.showToast(`Count started with ${result.session.lines.length} product(s)`, 'success');
+    window.hideDialog(dlg);
+    openCountSessionDialog(result.session.id);
+  });
+
+  showTrackingDialog(dlg);
+}
+
+// ============================================================================
+// COUNT SESSION DIALOG
+// ============================================================================
+
+/**
+ * Enter counts for a session, review variances and post them
+ * @param {string} sessionId - Session ID
+ */
+function openCountSessionDialog(sessionId) {
+  if (!window.createDialog || !window.Counts) return;
+
+  const session = window.Counts.getCountSession(sessionId);
+  if (!session) return;
+
+  const editable = session.status === 'open';
+  let revealed = !session.blind || !editable;
+
+  const dlg = window.createDialog({
+    id: 'dlgCount_' + Date.now(),
+    title: session.name,
+    className: 'dialog-tracking',
+    content: `
+      <div class="row">
+        <label class="field">Show
+          <select name="filter">
+            <option value="">All lines</option>
+            <option value="uncounted">Not counted yet</option>
+            <option value="variance">Variances only</option>
+          </select>
+        </label>
+      </div>
+      <div class="muted count-summary"></div>
+      <div class="tracking-table-wrap">
+        <table class="small-table">
+          <thead></thead>
+          <tbody></tbody>
+        </table>
+      </div>
+    `,
+    buttons: [
+      { text: 'Print Sheet', class: 'btn small', onclick: () => window.openCountSheetPrintWindow(session, { blind: !revealed }) },
+      ...(editable && session.blind ? [{ text: 'Review Variances', class: 'btn small', onclick: () => revealVariances() }] : []),
+      ...(editable ? [
+        { text: 'Cancel Count', class: 'btn small danger', onclick: () => cancelCount() },
+        { text: 'Post Count', class: 'btn small primary', onclick: () => postCount() }
+      ] : []),
+      { text: 'Close', class: 'btn small', onclick: () => window.hideDialog(dlg) }
+    ]
+  });
+
+  const filterSelect = dlg.querySelector('[name="filter"]');
+  const tbody = dlg.querySelector('tbody');
+
+  const renderSummary = () => {
+    const summary = window.Counts.summarizeCountSession(session);
+    const parts = [`${session.status}`, `${summary.counted} of ${summary.lines} counted`];
+    if (revealed) {
+      parts.push(`${summary.withVariance} with variance`, `gain $${summary.gainValue.toFixed(2)}`,
+        `loss $${summary.lossValue.toFixed(2)}`, `net ${summary.netValue >= 0 ? '' : '-'}$${Math.abs(summary.netValue).toFixed(2)}`);
+    }
+    if (session.postedAt) {
+      parts.push(`posted ${new Date(session.postedAt).toLocaleString()} by ${session.postedBy}`);
+    }
+    dlg.querySelector('.count-summary').textContent = parts.join(' · ');
+  };
+
+  const renderLines = () => {
+    const columns = getCountLineColumns(revealed, editable);
+    const filter = filterSelect.value;
+    const lines = session.lines.filter(line => {
+      if (filter === 'uncounted') return !window.Counts.isLineCounted(line);
+      if (filter === 'variance') {
+        const variance = window.Counts.calculateLineVariance(line);
+        return variance && variance.varianceUnits !== 0;
+      }
+      return true;
+    });
+
+    window.TableRenderer.renderTableHeader(dlg.querySelector('thead'), columns);
+    window.TableRenderer.renderTable(tbody, lines, columns, {
+      emptyMessage: 'No lines to show.'
+    });
+    renderSummary();
+  };
+
+  // Save a count as it is entered; only the edited row is redrawn so
+  // focus can move on to the next input
+  const saveLine = input => {
+    const row = input.closest('tr');
+    const productId = input.dataset.product;
+    const qtyInput = row.querySelector('.count-qty');
+    const looseInput = row.querySelector('.count-loose');
+
+    const result = window.Counts.recordCountCRUD(session.id, productId, {
+      countedQty: qtyInput.value === '' ? null : qtyInput.value,
+      countedLoose: looseInput.value
+    });
+    if (!result.success) {
+      window.showToast(result.errors.join(', '), 'error');
+      return;
+    }
+
+    if (revealed) {
+      const variance = window.Counts.calculateLineVariance(result.line);
+      row.querySelector('.count-variance').textContent = variance
+        ? (variance.varianceUnits > 0 ? `+${variance.varianceUnits}` : String(variance.varianceUnits))
+        : '-';
+      row.querySelector('.count-value').innerHTML = variance ? formatCountValue(variance.valueImpact) : '-';
+    }
+    row.lastElementChild.textContent = result.line.countedBy || '';
+    renderSummary();
+  };
+
+  const revealVariances = () => {
+    const summary = window.Counts.summarizeCountSession(session);
+    if (summary.uncounted > 0 && !confirm(`${summary.uncounted} line(s) are not counted yet. Show expected quantities anyway?`)) {
+      return;
+    }
+    revealed = true;
+    renderLines();
+  };
+
+  const postCount = () => {
+    const summary = window.Counts.summarizeCountSession(session);
+    const skipped = summary.uncounted > 0 ? `\n${summary.uncounted} uncounted line(s) will be left unchanged.` : '';
+    if (!confirm(`Post ${summary.withVariance} variance(s) to stock?${skipped}`)) return;
+
+    const result = window.Counts.postCountSessionCRUD(session.id);
+    if (!result.success) {
+      window.showToast(result.errors.join(', '), 'error');
+      return;
+    }
+
+    window.showToast(`Count posted: ${result.adjusted} product(s) adjusted`, 'success');
+    window.hideDialog(dlg);
+    if (typeof render === 'function') render();
+  };
+
+  const cancelCount = () => {
+    if (!confirm('Cancel this count? Stock will not be changed.')) return;
+    const result = window.Counts.cancelCountSessionCRUD(session.id);
+    if (!result.success) {
+      window.showToast(result.errors.join(', '), 'error');
+      return;
+    }
+    window.hideDialog(dlg);
+  };
+
+  // Each scan counts one more package of the product
+  const scanLine = (code, product) => {
+    const line = product && session.lines.find(l => l.productId === product.id);
+    if (!line) {
+      window.showToast(product ? `${product.name} is not part of this count` : `No product found for barcode ${code}`, 'warning');
+      return;
+    }
+
+    const result = window.Counts.recordCountCRUD(session.id, line.productId, {
+      countedQty: (Number(line.countedQty) || 0) + 1,
+      countedLoose: line.countedLoose
+    });
+    if (!result.success) {
+      window.showToast(result.errors.join(', '), 'error');
+      return;
+    }
+    renderLines();
+  };
+
+  tbody.addEventListener('change', e => {
+    if (e.target.matches('.count-qty, .count-loose')) saveLine(e.target);
+  });
+  filterSelect.addEventListener('change', renderLines);
+
+  if (editable && window.BarcodeScanner) {
+    dlg.addEventListener('close', window.BarcodeScanner.registerScanTarget(dlg, scanLine));
+  }
+
+  renderLines();
+  showTrackingDialog(dlg);
+}
+
+/**
+ * Wire up the Stock Counts button in the toolbar
+ */
+function bindCountButtons() {
+  const btn = document.getElementById('btnCounts');
+  if (btn) {
+    btn.addEventListener('click', () => openCountSessionsDialog());
+  }
+}
+
+// Auto-initialize when DOM is ready
+if (typeof window !== 'undefined') {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', bindCountButtons);
+  } else {
+    bindCountButtons();
+  }
+
+  window.CountsUI = {
+    openCountSessionsDialog,
+    openNewCountDialog,
+    openCountSessionDialog
+  };
+}
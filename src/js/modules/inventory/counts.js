@@ -0,0 +1,476 @@
+/* ============================================
+   STOCK COUNTS MODULE
+   CodeLapras - Cycle Counting & Physical Inventory
+   ============================================ */
+
+// A count session freezes the expected stock of each product (at one
+// location, or overall) when it is started. Staff enter what they find,
+// and posting the session applies each variance (counted - expected) to
+// the current stock, so movements made while counting are kept.
+// Lot/serial tracked products are counted through their units and are
+// left out of count sessions.
+
+/**
+ * Session statuses
+ */
+const COUNT_SESSION_STATUSES = ['open', 'posted', 'cancelled'];
+
+/**
+ * Get reference to global count sessions array
+ * @returns {Array} Count sessions array
+ */
+function getCountSessionsArray() {
+  if (!window.countSessions) {
+    window.countSessions = typeof loadCountSessions === 'function' ? loadCountSessions() : [];
+  }
+  return window.countSessions;
+}
+
+// ============ Factory ============
+
+/**
+ * Create a count session object with default values
+ * @param {object} data - Initial session data
+ * @returns {object} Count session
+ */
+function createCountSession(data = {}) {
+  const now = new Date().toISOString();
+  return {
+    id: data.id || (typeof uid === 'function' ? uid() : 'count-' + Date.now()),
+    name: data.name || `Count ${now.split('T')[0]}`,
+    locationId: data.locationId || null,
+    category: data.category || '',
+    blind: !!data.blind,
+    status: data.status || 'open',
+    lines: Array.isArray(data.lines) ? data.lines : [],
+    notes: data.notes || '',
+    createdBy: data.createdBy || getCountUser(),
+    createdAt: data.createdAt || now,
+    postedBy: data.postedBy || null,
+    postedAt: data.postedAt || null,
+    updatedAt: now
+  };
+}
+
+/**
+ * Create a count line, freezing the product's expected stock
+ * @param {object} product - Product to count
+ * @param {string|null} locationId - Location being counted
+ * @returns {object} Count line
+ */
+function createCountLine(product, locationId = null) {
+  const expected = getExpectedStock(product, locationId);
+  return {
+    productId: product.id,
+    productName: product.name || '',
+    sku: product.sku || '',
+    category: product.category || '',
+    unitsPerPackage: product.unitsPerPackage || 1,
+    unitCost: window.Costing ? window.Costing.getAverageCost(product) : (Number(product.cost) || 0),
+    expectedQty: expected.qty,
+    expectedLoose: expected.looseUnits,
+    countedQty: null,
+    countedLoose: null,
+    countedBy: null,
+    countedAt: null
+  };
+}
+
+// ============ Helpers ============
+
+/**
+ * Name of the person counting (Settings > Your Name)
+ * @returns {string}
+ */
+function getCountUser() {
+  return window.AuditLog ? window.AuditLog.getActingUser() : 'Unknown user';
+}
+
+/**
+ * Get a product's stock at a location, or its total stock
+ * @param {object} product - Product object
+ * @param {string|null} locationId - Location ID (null = all stock)
+ * @returns {object} { qty, looseUnits }
+ */
+function getExpectedStock(product, locationId = null) {
+  if (!locationId) {
+    return { qty: product.qty || 0, looseUnits: product.looseUnits || 0 };
+  }
+  const stock = product.stockByLocation && product.stockByLocation[locationId];
+  return { qty: stock ? stock.qty || 0 : 0, looseUnits: stock ? stock.looseUnits || 0 : 0 };
+}
+
+/**
+ * Convert packages plus loose units to units
+ * @param {number} qty - Packages
+ * @param {number} looseUnits - Loose units
+ * @param {number} unitsPerPackage - Units per package
+ * @returns {number} Units
+ */
+function toCountUnits(qty, looseUnits, unitsPerPackage = 1) {
+  return (Number(qty) || 0) * (unitsPerPackage || 1) + (Number(looseUnits) || 0);
+}
+
+/**
+ * Pick the products a session counts
+ * @param {Array} products - All products
+ * @param {object} options - { locationId, category (with its subcategories), includeZero }
+ *   includeZero also lists products with no stock record at the location
+ * @returns {Array} Products to count, sorted by name
+ */
+function selectCountProducts(products, options = {}) {
+  return (products || [])
+    .filter(p => typeof isVariantParent !== 'function' || !isVariantParent(p))
+    .filter(p => !window.Tracking || !window.Tracking.isTracked(p))
+    .filter(p => !options.category || (window.Categories
+      ? window.Categories.isInCategoryPath(p.category, options.category)
+      : (p.category || '') === options.category))
+    .filter(p => {
+      if (!options.locationId || options.includeZero) return true;
+      return !!(p.stockByLocation && p.stockByLocation[options.locationId]) || p.defaultLocationId === options.locationId;
+    })
+    .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+}
+
+/**
+ * Check whether a line has been counted
+ * @param {object} line - Count line
+ * @returns {boolean}
+ */
+function isLineCounted(line) {
+  return line.countedQty !== null && line.countedQty !== undefined;
+}
+
+// ============ Variances ============
+
+/**
+ * Work out a counted line's variance and its value
+ * @param {object} line - Count line
+ * @returns {object|null} { expectedUnits, countedUnits, varianceUnits, valueImpact },
+ *   or null when the line has not been counted
+ */
+function calculateLineVariance(line) {
+  if (!isLineCounted(line)) return null;
+
+  const perPackage = line.unitsPerPackage || 1;
+  const expectedUnits = toCountUnits(line.expectedQty, line.expectedLoose, perPackage);
+  const countedUnits = toCountUnits(line.countedQty, line.countedLoose, perPackage);
+  const varianceUnits = countedUnits - expectedUnits;
+
+  return {
+    expectedUnits,
+    countedUnits,
+    varianceUnits,
+    valueImpact: Math.round((varianceUnits / perPackage) * (line.unitCost || 0) * 100) / 100
+  };
+}
+
+/**
+ * Summarize a session's progress and variances
+ * @param {object} session - Count session
+ * @returns {object} { lines, counted, uncounted, withVariance, gainValue, lossValue, netValue }
+ */
+function summarizeCountSession(session) {
+  const summary = { lines: 0, counted: 0, uncounted: 0, withVariance: 0, gainValue: 0, lossValue: 0, netValue: 0 };
+
+  (session.lines || []).forEach(line => {
+    summary.lines++;
+    const variance = calculateLineVariance(line);
+    if (!variance) {
+      summary.uncounted++;
+      return;
+    }
+    summary.counted++;
+    if (variance.varianceUnits !== 0) summary.withVariance++;
+    if (variance.valueImpact > 0) summary.gainValue += variance.valueImpact;
+    if (variance.valueImpact < 0) summary.lossValue -= variance.valueImpact;
+  });
+
+  summary.gainValue = Math.round(summary.gainValue * 100) / 100;
+  summary.lossValue = Math.round(summary.lossValue * 100) / 100;
+  summary.netValue = Math.round((summary.gainValue - summary.lossValue) * 100) / 100;
+  return summary;
+}
+
+/**
+ * Apply a variance in units to a stock record, keeping loose units below a package
+ * @param {object} stock - { qty, looseUnits } (changed in place)
+ * @param {number} varianceUnits - Units to add (negative to remove)
+ * @param {number} unitsPerPackage - Units per package
+ */
+function applyCountVariance(stock, varianceUnits, unitsPerPackage = 1) {
+  const perPackage = unitsPerPackage || 1;
+  const units = Math.max(0, toCountUnits(stock.qty, stock.looseUnits, perPackage) + varianceUnits);
+  stock.qty = Math.floor(units / perPackage);
+  stock.looseUnits = units % perPackage;
+}
+
+// ============ CRUD Operations ============
+
+/**
+ * Get a count session
+ * @param {string} id - Session ID
+ * @returns {object|null}
+ */
+function getCountSession(id) {
+  return getCountSessionsArray().find(s => s.id === id) || null;
+}
+
+/**
+ * Start a count session, freezing expected quantities
+ * @param {object} data - { name, locationId, category, blind, includeZero, notes }
+ * @returns {object} { success: boolean, session?: object, errors?: array }
+ */
+function createCountSessionCRUD(data = {}) {
+  try {
+    if (data.locationId && !(window.locations || []).some(l => l.id === data.locationId)) {
+      return { success: false, errors: ['Location not found'] };
+    }
+
+    const products = selectCountProducts(window.data, data);
+    if (products.length === 0) {
+      return { success: false, errors: ['No products to count for this location and category'] };
+    }
+
+    const session = createCountSession(data);
+    session.lines = products.map(p => createCountLine(p, session.locationId));
+
+    getCountSessionsArray().unshift(session);
+    if (typeof saveCountSessions === 'function') saveCountSessions(window.countSessions);
+
+    if (typeof EventBus !== 'undefined') {
+      EventBus.emit('countSession:created', { id: session.id, countSession: session });
+    }
+
+    return { success: true, session };
+
+  } catch (err) {
+    console.error('Error creating count session:', err);
+    return { success: false, errors: [err.message] };
+  }
+}
+
+/**
+ * Enter the counted quantity for a line
+ * @param {string} sessionId - Session ID
+ * @param {string} productId - Product ID
+ * @param {object} count - { countedQty, countedLoose } (countedQty null clears the count)
+ * @returns {object} { success: boolean, line?: object, errors?: array }
+ */
+function recordCountCRUD(sessionId, productId, count = {}) {
+  try {
+    const session = getCountSession(sessionId);
+    if (!session) {
+      return { success: false, errors: ['Count session not found'] };
+    }
+    if (session.status !== 'open') {
+      return { success: false, errors: [`Count session is ${session.status}`] };
+    }
+
+    const line = session.lines.find(l => l.productId === productId);
+    if (!line) {
+      return { success: false, errors: ['Product is not part of this count'] };
+    }
+
+    const cleared = count.countedQty === null || count.countedQty === undefined || count.countedQty === '';
+    const countedQty = cleared ? null : Number(count.countedQty);
+    const countedLoose = cleared ? null : Number(count.countedLoose) || 0;
+
+    if (!cleared && (!Number.isFinite(countedQty) || countedQty < 0 || countedLoose < 0)) {
+      return { success: false, errors: ['Counted quantity cannot be negative'] };
+    }
+
+    line.countedQty = countedQty;
+    line.countedLoose = countedLoose;
+    line.countedBy = cleared ? null : getCountUser();
+    line.countedAt = cleared ? null : new Date().toISOString();
+    session.updatedAt = new Date().toISOString();
+
+    if (typeof saveCountSessions === 'function') saveCountSessions(window.countSessions);
+
+    return { success: true, line };
+
+  } catch (err) {
+    console.error('Error recording count:', err);
+    return { success: false, errors: [err.message] };
+  }
+}
+
+/**
+ * Post a session: apply every counted variance to stock and record it in
+ * the stock ledger. Uncounted lines are left alone.
+ * @param {string} id - Session ID
+ * @returns {object} { success: boolean, session?: object, adjusted?: number, errors?: array }
+ */
+function postCountSessionCRUD(id) {
+  try {
+    const session = getCountSession(id);
+    if (!session) {
+      return { success: false, errors: ['Count session not found'] };
+    }
+    if (session.status !== 'open') {
+      return { success: false, errors: [`Count session is already ${session.status}`] };
+    }
+
+    const counted = session.lines.filter(isLineCounted);
+    if (counted.length === 0) {
+      return { success: false, errors: ['Enter at least one count before posting'] };
+    }
+
+    const adjusted = [];
+    const result = window.Storage.runTransaction(['data', 'countSessions'], () => {
+      const now = new Date().toISOString();
+
+      for (const line of counted) {
+        const variance = calculateLineVariance(line);
+        if (variance.varianceUnits === 0) continue;
+
+        const product = (window.data || []).find(p => p.id === line.productId);
+        if (!product) {
+          return { success: false, errors: [`${line.productName}: product no longer exists`] };
+        }
+
+        const previousStock = { qty: product.qty, looseUnits: product.looseUnits };
+        const perPackage = product.unitsPerPackage || 1;
+
+        if (session.locationId) {
+          if (!product.stockByLocation) product.stockByLocation = {};
+          const stock = product.stockByLocation[session.locationId]
+            || (product.stockByLocation[session.locationId] = { qty: 0, looseUnits: 0 });
+          applyCountVariance(stock, variance.varianceUnits, perPackage);
+          if (window.Bins) window.Bins.reconcileBinStock(product, session.locationId);
+        }
+        const total = { qty: product.qty || 0, looseUnits: product.looseUnits || 0 };
+        applyCountVariance(total, variance.varianceUnits, perPackage);
+        product.qty = total.qty;
+        product.looseUnits = total.looseUnits;
+        product.updatedAt = now;
+
+        if (window.StockLedger) {
+          window.StockLedger.recordStockMovement(product, previousStock, {
+            reason: 'count',
+            reference: session.name,
+            locationId: session.locationId,
+            note: `Counted ${variance.countedUnits}, expected ${variance.expectedUnits} (units)`
+          });
+        }
+        adjusted.push(product);
+      }
+
+      session.status = 'posted';
+      session.postedBy = getCountUser();
+      session.postedAt = now;
+      session.updatedAt = now;
+
+      if (typeof saveProductsToStorage === 'function') saveProductsToStorage();
+      if (typeof saveCountSessions === 'function') saveCountSessions(window.countSessions);
+      return { success: true };
+    });
+
+    if (!result.success) {
+      return result;
+    }
+
+    if (typeof EventBus !== 'undefined') {
+      adjusted.forEach(product => {
+        EventBus.emit('product:updated', {
+          id: product.id,
+          updates: { qty: product.qty, looseUnits: product.looseUnits },
+          product
+        });
+      });
+      EventBus.emit('countSession:posted', { id: session.id, countSession: session });
+    }
+
+    return { success: true, session, adjusted: adjusted.length };
+
+  } catch (err) {
+    console.error('Error posting count session:', err);
+    return { success: false, errors: [err.message] };
+  }
+}
+
+/**
+ * Cancel an open session without changing stock
+ * @param {string} id - Session ID
+ * @returns {object} { success: boolean, session?: object, errors?: array }
+ */
+function cancelCountSessionCRUD(id) {
+  try {
+    const session = getCountSession(id);
+    if (!session) {
+      return { success: false, errors: ['Count session not found'] };
+    }
+    if (session.status !== 'open') {
+      return { success: false, errors: [`Count session is already ${session.status}`] };
+    }
+
+    session.status = 'cancelled';
+    session.updatedAt = new Date().toISOString();
+    if (typeof saveCountSessions === 'function') saveCountSessions(window.countSessions);
+
+    if (typeof EventBus !== 'undefined') {
+      EventBus.emit('countSession:cancelled', { id: session.id, countSession: session });
+    }
+
+    return { success: true, session };
+
+  } catch (err) {
+    console.error('Error cancelling count session:', err);
+    return { success: false, errors: [err.message] };
+  }
+}
+
+/**
+ * Delete a session that was never posted
+ * @param {string} id - Session ID
+ * @returns {object} { success: boolean, errors?: array }
+ */
+function deleteCountSessionCRUD(id) {
+  try {
+    const sessions = getCountSessionsArray();
+    const index = sessions.findIndex(s => s.id === id);
+    if (index === -1) {
+      return { success: false, errors: ['Count session not found'] };
+    }
+    if (sessions[index].status === 'posted') {
+      return { success: false, errors: ['Posted count sessions are kept for the record'] };
+    }
+
+    const [deleted] = sessions.splice(index, 1);
+    if (typeof saveCountSessions === 'function') saveCountSessions(window.countSessions);
+
+    if (typeof EventBus !== 'undefined') {
+      EventBus.emit('countSession:deleted', { id, countSession: deleted });
+    }
+
+    return { success: true };
+
+  } catch (err) {
+    console.error('Error deleting count session:', err);
+    return { success: false, errors: [err.message] };
+  }
+}
+
+// ============ Exports (for window object) ============
+
+if (typeof window !== 'undefined') {
+  window.Counts = {
+    COUNT_SESSION_STATUSES,
+    createCountSession,
+    createCountLine,
+    getExpectedStock,
+    toCountUnits,
+    selectCountProducts,
+    isLineCounted,
+    calculateLineVariance,
+    summarizeCountSession,
+    getCountSessions: getCountSessionsArray,
+    getCountSession,
+    createCountSessionCRUD,
+    recordCountCRUD,
+    postCountSessionCRUD,
+    cancelCountSessionCRUD,
+    deleteCountSessionCRUD
+  };
+}
@@ -0,0 +1,194 @@
+/**
+ * forecast-ui.js - Demand Forecast Review
+ *
+ * Dialog that forecasts daily usage from sales history (see
+ * forecasting.js) and suggests reorder points and safety stock, for the
+ * user to review and accept per product.
+ */
+
+// Forecast options used last this session
+let lastForecastOptions = null;
+
+// ============================================================================
+// TABLE COLUMN DEFINITIONS
+// ============================================================================
+
+/**
+ * Format a forecast quantity
+ * @param {number} value - Quantity
+ * @returns {string}
+ */
+function formatForecastQty(value) {
+  return (Math.round((Number(value) || 0) * 100) / 100).toString();
+}
+
+/**
+ * Get forecast suggestion column definitions
+ * @returns {Array<object>} Column definitions
+ */
+function getForecastColumns() {
+  const change = (current, suggested) => (current === suggested
+    ? formatForecastQty(suggested)
+    : `<span class="muted">${formatForecastQty(current)} →</span> <strong>${formatForecastQty(suggested)}</strong>`);
+
+  return [
+    { key: 'productId', label: '<input type="checkbox" class="forecast-all" title="Select all">', formatter: (v, row) =>
+      `<input type="checkbox" class="forecast-pick" value="${esc(v)}"${row.change !== 0 || row.safetyStock !== row.currentSafetyStock ? ' checked' : ''}>` },
+    { key: 'name', label: 'Product', formatter: (v, row) => `${esc(v)}<br><span class="muted">${esc(row.sku || '')}</span>` },
+    { key: 'totalDemand', label: 'Sold', className: 'right', formatter: (v, row) => `${formatForecastQty(v)} <span class="muted">in ${row.observations}d</span>` },
+    { key: 'dailyUsage', label: 'Usage / Day', className: 'right', formatter: formatForecastQty },
+    { key: 'leadTimeDays', label: 'Lead Time', className: 'right', formatter: v => `${v} day(s)` },
+    { key: 'safetyStock', label: 'Safety Stock', className: 'right', formatter: (v, row) => change(row.currentSafetyStock, v) },
+    { key: 'reorderPoint', label: 'Reorder Point', className: 'right', formatter: (v, row) => change(row.currentReorderPoint, v) }
+  ];
+}
+
+// ============================================================================
+// FORECAST DIALOG
+// ============================================================================
+
+/**
+ * Read forecast options from the dialog form
+ * @param {HTMLFormElement} form - Options form
+ * @returns {object} Forecast options
+ */
+function readForecastOptions(form) {
+  const defaults = window.Forecasting.DEFAULT_FORECAST_OPTIONS;
+  const number = (name, fallback) => {
+    const value = parseFloat(form.elements[name].value);
+    return isNaN(value) || value < 0 ? fallback : value;
+  };
+  return {
+    method: form.elements.method.value,
+    historyDays: Math.max(7, Math.round(number('historyDays', defaults.historyDays))),
+    window: Math.max(1, Math.round(number('window', defaults.window))),
+    alpha: Math.min(1, Math.max(0.01, number('alpha', defaults.alpha))),
+    seasonal: form.elements.seasonal.checked,
+    serviceLevel: Number(form.elements.serviceLevel.value),
+    defaultLeadTimeDays: number('defaultLeadTimeDays', defaults.defaultLeadTimeDays)
+  };
+}
+
+/**
+ * Show reorder point and safety stock suggestions from sales history
+ */
+function openForecastDialog() {
+  if (!window.createDialog || !window.Forecasting) return;
+
+  const opts = { ...window.Forecasting.DEFAULT_FORECAST_OPTIONS, ...(lastForecastOptions || {}) };
+  const methodOptions = Object.entries(window.Forecasting.FORECAST_METHODS)
+    .map(([value, label]) => `<option value="${value}"${value === opts.method ? ' selected' : ''}>${esc(label)}</option>`)
+    .join('');
+  const serviceOptions = [0.9, 0.95, 0.98, 0.99]
+    .map(level => `<option value="${level}"${level === opts.serviceLevel ? ' selected' : ''}>${Math.round(level * 100)}%</option>`)
+    .join('');
+
+  const dlg = window.createDialog({
+    id: 'dlgForecast_' + Date.now(),
+    title: 'Demand Forecast',
+    className: 'dialog-tracking',
+    content: `
+      <form class="forecast-options">
+        <div class="row">
+          <label class="field">Method <select name="method">${methodOptions}</select></label>
+          <label class="field">History (days) <input type="number" name="historyDays" min="7" step="1" value="${opts.historyDays}"></label>
+          <label class="field forecast-window">Window (days) <input type="number" name="window" min="1" step="1" value="${opts.window}"></label>
+          <label class="field forecast-alpha">Smoothing (0-1) <input type="number" name="alpha" min="0.01" max="1" step="0.05" value="${opts.alpha}"></label>
+        </div>
+        <div class="row">
+          <label class="field">Service level <select name="serviceLevel">${serviceOptions}</select></label>
+          <label class="field">Lead time without supplier (days) <input type="number" name="defaultLeadTimeDays" min="0" step="1" value="${opts.defaultLeadTimeDays}"></label>
+          <label class="pill"><input type="checkbox" name="seasonal"${opts.seasonal ? ' checked' : ''}> Weekly seasonality</label>
+        </div>
+      </form>
+      <div class="muted">Usage comes from fulfilled orders, invoices and subscription shipments. The reorder point covers usage over the supplier's lead time plus safety stock for the service level.</div>
+      <div class="tracking-table-wrap">
+        <table class="small-table">
+          <thead></thead>
+          <tbody></tbody>
+        </table>
+      </div>
+    `,
+    buttons: [
+      { text: 'Accept Selected', class: 'btn small primary', onclick: () => acceptSelected() },
+      { text: 'Close', class: 'btn small', onclick: () => window.hideDialog(dlg) }
+    ]
+  });
+
+  const form = dlg.querySelector('form');
+  const tbody = dlg.querySelector('tbody');
+  const columns = getForecastColumns();
+  let suggestions = [];
+
+  window.TableRenderer.renderTableHeader(dlg.querySelector('thead'), columns);
+
+  const renderSuggestions = () => {
+    const options = readForecastOptions(form);
+    lastForecastOptions = options;
+    form.querySelector('.forecast-window').style.display = options.method === 'moving-average' ? '' : 'none';
+    form.querySelector('.forecast-alpha').style.display = options.method === 'moving-average' ? 'none' : '';
+
+    suggestions = window.Forecasting.getReorderPointSuggestions(window.data || [], options);
+    const rows = suggestions.map(s => ({ ...s, name: s.product.name, sku: s.product.sku }));
+    window.TableRenderer.renderTable(tbody, rows, columns, {
+      emptyMessage: 'No sales history in this period.'
+    });
+    const all = dlg.querySelector('.forecast-all');
+    if (all) all.checked = false;
+  };
+
+  const acceptSelected = () => {
+    const picked = new Set(Array.from(tbody.querySelectorAll('.forecast-pick:checked')).map(el => el.value));
+    const selected = suggestions.filter(s => picked.has(s.productId));
+    if (selected.length === 0) {
+      window.showToast('Select the products to update', 'info');
+      return;
+    }
+
+    const result = window.Forecasting.applyReorderPointSuggestions(selected);
+    if (!result.success) {
+      window.showToast(result.errors.join(', '), 'error');
+      return;
+    }
+
+    window.showToast(`Reorder points updated for ${result.updated} product(s)`, 'success');
+    refreshTrackedProducts();
+    renderSuggestions();
+  };
+
+  form.addEventListener('change', renderSuggestions);
+  form.addEventListener('submit', e => {
+    e.preventDefault();
+    renderSuggestions();
+  });
+  dlg.querySelector('thead').addEventListener('change', e => {
+    if (!e.target.matches('.forecast-all')) return;
+    tbody.querySelectorAll('.forecast-pick').forEach(el => { el.checked = e.target.checked; });
+  });
+
+  renderSuggestions();
+  showTrackingDialog(dlg);
+}
+
+/**
+ * Wire up the Demand Forecast button
+ */
+function bindForecastUI() {
+  const btn = document.getElementById('btnForecast');
+  if (btn) {
+    btn.addEventListener('click', () => openForecastDialog());
+  }
+}
+
+// Auto-initialize when DOM is ready
+if (typeof window !== 'undefined') {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', bindForecastUI);
+  } else {
+    bindForecastUI();
+  }
+
+  window.ForecastUI = {
+    openForecastDialog
+  };
+}
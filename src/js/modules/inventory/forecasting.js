@@ -0,0 +1,442 @@
+/* ============================================
+   DEMAND FORECASTING MODULE
+   CodeLapras - Sales History, Usage Forecasts & Reorder Points
+   ============================================ */
+
+// Demand is stock that left through sales: fulfilled sales orders, invoice
+// lines (matched to products by SKU, else by name; rental invoices are left
+// out) and subscription fulfillments, in stock units per day.
+//
+// A forecast smooths the daily series with a moving average or exponential
+// smoothing. With seasonality on, each weekday gets an index (its share of
+// an average day's demand); the series is deseasonalized before smoothing
+// and the forecast for each day ahead is reseasonalized, so the average
+// daily usage over the lead time reflects which weekdays it covers.
+//
+// Safety stock = z(service level) x std dev of daily demand x sqrt(lead
+// time); reorder point = usage over the lead time + safety stock. Lead time
+// comes from the supplier (see purchasing/suppliers.js).
+
+/**
+ * Forecast methods and their display names
+ */
+const FORECAST_METHODS = {
+  'moving-average': 'Moving average',
+  'exponential-smoothing': 'Exponential smoothing'
+};
+
+/**
+ * Default forecast options
+ */
+const DEFAULT_FORECAST_OPTIONS = {
+  method: 'exponential-smoothing',
+  historyDays: 90, // days of sales history to use
+  window: 28, // moving average window in days
+  alpha: 0.3, // exponential smoothing factor (0-1, higher reacts faster)
+  seasonal: true, // weekly seasonality
+  serviceLevel: 0.95, // chance of not running out during a lead time
+  defaultLeadTimeDays: 7 // when the supplier has no lead time
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Invoice statuses that are not sales
+ */
+const NON_SALE_INVOICE_STATUSES = ['cancelled', 'void'];
+
+/**
+ * Prefix of the line generateRentalInvoice writes for the rented equipment
+ */
+const RENTAL_INVOICE_ITEM_PREFIX = 'Rental: ';
+
+// Demand history for all products, rebuilt when the sales data changes
+let demandHistoryCache = null;
+
+// ============ Demand History ============
+
+/**
+ * Day key (YYYY-MM-DD, UTC) for a date
+ * @param {string|Date} value - Date or date string
+ * @returns {string|null} Day key, or null for an invalid date
+ */
+function toForecastDay(value) {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00Z` : value);
+  return isNaN(date.getTime()) ? null : date.toISOString().split('T')[0];
+}
+
+/**
+ * Find the product an invoice line is for
+ * @param {object} item - Invoice item { productId, sku, name }
+ * @param {Array<object>} products - Products
+ * @returns {object|null}
+ */
+function findProductForInvoiceItem(item, products) {
+  if (item.productId) return products.find(p => p.id === item.productId) || null;
+  const sku = String(item.sku || '').trim().toLowerCase();
+  if (sku) {
+    const bySku = products.find(p => String(p.sku || '').trim().toLowerCase() === sku);
+    if (bySku) return bySku;
+  }
+  const name = String(item.name || '').trim().toLowerCase();
+  return name ? products.find(p => String(p.name || '').trim().toLowerCase() === name) || null : null;
+}
+
+/**
+ * Latest updatedAt of a list of records. Any edit stamps updatedAt, so this
+ * changes whenever a record does.
+ * @param {Array<object>} records - Records
+ * @returns {string}
+ */
+function getLatestUpdate(records) {
+  return records.reduce((latest, r) => {
+    const stamp = String((r && r.updatedAt) || '');
+    return stamp > latest ? stamp : latest;
+  }, '');
+}
+
+/**
+ * Signature of the sales data, to tell when the cached history is stale
+ * @param {Array<object>} products - Products
+ * @returns {string}
+ */
+function getDemandSignature(products) {
+  const orders = window.orders || [];
+  const invoices = window.invoices || [];
+  const subscriptions = window.subscriptions || [];
+  const rentals = window.rentals || [];
+  const fulfillments = subscriptions.reduce((sum, s) => sum + (s.fulfillments || []).length, 0);
+  return [
+    products.length,
+    getLatestUpdate(products),
+    orders.length,
+    orders.filter(o => o.status === 'fulfilled').length,
+    getLatestUpdate(orders),
+    invoices.length,
+    getLatestUpdate(invoices),
+    fulfillments,
+    getLatestUpdate(subscriptions),
+    rentals.length,
+    getLatestUpdate(rentals)
+  ].join('|');
+}
+
+/**
+ * Sales history for every product, in stock units
+ * @param {Array<object>} products - Products (default: window.data)
+ * @returns {object} { productId: [{ date, qty, source, reference }] }
+ */
+function getDemandHistory(products = window.data || []) {
+  const signature = getDemandSignature(products);
+  if (demandHistoryCache && demandHistoryCache.products === products && demandHistoryCache.signature === signature) {
+    return demandHistoryCache.history;
+  }
+
+  const history = {};
+  const add = (product, quantity, unit, date, source, reference) => {
+    const day = toForecastDay(date);
+    const qty = product ? convertUnits(product, Number(quantity) || 0, unit, '') : null;
+    if (!day || !(qty > 0)) return;
+    (history[product.id] || (history[product.id] = [])).push({ date: day, qty, source, reference });
+  };
+
+  (window.orders || [])
+    .filter(order => order.status === 'fulfilled')
+    .forEach(order => {
+      (order.lineItems || []).forEach(line => {
+        const product = products.find(p => p.id === line.productId);
+        if (!product) return;
+        const baseUnits = window.LineItems ? window.LineItems.getLineItemBaseQuantity(line, product) : line.quantity;
+        if (baseUnits === null) return;
+        add(product, baseUnits, getBaseUnitName(product), order.fulfilledAt || order.orderDate, 'order', order.orderNumber);
+      });
+    });
+
+  // Invoice quantities are in base units, like the order screen they come
+  // from. Rented equipment comes back, so rental invoices are not demand.
+  const rentalInvoiceIds = new Set((window.rentals || []).map(r => r.invoiceId).filter(Boolean));
+  (window.invoices || [])
+    .filter(invoice => !NON_SALE_INVOICE_STATUSES.includes(invoice.status) && !rentalInvoiceIds.has(invoice.id))
+    .forEach(invoice => {
+      (invoice.items || []).forEach(item => {
+        if (String(item.name || '').startsWith(RENTAL_INVOICE_ITEM_PREFIX)) return;
+        const product = findProductForInvoiceItem(item, products);
+        if (product) add(product, item.qty, getBaseUnitName(product), invoice.createdAt || invoice.date, 'invoice', invoice.number);
+      });
+    });
+
+  (window.subscriptions || []).forEach(subscription => {
+    (subscription.fulfillments || []).forEach(fulfillment => {
+      (fulfillment.items || []).forEach(item => {
+        const product = products.find(p => p.id === item.productId);
+        if (product) add(product, item.quantity, item.unit || '', fulfillment.date, 'subscription', subscription.plan);
+      });
+    });
+  });
+
+  demandHistoryCache = { products, signature, history };
+  return history;
+}
+
+/**
+ * Forget the cached demand history
+ */
+function invalidateDemandHistory() {
+  demandHistoryCache = null;
+}
+
+/**
+ * Daily demand for a product, oldest day first, ending today. The series
+ * starts no earlier than the product was created, so days before it
+ * existed don't count as days without sales.
+ * @param {object} product - Product object
+ * @param {number} historyDays - Days of history
+ * @param {Date} today - End date (default: now)
+ * @returns {object} { startDate, values }
+ */
+function buildDailyDemandSeries(product, historyDays, today = new Date()) {
+  const end = new Date(`${toForecastDay(today)}T00:00:00Z`);
+  let start = new Date(end.getTime() - (historyDays - 1) * DAY_MS);
+  const created = toForecastDay(product.createdAt);
+  if (created && new Date(`${created}T00:00:00Z`) > start) {
+    start = new Date(Math.min(new Date(`${created}T00:00:00Z`).getTime(), end.getTime()));
+  }
+
+  const days = Math.round((end - start) / DAY_MS) + 1;
+  const values = new Array(days).fill(0);
+  (getDemandHistory()[product.id] || []).forEach(entry => {
+    const index = Math.round((new Date(`${entry.date}T00:00:00Z`) - start) / DAY_MS);
+    if (index >= 0 && index < days) values[index] += entry.qty;
+  });
+
+  return { startDate: start, values };
+}
+
+// ============ Forecast Methods ============
+
+/**
+ * Weekday seasonal indices: average demand on each weekday relative to an
+ * average day. Needs two full weeks of history; otherwise all 1.
+ * @param {Array<number>} values - Daily demand, oldest first
+ * @param {Date} startDate - Date of values[0]
+ * @returns {Array<number>} 7 indices, Sunday first
+ */
+function calculateWeekdayIndices(values, startDate) {
+  const flat = [1, 1, 1, 1, 1, 1, 1];
+  const mean = values.reduce((sum, v) => sum + v, 0) / (values.length || 1);
+  if (values.length < 14 || mean <= 0) return flat;
+
+  const totals = new Array(7).fill(0);
+  const counts = new Array(7).fill(0);
+  values.forEach((value, i) => {
+    const weekday = (startDate.getUTCDay() + i) % 7;
+    totals[weekday] += value;
+    counts[weekday] += 1;
+  });
+
+  return totals.map((total, weekday) => (counts[weekday] > 0 ? total / counts[weekday] / mean : 1));
+}
+
+/**
+ * Average of the last `window` values
+ * @param {Array<number>} values - Series
+ * @param {number} window - Window length
+ * @returns {number}
+ */
+function movingAverage(values, window) {
+  const recent = values.slice(-Math.max(1, window));
+  return recent.length > 0 ? recent.reduce((sum, v) => sum + v, 0) / recent.length : 0;
+}
+
+/**
+ * Simple exponential smoothing level, starting from the first week's average
+ * @param {Array<number>} values - Series
+ * @param {number} alpha - Smoothing factor (0-1)
+ * @returns {number}
+ */
+function exponentialSmoothing(values, alpha) {
+  if (values.length === 0) return 0;
+  const a = Math.min(1, Math.max(0.01, Number(alpha) || DEFAULT_FORECAST_OPTIONS.alpha));
+  let level = movingAverage(values.slice(0, 7), 7);
+  values.forEach(value => {
+    level = a * value + (1 - a) * level;
+  });
+  return level;
+}
+
+/**
+ * Standard deviation of a series
+ * @param {Array<number>} values - Series
+ * @returns {number}
+ */
+function standardDeviation(values) {
+  if (values.length < 2) return 0;
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1));
+}
+
+/**
+ * z-score for a service level (inverse standard normal, Abramowitz &
+ * Stegun 26.2.23, accurate to about 0.0005)
+ * @param {number} serviceLevel - Probability between 0.5 and 1
+ * @returns {number}
+ */
+function getServiceLevelZ(serviceLevel) {
+  const p = Math.min(0.9999, Math.max(0.5, Number(serviceLevel) || DEFAULT_FORECAST_OPTIONS.serviceLevel));
+  const t = Math.sqrt(-2 * Math.log(1 - p));
+  return t - (2.515517 + 0.802853 * t + 0.010328 * t * t) /
+    (1 + 1.432788 * t + 0.189269 * t * t + 0.001308 * t * t * t);
+}
+
+// ============ Forecasts ============
+
+/**
+ * Lead time for reordering a product, from its supplier
+ * @param {object} product - Product object
+ * @param {number} fallback - Days when the supplier has none
+ * @returns {number} Days
+ */
+function getProductLeadTime(product, fallback = DEFAULT_FORECAST_OPTIONS.defaultLeadTimeDays) {
+  const days = window.Suppliers ? window.Suppliers.getSupplierLeadTime(product.supplier, [product.id]) : null;
+  return days !== null && days !== undefined ? days : fallback;
+}
+
+/**
+ * Forecast a product's demand and the reorder point and safety stock it
+ * needs
+ * @param {object} product - Product object
+ * @param {object} options - See DEFAULT_FORECAST_OPTIONS
+ * @returns {object} { productId, method, seasonal, observations, totalDemand,
+ *   dailyUsage, stdDev, leadTimeDays, leadTimeDemand, serviceLevel,
+ *   safetyStock, reorderPoint, currentReorderPoint, currentSafetyStock }
+ */
+function forecastProduct(product, options = {}) {
+  const opts = { ...DEFAULT_FORECAST_OPTIONS, ...options };
+  const today = opts.today ? new Date(opts.today) : new Date();
+  const { startDate, values } = buildDailyDemandSeries(product, Math.max(7, Number(opts.historyDays) || 90), today);
+
+  const indices = opts.seasonal ? calculateWeekdayIndices(values, startDate) : [1, 1, 1, 1, 1, 1, 1];
+  const weekdayOf = i => (startDate.getUTCDay() + i) % 7;
+  const adjusted = values.map((value, i) => (indices[weekdayOf(i)] > 0 ? value / indices[weekdayOf(i)] : value));
+
+  const level = opts.method === 'moving-average'
+    ? movingAverage(adjusted, Number(opts.window) || DEFAULT_FORECAST_OPTIONS.window)
+    : exponentialSmoothing(adjusted, opts.alpha);
+
+  // Average of the reseasonalized forecast over the days the lead time covers
+  const leadTimeDays = getProductLeadTime(product, Number(opts.defaultLeadTimeDays) || 0);
+  const horizon = Math.max(1, Math.ceil(leadTimeDays));
+  let horizonDemand = 0;
+  for (let h = 1; h <= horizon; h++) {
+    horizonDemand += level * indices[weekdayOf(values.length - 1 + h)];
+  }
+  const dailyUsage = horizonDemand / horizon;
+
+  const stdDev = standardDeviation(values);
+  const leadTimeDemand = dailyUsage * leadTimeDays;
+  const safetyStock = Math.ceil(getServiceLevelZ(opts.serviceLevel) * stdDev * Math.sqrt(leadTimeDays) - 1e-9);
+  const round = value => Math.round(value * 1000) / 1000;
+
+  return {
+    productId: product.id,
+    method: opts.method,
+    seasonal: !!opts.seasonal,
+    observations: values.length,
+    totalDemand: round(values.reduce((sum, v) => sum + v, 0)),
+    dailyUsage: round(dailyUsage),
+    stdDev: round(stdDev),
+    leadTimeDays,
+    leadTimeDemand: round(leadTimeDemand),
+    serviceLevel: opts.serviceLevel,
+    safetyStock,
+    reorderPoint: Math.ceil(leadTimeDemand + safetyStock - 1e-9),
+    currentReorderPoint: getReorderPoint(product),
+    currentSafetyStock: Number(product.safetyStock) || 0
+  };
+}
+
+/**
+ * Average daily usage from sales history
+ * @param {object} product - Product object
+ * @param {object} options - See DEFAULT_FORECAST_OPTIONS
+ * @returns {number|null} Stock units per day, or null without sales history
+ */
+function getAverageDailyUsage(product, options = {}) {
+  if (!product || !(getDemandHistory()[product.id] || []).length) return null;
+  const forecast = forecastProduct(product, options);
+  return forecast.totalDemand > 0 ? forecast.dailyUsage : null;
+}
+
+/**
+ * Reorder point and safety stock suggestions for products with sales
+ * history, biggest changes first
+ * @param {Array<object>} products - Products (default: window.data)
+ * @param {object} options - See DEFAULT_FORECAST_OPTIONS
+ * @returns {Array<object>} Forecasts (see forecastProduct) with product and change
+ */
+function getReorderPointSuggestions(products = window.data || [], options = {}) {
+  const history = getDemandHistory(products);
+  return products
+    .filter(product => !isVariantParent(product) && (history[product.id] || []).length > 0)
+    .map(product => {
+      const forecast = forecastProduct(product, options);
+      return { ...forecast, product, change: forecast.reorderPoint - forecast.currentReorderPoint };
+    })
+    .filter(suggestion => suggestion.totalDemand > 0)
+    .sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+}
+
+/**
+ * Set products' reorder points and safety stock from suggestions
+ * @param {Array<object>} suggestions - [{ productId, reorderPoint, safetyStock }]
+ * @returns {object} { success: boolean, updated: number, errors?: array }
+ */
+function applyReorderPointSuggestions(suggestions) {
+  try {
+    const apply = () => {
+      const errors = [];
+      let updated = 0;
+      suggestions.forEach(suggestion => {
+        const result = updateProductCRUD(suggestion.productId, {
+          // The inventory screen reads reorderAt, the modules reorderPoint
+          reorderAt: suggestion.reorderPoint,
+          reorderPoint: suggestion.reorderPoint,
+          safetyStock: suggestion.safetyStock
+        });
+        if (result.success) updated++;
+        else errors.push(...result.errors);
+      });
+      return errors.length > 0 ? { success: false, updated: 0, errors } : { success: true, updated };
+    };
+
+    return window.Storage && typeof window.Storage.runTransaction === 'function'
+      ? window.Storage.runTransaction(['data'], apply)
+      : apply();
+
+  } catch (err) {
+    console.error('Error applying reorder points:', err);
+    return { success: false, updated: 0, errors: [err.message] };
+  }
+}
+
+// ============ Exports (for window object) ============
+
+if (typeof window !== 'undefined') {
+  window.Forecasting = {
+    FORECAST_METHODS,
+    DEFAULT_FORECAST_OPTIONS,
+    getDemandHistory,
+    invalidateDemandHistory,
+    buildDailyDemandSeries,
+    calculateWeekdayIndices,
+    movingAverage,
+    exponentialSmoothing,
+    getServiceLevelZ,
+    getProductLeadTime,
+    forecastProduct,
+    getAverageDailyUsage,
+    getReorderPointSuggestions,
+    applyReorderPointSuggestions
+  };
+}
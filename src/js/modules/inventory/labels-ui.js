@@ -0,0 +1,200 @@
+/**
+ * labels-ui.js - Product Label Printing UI
+ *
+ * Dialog for printing product/shelf labels (see product-label-builder.js)
+ * for the products shown in the inventory table, a single product, or the
+ * lines of a goods receipt.
+ */
+
+// Options from the last print, so repeat runs keep the same label stock
+let lastLabelOptions = {
+  layout: 'avery5160',
+  format: 'auto',
+  copies: 1,
+  showName: true,
+  showSku: true,
+  showPrice: true
+};
+
+// ============================================================================
+// PRODUCT SELECTION
+// ============================================================================
+
+/**
+ * Products shown in the inventory table under the current search
+ * @returns {Array<object>} Products
+ */
+function getVisibleProducts() {
+  const search = document.getElementById('search');
+  const q = search ? search.value.trim().toLowerCase() : '';
+  return (window.data || []).filter(p => !q ||
+    [p.name, p.sku, p.category, p.supplier, p.notes, ...(p.barcodes || [])]
+      .some(v => String(v || '').toLowerCase().includes(q)));
+}
+
+// ============================================================================
+// PRINT LABELS DIALOG
+// ============================================================================
+
+/**
+ * Choose label stock and contents, then print
+ * @param {Array<object>} products - Products to label
+ * @param {object} options - { title, quantities: { productId: labels } }
+ *   When quantities are given they replace the per-product copies
+ */
+function openPrintLabelsDialog(products, options = {}) {
+  if (!window.createDialog || !window.BarcodeSVG) return;
+
+  const list = (products || []).filter(Boolean);
+  if (list.length === 0) {
+    window.showToast('No products to print labels for', 'info');
+    return;
+  }
+
+  const layouts = window.LABEL_LAYOUTS;
+  const formats = window.LABEL_BARCODE_FORMATS;
+  const quantities = options.quantities || null;
+  const opts = lastLabelOptions;
+
+  const dlg = window.createDialog({
+    id: 'dlgPrintLabels_' + Date.now(),
+    title: options.title || 'Print Labels',
+    content: `
+      <form class="labels-form">
+        <label class="field">Label stock
+          <select name="layout">
+            ${Object.entries(layouts).map(([key, layout]) => `<option value="${key}"${key === opts.layout ? ' selected' : ''}>${esc(layout.name)}</option>`).join('')}
+          </select>
+        </label>
+        <label class="field">Barcode
+          <select name="format">
+            ${Object.entries(formats).map(([key, label]) => `<option value="${key}"${key === opts.format ? ' selected' : ''}>${esc(label)}</option>`).join('')}
+          </select>
+        </label>
+        <div class="row">
+          ${quantities
+            ? '<span class="muted">One label per unit received</span>'
+            : `<label class="field">Labels per product <input type="number" name="copies" min="1" step="1" value="${opts.copies}"></label>`}
+          <label class="field">Start at label # <input type="number" name="startPosition" min="1" step="1" value="1"></label>
+        </div>
+        <div class="row">
+          <label class="field inline"><input type="checkbox" name="showName"${opts.showName ? ' checked' : ''}> Name</label>
+          <label class="field inline"><input type="checkbox" name="showSku"${opts.showSku ? ' checked' : ''}> SKU</label>
+          <label class="field inline"><input type="checkbox" name="showPrice"${opts.showPrice ? ' checked' : ''}> Price</label>
+        </div>
+        <div class="muted labels-summary"></div>
+        <div class="btn-group">
+          <button type="button" class="btn" data-action="cancel">Cancel</button>
+          <button type="submit" class="btn primary">Print</button>
+        </div>
+      </form>
+    `
+  });
+
+  const form = dlg.querySelector('form');
+
+  const readOptions = () => ({
+    layout: form.elements.layout.value,
+    format: form.elements.format.value,
+    copies: form.elements.copies ? Math.max(1, parseInt(form.elements.copies.value, 10) || 1) : opts.copies,
+    startPosition: parseInt(form.elements.startPosition.value, 10) || 1,
+    showName: form.elements.showName.checked,
+    showSku: form.elements.showSku.checked,
+    showPrice: form.elements.showPrice.checked
+  });
+
+  const updateSummary = () => {
+    const current = readOptions();
+    const layout = layouts[current.layout];
+    const perSheet = layout.columns * layout.rows;
+    const labels = window.buildLabelList(list, { copies: current.copies, quantities });
+    const missing = current.format === 'none' ? 0 : list.filter(p => !window.getLabelCode(p)).length;
+
+    form.elements.startPosition.max = perSheet;
+    form.elements.startPosition.disabled = perSheet === 1;
+
+    const parts = [`${list.length} product(s)`, `${labels.length} label(s)`];
+    if (perSheet > 1) {
+      const start = Math.min(perSheet, Math.max(1, current.startPosition));
+      parts.push(`${Math.ceil((labels.length + start - 1) / perSheet)} sheet(s)`);
+    }
+    if (missing > 0) parts.push(`${missing} without SKU or barcode`);
+    dlg.querySelector('.labels-summary').textContent = parts.join(' · ');
+  };
+
+  form.addEventListener('input', updateSummary);
+  form.addEventListener('change', updateSummary);
+  form.querySelector('[data-action="cancel"]').addEventListener('click', () => window.hideDialog(dlg));
+
+  form.addEventListener('submit', e => {
+    e.preventDefault();
+    const current = readOptions();
+    const labels = window.buildLabelList(list, { copies: current.copies, quantities });
+    if (labels.length === 0) {
+      window.showToast('No labels to print', 'info');
+      return;
+    }
+
+    const settings = window.Storage ? window.Storage.getStoredSettings() : (window.settings || {});
+    const { startPosition, ...remembered } = current;
+    lastLabelOptions = remembered;
+
+    window.openProductLabelsPrintWindow(labels, { ...current, currency: settings.currency || 'USD' });
+    window.hideDialog(dlg);
+  });
+
+  updateSummary();
+  showTrackingDialog(dlg);
+}
+
+/**
+ * Print labels for the products shown in the inventory table
+ */
+function printVisibleProductLabels() {
+  const search = document.getElementById('search');
+  const filtered = search && search.value.trim();
+  openPrintLabelsDialog(getVisibleProducts(), {
+    title: filtered ? `Print Labels - "${search.value.trim()}"` : 'Print Labels - All Products'
+  });
+}
+
+/**
+ * Print one label per unit received on a goods receipt
+ * @param {Array<object>} lines - Receipt lines [{ productId, qty }]
+ */
+function printReceiptLabels(lines) {
+  const quantities = {};
+  (lines || []).forEach(line => {
+    quantities[line.productId] = (quantities[line.productId] || 0) + (Number(line.qty) || 0);
+  });
+  const products = Object.keys(quantities)
+    .map(id => (window.data || []).find(p => p.id === id))
+    .filter(Boolean);
+
+  openPrintLabelsDialog(products, { title: 'Print Labels - Received Goods', quantities });
+}
+
+/**
+ * Wire up the Print Labels button in the toolbar
+ */
+function bindLabelButtons() {
+  const btn = document.getElementById('btnLabels');
+  if (btn) {
+    btn.addEventListener('click', () => printVisibleProductLabels());
+  }
+}
+
+// Auto-initialize when DOM is ready
+if (typeof window !== 'undefined') {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', bindLabelButtons);
+  } else {
+    bindLabelButtons();
+  }
+
+  window.LabelsUI = {
+    openPrintLabelsDialog,
+    printVisibleProductLabels,
+    printReceiptLabels
+  };
+}
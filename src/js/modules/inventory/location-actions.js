@@ -93,6 +93,42 @@ function registerLocationActions() {
     },
     description: 'View stock summary for this location'
   });
+
+  // Edit Location Stock Levels
+  AR.register('edit-location-levels', {
+    label: 'Stock Levels',
+    icon: '📏',
+    handler: (locationId) => {
+      if (window.ReplenishmentUI && locationId) {
+        window.ReplenishmentUI.openLocationLevelsDialog(locationId);
+      }
+    },
+    description: 'Set min/max stock levels at this location'
+  });
+
+  // Replenish Location
+  AR.register('replenish-location', {
+    label: 'Replenish',
+    icon: '🚚',
+    handler: (locationId) => {
+      if (window.ReplenishmentUI) {
+        window.ReplenishmentUI.openReplenishmentDialog(locationId || '');
+      }
+    },
+    description: 'Create draft transfers for items below their minimum'
+  });
+
+  // Manage Bins
+  AR.register('manage-bins', {
+    label: 'Bins',
+    icon: '🗄️',
+    handler: (locationId) => {
+      if (window.BinUI) {
+        window.BinUI.openBinsDialog(locationId || '');
+      }
+    },
+    description: 'Aisles, shelves and bins inside this location'
+  });
 }
 
 /**
@@ -67,6 +67,9 @@ function getLocationColumns(options = {}) {
           <button class="btn btn-sm" onclick="LocationUI.editLocation('${value}')" title="Edit">
             ✏️
           </button>
+          <button class="btn btn-sm" onclick="BinUI.openBinsDialog('${value}')" title="Bins">
+            🗄️
+          </button>
           <button class="btn btn-sm danger" onclick="LocationUI.deleteLocation('${value}')" title="Delete">
             🗑️
           </button>
@@ -155,6 +158,7 @@ function openLocationDialog(location = null) {
   }
 
   // Populate form
+  populateReplenishFromOptions(location?.id || null);
   if (isEdit) {
     populateLocationForm(location);
   } else {
@@ -203,8 +207,10 @@ function populateLocationForm(location) {
   if (!form) return;
 
   form.querySelector('#locationName').value = location.name || '';
+  form.querySelector('#locationCode').value = location.code || '';
   form.querySelector('#locationType').value = location.type || 'warehouse';
   form.querySelector('#locationAddress').value = location.address || '';
+  form.querySelector('#locationReplenishFrom').value = location.replenishFromId || '';
   form.querySelector('#locationNotes').value = location.notes || '';
   form.querySelector('#locationActive').checked = location.isActive !== false;
   form.querySelector('#locationDefault').checked = location.isDefault === true;
@@ -222,6 +228,22 @@ function clearLocationForm() {
   form.querySelector('#locationDefault').checked = false;
 }
 
+/**
+ * Fill the Replenish from options with the other locations
+ * @param {string|null} locationId - Location being edited (null for new)
+ */
+function populateReplenishFromOptions(locationId) {
+  const select = document.getElementById('locationReplenishFrom');
+  if (!select || !window.Locations) return;
+
+  const esc = window.esc || ((s) => String(s || ''));
+  const options = window.Locations.getAllLocations()
+    .filter(loc => loc.id !== locationId)
+    .map(loc => `<option value="${esc(loc.id)}">${esc(loc.name)}</option>`)
+    .join('');
+  select.innerHTML = '<option value="">Default location</option>' + options;
+}
+
 /**
  * Extract data from location form
  * @returns {object} Location data
@@ -232,8 +254,10 @@ function extractLocationFormData() {
 
   return {
     name: form.querySelector('#locationName').value.trim(),
+    code: form.querySelector('#locationCode').value.trim(),
     type: form.querySelector('#locationType').value,
     address: form.querySelector('#locationAddress').value.trim(),
+    replenishFromId: form.querySelector('#locationReplenishFrom').value,
     notes: form.querySelector('#locationNotes').value.trim(),
     isActive: form.querySelector('#locationActive').checked,
     isDefault: form.querySelector('#locationDefault').checked
@@ -92,10 +92,12 @@ function createLocation(data = {}) {
   return {
     id: data.id || `loc-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
     name: data.name || '',
+    code: data.code || '', // short code that starts bin paths, e.g. WH1 in WH1/A/03/B
     address: data.address || '',
     type: data.type || 'warehouse', // warehouse, store, vehicle, other
     isActive: data.isActive !== undefined ? data.isActive : true,
     isDefault: data.isDefault !== undefined ? data.isDefault : false,
+    replenishFromId: data.replenishFromId || '', // location that restocks this one ('' = the default location)
     notes: data.notes || '',
     createdAt: data.createdAt || now,
     updatedAt: data.updatedAt || now
@@ -125,6 +127,10 @@ function validateLocation(location) {
     errors.push('Location name is required');
   }
 
+  if (location.code && (typeof location.code !== 'string' || location.code.includes('/'))) {
+    errors.push('Location code cannot contain "/"');
+  }
+
   const validTypes = ['warehouse', 'store', 'vehicle', 'other'];
   if (!validTypes.includes(location.type)) {
     errors.push('Invalid location type');
@@ -138,6 +144,10 @@ function validateLocation(location) {
     errors.push('isDefault must be a boolean');
   }
 
+  if (location.replenishFromId && location.replenishFromId === location.id) {
+    errors.push('A location cannot replenish from itself');
+  }
+
   return {
     valid: errors.length === 0,
     errors
@@ -342,6 +352,16 @@ function deleteLocationCRUD(id) {
     // Remove from array
     locations.splice(index, 1);
 
+    // Locations it restocked fall back to the default location
+    locations.forEach(loc => {
+      if (loc.replenishFromId === id) loc.replenishFromId = '';
+    });
+
+    // Its bins go with it (they hold no stock once the location is empty)
+    if (window.Bins) {
+      window.Bins.removeLocationBins(id);
+    }
+
     // If this was the default, set a new default if locations remain
     if (location.isDefault && locations.length > 0) {
       locations[0].isDefault = true;
@@ -405,6 +425,26 @@ function getDefaultLocation() {
   return locations.find(loc => loc.isDefault) || locations[0] || null;
 }
 
+/**
+ * Get the location that restocks a location: the one it names if active,
+ * else the default location, else the first active warehouse
+ * @param {string} locationId - Location ID
+ * @returns {object|null} Source location or null if there is none
+ */
+function getReplenishmentSource(locationId) {
+  const location = getLocationById(locationId);
+  if (!location) return null;
+
+  const usable = loc => loc && loc.isActive && loc.id !== locationId;
+  const named = location.replenishFromId ? getLocationById(location.replenishFromId) : null;
+  if (usable(named)) return named;
+
+  const fallback = getDefaultLocation();
+  if (usable(fallback)) return fallback;
+
+  return getLocationsArray().find(loc => usable(loc) && loc.type === 'warehouse') || null;
+}
+
 /**
  * Get locations by type
  * @param {string} type - Location type
@@ -537,6 +577,54 @@ function getLocationStockSummary(locationId) {
   };
 }
 
+/**
+ * Set products' min/max stock levels at a location
+ * @param {string} locationId - Location ID
+ * @param {Array<object>} levels - [{ productId, min, max }] in stock units;
+ *   min 0 and no max clear the product's levels there
+ * @returns {object} { success: boolean, updated: number, error: string|null }
+ */
+function setLocationStockLevels(locationId, levels) {
+  try {
+    if (!getLocationById(locationId)) {
+      return { success: false, updated: 0, error: 'Location not found' };
+    }
+
+    const apply = () => {
+      const errors = [];
+      let updated = 0;
+      levels.forEach(level => {
+        const product = (window.data || []).find(p => p.id === level.productId);
+        if (!product) {
+          errors.push(`Product ${level.productId} not found`);
+          return;
+        }
+
+        const locationLevels = { ...(product.locationLevels || {}) };
+        const min = Number(level.min) || 0;
+        const max = level.max === null || level.max === undefined || level.max === '' ? null : Number(level.max);
+        if (min === 0 && max === null) delete locationLevels[locationId];
+        else locationLevels[locationId] = { min, max };
+
+        const result = updateProductCRUD(product.id, { locationLevels });
+        if (result.success) updated++;
+        else errors.push(...result.errors.map(e => `${product.name}: ${e}`));
+      });
+      return errors.length > 0
+        ? { success: false, updated: 0, error: errors.join(', ') }
+        : { success: true, updated, error: null };
+    };
+
+    return window.Storage && typeof window.Storage.runTransaction === 'function'
+      ? window.Storage.runTransaction(['data'], apply)
+      : apply();
+
+  } catch (err) {
+    console.error('setLocationStockLevels error:', err);
+    return { success: false, updated: 0, error: err.message || 'Unknown error' };
+  }
+}
+
 // ============ Storage Integration ============
 
 /**
@@ -597,6 +685,7 @@ if (typeof window !== 'undefined') {
     getAllLocations,
     getLocationById,
     getDefaultLocation,
+    getReplenishmentSource,
     getLocationsByType,
     searchLocations,
 
@@ -605,6 +694,7 @@ if (typeof window !== 'undefined') {
     hasStockInLocation,
     hasPendingTransfers,
     getLocationStockSummary,
+    setLocationStockLevels,
 
     // Storage
     saveLocationsToStorage,
@@ -231,8 +231,8 @@ function registerProductActions() {
     handler: (data) => {
       if (!data || !data.id) return;
 
-      if (window.Products && window.Products.adjustQuantity) {
-        const result = window.Products.adjustQuantity(data.id, 1);
+      if (typeof window.adjustStockCRUD === 'function') {
+        const result = window.adjustStockCRUD(data.id, 1);
 
         if (result.success) {
           // Refresh table
@@ -258,8 +258,8 @@ function registerProductActions() {
     handler: (data) => {
       if (!data || !data.id) return;
 
-      if (window.Products && window.Products.adjustQuantity) {
-        const result = window.Products.adjustQuantity(data.id, -1);
+      if (typeof window.adjustStockCRUD === 'function') {
+        const result = window.adjustStockCRUD(data.id, -1);
 
         if (result.success) {
           // Refresh table
@@ -310,6 +310,77 @@ function registerProductActions() {
     }
   });
 
+  // Edit Variants
+  AR.register('edit-variants', {
+    label: 'Variants',
+    icon: '🧩',
+    handler: (data) => {
+      if (!data || !data.id) return;
+
+      if (window.ProductUI && window.ProductUI.openVariantEditor) {
+        window.ProductUI.openVariantEditor(data.id);
+      }
+    },
+    description: 'Edit size/color variants and their stock'
+  });
+
+  // Receive Stock (lot/serial aware)
+  AR.register('receive-stock', {
+    label: 'Receive Stock',
+    icon: '📥',
+    handler: (data) => {
+      if (!data || !data.id) return;
+
+      if (window.TrackingUI) {
+        window.TrackingUI.openReceiveDialog(data.id);
+      }
+    },
+    description: 'Receive stock, recording serial or lot numbers'
+  });
+
+  // Lots & Serials
+  AR.register('view-tracked-units', {
+    label: 'Lots & Serials',
+    icon: '🏷️',
+    handler: (data) => {
+      if (!data || !data.id) return;
+
+      if (window.TrackingUI) {
+        window.TrackingUI.openUnitsDialog(data.id);
+      }
+    },
+    description: 'Set tracking mode and view serials or lots in stock'
+  });
+
+  // Stock History
+  AR.register('stock-history', {
+    label: 'Stock History',
+    icon: '📒',
+    handler: (data) => {
+      if (!data || !data.id) return;
+
+      if (window.StockLedgerUI) {
+        window.StockLedgerUI.openStockHistoryDialog(data.id);
+      }
+    },
+    description: 'Every stock movement with reason, reference and running balance'
+  });
+
+  // Print Labels
+  AR.register('print-labels', {
+    label: 'Print Labels',
+    icon: '🔖',
+    handler: (data) => {
+      if (!data || !data.id) return;
+
+      const product = window.data?.find(p => p.id === data.id);
+      if (product && window.LabelsUI) {
+        window.LabelsUI.openPrintLabelsDialog([product], { title: `Print Labels - ${product.name}` });
+      }
+    },
+    description: 'Print product or shelf labels with a barcode'
+  });
+
   // Transfer Stock (Day 12)
   AR.register('transfer-stock', {
     label: 'Transfer Stock',
@@ -444,7 +515,12 @@ function registerProductContextMenus() {
     { label: 'Edit', action: 'edit-product', icon: '✏️', shortcut: 'Ctrl+E' },
     { label: 'Duplicate', action: 'duplicate-product', icon: '📋', shortcut: 'Ctrl+D' },
     { label: 'View Details', action: 'view-product', icon: '👁️' },
+    { label: 'Variants', action: 'edit-variants', icon: '🧩' },
     { separator: true },
+    { label: 'Receive Stock', action: 'receive-stock', icon: '📥' },
+    { label: 'Lots & Serials', action: 'view-tracked-units', icon: '🏷️' },
+    { label: 'Stock History', action: 'stock-history', icon: '📒' },
+    { label: 'Print Labels', action: 'print-labels', icon: '🔖' },
     { label: 'Transfer Stock', action: 'transfer-stock', icon: '🔄' },
     { separator: true },
     { label: 'Increase Qty', action: 'adjust-quantity-up', icon: '➕' },
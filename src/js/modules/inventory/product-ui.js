@@ -36,6 +36,7 @@ function getProductColumns(options = {}) {
   } = options;
 
   const columns = [];
+  const expiryDays = window.StockLevels ? window.StockLevels.getExpiryWarningDays() : 0;
 
   // Photo column
   if (showPhoto) {
@@ -59,6 +60,23 @@ function getProductColumns(options = {}) {
 
       const name = esc(value || 'Untitled');
       const sku = row.sku ? `<br><span class="muted">${esc(row.sku)}</span>` : '';
+
+      // Products with variants show a stock summary of their variants
+      if (window.isVariantParent && window.isVariantParent(row)) {
+        const summary = window.summarizeVariantStock(row);
+        return `<strong>${name}</strong>${sku}<br><span class="muted">${summary.variants} variants &middot; ${summary.qty} in stock</span>`;
+      }
+
+      // Lots that have expired or expire soon
+      const expiring = expiryDays ? window.StockLevels.getExpiringLots([row], expiryDays) : [];
+      if (expiring.length > 0) {
+        const expired = expiring.filter(l => l.expired).reduce((sum, l) => sum + l.qty, 0);
+        const label = expired > 0
+          ? `${expired} expired`
+          : `${expiring.reduce((sum, l) => sum + l.qty, 0)} expire by ${expiring[expiring.length - 1].expiresAt}`;
+        return `<strong>${name}</strong>${sku}<br><span class="expiry-note${expired > 0 ? ' expired' : ''}">⏳ ${label}</span>`;
+      }
+
       return `<strong>${name}</strong>${sku}`;
     }
   });
@@ -90,15 +108,20 @@ function getProductColumns(options = {}) {
     })
   });
 
-  // Cost column
+  // Cost column, with the stock value from the costing method in Settings
+  const formatCurrency = window.TableRenderer?.formatters.currency || ((value) => {
+    const num = parseFloat(value) || 0;
+    return `$${num.toFixed(2)}`;
+  });
   columns.push({
     key: 'cost',
     label: 'Cost',
     sortable: true,
-    formatter: window.TableRenderer?.formatters.currency || ((value) => {
-      const num = parseFloat(value) || 0;
-      return `$${num.toFixed(2)}`;
-    })
+    formatter: (value, row) => {
+      const cost = formatCurrency(value, row);
+      if (!window.Costing || !((row.qty || 0) > 0)) return cost;
+      return `${cost}<br><span class="muted">value ${formatCurrency(window.Costing.getInventoryValue(row), row)}</span>`;
+    }
   });
 
   // Price column
@@ -296,6 +319,20 @@ function populateProductForm(product) {
     }
   });
 
+  const barcodes = document.getElementById('barcodes');
+  if (barcodes) barcodes.value = (product.barcodes || []).join(', ');
+
+  const uoms = document.getElementById('uoms');
+  if (uoms) uoms.value = window.formatUoms ? window.formatUoms(product.uoms) : '';
+  ['stockUnit', 'purchaseUnit', 'salesUnit'].forEach(field => {
+    const element = document.getElementById(field);
+    if (element) element.value = product[field] || '';
+  });
+
+  if (window.CategoryUI) {
+    window.CategoryUI.renderProductAttributeFields(product.attributes || {});
+  }
+
   // Checkboxes
   const checkboxes = ['singleOnly', 'measurable', 'forSale', 'restockOnly'];
   checkboxes.forEach(field => {
@@ -374,10 +411,11 @@ function populateProductForm(product) {
  */
 function clearProductForm() {
   const formFields = [
-    'id', 'name', 'sku', 'category', 'supplier',
+    'id', 'name', 'sku', 'barcodes', 'category', 'supplier',
     'qty', 'reorderAt', 'cost', 'price',
     'packageCost', 'packageQty', 'unitsLoose',
-    'unitLabel', 'notes', 'components',
+    'unitLabel', 'stockUnit', 'uoms', 'purchaseUnit', 'salesUnit',
+    'notes', 'components',
     'photoData', 'photoUrl'
   ];
 
@@ -403,6 +441,10 @@ function clearProductForm() {
   const forSale = document.getElementById('forSale');
   if (forSale) forSale.checked = true;
 
+  if (window.CategoryUI) {
+    window.CategoryUI.renderProductAttributeFields({});
+  }
+
   // Clear photo preview
   const photoPreview = document.getElementById('photoPreview');
   if (photoPreview) {
@@ -439,6 +481,7 @@ function extractProductFormData() {
     id: getValue('id') || (window.uid ? window.uid() : Date.now().toString()),
     name: getValue('name'),
     sku: getValue('sku'),
+    barcodes: window.normalizeBarcodes ? window.normalizeBarcodes(getValue('barcodes')) : [],
     category: getValue('category'),
     supplier: getValue('supplier'),
     qty: getNumber('qty'),
@@ -447,12 +490,18 @@ function extractProductFormData() {
     price: getNumber('price'),
     packageCost: getNumber('packageCost'),
     packageQty: getNumber('packageQty'),
+    unitsPerPackage: getNumber('packageQty') || 1,
     unitsLoose: getNumber('unitsLoose'),
     singleOnly: getChecked('singleOnly'),
     measurable: getChecked('measurable'),
     forSale: getChecked('forSale'),
     restockOnly: getChecked('restockOnly'),
     unitLabel: getValue('unitLabel'),
+    stockUnit: getValue('stockUnit').trim(),
+    uoms: window.normalizeUoms ? window.normalizeUoms(getValue('uoms')) : [],
+    purchaseUnit: getValue('purchaseUnit').trim(),
+    salesUnit: getValue('salesUnit').trim(),
+    attributes: window.CategoryUI ? window.CategoryUI.readProductAttributeFields() : {},
     notes: getValue('notes'),
     components: getValue('components'),
     photo,
@@ -531,6 +580,247 @@ function initProductSearch(searchInputId, onSearch) {
   }
 }
 
+// ============================================================================
+// VARIANT MATRIX
+// ============================================================================
+
+/**
+ * Render the attribute rows of the variant editor
+ * @param {HTMLElement} container - Attribute list container
+ * @param {Array<object>} attributes - [{ name, values }]
+ */
+function renderVariantAttributeRows(container, attributes) {
+  const esc = window.esc || ((s) => String(s || ''));
+  const rows = attributes.length ? attributes : [{ name: '', values: [] }];
+
+  container.innerHTML = rows.map(attr => `
+    <div class="row variant-attribute">
+      <label class="field">Attribute
+        <input class="variant-attr-name" value="${esc(attr.name)}" placeholder="Size">
+      </label>
+      <label class="field" style="flex:2">Values (comma separated)
+        <input class="variant-attr-values" value="${esc(attr.values.join(', '))}" placeholder="S, M, L">
+      </label>
+    </div>
+  `).join('');
+}
+
+/**
+ * Read attributes from the variant editor
+ * @param {HTMLElement} dlg - Dialog element
+ * @returns {Array<object>} [{ name, values }]
+ */
+function readVariantAttributes(dlg) {
+  return Array.from(dlg.querySelectorAll('.variant-attribute')).map(row => ({
+    name: row.querySelector('.variant-attr-name').value,
+    values: row.querySelector('.variant-attr-values').value.split(',').map(v => v.trim()).filter(Boolean)
+  }));
+}
+
+/**
+ * Render the variant matrix: one row per variant with its own SKU, stock,
+ * price and reorder point
+ * @param {HTMLElement} dlg - Dialog element
+ * @param {object} parent - Parent product
+ */
+function renderVariantMatrix(dlg, parent) {
+  const esc = window.esc || ((s) => String(s || ''));
+  const tbody = dlg.querySelector('.variant-matrix tbody');
+  const attributes = parent.variantAttributes || [];
+  const variants = window.getVariants(parent.id).slice();
+
+  // Keep the order the values were entered in
+  const rank = (variant) => attributes.map(attr =>
+    String(attr.values.indexOf((variant.variantOptions || {})[attr.name])).padStart(3, '0')
+  ).join('');
+  variants.sort((a, b) => rank(a).localeCompare(rank(b)));
+
+  dlg.querySelector('.variant-matrix thead').innerHTML = `
+    <tr>
+      ${attributes.map(attr => `<th>${esc(attr.name)}</th>`).join('')}
+      <th>SKU</th><th class="right">Stock</th><th class="right">Price</th><th class="right">Reorder At</th>
+    </tr>
+  `;
+
+  if (variants.length === 0) {
+    tbody.innerHTML = `<tr><td colspan="${attributes.length + 4}" class="muted">No variants yet. Add attributes and values, then Generate.</td></tr>`;
+    return;
+  }
+
+  tbody.innerHTML = variants.map(v => `
+    <tr data-id="${esc(v.id)}">
+      ${attributes.map(attr => `<td>${esc((v.variantOptions || {})[attr.name] || '—')}</td>`).join('')}
+      <td><input class="variant-sku" value="${esc(v.sku)}" maxlength="50"></td>
+      <td class="right"><input type="number" class="variant-qty" min="0" step="1" value="${v.qty || 0}" style="width:80px"></td>
+      <td class="right"><input type="number" class="variant-price" min="0" step="0.01" value="${v.price || 0}" style="width:90px"></td>
+      <td class="right"><input type="number" class="variant-reorder" min="0" step="1" value="${v.reorderPoint || 0}" style="width:80px"></td>
+    </tr>
+  `).join('');
+}
+
+/**
+ * Open the variant editor for a product
+ * @param {object|string} productOrId - Product or product ID
+ */
+function openVariantEditor(productOrId) {
+  if (!window.createDialog || !window.setVariantAttributesCRUD) return;
+
+  const id = typeof productOrId === 'object' && productOrId ? productOrId.id : productOrId;
+  let parent = (window.data || []).find(p => p.id === id);
+  if (!parent) return;
+
+  // Variants are edited from their parent
+  if (parent.parentId) {
+    parent = (window.data || []).find(p => p.id === parent.parentId) || parent;
+  }
+
+  const dlg = window.createDialog({
+    id: 'dlgVariants_' + Date.now(),
+    title: `Variants: ${parent.name}`,
+    className: 'dialog-variants',
+    content: `
+      <div class="variant-attributes"></div>
+      <div class="btn-group">
+        <button class="btn small" data-variant="add-attribute">Add Attribute</button>
+        <button class="btn small primary" data-variant="generate">Generate Variants</button>
+      </div>
+      <div class="variant-matrix-wrap">
+        <table class="small-table variant-matrix">
+          <thead></thead>
+          <tbody></tbody>
+        </table>
+      </div>
+      <div class="muted">Each variant keeps its own stock. New variants copy this product's price and settings.</div>
+    `,
+    buttons: [
+      { text: 'Close', class: 'btn small', onclick: () => window.hideDialog(dlg) },
+      { text: 'Save Variants', class: 'btn small primary', onclick: () => saveVariantMatrix(dlg, parent) }
+    ]
+  });
+
+  const attrContainer = dlg.querySelector('.variant-attributes');
+  renderVariantAttributeRows(attrContainer, parent.variantAttributes || []);
+  renderVariantMatrix(dlg, parent);
+
+  dlg.querySelector('[data-variant="add-attribute"]').addEventListener('click', () => {
+    renderVariantAttributeRows(attrContainer, [...readVariantAttributes(dlg), { name: '', values: [] }]);
+  });
+
+  dlg.querySelector('[data-variant="generate"]').addEventListener('click', () => {
+    const result = window.setVariantAttributesCRUD(parent.id, readVariantAttributes(dlg));
+    if (!result.success) {
+      window.showToast(result.errors.join(', '), 'error');
+      return;
+    }
+
+    let message = `${result.created.length} variant(s) added, ${result.removed.length} removed`;
+    if (result.kept.length > 0) {
+      message += `; ${result.kept.length} no longer offered but kept because they have stock`;
+    }
+    window.showToast(message, result.kept.length > 0 ? 'warning' : 'success');
+
+    renderVariantAttributeRows(attrContainer, parent.variantAttributes);
+    renderVariantMatrix(dlg, parent);
+    refreshProductViews();
+  });
+
+  window.showDialog(dlg);
+
+  // Clean up after close
+  dlg.addEventListener('close', () => {
+    setTimeout(() => {
+      if (dlg.parentNode) {
+        dlg.parentNode.removeChild(dlg);
+      }
+    }, 500);
+  });
+}
+
+/**
+ * Save the SKU, stock, price and reorder point edits in the matrix
+ * @param {HTMLElement} dlg - Dialog element
+ * @param {object} parent - Parent product
+ */
+function saveVariantMatrix(dlg, parent) {
+  const rows = Array.from(dlg.querySelectorAll('.variant-matrix tbody tr[data-id]')).map(tr => ({
+    id: tr.dataset.id,
+    sku: tr.querySelector('.variant-sku').value.trim(),
+    qty: Math.max(0, parseInt(tr.querySelector('.variant-qty').value, 10) || 0),
+    price: Math.max(0, parseFloat(tr.querySelector('.variant-price').value) || 0),
+    reorderPoint: Math.max(0, parseInt(tr.querySelector('.variant-reorder').value, 10) || 0)
+  }));
+
+  const result = window.updateVariantsCRUD(parent.id, rows);
+  if (!result.success) {
+    window.showToast(result.errors.join(', '), 'error');
+    return;
+  }
+
+  window.showToast(`${result.updated.length} variant(s) updated`, 'success');
+  window.hideDialog(dlg);
+  refreshProductViews();
+}
+
+/**
+ * Re-render the product list after variant changes
+ */
+function refreshProductViews() {
+  if (typeof render === 'function') {
+    render();
+  } else if (window.ProductUI && document.getElementById('rows')) {
+    renderProductTable('rows', window.data || []);
+  }
+}
+
+// ============================================================================
+// BARCODE SCANNING
+// ============================================================================
+
+/**
+ * Find a product's row in the inventory table
+ * @param {string} productId - Product ID
+ * @returns {HTMLElement|null} Table row
+ */
+function findProductRow(productId) {
+  const tbody = document.getElementById('rows');
+  if (!tbody) return null;
+  const cell = Array.from(tbody.querySelectorAll('[data-id]')).find(el => el.dataset.id === productId);
+  return cell ? cell.closest('tr') : null;
+}
+
+/**
+ * Handle a barcode scan when no dialog is open: scroll to the product in
+ * the inventory table and highlight it, clearing the search if it hides it
+ * @param {string} code - Scanned code
+ * @param {object|null} product - Matching product
+ */
+function jumpToScannedProduct(code, product) {
+  if (!product) {
+    if (window.showToast) window.showToast(`No product found for barcode ${code}`, 'warning');
+    return;
+  }
+
+  let row = findProductRow(product.id);
+  const search = document.getElementById('search');
+  if (!row && search && search.value) {
+    search.value = '';
+    refreshProductViews();
+    row = findProductRow(product.id);
+  }
+  if (!row) {
+    if (window.showToast) window.showToast(`${product.name} is not in the inventory list`, 'info');
+    return;
+  }
+
+  row.scrollIntoView({ block: 'center', behavior: 'smooth' });
+  row.classList.add('scan-highlight');
+  setTimeout(() => row.classList.remove('scan-highlight'), 2000);
+}
+
+if (window.BarcodeScanner) {
+  window.BarcodeScanner.setDefaultScanHandler(jumpToScannedProduct);
+}
+
 // ============================================================================
 // EXPORTS
 // ============================================================================
@@ -546,6 +836,8 @@ if (typeof window !== 'undefined') {
     clearProductForm,
     extractProductFormData,
     validateProductForm,
-    initProductSearch
+    initProductSearch,
+    openVariantEditor,
+    jumpToScannedProduct
   };
 }
@@ -15,14 +15,26 @@ function createProduct(data = {}) {
     id: data.id || (typeof uid === 'function' ? uid() : 'prod-' + Date.now()),
     name: data.name || '',
     sku: data.sku || '',
+    // Extra scannable codes (UPC/EAN/supplier barcodes); the SKU scans too
+    barcodes: normalizeBarcodes(data.barcodes),
     category: data.category || '',
+    // Values for the attributes the category defines, by attribute key
+    attributes: data.attributes && typeof data.attributes === 'object' ? { ...data.attributes } : {},
     supplier: data.supplier || '',
     qty: typeof data.qty === 'number' ? data.qty : 0,
     looseUnits: typeof data.looseUnits === 'number' ? data.looseUnits : 0,
     unitsPerPackage: typeof data.unitsPerPackage === 'number' ? data.unitsPerPackage : 1,
+    // Units of measure: qty counts stock units (unitsPerPackage base units
+    // each), looseUnits counts base units; uoms adds more units such as
+    // case or pallet, each as a number of base units
+    stockUnit: data.stockUnit || '',
+    uoms: normalizeUoms(data.uoms),
+    purchaseUnit: data.purchaseUnit || '',
+    salesUnit: data.salesUnit || '',
     cost: typeof data.cost === 'number' ? data.cost : 0,
     price: typeof data.price === 'number' ? data.price : 0,
     reorderPoint: typeof data.reorderPoint === 'number' ? data.reorderPoint : 0,
+    safetyStock: typeof data.safetyStock === 'number' ? data.safetyStock : 0, // included in reorderPoint (see forecasting.js)
     photo: data.photo || '',
     measurable: !!data.measurable,
     singleOnly: !!data.singleOnly,
@@ -38,10 +50,69 @@ function createProduct(data = {}) {
     components: data.components || '',
     // Multi-location stock support (Day 12)
     stockByLocation: data.stockByLocation || {},
-    defaultLocationId: data.defaultLocationId || null
+    defaultLocationId: data.defaultLocationId || null,
+    // Min/max stock per location, in stock units: { locationId: { min, max } }
+    locationLevels: data.locationLevels || {},
+    // Stock put away in bins, in base units: { binId: baseUnits } (see bins.js)
+    binStock: data.binStock || {},
+    // Variants: a parent lists its attributes, each variant points at its parent
+    variantAttributes: Array.isArray(data.variantAttributes) ? data.variantAttributes : [],
+    parentId: data.parentId || null,
+    variantOptions: data.variantOptions || null,
+    // Lot/serial tracking (see tracking.js)
+    tracking: data.tracking || 'none',
+    serials: Array.isArray(data.serials) ? data.serials : [],
+    lots: Array.isArray(data.lots) ? data.lots : []
   };
 }
 
+/**
+ * Normalize a barcode list
+ * @param {Array|string} barcodes - Array of codes, or a comma/space separated string
+ * @returns {Array<string>} Trimmed, unique, non-empty codes
+ */
+function normalizeBarcodes(barcodes) {
+  const list = Array.isArray(barcodes)
+    ? barcodes
+    : String(barcodes || '').split(/[\s,;]+/);
+  const codes = [];
+  list.forEach(code => {
+    const value = String(code == null ? '' : code).trim();
+    if (value && !codes.includes(value)) codes.push(value);
+  });
+  return codes;
+}
+
+/**
+ * Normalize a unit of measure table
+ * @param {Array|string} uoms - Array of { name, factor }, or text such as
+ *   "case=12, pallet=480"
+ * @returns {Array<object>} [{ name, factor }] with trimmed names, in order
+ */
+function normalizeUoms(uoms) {
+  const list = Array.isArray(uoms)
+    ? uoms
+    : String(uoms || '').split(/[,;\n]+/).map(part => {
+      const [name, factor] = part.split('=');
+      return { name, factor };
+    });
+  return list
+    .map(uom => ({
+      name: String((uom && uom.name) || '').trim(),
+      factor: Number(uom && uom.factor)
+    }))
+    .filter(uom => uom.name);
+}
+
+/**
+ * Format a unit of measure table as text for editing
+ * @param {Array<object>} uoms - [{ name, factor }]
+ * @returns {string} e.g. "case=12, pallet=480"
+ */
+function formatUoms(uoms) {
+  return (uoms || []).map(uom => `${uom.name}=${uom.factor}`).join(', ');
+}
+
 // ============ Validation ============
 
 /**
@@ -88,12 +159,101 @@ function validateProduct(product) {
     errors.push('SKU must be 50 characters or less');
   }
 
+  (product.barcodes || []).forEach(code => {
+    if (code.length > 50) {
+      errors.push(`Barcode ${code} must be 50 characters or less`);
+    } else if (/\s/.test(code)) {
+      errors.push(`Barcode ${code} cannot contain spaces`);
+    }
+  });
+
+  if (product.parentId && isVariantParent(product)) {
+    errors.push('A variant cannot have variants of its own');
+  }
+
+  errors.push(...validateUoms(product));
+  errors.push(...validateLocationLevels(product));
+
   return {
     isValid: errors.length === 0,
     errors
   };
 }
 
+/**
+ * Validate a product's min/max stock levels per location
+ * @param {object} product - Product to validate
+ * @returns {string[]} Error messages
+ */
+function validateLocationLevels(product) {
+  const errors = [];
+
+  Object.entries(product.locationLevels || {}).forEach(([locationId, level]) => {
+    const location = window.Locations ? window.Locations.getLocationById(locationId) : null;
+    const name = location ? location.name : locationId;
+    if (typeof level.min !== 'number' || !isFinite(level.min) || level.min < 0) {
+      errors.push(`Minimum at ${name} must be a non-negative number`);
+    }
+    if (level.max !== null && (typeof level.max !== 'number' || !isFinite(level.max) || level.max < level.min)) {
+      errors.push(`Maximum at ${name} must be at least the minimum`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Validate a product's units of measure and default units
+ * @param {object} product - Product to validate
+ * @returns {string[]} Error messages
+ */
+function validateUoms(product) {
+  const errors = [];
+  const seen = new Set([getBaseUnitName(product).toLowerCase()]);
+  if (getUnitsPerPackage(product) > 1) seen.add(getStockUnitName(product).toLowerCase());
+
+  (product.uoms || []).forEach(uom => {
+    const key = String(uom.name || '').toLowerCase();
+    if (seen.has(key)) {
+      errors.push(`Unit ${uom.name} is defined more than once`);
+    }
+    seen.add(key);
+
+    if (typeof uom.factor !== 'number' || !isFinite(uom.factor) || uom.factor <= 0) {
+      errors.push(`Unit ${uom.name} must be a positive number of ${getBaseUnitName(product)}`);
+    } else if (!product.measurable && !Number.isInteger(uom.factor)) {
+      errors.push(`Unit ${uom.name} must be a whole number of ${getBaseUnitName(product)}`);
+    }
+  });
+
+  [['purchaseUnit', 'Purchase'], ['salesUnit', 'Sales']].forEach(([field, label]) => {
+    if (product[field] && getUnitFactor(product, product[field]) === null) {
+      errors.push(`${label} unit ${product[field]} is not one of the product's units`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Find barcodes already used by another product, as its SKU or one of its
+ * barcodes. A scan has to resolve to exactly one product.
+ * @param {object} product - Product being saved
+ * @param {Array} products - All products
+ * @returns {string[]} Error messages
+ */
+function findBarcodeConflicts(product, products = window.data || []) {
+  const errors = [];
+  (product.barcodes || []).forEach(code => {
+    const owner = products.find(p => p.id !== product.id &&
+      (p.sku === code || (p.barcodes || []).includes(code)));
+    if (owner) {
+      errors.push(`Barcode ${code} is already used by ${owner.name}`);
+    }
+  });
+  return errors;
+}
+
 /**
  * Apply business rules to product
  * @param {object} product - Product to apply rules to
@@ -113,6 +273,22 @@ function applyBusinessRules(product) {
     result.forSale = false;
   }
 
+  // Stock of a product with variants is held by the variants
+  if (isVariantParent(result)) {
+    result.qty = 0;
+    result.looseUnits = 0;
+    result.stockByLocation = {};
+  }
+
+  // Barcodes and units may come in as typed text
+  result.barcodes = normalizeBarcodes(result.barcodes);
+  result.uoms = normalizeUoms(result.uoms);
+
+  // Category paths are stored as "Parent > Child"
+  if (window.Categories && result.category) {
+    result.category = window.Categories.parseCategoryPath(result.category).join(' > ');
+  }
+
   return result;
 }
 
@@ -126,18 +302,21 @@ function applyBusinessRules(product) {
 function calculateTotalUnits(product) {
   if (!product) return 0;
   const packages = typeof product.qty === 'number' ? product.qty : 0;
-  const unitsPerPkg = typeof product.unitsPerPackage === 'number' ? product.unitsPerPackage : 1;
+  const unitsPerPkg = getUnitsPerPackage(product);
   const loose = typeof product.looseUnits === 'number' ? product.looseUnits : 0;
   return (packages * unitsPerPkg) + loose;
 }
 
 /**
- * Calculate total stock value (qty * cost)
+ * Calculate total stock value
+ * Uses the costing method from Settings (FIFO cost layers or moving
+ * average) when the costing module is loaded, otherwise qty * cost.
  * @param {object} product - Product object
  * @returns {number} Stock value
  */
 function calculateStockValue(product) {
   if (!product) return 0;
+  if (window.Costing) return window.Costing.getInventoryValue(product);
   const qty = typeof product.qty === 'number' ? product.qty : 0;
   const cost = typeof product.cost === 'number' ? product.cost : 0;
   return qty * cost;
@@ -163,17 +342,137 @@ function needsReorder(product) {
 function normalizeUnits(product) {
   if (!product) return product;
 
-  const result = { ...product };
-  const unitsPerPkg = result.unitsPerPackage || 1;
-  const loose = result.looseUnits || 0;
+  const loose = product.looseUnits || 0;
+  if (loose < getUnitsPerPackage(product)) return { ...product };
+
+  return { ...product, ...splitBaseUnits(product, calculateTotalUnits(product)) };
+}
+
+// ============ Units of Measure ============
+
+/**
+ * Base units per stock unit (package)
+ * @param {object} product - Product object
+ * @returns {number} unitsPerPackage, else the product dialog's packageQty, else 1
+ */
+function getUnitsPerPackage(product) {
+  if (!product) return 1;
+  if (product.unitsPerPackage > 0) return product.unitsPerPackage;
+  return product.packageQty > 0 ? product.packageQty : 1;
+}
 
-  if (loose >= unitsPerPkg) {
-    const additionalPackages = Math.floor(loose / unitsPerPkg);
-    result.qty = (result.qty || 0) + additionalPackages;
-    result.looseUnits = loose % unitsPerPkg;
+/**
+ * Name of the base unit, the smallest unit stock is counted in
+ * @param {object} product - Product object
+ * @returns {string}
+ */
+function getBaseUnitName(product) {
+  return (product && product.unitLabel) || 'each';
+}
+
+/**
+ * Name of the stock unit, the unit qty is kept in
+ * @param {object} product - Product object
+ * @returns {string}
+ */
+function getStockUnitName(product) {
+  if (getUnitsPerPackage(product) === 1) return getBaseUnitName(product);
+  return (product && product.stockUnit) || 'package';
+}
+
+/**
+ * All units a product can be bought, stocked or sold in: the base unit, the
+ * stock unit (when a package holds more than one) and the uoms table
+ * @param {object} product - Product object
+ * @returns {Array<object>} [{ name, factor }], factor in base units
+ */
+function getProductUnits(product) {
+  if (!product) return [];
+
+  const units = [{ name: getBaseUnitName(product), factor: 1 }];
+  if (getUnitsPerPackage(product) > 1) {
+    units.push({ name: getStockUnitName(product), factor: getUnitsPerPackage(product) });
   }
+  (product.uoms || []).forEach(uom => {
+    const known = units.some(unit => unit.name.toLowerCase() === String(uom.name).toLowerCase());
+    if (!known && uom.factor > 0) units.push({ name: uom.name, factor: uom.factor });
+  });
+  return units;
+}
 
-  return result;
+/**
+ * Base units in one of a product's units
+ * @param {object} product - Product object
+ * @param {string} unit - Unit name; empty means the stock unit
+ * @returns {number|null} Factor, or null when the unit isn't defined
+ */
+function getUnitFactor(product, unit) {
+  if (!unit) return getUnitsPerPackage(product);
+  const name = String(unit).toLowerCase();
+  const match = getProductUnits(product).find(u => u.name.toLowerCase() === name);
+  return match ? match.factor : null;
+}
+
+/**
+ * Default unit for buying, stocking or selling a product
+ * @param {object} product - Product object
+ * @param {string} purpose - 'purchase', 'stock' or 'sales'
+ * @returns {string} Unit name (purchases default to the stock unit, sales
+ *   to the base unit)
+ */
+function getDefaultUnit(product, purpose) {
+  const chosen = purpose === 'purchase' ? product.purchaseUnit
+    : purpose === 'sales' ? product.salesUnit
+      : '';
+  if (chosen && getUnitFactor(product, chosen) !== null) return chosen;
+  return purpose === 'sales' ? getBaseUnitName(product) : getStockUnitName(product);
+}
+
+/**
+ * Convert a quantity between two of a product's units
+ * @param {object} product - Product object
+ * @param {number} quantity - Quantity in fromUnit
+ * @param {string} fromUnit - Unit name (empty: stock unit)
+ * @param {string} toUnit - Unit name (empty: stock unit)
+ * @returns {number|null} Quantity in toUnit, or null for an unknown unit
+ */
+function convertUnits(product, quantity, fromUnit, toUnit) {
+  const from = getUnitFactor(product, fromUnit);
+  const to = getUnitFactor(product, toUnit);
+  if (from === null || to === null) return null;
+  // Round away floating point noise such as 0.1 * 3
+  return Math.round((Number(quantity) || 0) * from / to * 1e6) / 1e6;
+}
+
+/**
+ * Split a number of base units into whole stock units and loose base units
+ * @param {object} product - Product object
+ * @param {number} baseUnits - Quantity in base units
+ * @returns {object} { qty, looseUnits }
+ */
+function splitBaseUnits(product, baseUnits) {
+  const perPackage = getUnitsPerPackage(product);
+  const total = Math.max(0, Math.round((Number(baseUnits) || 0) * 1e6) / 1e6);
+  const qty = Math.floor(total / perPackage);
+  return { qty, looseUnits: Math.round((total - qty * perPackage) * 1e6) / 1e6 };
+}
+
+/**
+ * Adjust stock by a quantity in any of the product's units
+ * @param {object} product - Product object
+ * @param {number} delta - Amount to adjust (positive or negative)
+ * @param {string} unit - Unit of delta (empty: stock unit)
+ * @returns {object} Updated product (unchanged for an unknown unit)
+ */
+function adjustStockInUnits(product, delta, unit) {
+  const factor = getUnitFactor(product, unit);
+  if (!product || typeof delta !== 'number' || factor === null) return product;
+
+  return {
+    ...product,
+    ...splitBaseUnits(product, calculateTotalUnits(product) + delta * factor),
+    updatedAt: typeof nowISO === 'function' ? nowISO() : new Date().toISOString()
+  };
 }
 
 // ============ Stock Management ============
@@ -198,9 +497,10 @@ function adjustQuantity(product, delta) {
  * Consume units from product (for measurable items)
  * @param {object} product - Product object
  * @param {number} unitsToConsume - Units to consume
+ * @param {string} unit - Unit of unitsToConsume (default: base unit)
  * @returns {object} { success: boolean, product: object, message: string }
  */
-function consumeUnits(product, unitsToConsume) {
+function consumeUnits(product, unitsToConsume, unit) {
   if (!product) {
     return { success: false, product: null, message: 'Product is required' };
   }
@@ -209,42 +509,67 @@ function consumeUnits(product, unitsToConsume) {
     return { success: false, product, message: 'Units to consume must be positive' };
   }
 
+  const unitName = unit || getBaseUnitName(product);
+  const requested = convertUnits(product, unitsToConsume, unitName, getBaseUnitName(product));
+  if (requested === null) {
+    return { success: false, product, message: `Unknown unit: ${unitName}` };
+  }
+
   const totalAvailable = calculateTotalUnits(product);
 
-  if (unitsToConsume > totalAvailable) {
+  if (requested > totalAvailable) {
     return {
       success: false,
       product,
-      message: `Insufficient stock. Available: ${totalAvailable}, Requested: ${unitsToConsume}`
+      message: `Insufficient stock. Available: ${totalAvailable}, Requested: ${requested}`
     };
   }
 
-  const result = { ...product };
-  let remaining = unitsToConsume;
+  // Loose units go first; a package is opened only when they run out
+  return {
+    success: true,
+    product: adjustStockInUnits(product, -requested, getBaseUnitName(product)),
+    message: 'Units consumed successfully'
+  };
+}
 
-  // First consume loose units
-  if (result.looseUnits > 0) {
-    const consumeFromLoose = Math.min(result.looseUnits, remaining);
-    result.looseUnits -= consumeFromLoose;
-    remaining -= consumeFromLoose;
-  }
+/**
+ * Change a product's quantity by a delta and record it in the stock ledger
+ * @param {string} id - Product ID
+ * @param {number} delta - Amount to adjust (positive or negative)
+ * @param {object} movement - { reason, reference, note } (default: manual adjustment)
+ * @returns {object} { success: boolean, product?: object, errors?: array }
+ */
+function adjustStockCRUD(id, delta, movement = {}) {
+  try {
+    const product = findProductById(window.data, id);
+    if (!product) {
+      return { success: false, errors: ['Product not found'] };
+    }
+    if (typeof delta !== 'number' || !delta) {
+      return { success: false, errors: ['Adjustment must be a non-zero number'] };
+    }
+    if (isVariantParent(product)) {
+      return { success: false, errors: ['Product has variants; adjust a specific variant'] };
+    }
+    if (window.Tracking && window.Tracking.isTracked(product)) {
+      return { success: false, errors: ['Lot/serial tracked stock is changed by receiving, selling or writing off units'] };
+    }
 
-  // Then consume from packages
-  if (remaining > 0) {
-    const unitsPerPkg = result.unitsPerPackage || 1;
-    const packagesToConsume = Math.ceil(remaining / unitsPerPkg);
-    result.qty = Math.max(0, result.qty - packagesToConsume);
+    const previousStock = { qty: product.qty, looseUnits: product.looseUnits };
+    Object.assign(product, adjustQuantity(product, delta));
+    saveProductsToStorage();
 
-    // If we consumed more units than needed, add back to loose
-    const overConsumed = (packagesToConsume * unitsPerPkg) - remaining;
-    if (overConsumed > 0) {
-      result.looseUnits = overConsumed;
+    if (window.StockLedger) {
+      window.StockLedger.recordStockMovement(product, previousStock, { reason: 'adjustment', ...movement });
     }
-  }
 
-  result.updatedAt = typeof nowISO === 'function' ? nowISO() : new Date().toISOString();
+    return { success: true, product };
 
-  return { success: true, product: result, message: 'Units consumed successfully' };
+  } catch (err) {
+    console.error('Error adjusting stock:', err);
+    return { success: false, errors: [err.message] };
+  }
 }
 
 // ============ Duplication ============
@@ -263,6 +588,7 @@ function duplicateProduct(product, existingProducts = []) {
     id: typeof uid === 'function' ? uid() : 'prod-' + Date.now(),
     name: generateUniqueName(product.name, existingProducts),
     sku: generateUniqueSku(product.sku, existingProducts),
+    barcodes: [],
     qty: 0,
     looseUnits: 0,
     createdAt: typeof nowISO === 'function' ? nowISO() : new Date().toISOString(),
@@ -312,6 +638,190 @@ function generateUniqueSku(baseSku, existingProducts) {
   return sku;
 }
 
+// ============ Variants ============
+
+/**
+ * Check if a product has variants (its stock is held by them)
+ * @param {object} product - Product object
+ * @returns {boolean} True if product defines variant attributes
+ */
+function isVariantParent(product) {
+  return !!product && Array.isArray(product.variantAttributes) && product.variantAttributes.length > 0;
+}
+
+/**
+ * Check if a product is a variant of another product
+ * @param {object} product - Product object
+ * @returns {boolean} True if product has a parent
+ */
+function isVariant(product) {
+  return !!(product && product.parentId);
+}
+
+/**
+ * Clean up variant attribute definitions
+ * @param {Array} attributes - [{ name, values }] where values is an array or comma-separated string
+ * @returns {Array} [{ name, values }] without blank or repeated names and values
+ */
+function normalizeVariantAttributes(attributes) {
+  if (!Array.isArray(attributes)) return [];
+
+  const seen = new Set();
+  return attributes
+    .map(attr => {
+      const name = String((attr && attr.name) || '').trim();
+      const raw = Array.isArray(attr && attr.values)
+        ? attr.values
+        : String((attr && attr.values) || '').split(',');
+      const values = [...new Set(raw.map(v => String(v).trim()).filter(Boolean))];
+      return { name, values };
+    })
+    .filter(attr => {
+      const key = attr.name.toLowerCase();
+      if (!attr.name || attr.values.length === 0 || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Build every combination of attribute values
+ * @param {Array} attributes - Normalized attributes
+ * @returns {Array<object>} Options objects, e.g. { Size: 'M', Color: 'Red' }
+ */
+function buildVariantCombinations(attributes) {
+  if (!Array.isArray(attributes) || attributes.length === 0) return [];
+
+  return attributes.reduce((combos, attr) => {
+    const next = [];
+    combos.forEach(options => {
+      attr.values.forEach(value => {
+        next.push({ ...options, [attr.name]: value });
+      });
+    });
+    return next;
+  }, [{}]);
+}
+
+/**
+ * Get a stable key for a set of variant options
+ * @param {object} options - Variant options
+ * @returns {string} Key (case-insensitive)
+ */
+function variantOptionsKey(options) {
+  return Object.keys(options || {})
+    .sort()
+    .map(name => `${name}=${options[name]}`.toLowerCase())
+    .join('|');
+}
+
+/**
+ * Format variant options for display
+ * @param {object} options - Variant options
+ * @returns {string} e.g. "M / Red"
+ */
+function formatVariantLabel(options) {
+  return Object.values(options || {}).join(' / ');
+}
+
+/**
+ * Build a variant's name from its parent
+ * @param {object} parent - Parent product
+ * @param {object} options - Variant options
+ * @returns {string} e.g. "T-Shirt (M / Red)"
+ */
+function buildVariantName(parent, options) {
+  const label = formatVariantLabel(options);
+  return label ? `${parent.name} (${label})` : parent.name;
+}
+
+/**
+ * Generate a unique SKU for a variant from the parent SKU and option values
+ * @param {string} baseSku - Parent SKU
+ * @param {object} options - Variant options
+ * @param {Array} existingProducts - Existing products
+ * @returns {string} SKU such as "TSHIRT-M-RED"
+ */
+function generateVariantSku(baseSku, options, existingProducts = []) {
+  const parts = Object.values(options || {})
+    .map(value => String(value).toUpperCase().replace(/[^A-Z0-9]+/g, '').slice(0, 8))
+    .filter(Boolean);
+  const base = [baseSku, ...parts].filter(Boolean).join('-').slice(0, 46);
+
+  let sku = base;
+  let counter = 1;
+
+  while (existingProducts.some(p => p.sku === sku)) {
+    counter++;
+    sku = `${base}-${counter}`;
+  }
+
+  return sku;
+}
+
+/**
+ * Create a variant of a product. It inherits the parent's pricing and
+ * settings and starts with no stock.
+ * @param {object} parent - Parent product
+ * @param {object} options - Variant options
+ * @param {Array} existingProducts - Existing products (for SKU uniqueness)
+ * @returns {object} Variant product
+ */
+function createVariant(parent, options, existingProducts = []) {
+  const variant = createProduct({
+    name: buildVariantName(parent, options),
+    sku: generateVariantSku(parent.sku, options, existingProducts),
+    category: parent.category,
+    supplier: parent.supplier,
+    cost: parent.cost,
+    price: parent.price,
+    reorderPoint: parent.reorderPoint,
+    unitsPerPackage: parent.unitsPerPackage,
+    unitLabel: parent.unitLabel,
+    packageCost: parent.packageCost,
+    packageQty: parent.packageQty,
+    measurable: parent.measurable,
+    singleOnly: parent.singleOnly,
+    forSale: parent.forSale,
+    restockOnly: parent.restockOnly,
+    defaultLocationId: parent.defaultLocationId,
+    tracking: parent.tracking,
+    parentId: parent.id,
+    variantOptions: { ...options }
+  });
+  // The product dialog saves its reorder level as reorderAt, which
+  // createProduct doesn't carry over
+  if (parent.reorderAt !== undefined) variant.reorderAt = parent.reorderAt;
+  return variant;
+}
+
+/**
+ * Get the variants of a product
+ * @param {string} parentId - Parent product ID
+ * @param {Array} products - Products array (defaults to window.data)
+ * @returns {Array} Variants
+ */
+function getVariants(parentId, products = window.data) {
+  if (!Array.isArray(products) || !parentId) return [];
+  return products.filter(p => p.parentId === parentId);
+}
+
+/**
+ * Total stock across a product's variants
+ * @param {object} parent - Parent product
+ * @param {Array} products - Products array (defaults to window.data)
+ * @returns {object} { variants, qty, value, lowStock }
+ */
+function summarizeVariantStock(parent, products = window.data) {
+  const variants = parent ? getVariants(parent.id, products) : [];
+  return {
+    variants: variants.length,
+    qty: variants.reduce((sum, v) => sum + (v.qty || 0), 0),
+    value: variants.reduce((sum, v) => sum + calculateStockValue(v), 0),
+    lowStock: variants.filter(needsReorder).length
+  };
+}
+
 // ============ Query Helpers ============
 
 /**
@@ -344,12 +854,13 @@ function filterProducts(products, criteria = {}) {
       return false;
     }
 
-    // Search by name or SKU
+    // Search by name, SKU or barcode
     if (criteria.search) {
       const searchLower = criteria.search.toLowerCase();
       const nameMatch = product.name && product.name.toLowerCase().includes(searchLower);
       const skuMatch = product.sku && product.sku.toLowerCase().includes(searchLower);
-      if (!nameMatch && !skuMatch) {
+      const barcodeMatch = (product.barcodes || []).some(code => code.toLowerCase().includes(searchLower));
+      if (!nameMatch && !skuMatch && !barcodeMatch) {
         return false;
       }
     }
@@ -424,14 +935,18 @@ function findProductById(products, id) {
 }
 
 /**
- * Find product by SKU
+ * Find product by SKU or barcode. An exact SKU match wins over a barcode.
  * @param {Array} products - Products array
- * @param {string} sku - Product SKU
+ * @param {string} sku - Product SKU or scanned barcode
  * @returns {object|null} Product or null
  */
 function findProductBySku(products, sku) {
   if (!Array.isArray(products) || !sku) return null;
-  return products.find(p => p.sku === sku) || null;
+  const code = String(sku).trim();
+  if (!code) return null;
+  return products.find(p => p.sku === code) ||
+    products.find(p => Array.isArray(p.barcodes) && p.barcodes.includes(code)) ||
+    null;
 }
 
 // ============ CRUD Operations ============
@@ -471,6 +986,14 @@ function createProductCRUD(productData) {
     if (!validation.isValid) {
       return { success: false, errors: validation.errors };
     }
+    const conflicts = findBarcodeConflicts(withRules);
+    if (conflicts.length > 0) {
+      return { success: false, errors: conflicts };
+    }
+    const attributeErrors = window.Categories ? window.Categories.validateProductAttributes(withRules) : [];
+    if (attributeErrors.length > 0) {
+      return { success: false, errors: attributeErrors };
+    }
 
     // 4. Add to array
     if (!window.data) window.data = [];
@@ -478,6 +1001,10 @@ function createProductCRUD(productData) {
 
     // 5. Save to storage
     saveProductsToStorage();
+    if (window.StockLedger) {
+      window.StockLedger.recordStockMovement(withRules, 0, { reason: 'adjustment', note: 'Opening stock' });
+    }
+    if (window.Categories) window.Categories.ensureCategoryPath(withRules.category);
 
     // 6. Emit event
     if (typeof EventBus !== 'undefined') {
@@ -497,9 +1024,11 @@ function createProductCRUD(productData) {
  * Update an existing product
  * @param {string} id - Product ID
  * @param {object} updates - Updates to apply
+ * @param {object} movement - Stock ledger details for a qty change
+ *   { reason, reference, note } (default: manual adjustment)
  * @returns {object} { success: boolean, product?: object, errors?: array }
  */
-function updateProductCRUD(id, updates) {
+function updateProductCRUD(id, updates, movement = {}) {
   try {
     // 1. Find product
     const product = findProductById(window.data, id);
@@ -522,16 +1051,44 @@ function updateProductCRUD(id, updates) {
     if (!validation.isValid) {
       return { success: false, errors: validation.errors };
     }
+    const conflicts = findBarcodeConflicts(withRules);
+    if (conflicts.length > 0) {
+      return { success: false, errors: conflicts };
+    }
+    // Attributes are only checked when they or the category change, so a
+    // newly required attribute doesn't block unrelated edits
+    if (window.Categories && ('attributes' in updates || 'category' in updates)) {
+      const attributeErrors = window.Categories.validateProductAttributes(withRules);
+      if (attributeErrors.length > 0) {
+        return { success: false, errors: attributeErrors };
+      }
+    }
 
     // 5. Update in place
+    const renamed = product.name !== withRules.name;
+    const previousStock = { qty: product.qty, looseUnits: product.looseUnits };
     Object.assign(product, withRules);
 
+    // Variant names follow their parent's name
+    const variants = renamed && isVariantParent(product) ? getVariants(product.id) : [];
+    variants.forEach(variant => {
+      variant.name = buildVariantName(product, variant.variantOptions);
+      variant.updatedAt = product.updatedAt;
+    });
+
     // 6. Save to storage
     saveProductsToStorage();
+    if (window.StockLedger) {
+      window.StockLedger.recordStockMovement(product, previousStock, { reason: 'adjustment', ...movement });
+    }
+    if (window.Categories && 'category' in updates) window.Categories.ensureCategoryPath(product.category);
 
     // 7. Emit event
     if (typeof EventBus !== 'undefined') {
       EventBus.emit('product:updated', { id, updates, product: withRules });
+      variants.forEach(variant => {
+        EventBus.emit('product:updated', { id: variant.id, updates: { name: variant.name }, product: variant });
+      });
     }
 
     // 8. Return success
@@ -544,7 +1101,8 @@ function updateProductCRUD(id, updates) {
 }
 
 /**
- * Delete a product
+ * Delete a product, along with its variants. Refused while any variant
+ * still has stock, so stock never disappears without a movement.
  * @param {string} id - Product ID
  * @returns {object} { success: boolean, product?: object, errors?: array }
  */
@@ -556,18 +1114,34 @@ function deleteProductCRUD(id) {
       return { success: false, errors: ['Product not found'] };
     }
 
-    // 2. Remove from array
+    // 2. Check no variant still holds stock
+    const variants = getVariants(id);
+    const stocked = variants.filter(variant => calculateTotalUnits(variant) > 0);
+    if (stocked.length > 0) {
+      return {
+        success: false,
+        errors: [`${stocked.length} variant(s) still have stock; move or sell it before deleting this product`]
+      };
+    }
+
+    // 3. Remove from array, along with any variants
     const deleted = window.data.splice(index, 1)[0];
+    variants.forEach(variant => {
+      window.data.splice(window.data.indexOf(variant), 1);
+    });
 
-    // 3. Save to storage
+    // 4. Save to storage
     saveProductsToStorage();
 
-    // 4. Emit event
+    // 5. Emit event
     if (typeof EventBus !== 'undefined') {
       EventBus.emit('product:deleted', { id, product: deleted });
+      variants.forEach(variant => {
+        EventBus.emit('product:deleted', { id: variant.id, product: variant });
+      });
     }
 
-    // 5. Return success
+    // 6. Return success
     return { success: true, product: deleted };
 
   } catch (err) {
@@ -576,6 +1150,175 @@ function deleteProductCRUD(id) {
   }
 }
 
+/**
+ * Set a product's variant attributes and create any missing variants.
+ * Variants whose combination is no longer offered are deleted if they have
+ * no stock, and kept otherwise.
+ * @param {string} parentId - Product ID
+ * @param {Array} attributes - [{ name, values }]
+ * @returns {object} { success: boolean, created?: array, removed?: array, kept?: array, errors?: array }
+ */
+function setVariantAttributesCRUD(parentId, attributes) {
+  try {
+    // 1. Find product
+    const parent = findProductById(window.data, parentId);
+    if (!parent) {
+      return { success: false, errors: ['Product not found'] };
+    }
+    if (isVariant(parent)) {
+      return { success: false, errors: ['A variant cannot have variants of its own'] };
+    }
+
+    // 2. Work out which variants to add and remove
+    const normalized = normalizeVariantAttributes(attributes);
+    if (!isVariantParent(parent) && normalized.length > 0 && calculateTotalUnits(parent) > 0) {
+      return {
+        success: false,
+        errors: ['Set this product\'s stock to 0 before adding variants; each variant holds its own stock']
+      };
+    }
+
+    const combinations = buildVariantCombinations(normalized);
+    const wanted = new Set(combinations.map(variantOptionsKey));
+    const existing = getVariants(parentId);
+    const existingKeys = new Set(existing.map(v => variantOptionsKey(v.variantOptions)));
+
+    const unused = existing.filter(v => !wanted.has(variantOptionsKey(v.variantOptions)));
+    const kept = unused.filter(v => calculateTotalUnits(v) > 0);
+    const removed = unused.filter(v => calculateTotalUnits(v) === 0);
+
+    if (normalized.length === 0 && kept.length > 0) {
+      return {
+        success: false,
+        errors: [`${kept.length} variant(s) still have stock; move or sell it before removing all variants`]
+      };
+    }
+
+    // 3. Apply
+    const created = [];
+    combinations.forEach(options => {
+      if (existingKeys.has(variantOptionsKey(options))) return;
+      const variant = createVariant(parent, options, [...window.data, ...created]);
+      created.push(variant);
+    });
+
+    parent.variantAttributes = normalized;
+    Object.assign(parent, applyBusinessRules(parent), {
+      updatedAt: typeof nowISO === 'function' ? nowISO() : new Date().toISOString()
+    });
+
+    removed.forEach(variant => {
+      window.data.splice(window.data.indexOf(variant), 1);
+    });
+    created.forEach(variant => window.data.push(variant));
+
+    // 4. Save to storage
+    saveProductsToStorage();
+
+    // 5. Emit events
+    if (typeof EventBus !== 'undefined') {
+      EventBus.emit('product:updated', { id: parentId, updates: { variantAttributes: normalized }, product: parent });
+      created.forEach(variant => {
+        EventBus.emit('product:created', { id: variant.id, product: variant });
+      });
+      removed.forEach(variant => {
+        EventBus.emit('product:deleted', { id: variant.id, product: variant });
+      });
+    }
+
+    // 6. Return success
+    return { success: true, created, removed, kept };
+
+  } catch (err) {
+    console.error('Error setting product variants:', err);
+    return { success: false, errors: [err.message] };
+  }
+}
+
+/**
+ * Update several variants of a product at once (matrix editor)
+ * @param {string} parentId - Parent product ID
+ * @param {Array} rows - [{ id, sku, qty, price, reorderPoint }]
+ * @returns {object} { success: boolean, updated?: array, errors?: array }
+ */
+function updateVariantsCRUD(parentId, rows) {
+  try {
+    // 1. Build the updated variants and validate them all first
+    const variants = getVariants(parentId);
+    const errors = [];
+    const changes = [];
+
+    (rows || []).forEach(row => {
+      const variant = variants.find(v => v.id === row.id);
+      if (!variant) {
+        errors.push(`Variant ${row.id} not found`);
+        return;
+      }
+
+      const updates = {};
+      ['sku', 'qty', 'price', 'reorderPoint'].forEach(key => {
+        if (row[key] !== undefined && row[key] !== variant[key]) {
+          updates[key] = row[key];
+        }
+      });
+      if (Object.keys(updates).length === 0) return;
+
+      const updated = applyBusinessRules({ ...variant, ...updates });
+      const validation = validateProduct(updated);
+      const label = formatVariantLabel(variant.variantOptions);
+      validation.errors.forEach(error => errors.push(`${label}: ${error}`));
+      changes.push({ variant, updates, updated });
+    });
+
+    // SKUs must stay unique across all products
+    const skuOwners = new Map();
+    (window.data || []).forEach(p => {
+      const change = changes.find(c => c.variant === p);
+      const sku = change ? change.updated.sku : p.sku;
+      if (!sku) return;
+      if (skuOwners.has(sku)) {
+        errors.push(`SKU ${sku} is used more than once`);
+      }
+      skuOwners.set(sku, p.id);
+    });
+
+    if (errors.length > 0) {
+      return { success: false, errors: [...new Set(errors)] };
+    }
+
+    // 2. Apply
+    const now = typeof nowISO === 'function' ? nowISO() : new Date().toISOString();
+    changes.forEach(change => {
+      change.previousStock = { qty: change.variant.qty, looseUnits: change.variant.looseUnits };
+      Object.assign(change.variant, change.updated, { updatedAt: now });
+    });
+
+    // 3. Save to storage
+    if (changes.length > 0) {
+      saveProductsToStorage();
+    }
+    if (window.StockLedger) {
+      changes.forEach(({ variant, previousStock }) => {
+        window.StockLedger.recordStockMovement(variant, previousStock, { reason: 'adjustment', note: 'Variant matrix' });
+      });
+    }
+
+    // 4. Emit events
+    if (typeof EventBus !== 'undefined') {
+      changes.forEach(({ variant, updates }) => {
+        EventBus.emit('product:updated', { id: variant.id, updates, product: variant });
+      });
+    }
+
+    // 5. Return success
+    return { success: true, updated: changes.map(c => c.variant) };
+
+  } catch (err) {
+    console.error('Error updating variants:', err);
+    return { success: false, errors: [err.message] };
+  }
+}
+
 /**
  * Save products to storage
  */
@@ -590,7 +1333,11 @@ function saveProductsToStorage() {
 if (typeof window !== 'undefined') {
   // Factory and validation functions
   window.createProduct = createProduct;
+  window.normalizeBarcodes = normalizeBarcodes;
+  window.normalizeUoms = normalizeUoms;
+  window.formatUoms = formatUoms;
   window.validateProduct = validateProduct;
+  window.findBarcodeConflicts = findBarcodeConflicts;
   window.applyBusinessRules = applyBusinessRules;
 
   // Calculation helpers
@@ -599,15 +1346,39 @@ if (typeof window !== 'undefined') {
   window.needsReorder = needsReorder;
   window.normalizeUnits = normalizeUnits;
 
+  // Units of measure
+  window.getUnitsPerPackage = getUnitsPerPackage;
+  window.getBaseUnitName = getBaseUnitName;
+  window.getStockUnitName = getStockUnitName;
+  window.getProductUnits = getProductUnits;
+  window.getUnitFactor = getUnitFactor;
+  window.getDefaultUnit = getDefaultUnit;
+  window.convertUnits = convertUnits;
+  window.splitBaseUnits = splitBaseUnits;
+  window.adjustStockInUnits = adjustStockInUnits;
+  window.validateUoms = validateUoms;
+
   // Stock management
   window.adjustQuantity = adjustQuantity;
   window.consumeUnits = consumeUnits;
+  window.adjustStockCRUD = adjustStockCRUD;
 
   // Duplication
   window.duplicateProduct = duplicateProduct;
   window.generateUniqueName = generateUniqueName;
   window.generateUniqueSku = generateUniqueSku;
 
+  // Variants
+  window.isVariantParent = isVariantParent;
+  window.isVariant = isVariant;
+  window.normalizeVariantAttributes = normalizeVariantAttributes;
+  window.buildVariantCombinations = buildVariantCombinations;
+  window.formatVariantLabel = formatVariantLabel;
+  window.generateVariantSku = generateVariantSku;
+  window.createVariant = createVariant;
+  window.getVariants = getVariants;
+  window.summarizeVariantStock = summarizeVariantStock;
+
   // Query helpers
   window.filterProducts = filterProducts;
   window.sortProducts = sortProducts;
@@ -620,5 +1391,7 @@ if (typeof window !== 'undefined') {
   window.createProductCRUD = createProductCRUD;
   window.updateProductCRUD = updateProductCRUD;
   window.deleteProductCRUD = deleteProductCRUD;
+  window.setVariantAttributesCRUD = setVariantAttributesCRUD;
+  window.updateVariantsCRUD = updateVariantsCRUD;
   window.saveProductsToStorage = saveProductsToStorage;
 }
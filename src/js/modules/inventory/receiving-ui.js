@@ -0,0 +1,325 @@
+/**
+ * receiving-ui.js - Goods Receipt UI
+ *
+ * Dialog for receiving several products at once with their purchase cost,
+ * spreading freight, duty and other landed costs over the lines.
+ */
+
+// ============================================================================
+// LINE ROWS
+// ============================================================================
+
+/**
+ * Build product <option>s for a receipt line
+ * @param {string} selected - Selected product ID
+ * @returns {string} HTML
+ */
+function receiptProductOptions(selected = '') {
+  const products = (window.data || [])
+    .filter(p => !window.isVariantParent || !window.isVariantParent(p))
+    .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+  return '<option value="">-- Select Product --</option>' + products.map(p =>
+    `<option value="${esc(p.id)}"${p.id === selected ? ' selected' : ''}>${esc(p.name)}${p.sku ? ` - ${esc(p.sku)}` : ''}</option>`
+  ).join('');
+}
+
+/**
+ * Build a receipt line row
+ * @returns {string} HTML
+ */
+function receiptLineRow() {
+  return `
+    <tr class="receipt-line">
+      <td><select class="receipt-product">${receiptProductOptions()}</select></td>
+      <td><input type="number" class="receipt-qty" min="1" step="1" value="1"></td>
+      <td><input type="number" class="receipt-cost" min="0" step="0.01" value="0"></td>
+      <td><input class="receipt-units" placeholder="Lot or serials" disabled></td>
+      <td><input type="date" class="receipt-expires" disabled></td>
+      <td class="right receipt-landed muted">-</td>
+      <td><button type="button" class="btn-icon receipt-remove" title="Remove">🗑️</button></td>
+    </tr>
+  `;
+}
+
+/**
+ * Set up a line after its product changes: cost default and which
+ * lot/serial fields apply
+ * @param {HTMLElement} row - Line row
+ */
+function applyReceiptProduct(row) {
+  const product = (window.data || []).find(p => p.id === row.querySelector('.receipt-product').value);
+  const mode = product && window.Tracking ? window.Tracking.getTrackingMode(product) : 'none';
+
+  const units = row.querySelector('.receipt-units');
+  const expires = row.querySelector('.receipt-expires');
+  const qty = row.querySelector('.receipt-qty');
+
+  units.disabled = mode === 'none';
+  units.placeholder = mode === 'serial' ? 'Serials, comma separated' : mode === 'lot' ? 'Lot number' : '';
+  expires.disabled = mode !== 'lot';
+  qty.disabled = mode === 'serial';
+  if (mode === 'none') units.value = '';
+  if (mode !== 'lot') expires.value = '';
+
+  if (product) {
+    row.querySelector('.receipt-cost').value = Number(product.cost) || 0;
+  }
+}
+
+/**
+ * Read the lines entered in the dialog
+ * @param {HTMLElement} dlg - Dialog element
+ * @returns {Array<object>} Receipt lines
+ */
+function readReceiptLines(dlg) {
+  return Array.from(dlg.querySelectorAll('.receipt-line')).map(row => {
+    const product = (window.data || []).find(p => p.id === row.querySelector('.receipt-product').value);
+    const mode = product && window.Tracking ? window.Tracking.getTrackingMode(product) : 'none';
+    const units = row.querySelector('.receipt-units').value.trim();
+    const serials = mode === 'serial' ? units.split(/[\n,]/).map(s => s.trim()).filter(Boolean) : [];
+
+    return {
+      productId: product ? product.id : '',
+      qty: mode === 'serial' ? serials.length : parseInt(row.querySelector('.receipt-qty').value, 10) || 0,
+      unitCost: parseFloat(row.querySelector('.receipt-cost').value) || 0,
+      serials,
+      lot: mode === 'lot' ? units : '',
+      expiresAt: row.querySelector('.receipt-expires').value || null
+    };
+  });
+}
+
+/**
+ * Read the landed cost charges entered in the dialog
+ * @param {HTMLElement} dlg - Dialog element
+ * @returns {Array<object>} [{ label, amount }]
+ */
+function readReceiptCharges(dlg) {
+  return Array.from(dlg.querySelectorAll('.receipt-charge')).map(input => ({
+    label: input.dataset.label,
+    amount: parseFloat(input.value) || 0
+  })).filter(c => c.amount > 0);
+}
+
+/**
+ * Apply a barcode scan to the receipt lines. A product scan adds one to its
+ * line, or starts a line for it; any other code is taken as a serial number
+ * for the serial-tracked line being filled in.
+ * @param {HTMLElement} dlg - Dialog element
+ * @param {string} code - Scanned code
+ * @param {object|null} product - Matching product
+ */
+function applyReceiptScan(dlg, code, product) {
+  const tbody = dlg.querySelector('tbody');
+  const rows = Array.from(tbody.querySelectorAll('.receipt-line'));
+  const modeOf = row => {
+    const p = (window.data || []).find(x => x.id === row.querySelector('.receipt-product').value);
+    return p && window.Tracking ? window.Tracking.getTrackingMode(p) : 'none';
+  };
+
+  if (!product) {
+    const focused = document.activeElement && document.activeElement.closest('.receipt-line');
+    const serialRow = focused && modeOf(focused) === 'serial'
+      ? focused
+      : rows.filter(row => modeOf(row) === 'serial').pop();
+    if (!serialRow) {
+      window.showToast(`No product found for barcode ${code}`, 'warning');
+      return;
+    }
+    const units = serialRow.querySelector('.receipt-units');
+    units.value = units.value.trim() ? `${units.value.trim()}, ${code}` : code;
+    return;
+  }
+
+  if (window.isVariantParent && window.isVariantParent(product)) {
+    window.showToast(`${product.name} has variants - scan a variant`, 'warning');
+    return;
+  }
+
+  const existing = rows.find(row => row.querySelector('.receipt-product').value === product.id);
+  if (existing) {
+    const qty = existing.querySelector('.receipt-qty');
+    if (!qty.disabled) qty.value = (parseInt(qty.value, 10) || 0) + 1;
+    (qty.disabled ? existing.querySelector('.receipt-units') : qty).focus();
+    return;
+  }
+
+  let row = rows[rows.length - 1];
+  if (!row || row.querySelector('.receipt-product').value) {
+    tbody.insertAdjacentHTML('beforeend', receiptLineRow());
+    row = tbody.lastElementChild;
+  }
+  row.querySelector('.receipt-product').value = product.id;
+  row.querySelector('.receipt-qty').value = 1;
+  applyReceiptProduct(row);
+  if (modeOf(row) === 'serial') row.querySelector('.receipt-units').focus();
+}
+
+// ============================================================================
+// RECEIVE GOODS DIALOG
+// ============================================================================
+
+/**
+ * Receive goods from a supplier delivery
+ * @param {string} productId - Product for the first line (optional)
+ */
+function openReceiveGoodsDialog(productId = '') {
+  if (!window.createDialog || !window.Costing) return;
+
+  const today = new Date().toISOString().split('T')[0];
+  const locations = (window.locations || []).filter(l => l.isActive !== false);
+
+  const dlg = window.createDialog({
+    id: 'dlgReceiveGoods_' + Date.now(),
+    title: 'Receive Goods',
+    className: 'dialog-receipt',
+    content: `
+      <form class="receipt-form">
+        <div class="row">
+          <label class="field">Reference <input name="reference" placeholder="Supplier invoice / packing slip"></label>
+          <label class="field">Location
+            <select name="locationId">
+              <option value="">-- No location --</option>
+              ${locations.map(l => `<option value="${esc(l.id)}">${esc(l.name)}</option>`).join('')}
+            </select>
+          </label>
+          <label class="field">Received <input type="date" name="receivedAt" value="${today}"></label>
+        </div>
+        <div class="receipt-table-wrap">
+          <table class="small-table">
+            <thead>
+              <tr><th>Product</th><th>Qty</th><th>Unit Cost</th><th>Lot / Serials</th><th>Expires</th><th class="right">Landed / Unit</th><th></th></tr>
+            </thead>
+            <tbody>${receiptLineRow()}</tbody>
+          </table>
+        </div>
+        <button type="button" class="btn small" data-action="add-line">+ Add Line</button>
+        <div class="row">
+          <label class="field">Freight <input type="number" class="receipt-charge" data-label="Freight" min="0" step="0.01" value="0"></label>
+          <label class="field">Duty <input type="number" class="receipt-charge" data-label="Duty" min="0" step="0.01" value="0"></label>
+          <label class="field">Other <input type="number" class="receipt-charge" data-label="Other" min="0" step="0.01" value="0"></label>
+          <label class="field">Allocate by
+            <select name="allocateBy">
+              <option value="value">Line value</option>
+              <option value="quantity">Quantity</option>
+            </select>
+          </label>
+        </div>
+        <label class="field inline"><input type="checkbox" name="printLabels"> Print labels for the received items</label>
+        <div class="btn-group">
+          <button type="button" class="btn" data-action="cancel">Cancel</button>
+          <button type="submit" class="btn primary">Receive</button>
+        </div>
+      </form>
+    `
+  });
+
+  const form = dlg.querySelector('form');
+  const tbody = dlg.querySelector('tbody');
+
+  // Show each line's share of the landed costs as it is entered
+  const updateLanded = () => {
+    const lines = readReceiptLines(dlg);
+    const landed = window.Costing.allocateLandedCosts(lines, readReceiptCharges(dlg), form.elements.allocateBy.value);
+    dlg.querySelectorAll('.receipt-landed').forEach((cell, i) => {
+      cell.textContent = landed[i] ? `$${landed[i].toFixed(2)}` : '-';
+    });
+  };
+
+  if (productId) {
+    const first = tbody.querySelector('.receipt-line');
+    first.querySelector('.receipt-product').value = productId;
+    applyReceiptProduct(first);
+  }
+
+  tbody.addEventListener('change', e => {
+    if (e.target.matches('.receipt-product')) applyReceiptProduct(e.target.closest('tr'));
+    updateLanded();
+  });
+  tbody.addEventListener('click', e => {
+    if (!e.target.closest('.receipt-remove')) return;
+    if (tbody.querySelectorAll('.receipt-line').length > 1) {
+      e.target.closest('tr').remove();
+      updateLanded();
+    }
+  });
+  form.addEventListener('input', updateLanded);
+  form.elements.allocateBy.addEventListener('change', updateLanded);
+
+  form.querySelector('[data-action="add-line"]').addEventListener('click', () => {
+    tbody.insertAdjacentHTML('beforeend', receiptLineRow());
+    updateLanded();
+  });
+  form.querySelector('[data-action="cancel"]').addEventListener('click', () => window.hideDialog(dlg));
+
+  form.addEventListener('submit', e => {
+    e.preventDefault();
+    const receivedAt = form.elements.receivedAt.value;
+    const result = window.Costing.receiveGoodsCRUD({
+      lines: readReceiptLines(dlg),
+      charges: readReceiptCharges(dlg),
+      allocateBy: form.elements.allocateBy.value,
+      locationId: form.elements.locationId.value || null,
+      reference: form.elements.reference.value.trim(),
+      receivedAt: receivedAt ? new Date(receivedAt).toISOString() : undefined
+    });
+
+    if (!result.success) {
+      window.showToast(result.errors.join(', '), 'error');
+      return;
+    }
+
+    const units = result.lines.reduce((sum, line) => sum + line.qty, 0);
+    window.showToast(`Received ${units} unit(s) on ${result.lines.length} line(s)`, 'success');
+    window.hideDialog(dlg);
+
+    if (typeof render === 'function') render();
+    if (form.elements.printLabels.checked && window.LabelsUI) {
+      window.LabelsUI.printReceiptLabels(result.lines);
+    }
+  });
+
+  // Scanned products and serials fill in the lines
+  const unregisterScan = window.BarcodeScanner
+    ? window.BarcodeScanner.registerScanTarget(dlg, (code, product) => {
+      applyReceiptScan(dlg, code, product);
+      updateLanded();
+    })
+    : () => {};
+
+  window.showDialog(dlg);
+
+  // Clean up after close
+  dlg.addEventListener('close', () => {
+    unregisterScan();
+    setTimeout(() => {
+      if (dlg.parentNode) {
+        dlg.parentNode.removeChild(dlg);
+      }
+    }, 500);
+  });
+}
+
+/**
+ * Wire up the Receive Goods button in the toolbar
+ */
+function bindReceivingButtons() {
+  const btn = document.getElementById('btnReceiveGoods');
+  if (btn) {
+    btn.addEventListener('click', () => openReceiveGoodsDialog());
+  }
+}
+
+// Auto-initialize when DOM is ready
+if (typeof window !== 'undefined') {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', bindReceivingButtons);
+  } else {
+    bindReceivingButtons();
+  }
+
+  window.ReceivingUI = {
+    openReceiveGoodsDialog
+  };
+}
@@ -0,0 +1,300 @@
+/**
+ * replenishment-ui.js - Location Stock Levels & Replenishment
+ *
+ * Dialogs for min/max stock levels per location, the products below their
+ * minimum at each location, and draft transfers that restock them from the
+ * location that replenishes them (see stock-levels.js and transfers.js).
+ */
+
+// ============================================================================
+// TABLE COLUMN DEFINITIONS
+// ============================================================================
+
+/**
+ * Format a stock quantity in stock units
+ * @param {number} value - Quantity
+ * @returns {string}
+ */
+function formatLocationQty(value) {
+  return (Math.round((Number(value) || 0) * 100) / 100).toString();
+}
+
+/**
+ * Get replenishment suggestion column definitions
+ * @returns {Array<object>} Column definitions
+ */
+function getReplenishmentColumns() {
+  return [
+    { key: 'key', label: '<input type="checkbox" class="replenish-all" title="Select all">', formatter: (v, row) =>
+      (row.baseUnits > 0 ? `<input type="checkbox" class="replenish-pick" value="${esc(v)}" checked>` : '') },
+    { key: 'name', label: 'Product', formatter: (v, row) => `${esc(v)}<br><span class="muted">${esc(row.sku || '')}</span>` },
+    { key: 'toLocationId', label: 'Location', formatter: v => trackingLocationName(v) },
+    { key: 'onHand', label: 'On Hand', className: 'right', formatter: (v, row) =>
+      formatLocationQty(v) + (row.inbound > 0 ? `<br><span class="muted">+${formatLocationQty(row.inbound)} in transit</span>` : '') },
+    { key: 'min', label: 'Min / Max', className: 'right', formatter: (v, row) => `${formatLocationQty(v)} / ${row.max !== null ? formatLocationQty(row.max) : '-'}` },
+    { key: 'fromLocationId', label: 'From', formatter: (v, row) =>
+      (v ? `${trackingLocationName(v)}<br><span class="muted">${formatLocationQty(row.available)} to spare</span>` : '<span class="muted">No source</span>') },
+    { key: 'quantity', label: 'Move', className: 'right', formatter: (v, row) =>
+      (row.baseUnits > 0 ? formatTransferStock(row.product, v, row.looseUnits) : '<span class="muted">Reorder</span>') }
+  ];
+}
+
+// ============================================================================
+// REPLENISHMENT DIALOG
+// ============================================================================
+
+/**
+ * Redraw functions of the open replenishment dialogs
+ */
+const replenishmentRenderers = new Set();
+
+/**
+ * Redraw open replenishment dialogs (e.g. after another tab changed transfers)
+ */
+function refreshReplenishmentDialogs() {
+  replenishmentRenderers.forEach(render => render());
+}
+
+/**
+ * Show products below their minimum at each location and create draft
+ * transfers to restock them
+ * @param {string} locationId - Location to show first ('' for all)
+ */
+function openReplenishmentDialog(locationId = '') {
+  if (!window.createDialog || !window.StockLevels || !window.Locations) return;
+
+  const locationOptions = window.Locations.getAllLocations(true)
+    .map(loc => `<option value="${esc(loc.id)}"${loc.id === locationId ? ' selected' : ''}>${esc(loc.name)}</option>`)
+    .join('');
+
+  const dlg = window.createDialog({
+    id: 'dlgReplenish_' + Date.now(),
+    title: 'Location Stock',
+    className: 'dialog-tracking',
+    content: `
+      <div class="row">
+        <label class="field">Location
+          <select class="replenish-location"><option value="">All locations</option>${locationOptions}</select>
+        </label>
+      </div>
+      <div class="muted">Items at or below their minimum at a location. Transfers restock to the maximum (twice the minimum if none is set) from the location set under Replenish from, keeping that location's own minimum.</div>
+      <div class="tracking-table-wrap">
+        <table class="small-table">
+          <thead></thead>
+          <tbody></tbody>
+        </table>
+      </div>
+    `,
+    buttons: [
+      { text: 'Edit Levels', class: 'btn small', onclick: () => editLevels() },
+      { text: 'Create Draft Transfers', class: 'btn small primary', onclick: () => createTransfers() },
+      { text: 'Close', class: 'btn small', onclick: () => window.hideDialog(dlg) }
+    ]
+  });
+
+  const select = dlg.querySelector('.replenish-location');
+  const tbody = dlg.querySelector('tbody');
+  const columns = getReplenishmentColumns();
+  let suggestions = [];
+
+  window.TableRenderer.renderTableHeader(dlg.querySelector('thead'), columns);
+
+  const renderSuggestions = () => {
+    suggestions = window.StockLevels.getReplenishmentSuggestions(window.data || [], select.value || null);
+    const rows = suggestions.map(s => ({
+      ...s,
+      key: `${s.productId}|${s.toLocationId}`,
+      name: s.product.name,
+      sku: s.product.sku
+    }));
+    window.TableRenderer.renderTable(tbody, rows, columns, {
+      emptyMessage: 'Every location is above its minimum.'
+    });
+    const all = dlg.querySelector('.replenish-all');
+    if (all) all.checked = true;
+  };
+
+  const editLevels = () => {
+    if (!select.value) {
+      window.showToast('Choose a location to edit its levels', 'info');
+      return;
+    }
+    openLocationLevelsDialog(select.value);
+  };
+
+  const createTransfers = () => {
+    const picked = new Set(Array.from(tbody.querySelectorAll('.replenish-pick:checked')).map(el => el.value));
+    const selected = suggestions.filter(s => picked.has(`${s.productId}|${s.toLocationId}`));
+    if (selected.length === 0) {
+      window.showToast('Select the items to transfer', 'info');
+      return;
+    }
+
+    const result = window.Transfers.createReplenishmentTransfers(selected);
+    if (!result.success) {
+      window.showToast(result.error, 'error');
+      return;
+    }
+
+    window.showToast(`${result.transfers.length} draft transfer(s) created. Complete them once the stock has moved.`, 'success');
+    renderSuggestions();
+  };
+
+  select.addEventListener('change', renderSuggestions);
+  dlg.querySelector('thead').addEventListener('change', e => {
+    if (!e.target.matches('.replenish-all')) return;
+    tbody.querySelectorAll('.replenish-pick').forEach(el => { el.checked = e.target.checked; });
+  });
+
+  if (window.EventBus) {
+    const unsubscribers = ['product:*', 'transfer:*', 'location:*'].map(event => window.EventBus.on(event, renderSuggestions));
+    dlg.addEventListener('close', () => unsubscribers.forEach(unsubscribe => unsubscribe()));
+  }
+  replenishmentRenderers.add(renderSuggestions);
+  dlg.addEventListener('close', () => replenishmentRenderers.delete(renderSuggestions));
+
+  renderSuggestions();
+  showTrackingDialog(dlg);
+}
+
+// ============================================================================
+// LOCATION LEVELS DIALOG
+// ============================================================================
+
+/**
+ * Edit the min/max levels of every product at a location
+ * @param {string} locationId - Location ID
+ */
+function openLocationLevelsDialog(locationId) {
+  if (!window.createDialog || !window.Locations) return;
+
+  const location = window.Locations.getLocationById(locationId);
+  if (!location) return;
+
+  const products = (window.data || [])
+    .filter(p => !(typeof isVariantParent === 'function' && isVariantParent(p)))
+    .sort((a, b) => String(a.name || '').localeCompare(String(b.name || '')));
+
+  const rows = products.map(product => {
+    const { min, max } = window.StockLevels.getLocationStockLevels(product, locationId);
+    const { qty, looseUnits } = window.StockLevels.getStockQuantity(product, locationId);
+    return `
+      <tr class="level-row" data-id="${esc(product.id)}" data-search="${esc(`${product.name || ''} ${product.sku || ''}`.toLowerCase())}">
+        <td>${esc(product.name)}<br><span class="muted">${esc(product.sku || '')}</span></td>
+        <td class="right">${formatTransferStock(product, qty, looseUnits)}</td>
+        <td><input type="number" class="level-min" min="0" step="any" value="${min || ''}" data-was="${min || ''}"></td>
+        <td><input type="number" class="level-max" min="0" step="any" value="${max !== null ? max : ''}" data-was="${max !== null ? max : ''}"></td>
+      </tr>
+    `;
+  }).join('');
+
+  const dlg = window.createDialog({
+    id: 'dlgLocationLevels_' + Date.now(),
+    title: `Stock Levels - ${location.name}`,
+    className: 'dialog-receipt',
+    content: `
+      <form class="location-levels-form">
+        <label class="field">Search <input class="level-search" placeholder="Name or SKU"></label>
+        <div class="muted">Levels are in stock units. Leave the minimum blank for no alerts at this location.</div>
+        <div class="receipt-table-wrap">
+          <table class="small-table">
+            <thead><tr><th>Product</th><th class="right">On Hand</th><th>Min</th><th>Max</th></tr></thead>
+            <tbody>${rows}</tbody>
+          </table>
+        </div>
+        <div class="btn-group">
+          <button type="button" class="btn" data-action="cancel">Cancel</button>
+          <button type="submit" class="btn primary">Save</button>
+        </div>
+      </form>
+    `
+  });
+
+  const form = dlg.querySelector('form');
+
+  form.querySelector('.level-search').addEventListener('input', e => {
+    const term = e.target.value.trim().toLowerCase();
+    form.querySelectorAll('.level-row').forEach(row => {
+      row.style.display = !term || row.dataset.search.includes(term) ? '' : 'none';
+    });
+  });
+  form.querySelector('[data-action="cancel"]').addEventListener('click', () => window.hideDialog(dlg));
+
+  form.addEventListener('submit', e => {
+    e.preventDefault();
+    const changed = Array.from(form.querySelectorAll('.level-row'))
+      .filter(row => ['.level-min', '.level-max'].some(sel => {
+        const input = row.querySelector(sel);
+        return input.value !== input.dataset.was;
+      }))
+      .map(row => ({
+        productId: row.dataset.id,
+        min: row.querySelector('.level-min').value,
+        max: row.querySelector('.level-max').value
+      }));
+
+    if (changed.length === 0) {
+      window.hideDialog(dlg);
+      return;
+    }
+
+    const result = window.Locations.setLocationStockLevels(locationId, changed);
+    if (!result.success) {
+      window.showToast(result.error, 'error');
+      return;
+    }
+
+    window.showToast(`Levels saved for ${result.updated} product(s)`, 'success');
+    window.hideDialog(dlg);
+  });
+
+  showTrackingDialog(dlg);
+}
+
+// ============================================================================
+// STARTUP
+// ============================================================================
+
+/**
+ * Warn about items below their location minimum once the app has loaded
+ */
+function checkLocationStock() {
+  if (!window.StockLevels || !window.Locations || typeof window.showToast !== 'function') return;
+
+  const alerts = window.StockLevels.getLocationStockAlerts(window.data || []);
+  if (alerts.length === 0) return;
+
+  const locationCount = new Set(alerts.map(alert => alert.locationId)).size;
+  window.showToast(`${alerts.length} item(s) are below their minimum at ${locationCount} location(s).`, 'warning', 10000, {
+    action: { label: 'Review', onClick: () => openReplenishmentDialog() }
+  });
+}
+
+/**
+ * Wire up the Location Stock button and schedule the location stock check
+ */
+function bindReplenishmentUI() {
+  const btn = document.getElementById('btnReplenish');
+  if (btn) {
+    btn.addEventListener('click', () => openReplenishmentDialog());
+  }
+
+  if (typeof window.whenAppReady === 'function') {
+    window.whenAppReady().then(checkLocationStock);
+  }
+}
+
+// Auto-initialize when DOM is ready
+if (typeof window !== 'undefined') {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', bindReplenishmentUI);
+  } else {
+    bindReplenishmentUI();
+  }
+
+  window.ReplenishmentUI = {
+    openReplenishmentDialog,
+    refreshReplenishmentDialogs,
+    openLocationLevelsDialog
+  };
+}
@@ -0,0 +1,123 @@
+/**
+ * stock-ledger-ui.js - Stock Movement History UI
+ *
+ * Shows a product's stock movements (receipts, sales, transfers, returns,
+ * damage, count corrections, adjustments) with the running balance after
+ * each one.
+ */
+
+// ============================================================================
+// TABLE COLUMN DEFINITIONS
+// ============================================================================
+
+/**
+ * Format a signed quantity change
+ * @param {number} value - Quantity change
+ * @returns {string} HTML
+ */
+function formatMovementQty(value) {
+  const qty = Number(value) || 0;
+  return qty > 0
+    ? `<span class="movement-in">+${qty}</span>`
+    : `<span class="movement-out">${qty}</span>`;
+}
+
+/**
+ * Get stock movement column definitions
+ * @returns {Array<object>} Column definitions
+ */
+function getMovementColumns() {
+  return [
+    { key: 'timestamp', label: 'Date', formatter: v => esc(new Date(v).toLocaleString()) },
+    { key: 'reason', label: 'Reason', formatter: v => esc(window.StockLedger.getStockReasonLabel(v)) },
+    { key: 'reference', label: 'Reference', formatter: v => esc(v || '-') },
+    { key: 'locationId', label: 'Location', formatter: v => trackingLocationName(v) },
+    { key: 'qty', label: 'Change', className: 'right', formatter: formatMovementQty },
+    { key: 'after', label: 'Balance', className: 'right' },
+    { key: 'user', label: 'User', formatter: v => esc(v || '') },
+    { key: 'note', label: 'Note', formatter: v => esc(v || '') }
+  ];
+}
+
+// ============================================================================
+// STOCK HISTORY DIALOG
+// ============================================================================
+
+/**
+ * Show a product's stock movement history
+ * @param {string} productId - Product ID
+ */
+function openStockHistoryDialog(productId) {
+  if (!window.createDialog || !window.StockLedger) return;
+
+  const product = (window.data || []).find(p => p.id === productId);
+  if (!product) return;
+
+  const reasons = window.StockLedger.STOCK_MOVEMENT_REASONS;
+  const dlg = window.createDialog({
+    id: 'dlgStockHistory_' + Date.now(),
+    title: `Stock History - ${product.name}`,
+    className: 'dialog-tracking',
+    content: `
+      <div class="row">
+        <label class="field">Reason
+          <select name="reason">
+            <option value="">All reasons</option>
+            ${Object.entries(reasons).map(([code, label]) => `<option value="${code}">${esc(label)}</option>`).join('')}
+          </select>
+        </label>
+      </div>
+      <div class="muted movement-summary"></div>
+      <div class="tracking-table-wrap">
+        <table class="small-table">
+          <thead></thead>
+          <tbody></tbody>
+        </table>
+      </div>
+    `,
+    buttons: [
+      { text: 'Close', class: 'btn small', onclick: () => window.hideDialog(dlg) }
+    ]
+  });
+
+  const columns = getMovementColumns();
+  const reasonSelect = dlg.querySelector('[name="reason"]');
+  window.TableRenderer.renderTableHeader(dlg.querySelector('thead'), columns);
+
+  const renderMovements = () => {
+    const summary = window.StockLedger.summarizeProductMovements(productId);
+    dlg.querySelector('.movement-summary').textContent = [`On hand: ${product.qty || 0}`]
+      .concat(Object.entries(summary).map(([reason, totals]) => {
+        const parts = [];
+        if (totals.in) parts.push(`+${totals.in}`);
+        if (totals.out) parts.push(`-${totals.out}`);
+        return `${window.StockLedger.getStockReasonLabel(reason)} ${parts.join(' / ')}`;
+      }))
+      .join(' · ');
+
+    const rows = window.StockLedger.getProductMovements(productId, { reason: reasonSelect.value });
+    window.TableRenderer.renderTable(dlg.querySelector('tbody'), rows, columns, {
+      emptyMessage: 'No stock movements recorded yet.'
+    });
+  };
+
+  reasonSelect.addEventListener('change', renderMovements);
+
+  if (window.EventBus) {
+    const unsubscribe = window.EventBus.on('stock:moved', payload => {
+      if (payload && payload.movement && payload.movement.productId === productId) renderMovements();
+    });
+    dlg.addEventListener('close', unsubscribe);
+  }
+
+  renderMovements();
+  showTrackingDialog(dlg);
+}
+
+// ============ Exports (for window object) ============
+
+if (typeof window !== 'undefined') {
+  window.StockLedgerUI = {
+    openStockHistoryDialog
+  };
+}
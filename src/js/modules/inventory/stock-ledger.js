@@ -0,0 +1,255 @@
+/* ============================================
+   STOCK LEDGER MODULE
+   CodeLapras - Stock Movement History
+   ============================================ */
+
+// Every change to a product's on-hand quantity is recorded here with a
+// reason code, the document behind it and the quantity before and after.
+// Quantities are in stock units; loose base units count as a fraction of a
+// package, so opening a box or selling single units is recorded too.
+// Movements made inside a storage transaction are only written once it
+// commits, so a rolled back sale or transfer leaves no ledger entry.
+
+/**
+ * Maximum number of movements kept; the oldest are dropped first
+ */
+const STOCK_MOVEMENT_MAX_ENTRIES = 10000;
+
+/**
+ * Reason codes and their display labels
+ */
+const STOCK_MOVEMENT_REASONS = {
+  receipt: 'Receipt',
+  sale: 'Sale',
+  transfer: 'Transfer',
+  return: 'Return',
+  rental: 'Rental',
+  damage: 'Damage',
+  usage: 'Usage',
+  count: 'Count correction',
+  adjustment: 'Adjustment',
+  undo: 'Undo',
+  redo: 'Redo'
+};
+
+// ============ Factory ============
+
+/**
+ * Create a stock movement
+ * @param {object} data - Movement data
+ * @returns {object} Stock movement
+ */
+function createStockMovement(data = {}) {
+  const before = Number(data.before) || 0;
+  const after = Number(data.after) || 0;
+  return {
+    id: data.id || (typeof uid === 'function' ? uid() : 'mov-' + Date.now()),
+    timestamp: data.timestamp || new Date().toISOString(),
+    productId: data.productId || '',
+    productName: data.productName || '',
+    sku: data.sku || '',
+    reason: STOCK_MOVEMENT_REASONS[data.reason] ? data.reason : 'adjustment',
+    qty: typeof data.qty === 'number' ? data.qty : after - before,
+    before,
+    after,
+    locationId: data.locationId || null,
+    reference: data.reference || '',
+    note: data.note || '',
+    user: data.user || getStockMovementUser()
+  };
+}
+
+// ============ Helpers ============
+
+/**
+ * Name of the person making the change
+ * @returns {string}
+ */
+function getStockMovementUser() {
+  if (window.AuditLog) return window.AuditLog.getActingUser();
+  const settings = window.Storage ? window.Storage.getStoredSettings() : (window.settings || {});
+  return (settings && settings.currentUser) || 'Unknown user';
+}
+
+/**
+ * Get stock in stock units, loose base units counting as a fraction of a package
+ * @param {object} stock - { qty, looseUnits }
+ * @param {object} product - Product the stock belongs to
+ * @returns {number}
+ */
+function getStockUnits(stock, product) {
+  const qty = Number(stock && stock.qty) || 0;
+  const loose = Number(stock && stock.looseUnits) || 0;
+  if (!loose || typeof getUnitsPerPackage !== 'function') return qty;
+  return Math.round((qty + loose / getUnitsPerPackage(product)) * 1e6) / 1e6;
+}
+
+/**
+ * Display label for a reason code
+ * @param {string} reason - Reason code
+ * @returns {string}
+ */
+function getStockReasonLabel(reason) {
+  return STOCK_MOVEMENT_REASONS[reason] || reason || '';
+}
+
+// ============ Recording ============
+
+/**
+ * Get all stock movements (oldest first)
+ * @returns {Array}
+ */
+function getStockMovements() {
+  if (!window.stockMovements) {
+    window.stockMovements = typeof loadStockMovements === 'function' ? loadStockMovements() : [];
+  }
+  return window.stockMovements;
+}
+
+/**
+ * Append movements to the ledger and persist them
+ * @param {Array<object>} movements - Stock movements
+ */
+function appendStockMovements(movements) {
+  if (movements.length === 0) return;
+
+  const ledger = getStockMovements();
+  ledger.push(...movements);
+  if (ledger.length > STOCK_MOVEMENT_MAX_ENTRIES) {
+    ledger.splice(0, ledger.length - STOCK_MOVEMENT_MAX_ENTRIES);
+  }
+
+  if (typeof saveStockMovements === 'function' && !saveStockMovements(ledger)) {
+    console.warn('Stock movements could not be saved (storage full?)');
+  }
+
+  if (window.EventBus) {
+    movements.forEach(movement => window.EventBus.emit('stock:moved', { movement }));
+  }
+}
+
+/**
+ * Write movements once the surrounding transaction (if any) commits
+ * @param {Array<object>} movements - Stock movements
+ */
+function commitStockMovements(movements) {
+  if (window.Storage && window.Storage.afterCommit) {
+    window.Storage.afterCommit(() => appendStockMovements(movements));
+  } else {
+    appendStockMovements(movements);
+  }
+}
+
+/**
+ * Record a change to a product's stock. Call after the product has been
+ * changed; nothing is recorded when its stock (packages and loose units)
+ * is the same as before.
+ * @param {object} product - Product after the change
+ * @param {object|number} before - { qty, looseUnits } before the change, or a
+ *   quantity in stock units
+ * @param {object} details - { reason, reference, locationId, note }
+ * @returns {object|null} The movement, or null when nothing changed
+ */
+function recordStockMovement(product, before, details = {}) {
+  if (!product) return null;
+
+  const after = getStockUnits(product, product);
+  const previous = before && typeof before === 'object' ? getStockUnits(before, product) : Number(before) || 0;
+  if (after === previous) return null;
+
+  const movement = createStockMovement({
+    ...details,
+    productId: product.id,
+    productName: product.name,
+    sku: product.sku,
+    qty: Math.round((after - previous) * 1e6) / 1e6,
+    before: previous,
+    after
+  });
+
+  commitStockMovements([movement]);
+  return movement;
+}
+
+/**
+ * Record stock moving between two locations. The product total is unchanged,
+ * so this is written as a transfer out followed by a transfer in.
+ * @param {object} product - Product after the move
+ * @param {number} qty - Quantity moved
+ * @param {string} fromLocationId - Source location
+ * @param {string} toLocationId - Destination location
+ * @param {object} details - { reference, note }
+ * @returns {Array<object>} The two movements
+ */
+function recordStockTransfer(product, qty, fromLocationId, toLocationId, details = {}) {
+  if (!product || !(qty > 0)) return [];
+
+  const total = getStockUnits(product, product);
+  const base = {
+    ...details,
+    reason: 'transfer',
+    productId: product.id,
+    productName: product.name,
+    sku: product.sku
+  };
+
+  const movements = [
+    createStockMovement({ ...base, qty: -qty, before: total, after: total - qty, locationId: fromLocationId }),
+    createStockMovement({ ...base, qty, before: total - qty, after: total, locationId: toLocationId })
+  ];
+
+  commitStockMovements(movements);
+  return movements;
+}
+
+// ============ Queries ============
+
+/**
+ * Get a product's movements, newest first
+ * @param {string} productId - Product ID
+ * @param {object} options - { reason, locationId, limit }
+ * @returns {Array<object>}
+ */
+function getProductMovements(productId, options = {}) {
+  let movements = getStockMovements().filter(m => m.productId === productId);
+  if (options.reason) {
+    movements = movements.filter(m => m.reason === options.reason);
+  }
+  if (options.locationId) {
+    movements = movements.filter(m => m.locationId === options.locationId);
+  }
+
+  movements = movements.slice().reverse();
+  return options.limit ? movements.slice(0, options.limit) : movements;
+}
+
+/**
+ * Total quantity moved per reason code for a product
+ * @param {string} productId - Product ID
+ * @returns {object} { reason: { in, out } }
+ */
+function summarizeProductMovements(productId) {
+  const summary = {};
+  getStockMovements().forEach(m => {
+    if (m.productId !== productId) return;
+    const totals = summary[m.reason] || (summary[m.reason] = { in: 0, out: 0 });
+    if (m.qty > 0) totals.in += m.qty;
+    else totals.out -= m.qty;
+  });
+  return summary;
+}
+
+// ============ Exports (for window object) ============
+
+if (typeof window !== 'undefined') {
+  window.StockLedger = {
+    STOCK_MOVEMENT_REASONS,
+    createStockMovement,
+    getStockReasonLabel,
+    getStockMovements,
+    recordStockMovement,
+    recordStockTransfer,
+    getProductMovements,
+    summarizeProductMovements
+  };
+}
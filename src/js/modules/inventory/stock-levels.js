@@ -6,28 +6,62 @@
  * - Out of stock detection
  * - Reorder point management
  * - Reorder quantity calculations
+ * - Per-location min/max levels and replenishment from another location
+ * - Expiring and expired lots
  * - Stock alerts and warnings
  *
+ * Functions that take a locationId look at the stock and min level at that
+ * location (product.stockByLocation / product.locationLevels) instead of
+ * the product's total and reorder point.
+ *
  * Usage:
  * const lowStock = getLowStockProducts(products);
+ * const lowInStore = getLowStockProducts(products, 1.0, storeId);
  * const outOfStock = getOutOfStockProducts(products);
  * const reorderList = getReorderSuggestions(products);
+ * const restock = getReplenishmentSuggestions(products, storeId);
  */
 
 // ============================================================================
 // STOCK LEVEL DETECTION
 // ============================================================================
 
+/**
+ * Get a product's reorder point: its own, else the one its category sets.
+ * At a location, the location's minimum.
+ * @param {object} product - Product object
+ * @param {string|null} locationId - Location ID (optional)
+ * @returns {number} Reorder point (0 when none is set)
+ */
+function getReorderPoint(product, locationId = null) {
+  if (locationId) return getLocationStockLevels(product, locationId).min;
+  const own = Number(product.reorderAt) || Number(product.reorderPoint) || 0;
+  if (own > 0 || !window.Categories) return own;
+  return Number(window.Categories.getProductCategorySettings(product).reorderPoint) || 0;
+}
+
+/**
+ * Get a product's stock quantity, in total or at one location
+ * @param {object} product - Product object
+ * @param {string|null} locationId - Location ID (optional)
+ * @returns {object} { qty, looseUnits }
+ */
+function getStockQuantity(product, locationId = null) {
+  const stock = locationId ? (product.stockByLocation || {})[locationId] || {} : product;
+  return { qty: Number(stock.qty) || 0, looseUnits: Number(stock.looseUnits) || 0 };
+}
+
 /**
  * Check if a product is low on stock
  * @param {object} product - Product object
+ * @param {string|null} locationId - Location ID (optional)
  * @returns {boolean} True if stock is at or below reorder point
  */
-function isLowStock(product) {
+function isLowStock(product, locationId = null) {
   if (!product) return false;
 
-  const qty = Number(product.qty) || 0;
-  const reorderAt = Number(product.reorderAt) || Number(product.reorderPoint) || 0;
+  const qty = getStockQuantity(product, locationId).qty;
+  const reorderAt = getReorderPoint(product, locationId);
 
   // Only flag as low stock if reorder point is set
   if (reorderAt <= 0) return false;
@@ -38,13 +72,13 @@ function isLowStock(product) {
 /**
  * Check if a product is out of stock
  * @param {object} product - Product object
+ * @param {string|null} locationId - Location ID (optional)
  * @returns {boolean} True if quantity is 0 or less
  */
-function isOutOfStock(product) {
+function isOutOfStock(product, locationId = null) {
   if (!product) return false;
 
-  const qty = Number(product.qty) || 0;
-  const looseUnits = Number(product.looseUnits) || 0;
+  const { qty, looseUnits } = getStockQuantity(product, locationId);
 
   return qty === 0 && looseUnits === 0;
 }
@@ -53,14 +87,15 @@ function isOutOfStock(product) {
  * Get all low stock products
  * @param {Array<object>} products - Array of products
  * @param {number} threshold - Optional custom threshold multiplier (default: 1.0)
+ * @param {string|null} locationId - Location ID (optional)
  * @returns {Array<object>} Low stock products
  */
-function getLowStockProducts(products, threshold = 1.0) {
+function getLowStockProducts(products, threshold = 1.0, locationId = null) {
   if (!Array.isArray(products)) return [];
 
   return products.filter(product => {
-    const qty = Number(product.qty) || 0;
-    const reorderAt = Number(product.reorderAt) || Number(product.reorderPoint) || 0;
+    const qty = getStockQuantity(product, locationId).qty;
+    const reorderAt = getReorderPoint(product, locationId);
 
     if (reorderAt <= 0) return false;
 
@@ -72,12 +107,13 @@ function getLowStockProducts(products, threshold = 1.0) {
 /**
  * Get all out of stock products
  * @param {Array<object>} products - Array of products
+ * @param {string|null} locationId - Location ID (optional)
  * @returns {Array<object>} Out of stock products
  */
-function getOutOfStockProducts(products) {
+function getOutOfStockProducts(products, locationId = null) {
   if (!Array.isArray(products)) return [];
 
-  return products.filter(product => isOutOfStock(product));
+  return products.filter(product => isOutOfStock(product, locationId));
 }
 
 /**
@@ -93,7 +129,7 @@ function getReorderSuggestions(products) {
     .map(product => ({
       ...product,
       currentQty: Number(product.qty) || 0,
-      reorderPoint: Number(product.reorderAt) || Number(product.reorderPoint) || 0,
+      reorderPoint: getReorderPoint(product),
       suggestedOrderQty: calculateReorderQuantity(product),
       stockLevel: getStockLevel(product),
       daysOfStock: estimateDaysOfStock(product)
@@ -111,7 +147,8 @@ function getReorderSuggestions(products) {
 // ============================================================================
 
 /**
- * Calculate suggested reorder quantity
+ * Calculate suggested reorder quantity, rounded up to the supplier's
+ * minimum order and pack size when their price list sets them
  * @param {object} product - Product object
  * @returns {number} Suggested quantity to order
  */
@@ -119,7 +156,7 @@ function calculateReorderQuantity(product) {
   if (!product) return 0;
 
   const currentQty = Number(product.qty) || 0;
-  const reorderAt = Number(product.reorderAt) || Number(product.reorderPoint) || 0;
+  const reorderAt = getReorderPoint(product);
 
   // If no reorder point set, suggest 0
   if (reorderAt <= 0) return 0;
@@ -127,23 +164,31 @@ function calculateReorderQuantity(product) {
   // Calculate shortage
   const shortage = Math.max(0, reorderAt - currentQty);
 
-  // Order enough to get back to 2x reorder point (safety stock)
-  const targetQty = reorderAt * 2;
-  const orderQty = Math.max(shortage, targetQty - currentQty);
+  // A category can set a fixed order quantity
+  const policyQty = window.Categories
+    ? Number(window.Categories.getProductCategorySettings(product).reorderQty) || 0
+    : 0;
+
+  // Otherwise order enough to get back to 2x reorder point (safety stock)
+  const orderQty = policyQty > 0
+    ? Math.max(shortage, policyQty)
+    : Math.max(shortage, reorderAt * 2 - currentQty);
 
-  return Math.ceil(orderQty);
+  const rounded = window.Suppliers ? window.Suppliers.roundOrderQuantity(product, orderQty) : orderQty;
+  return Math.ceil(rounded - 1e-9);
 }
 
 /**
  * Get stock level category
  * @param {object} product - Product object
+ * @param {string|null} locationId - Location ID (optional)
  * @returns {string} Stock level: 'out', 'critical', 'low', 'adequate', 'good'
  */
-function getStockLevel(product) {
+function getStockLevel(product, locationId = null) {
   if (!product) return 'unknown';
 
-  const qty = Number(product.qty) || 0;
-  const reorderAt = Number(product.reorderAt) || Number(product.reorderPoint) || 0;
+  const qty = getStockQuantity(product, locationId).qty;
+  const reorderAt = getReorderPoint(product, locationId);
 
   if (qty === 0) return 'out';
   if (reorderAt <= 0) return 'adequate'; // No reorder point set
@@ -157,7 +202,7 @@ function getStockLevel(product) {
 }
 
 /**
- * Estimate days of stock remaining (simplified)
+ * Estimate days of stock remaining
  * @param {object} product - Product object
  * @param {number} avgDailyUsage - Average daily usage (optional)
  * @returns {number|null} Estimated days or null if unknown
@@ -174,9 +219,15 @@ function estimateDaysOfStock(product, avgDailyUsage = null) {
     return Math.floor(qty / avgDailyUsage);
   }
 
-  // Otherwise, estimate based on reorder point
+  // Otherwise use the usage forecast from sales history
+  const forecastUsage = window.Forecasting ? window.Forecasting.getAverageDailyUsage(product) : null;
+  if (forecastUsage > 0) {
+    return Math.floor(qty / forecastUsage);
+  }
+
+  // Without sales history, estimate based on reorder point
   // Assume reorder point represents ~7 days of stock
-  const reorderAt = Number(product.reorderAt) || Number(product.reorderPoint) || 0;
+  const reorderAt = getReorderPoint(product);
 
   if (reorderAt <= 0) return null; // Unknown
 
@@ -186,6 +237,203 @@ function estimateDaysOfStock(product, avgDailyUsage = null) {
   return Math.floor(qty / estimatedDailyUsage);
 }
 
+// ============================================================================
+// LOCATION LEVELS & REPLENISHMENT
+// ============================================================================
+
+/**
+ * Get a product's min/max stock levels at a location
+ * @param {object} product - Product object
+ * @param {string} locationId - Location ID
+ * @returns {object} { min, max } in stock units; max is null when not set
+ */
+function getLocationStockLevels(product, locationId) {
+  const level = (product.locationLevels || {})[locationId] || {};
+  const max = Number(level.max);
+  return {
+    min: Number(level.min) || 0,
+    max: level.max !== null && level.max !== undefined && max > 0 ? max : null
+  };
+}
+
+/**
+ * Get products at or below their minimum at each location
+ * @param {Array<object>} products - Array of products
+ * @param {string|null} locationId - Only this location (default: all active)
+ * @returns {Array<object>} { product, locationId, qty, min, max, level }, most urgent first
+ */
+function getLocationStockAlerts(products, locationId = null) {
+  if (!Array.isArray(products)) return [];
+
+  const locations = window.Locations ? window.Locations.getAllLocations(true) : [];
+  const locationIds = locationId ? [locationId] : locations.map(loc => loc.id);
+  const alerts = [];
+
+  products.forEach(product => {
+    locationIds.forEach(id => {
+      if (!isLowStock(product, id)) return;
+      const { min, max } = getLocationStockLevels(product, id);
+      alerts.push({
+        product,
+        locationId: id,
+        qty: getStockQuantity(product, id).qty,
+        min,
+        max,
+        level: getStockLevel(product, id)
+      });
+    });
+  });
+
+  const urgency = { out: 0, critical: 1, low: 2 };
+  return alerts.sort((a, b) => (urgency[a.level] - urgency[b.level]) || (a.qty / a.min - b.qty / b.min));
+}
+
+/**
+ * Sum a product's pending transfers into or out of a location, in base units
+ * @param {string} productId - Product ID
+ * @param {string} locationId - Location ID
+ * @param {string} direction - 'to' or 'from'
+ * @returns {number} Base units
+ */
+function getPendingTransferUnits(productId, locationId, direction) {
+  const product = (window.data || []).find(p => p.id === productId);
+  const perPackage = product ? getUnitsPerPackage(product) : 1;
+  const key = direction === 'to' ? 'toLocationId' : 'fromLocationId';
+  return (window.transfers || [])
+    .filter(t => t.status === 'pending' && t.productId === productId && t[key] === locationId)
+    .reduce((sum, t) => sum + (Number(t.quantity) || 0) * perPackage + (Number(t.looseUnits) || 0), 0);
+}
+
+/**
+ * Suggest transfers that bring locations at or below their minimum back up
+ * to their maximum (2x minimum when no maximum is set), from the location
+ * that replenishes them (see Locations.getReplenishmentSource). Stock
+ * already on its way in pending transfers counts, and the source keeps its
+ * own minimum.
+ * @param {Array<object>} products - Array of products
+ * @param {string|null} locationId - Only this destination (default: all active)
+ * @returns {Array<object>} { product, productId, fromLocationId, toLocationId,
+ *   onHand, inbound, min, max, needed, available, quantity, looseUnits, baseUnits }
+ *   where quantity/looseUnits is what to move (0 when the source has none)
+ */
+function getReplenishmentSuggestions(products, locationId = null) {
+  if (!window.Locations) return [];
+
+  return getLocationStockAlerts(products, locationId)
+    .filter(alert => !(typeof isVariantParent === 'function' && isVariantParent(alert.product)))
+    .map(alert => {
+      const { product, min, max } = alert;
+      const perPackage = getUnitsPerPackage(product);
+      const source = window.Locations.getReplenishmentSource(alert.locationId);
+      const toBase = stock => stock.qty * perPackage + stock.looseUnits;
+
+      const onHand = toBase(getStockQuantity(product, alert.locationId));
+      const inbound = getPendingTransferUnits(product.id, alert.locationId, 'to');
+      const target = (max || min * 2) * perPackage;
+      const needed = Math.max(0, target - onHand - inbound);
+
+      let available = 0;
+      if (source) {
+        const sourceMin = getLocationStockLevels(product, source.id).min * perPackage;
+        const outbound = getPendingTransferUnits(product.id, source.id, 'from');
+        available = Math.max(0, toBase(getStockQuantity(product, source.id)) - outbound - sourceMin);
+      }
+
+      // Whole base units unless the product is measured
+      let baseUnits = Math.min(needed, available);
+      if (!product.measurable) baseUnits = Math.min(Math.ceil(baseUnits - 1e-9), Math.floor(available + 1e-9));
+      const split = splitBaseUnits(product, baseUnits);
+
+      return {
+        product,
+        productId: product.id,
+        fromLocationId: source ? source.id : null,
+        toLocationId: alert.locationId,
+        onHand: onHand / perPackage,
+        inbound: inbound / perPackage,
+        min,
+        max,
+        needed: needed / perPackage,
+        available: available / perPackage,
+        quantity: split.qty,
+        looseUnits: split.looseUnits,
+        baseUnits
+      };
+    })
+    .filter(suggestion => suggestion.needed > 0);
+}
+
+// ============================================================================
+// EXPIRY
+// ============================================================================
+
+/**
+ * Default number of days ahead that counts as "expiring soon"
+ */
+const EXPIRY_WARNING_DAYS = 30;
+
+/**
+ * Get the expiring-soon window from settings
+ * @returns {number} Days
+ */
+function getExpiryWarningDays() {
+  const settings = window.Storage ? window.Storage.getStoredSettings() : (window.settings || {});
+  const days = Number(settings && settings.expiryWarningDays);
+  return days > 0 ? days : EXPIRY_WARNING_DAYS;
+}
+
+/**
+ * Get lots with stock that have expired or expire within a number of days
+ * @param {Array<object>} products - Array of products
+ * @param {number} days - Days ahead to include (default from settings)
+ * @returns {Array<object>} { product, lot, qty, expiresAt, daysLeft, expired }, soonest first
+ */
+function getExpiringLots(products, days = getExpiryWarningDays()) {
+  if (!Array.isArray(products)) return [];
+
+  const today = new Date().toISOString().slice(0, 10);
+  const lots = [];
+
+  products.forEach(product => {
+    (product.lots || []).forEach(lot => {
+      if (!lot.expiresAt || !(lot.qty > 0)) return;
+      const daysLeft = Math.round((Date.parse(lot.expiresAt) - Date.parse(today)) / 86400000);
+      if (daysLeft > days) return;
+      lots.push({
+        product,
+        lot: lot.lot,
+        qty: lot.qty,
+        expiresAt: lot.expiresAt,
+        daysLeft,
+        expired: daysLeft < 0
+      });
+    });
+  });
+
+  return lots.sort((a, b) => a.expiresAt.localeCompare(b.expiresAt));
+}
+
+/**
+ * Get products with stock expiring soon (but not yet expired)
+ * @param {Array<object>} products - Array of products
+ * @param {number} days - Days ahead to include (default from settings)
+ * @returns {Array<object>} Products
+ */
+function getExpiringSoonProducts(products, days = getExpiryWarningDays()) {
+  const lots = getExpiringLots(products, days).filter(l => !l.expired);
+  return [...new Set(lots.map(l => l.product))];
+}
+
+/**
+ * Get products holding expired stock
+ * @param {Array<object>} products - Array of products
+ * @returns {Array<object>} Products
+ */
+function getExpiredProducts(products) {
+  const lots = getExpiringLots(products, 0).filter(l => l.expired);
+  return [...new Set(lots.map(l => l.product))];
+}
+
 // ============================================================================
 // STOCK ALERTS
 // ============================================================================
@@ -193,9 +441,11 @@ function estimateDaysOfStock(product, avgDailyUsage = null) {
 /**
  * Get stock alert summary
  * @param {Array<object>} products - Array of products
- * @returns {object} Alert summary
+ * @param {string|null} locationId - Levels at this location (default: totals)
+ * @returns {object} Alert summary; lowAtLocations counts product/location
+ *   pairs at or below the location's minimum
  */
-function getStockAlertSummary(products) {
+function getStockAlertSummary(products, locationId = null) {
   if (!Array.isArray(products)) {
     return {
       total: 0,
@@ -203,7 +453,10 @@ function getStockAlertSummary(products) {
       critical: 0,
       low: 0,
       adequate: 0,
-      good: 0
+      good: 0,
+      expiringSoon: 0,
+      expired: 0,
+      lowAtLocations: 0
     };
   }
 
@@ -213,11 +466,14 @@ function getStockAlertSummary(products) {
     critical: 0,
     low: 0,
     adequate: 0,
-    good: 0
+    good: 0,
+    expiringSoon: getExpiringSoonProducts(products).length,
+    expired: getExpiredProducts(products).length,
+    lowAtLocations: getLocationStockAlerts(products, locationId).length
   };
 
   products.forEach(product => {
-    const level = getStockLevel(product);
+    const level = getStockLevel(product, locationId);
     switch (level) {
       case 'out':
         summary.outOfStock++;
@@ -252,6 +508,10 @@ function getStockAlertMessage(products) {
     return `⚠️ ${summary.outOfStock} product(s) out of stock!`;
   }
 
+  if (summary.expired > 0) {
+    return `⚠️ ${summary.expired} product(s) have expired stock`;
+  }
+
   if (summary.critical > 0) {
     return `⚠️ ${summary.critical} product(s) critically low!`;
   }
@@ -260,6 +520,14 @@ function getStockAlertMessage(products) {
     return `⚠️ ${summary.low} product(s) need reordering`;
   }
 
+  if (summary.lowAtLocations > 0) {
+    return `⚠️ ${summary.lowAtLocations} item(s) below their location minimum`;
+  }
+
+  if (summary.expiringSoon > 0) {
+    return `⚠️ ${summary.expiringSoon} product(s) expiring soon`;
+  }
+
   return '✓ All products adequately stocked';
 }
 
@@ -270,7 +538,8 @@ function getStockAlertMessage(products) {
  */
 function hasStockAlerts(products) {
   const summary = getStockAlertSummary(products);
-  return summary.outOfStock > 0 || summary.critical > 0 || summary.low > 0;
+  return summary.outOfStock > 0 || summary.critical > 0 || summary.low > 0 ||
+    summary.expired > 0 || summary.expiringSoon > 0 || summary.lowAtLocations > 0;
 }
 
 // ============================================================================
@@ -280,6 +549,8 @@ function hasStockAlerts(products) {
 // Make available globally or as module
 if (typeof window !== 'undefined') {
   window.StockLevels = {
+    getReorderPoint,
+    getStockQuantity,
     isLowStock,
     isOutOfStock,
     getLowStockProducts,
@@ -288,6 +559,13 @@ if (typeof window !== 'undefined') {
     calculateReorderQuantity,
     getStockLevel,
     estimateDaysOfStock,
+    getLocationStockLevels,
+    getLocationStockAlerts,
+    getReplenishmentSuggestions,
+    getExpiryWarningDays,
+    getExpiringLots,
+    getExpiringSoonProducts,
+    getExpiredProducts,
     getStockAlertSummary,
     getStockAlertMessage,
     hasStockAlerts
@@ -0,0 +1,510 @@
+/**
+ * tracking-ui.js - Lot & Serial Tracking UI
+ *
+ * Dialogs for receiving tracked stock, viewing a product's serials and
+ * lots, tracing a serial or lot number to the customers who got it, and
+ * reviewing lots that are expiring or have expired.
+ */
+
+// ============================================================================
+// TABLE COLUMN DEFINITIONS
+// ============================================================================
+
+/**
+ * Format an ISO date for tables
+ * @param {string} value - ISO date
+ * @returns {string} Local date or '-'
+ */
+function formatTrackingDate(value) {
+  if (!value) return '-';
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? esc(value) : date.toLocaleDateString();
+}
+
+/**
+ * Get a location's name
+ * @param {string} id - Location ID
+ * @returns {string} Name, or '-' when unassigned
+ */
+function trackingLocationName(id) {
+  if (!id) return '-';
+  const location = (window.locations || []).find(l => l.id === id);
+  return esc(location ? location.name : id);
+}
+
+/**
+ * Format a lot's expiry date, flagging expired lots
+ * @param {string} value - Expiry date (YYYY-MM-DD)
+ * @param {object} row - Lot record
+ * @returns {string} HTML
+ */
+function formatExpiry(value, row) {
+  if (!value) return '-';
+  return window.Tracking.isLotExpired(row)
+    ? `<span class="expiry-note expired">${esc(value)} (expired)</span>`
+    : esc(value);
+}
+
+/**
+ * Get trace result column definitions
+ * @returns {Array<object>} Column definitions
+ */
+function getTraceColumns() {
+  const labels = { order: 'Order', invoice: 'Invoice', rental: 'Rental', transfer: 'Transfer' };
+  return [
+    { key: 'date', label: 'Date', formatter: formatTrackingDate },
+    { key: 'type', label: 'Type', formatter: v => labels[v] || esc(v) },
+    { key: 'reference', label: 'Reference', formatter: v => esc(v) },
+    { key: 'customer', label: 'Customer', formatter: v => esc(v || '-') },
+    { key: 'productName', label: 'Product', formatter: v => esc(v) },
+    { key: 'qty', label: 'Qty', className: 'right' },
+    { key: 'status', label: 'Status', formatter: v => esc(v || '') }
+  ];
+}
+
+/**
+ * Get unit column definitions for a tracking mode
+ * @param {string} mode - 'serial' or 'lot'
+ * @returns {Array<object>} Column definitions
+ */
+function getUnitColumns(mode) {
+  const codeColumn = mode === 'serial'
+    ? { key: 'serial', label: 'Serial', formatter: v => `<a href="#" data-trace="${esc(v)}">${esc(v)}</a>` }
+    : { key: 'lot', label: 'Lot', formatter: v => `<a href="#" data-trace="${esc(v)}">${esc(v)}</a>` };
+
+  const columns = [codeColumn];
+  if (mode === 'serial') {
+    columns.push({ key: 'status', label: 'Status', formatter: v => esc(String(v).replace('_', ' ')) });
+  } else {
+    columns.push(
+      { key: 'qty', label: 'Qty', className: 'right' },
+      { key: 'expiresAt', label: 'Expires', formatter: formatExpiry }
+    );
+  }
+  columns.push(
+    { key: 'locationId', label: 'Location', formatter: trackingLocationName },
+    { key: 'receivedAt', label: 'Received', formatter: formatTrackingDate }
+  );
+  return columns;
+}
+
+// ============================================================================
+// DIALOG HELPERS
+// ============================================================================
+
+/**
+ * Show a dialog and remove it from the page once closed
+ * @param {HTMLElement} dlg - Dialog element
+ */
+function showTrackingDialog(dlg) {
+  window.showDialog(dlg);
+
+  // Clean up after close
+  dlg.addEventListener('close', () => {
+    setTimeout(() => {
+      if (dlg.parentNode) {
+        dlg.parentNode.removeChild(dlg);
+      }
+    }, 500);
+  });
+}
+
+/**
+ * Build location <option>s for the receive dialog
+ * @param {string|null} selected - Selected location ID
+ * @returns {string} HTML
+ */
+function trackingLocationOptions(selected) {
+  const locations = (window.locations || []).filter(l => l.isActive !== false);
+  return '<option value="">-- No location --</option>' + locations.map(l =>
+    `<option value="${esc(l.id)}"${l.id === selected ? ' selected' : ''}>${esc(l.name)}</option>`
+  ).join('');
+}
+
+/**
+ * Re-render the product list after stock changes
+ */
+function refreshTrackedProducts() {
+  if (typeof render === 'function') {
+    render();
+  } else if (window.ProductUI && document.getElementById('rows')) {
+    window.ProductUI.renderProductTable('rows', window.data || []);
+  }
+}
+
+// ============================================================================
+// UNITS DIALOG
+// ============================================================================
+
+/**
+ * Show a product's tracking mode and the serials or lots it holds
+ * @param {string} productId - Product ID
+ */
+function openUnitsDialog(productId) {
+  if (!window.createDialog || !window.Tracking) return;
+
+  const product = (window.data || []).find(p => p.id === productId);
+  if (!product) return;
+
+  const dlg = window.createDialog({
+    id: 'dlgUnits_' + Date.now(),
+    title: `Lots & Serials: ${product.name}`,
+    className: 'dialog-tracking',
+    content: `
+      <div class="field inline">
+        <label>Tracking
+          <select class="tracking-mode">
+            <option value="none">Not tracked</option>
+            <option value="serial">Serial numbers</option>
+            <option value="lot">Lot numbers</option>
+          </select>
+        </label>
+        <span class="muted tracking-summary"></span>
+      </div>
+      <div class="tracking-table-wrap">
+        <table class="small-table">
+          <thead></thead>
+          <tbody></tbody>
+        </table>
+      </div>
+    `,
+    buttons: [
+      { text: 'Close', class: 'btn small', onclick: () => window.hideDialog(dlg) },
+      { text: 'Write Off Expired', class: 'btn small', onclick: () => writeOffExpired(product.id) },
+      { text: 'Receive Stock', class: 'btn small primary', onclick: () => openReceiveDialog(product.id) }
+    ]
+  });
+
+  const modeSelect = dlg.querySelector('.tracking-mode');
+
+  const renderUnits = () => {
+    const mode = window.Tracking.getTrackingMode(product);
+    modeSelect.value = mode;
+
+    const summary = dlg.querySelector('.tracking-summary');
+    const thead = dlg.querySelector('thead');
+    const tbody = dlg.querySelector('tbody');
+
+    if (mode === 'none') {
+      summary.textContent = `${product.qty || 0} in stock, not tracked by serial or lot`;
+      thead.innerHTML = '';
+      tbody.innerHTML = '';
+      return;
+    }
+
+    summary.textContent = `${window.Tracking.getTrackedOnHand(product)} tracked units in stock`;
+    const columns = getUnitColumns(mode);
+    const units = (mode === 'serial' ? product.serials : product.lots) || [];
+    window.TableRenderer.renderTableHeader(thead, columns);
+    window.TableRenderer.renderTable(tbody, units.slice().reverse(), columns, {
+      emptyMessage: 'Nothing received yet.'
+    });
+  };
+
+  modeSelect.addEventListener('change', () => {
+    const result = window.Tracking.setTrackingModeCRUD(product.id, modeSelect.value);
+    if (!result.success) {
+      window.showToast(result.errors.join(', '), 'error');
+    }
+    renderUnits();
+    refreshTrackedProducts();
+  });
+
+  dlg.querySelector('tbody').addEventListener('click', e => {
+    const link = e.target.closest('[data-trace]');
+    if (!link) return;
+    e.preventDefault();
+    openTraceDialog(link.dataset.trace);
+  });
+
+  if (window.EventBus) {
+    const unsubscribe = window.EventBus.on('product:*', payload => {
+      if (payload && payload.id === product.id) renderUnits();
+    });
+    dlg.addEventListener('close', unsubscribe);
+  }
+
+  renderUnits();
+  showTrackingDialog(dlg);
+}
+
+// ============================================================================
+// RECEIVE DIALOG
+// ============================================================================
+
+/**
+ * Receive stock into a product, asking for serials or a lot number when tracked
+ * @param {string} productId - Product ID
+ */
+function openReceiveDialog(productId) {
+  if (!window.createDialog || !window.Tracking) return;
+
+  const product = (window.data || []).find(p => p.id === productId);
+  if (!product) return;
+
+  const mode = window.Tracking.getTrackingMode(product);
+  const today = new Date().toISOString().split('T')[0];
+
+  const fields = {
+    serial: `
+      <label class="field">Serial numbers (one per line)
+        <textarea name="serials" rows="6" required></textarea>
+      </label>`,
+    lot: `
+      <div class="row">
+        <label class="field">Lot number <input name="lot" required></label>
+        <label class="field">Quantity <input type="number" name="qty" min="1" step="1" value="1" required></label>
+        <label class="field">Expires <input type="date" name="expiresAt"></label>
+      </div>`,
+    none: `
+      <label class="field">Quantity <input type="number" name="qty" min="1" step="1" value="1" required></label>`
+  };
+
+  const dlg = window.createDialog({
+    id: 'dlgReceive_' + Date.now(),
+    title: `Receive: ${product.name}`,
+    content: `
+      <form class="receive-form">
+        ${fields[mode]}
+        <div class="row">
+          <label class="field">Unit cost <input type="number" name="unitCost" min="0" step="0.01" value="${Number(product.cost) || 0}"></label>
+          <label class="field">Location
+            <select name="locationId">${trackingLocationOptions(product.defaultLocationId)}</select>
+          </label>
+          <label class="field">Received <input type="date" name="receivedAt" value="${today}"></label>
+        </div>
+        <div class="btn-group">
+          <button type="button" class="btn" data-action="cancel">Cancel</button>
+          <button type="submit" class="btn primary">Receive</button>
+        </div>
+      </form>
+    `
+  });
+
+  const form = dlg.querySelector('form');
+  form.querySelector('[data-action="cancel"]').addEventListener('click', () => window.hideDialog(dlg));
+
+  form.addEventListener('submit', e => {
+    e.preventDefault();
+    const values = form.elements;
+    const result = window.Tracking.receiveStockCRUD(product.id, {
+      serials: values.serials ? values.serials.value.split(/[\n,]/) : [],
+      lot: values.lot ? values.lot.value : '',
+      expiresAt: values.expiresAt ? values.expiresAt.value : null,
+      qty: values.qty ? parseInt(values.qty.value, 10) || 0 : 0,
+      unitCost: parseFloat(values.unitCost.value) || 0,
+      locationId: values.locationId.value || null,
+      receivedAt: values.receivedAt.value ? new Date(values.receivedAt.value).toISOString() : undefined
+    });
+
+    if (!result.success) {
+      window.showToast(result.errors.join(', '), 'error');
+      return;
+    }
+
+    window.showToast(`Received ${result.qty} × ${product.name}`, 'success');
+    window.hideDialog(dlg);
+    refreshTrackedProducts();
+  });
+
+  showTrackingDialog(dlg);
+}
+
+// ============================================================================
+// TRACE DIALOG
+// ============================================================================
+
+/**
+ * Trace a serial or lot number across orders, invoices, rentals and transfers
+ * @param {string} code - Serial or lot number to trace first (optional)
+ */
+function openTraceDialog(code = '') {
+  if (!window.createDialog || !window.Tracking) return;
+
+  const dlg = window.createDialog({
+    id: 'dlgTrace_' + Date.now(),
+    title: 'Trace Lot / Serial',
+    className: 'dialog-tracking',
+    content: `
+      <form class="trace-form field inline">
+        <input name="code" placeholder="Serial or lot number" value="${esc(code)}" autocomplete="off">
+        <button type="submit" class="btn small primary">Trace</button>
+      </form>
+      <div class="muted trace-holding"></div>
+      <div class="tracking-table-wrap">
+        <table class="small-table">
+          <thead></thead>
+          <tbody></tbody>
+        </table>
+      </div>
+    `,
+    buttons: [
+      { text: 'Close', class: 'btn small', onclick: () => window.hideDialog(dlg) }
+    ]
+  });
+
+  const columns = getTraceColumns();
+  const form = dlg.querySelector('form');
+  window.TableRenderer.renderTableHeader(dlg.querySelector('thead'), columns);
+
+  const runTrace = () => {
+    const query = form.elements.code.value.trim();
+    const rows = query ? window.Tracking.traceTrackedCode(query) : [];
+
+    // Where the units still in stock are
+    const holding = window.Tracking.findTrackedUnits(query)
+      .filter(u => (u.kind === 'serial' ? u.record.status === 'in_stock' : u.record.qty > 0))
+      .map(u => `${u.product.name}: ${u.kind === 'lot' ? `${u.record.qty} in stock` : 'in stock'}` +
+        (u.record.locationId ? ` at ${trackingLocationName(u.record.locationId)}` : ''));
+    dlg.querySelector('.trace-holding').innerHTML = holding.length ? esc(holding.join('; ')) : '';
+
+    window.TableRenderer.renderTable(dlg.querySelector('tbody'), rows, columns, {
+      emptyMessage: query ? `No movements found for "${esc(query)}"` : 'Enter a serial or lot number.'
+    });
+  };
+
+  form.addEventListener('submit', e => {
+    e.preventDefault();
+    runTrace();
+  });
+
+  runTrace();
+  showTrackingDialog(dlg);
+  form.elements.code.focus();
+}
+
+// ============================================================================
+// EXPIRY
+// ============================================================================
+
+/**
+ * Write off expired lots into the damaged/loss log, after confirming
+ * @param {string|null} productId - Limit to one product (default: all)
+ */
+function writeOffExpired(productId = null) {
+  const products = (window.data || []).filter(p => !productId || p.id === productId);
+  const expired = window.StockLevels.getExpiringLots(products, 0).filter(l => l.expired);
+  if (expired.length === 0) {
+    window.showToast('No expired stock to write off', 'info');
+    return;
+  }
+
+  const qty = expired.reduce((sum, l) => sum + l.qty, 0);
+  if (!confirm(`Write off ${qty} expired unit(s) from ${expired.length} lot(s)? They will be logged under Damaged & Loss.`)) return;
+
+  const result = window.Tracking.writeOffExpiredCRUD(productId);
+  if (!result.success) {
+    window.showToast(result.errors.join(', '), 'error');
+    return;
+  }
+
+  window.showToast(`Wrote off ${result.qty} expired unit(s)`, 'success');
+  refreshTrackedProducts();
+}
+
+/**
+ * List lots that have expired or expire within the warning window
+ */
+function openExpiringDialog() {
+  if (!window.createDialog || !window.StockLevels) return;
+
+  const days = window.StockLevels.getExpiryWarningDays();
+  const dlg = window.createDialog({
+    id: 'dlgExpiring_' + Date.now(),
+    title: `Expiring Stock (next ${days} days)`,
+    className: 'dialog-tracking',
+    content: `
+      <div class="tracking-table-wrap">
+        <table class="small-table">
+          <thead></thead>
+          <tbody></tbody>
+        </table>
+      </div>
+    `,
+    buttons: [
+      { text: 'Close', class: 'btn small', onclick: () => window.hideDialog(dlg) },
+      { text: 'Write Off Expired', class: 'btn small danger', onclick: () => writeOffExpired() }
+    ]
+  });
+
+  const columns = [
+    { key: 'expiresAt', label: 'Expires', formatter: (v, row) => row.expired ? `<span class="expiry-note expired">${esc(v)}</span>` : esc(v) },
+    { key: 'daysLeft', label: 'Days Left', className: 'right', formatter: v => (v < 0 ? 'expired' : String(v)) },
+    { key: 'product.name', label: 'Product', formatter: v => esc(v) },
+    { key: 'lot', label: 'Lot', formatter: v => `<a href="#" data-trace="${esc(v)}">${esc(v)}</a>` },
+    { key: 'qty', label: 'Qty', className: 'right' }
+  ];
+
+  const renderLots = () => {
+    window.TableRenderer.renderTable(dlg.querySelector('tbody'), window.StockLevels.getExpiringLots(window.data || [], days), columns, {
+      emptyMessage: 'Nothing expiring soon.'
+    });
+  };
+
+  window.TableRenderer.renderTableHeader(dlg.querySelector('thead'), columns);
+  dlg.querySelector('tbody').addEventListener('click', e => {
+    const link = e.target.closest('[data-trace]');
+    if (!link) return;
+    e.preventDefault();
+    openTraceDialog(link.dataset.trace);
+  });
+
+  if (window.EventBus) {
+    const unsubscribe = window.EventBus.on('product:*', renderLots);
+    dlg.addEventListener('close', unsubscribe);
+  }
+
+  renderLots();
+  showTrackingDialog(dlg);
+}
+
+/**
+ * Warn about expired and soon-to-expire stock once the app has loaded
+ */
+function checkExpiringStock() {
+  if (!window.StockLevels || typeof window.showToast !== 'function') return;
+
+  const summary = window.StockLevels.getStockAlertSummary(window.data || []);
+  if (summary.expired === 0 && summary.expiringSoon === 0) return;
+
+  const message = summary.expired > 0
+    ? `${summary.expired} product(s) have expired stock that should be written off.`
+    : `${summary.expiringSoon} product(s) have stock expiring within ${window.StockLevels.getExpiryWarningDays()} days.`;
+
+  window.showToast(message, 'warning', 10000, {
+    action: { label: 'Review', onClick: openExpiringDialog }
+  });
+}
+
+/**
+ * Wire up the Trace button in the toolbar and schedule the expiry check
+ */
+function initTrackingUI() {
+  const btn = document.getElementById('btnTrace');
+  if (btn) {
+    btn.addEventListener('click', () => openTraceDialog());
+  }
+
+  if (typeof window.whenAppReady === 'function') {
+    window.whenAppReady().then(checkExpiringStock);
+  }
+}
+
+// Auto-initialize when DOM is ready
+if (typeof window !== 'undefined') {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initTrackingUI);
+  } else {
+    initTrackingUI();
+  }
+
+  window.TrackingUI = {
+    getTraceColumns,
+    getUnitColumns,
+    openUnitsDialog,
+    openReceiveDialog,
+    openTraceDialog,
+    openExpiringDialog,
+    writeOffExpired
+  };
+}
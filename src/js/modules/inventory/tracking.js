@@ -0,0 +1,774 @@
+/* ============================================
+   LOT & SERIAL TRACKING MODEL
+   CodeLapras - Per-unit Traceability
+   ============================================ */
+
+// A product can opt in to tracking (product.tracking):
+//   'serial' - each unit has its own serial number (product.serials)
+//   'lot'    - units are received in lots with a quantity (product.lots)
+// Units live on the product record, so they are saved, synced and undone
+// together with its stock counts. Orders, transfers and rentals record which
+// serials or lots they moved; the trace functions search those records.
+//
+// Lots may carry an expiry date (lot.expiresAt, YYYY-MM-DD). Lots are picked
+// first-expired-first-out, expired lots are never picked, and
+// writeOffExpiredCRUD moves expired quantities into the damaged/loss log.
+
+/**
+ * Tracking modes
+ */
+const TRACKING_MODES = ['none', 'serial', 'lot'];
+
+/**
+ * Serial number statuses
+ */
+const SERIAL_STATUSES = ['in_stock', 'sold', 'rented'];
+
+// ============ Factory Functions ============
+
+/**
+ * Create a serial number record
+ * @param {object} data - Serial data
+ * @returns {object} Serial record
+ */
+function createSerialRecord(data = {}) {
+  return {
+    id: data.id || (typeof uid === 'function' ? uid() : 'sn-' + Date.now()),
+    serial: String(data.serial || '').trim(),
+    status: SERIAL_STATUSES.includes(data.status) ? data.status : 'in_stock',
+    locationId: data.locationId || null,
+    receivedAt: data.receivedAt || (typeof nowISO === 'function' ? nowISO() : new Date().toISOString())
+  };
+}
+
+/**
+ * Create a lot record
+ * @param {object} data - Lot data
+ * @returns {object} Lot record
+ */
+function createLotRecord(data = {}) {
+  return {
+    id: data.id || (typeof uid === 'function' ? uid() : 'lot-' + Date.now()),
+    lot: String(data.lot || '').trim(),
+    qty: typeof data.qty === 'number' ? data.qty : 0,
+    expiresAt: data.expiresAt || null,
+    locationId: data.locationId || null,
+    receivedAt: data.receivedAt || (typeof nowISO === 'function' ? nowISO() : new Date().toISOString())
+  };
+}
+
+// ============ Helpers ============
+
+/**
+ * Get a product's tracking mode
+ * @param {object} product - Product object
+ * @returns {string} 'none', 'serial' or 'lot'
+ */
+function getTrackingMode(product) {
+  return product && TRACKING_MODES.includes(product.tracking) ? product.tracking : 'none';
+}
+
+/**
+ * Check if a product tracks serials or lots
+ * @param {object} product - Product object
+ * @returns {boolean}
+ */
+function isTracked(product) {
+  return getTrackingMode(product) !== 'none';
+}
+
+/**
+ * Get today's date as YYYY-MM-DD
+ * @returns {string}
+ */
+function todayDate() {
+  return (typeof nowISO === 'function' ? nowISO() : new Date().toISOString()).slice(0, 10);
+}
+
+/**
+ * Check if a lot is past its expiry date (it can still be used on that date)
+ * @param {object} lot - Lot record
+ * @param {string} asOf - Date to check (YYYY-MM-DD, default today)
+ * @returns {boolean}
+ */
+function isLotExpired(lot, asOf = todayDate()) {
+  return !!(lot && lot.expiresAt) && lot.expiresAt < asOf;
+}
+
+/**
+ * Serials that are in stock, optionally at one location
+ * @param {object} product - Product object
+ * @param {string|null} locationId - Location (units without a location match any)
+ * @returns {Array} Serial records, oldest first
+ */
+function getAvailableSerials(product, locationId = null) {
+  return (product.serials || [])
+    .filter(s => s.status === 'in_stock')
+    .filter(s => !locationId || !s.locationId || s.locationId === locationId)
+    .sort((a, b) => String(a.receivedAt).localeCompare(String(b.receivedAt)));
+}
+
+/**
+ * Lots with stock, in the order they should be picked: first expired first
+ * out, then oldest first for lots without an expiry date
+ * @param {object} product - Product object
+ * @param {string|null} locationId - Location (lots without a location match any)
+ * @param {boolean} includeExpired - Include lots past their expiry date
+ * @returns {Array} Lot records
+ */
+function getAvailableLots(product, locationId = null, includeExpired = false) {
+  const today = todayDate();
+  return (product.lots || [])
+    .filter(l => l.qty > 0)
+    .filter(l => includeExpired || !isLotExpired(l, today))
+    .filter(l => !locationId || !l.locationId || l.locationId === locationId)
+    .sort((a, b) => {
+      if (a.expiresAt !== b.expiresAt) {
+        if (!a.expiresAt) return 1;
+        if (!b.expiresAt) return -1;
+        return a.expiresAt.localeCompare(b.expiresAt);
+      }
+      return String(a.receivedAt).localeCompare(String(b.receivedAt));
+    });
+}
+
+/**
+ * Count tracked units in stock
+ * @param {object} product - Product object
+ * @returns {number} In-stock serials or total lot quantity
+ */
+function getTrackedOnHand(product) {
+  const mode = getTrackingMode(product);
+  if (mode === 'serial') return getAvailableSerials(product).length;
+  if (mode === 'lot') return getAvailableLots(product, null, true).reduce((sum, l) => sum + l.qty, 0);
+  return 0;
+}
+
+/**
+ * Add lot quantity, merging into a matching lot record
+ * A lot keeps one expiry date; when none is given it is taken from another
+ * record of the same lot (e.g. stock coming back from a sale or transfer).
+ * @param {object} product - Product object
+ * @param {string} lot - Lot number
+ * @param {number} qty - Quantity
+ * @param {object} extra - { locationId, receivedAt, expiresAt }
+ */
+function addLotQuantity(product, lot, qty, extra = {}) {
+  if (!product.lots) product.lots = [];
+  const locationId = extra.locationId || null;
+  const sameLot = product.lots.find(l => l.lot === lot && l.expiresAt);
+  const expiresAt = extra.expiresAt || (sameLot ? sameLot.expiresAt : null);
+  const existing = product.lots.find(l => l.lot === lot && (l.locationId || null) === locationId);
+  if (existing) {
+    existing.qty += qty;
+    if (expiresAt) existing.expiresAt = expiresAt;
+  } else {
+    product.lots.push(createLotRecord({ lot, qty, locationId, expiresAt, receivedAt: extra.receivedAt }));
+  }
+}
+
+// ============ Allocation ============
+
+/**
+ * Choose the serials or lots for a quantity leaving stock.
+ * Requested serials/lots are used first; the rest are picked oldest first
+ * (lots: first expired first out). Expired lots are never picked.
+ * Does not change the product.
+ * @param {object} product - Product object
+ * @param {number} quantity - Quantity needed
+ * @param {object} requested - { serials: string[], lots: [{ lot, qty }], locationId }
+ * @returns {object} { success, serials: string[], lots: [{ lot, qty, expiresAt? }], error }
+ */
+function allocateTracked(product, quantity, requested = {}) {
+  const mode = getTrackingMode(product);
+  const locationId = requested.locationId || null;
+
+  if (mode === 'serial') {
+    const available = getAvailableSerials(product, locationId);
+    const wanted = (requested.serials || []).filter(Boolean);
+    const missing = wanted.filter(sn => !available.some(s => s.serial === sn));
+    if (missing.length > 0) {
+      return { success: false, serials: [], lots: [], error: `Serial ${missing.join(', ')} is not in stock` };
+    }
+    if (wanted.length > quantity) {
+      return { success: false, serials: [], lots: [], error: `${wanted.length} serials given for a quantity of ${quantity}` };
+    }
+
+    const serials = [...wanted];
+    available.forEach(s => {
+      if (serials.length < quantity && !serials.includes(s.serial)) serials.push(s.serial);
+    });
+    if (serials.length < quantity) {
+      return { success: false, serials: [], lots: [], error: `Only ${serials.length} serialized units in stock for ${product.name}` };
+    }
+    return { success: true, serials, lots: [], error: null };
+  }
+
+  if (mode === 'lot') {
+    const available = getAvailableLots(product, locationId).map(l => ({ record: l, left: l.qty }));
+    const lots = [];
+    let remaining = quantity;
+
+    const take = (entry, qty) => {
+      entry.left -= qty;
+      remaining -= qty;
+      const line = lots.find(l => l.lot === entry.record.lot);
+      if (line) line.qty += qty;
+      else if (entry.record.expiresAt) lots.push({ lot: entry.record.lot, qty, expiresAt: entry.record.expiresAt });
+      else lots.push({ lot: entry.record.lot, qty });
+    };
+
+    for (const want of (requested.lots || [])) {
+      let needed = Math.min(want.qty || 0, remaining);
+      available.filter(e => e.record.lot === want.lot).forEach(entry => {
+        const qty = Math.min(entry.left, needed);
+        if (qty > 0) {
+          take(entry, qty);
+          needed -= qty;
+        }
+      });
+      if (needed > 0) {
+        return { success: false, serials: [], lots: [], error: `Lot ${want.lot} does not have ${want.qty} in stock` };
+      }
+    }
+
+    available.forEach(entry => {
+      const qty = Math.min(entry.left, remaining);
+      if (qty > 0) take(entry, qty);
+    });
+
+    if (remaining > 0) {
+      const expired = getAvailableLots(product, locationId, true).some(l => isLotExpired(l));
+      const note = expired ? ' (expired lots are not picked)' : '';
+      return { success: false, serials: [], lots: [], error: `Only ${quantity - remaining} units in lots for ${product.name}${note}` };
+    }
+    return { success: true, serials: [], lots, error: null };
+  }
+
+  return { success: true, serials: [], lots: [], error: null };
+}
+
+/**
+ * Take tracked units out of stock (sale or rental). Changes the product in
+ * place, including its qty.
+ * @param {object} product - Product object
+ * @param {number} quantity - Quantity leaving stock
+ * @param {object} requested - See allocateTracked
+ * @param {string} status - New serial status ('sold' or 'rented')
+ * @returns {object} { success, serials, lots, error }
+ */
+function consumeTracked(product, quantity, requested = {}, status = 'sold') {
+  const allocation = allocateTracked(product, quantity, requested);
+  if (!allocation.success || !isTracked(product)) return allocation;
+
+  allocation.serials.forEach(sn => {
+    const record = product.serials.find(s => s.serial === sn && s.status === 'in_stock');
+    record.status = status;
+  });
+
+  allocation.lots.forEach(({ lot, qty }) => {
+    let remaining = qty;
+    getAvailableLots(product, requested.locationId).filter(l => l.lot === lot).forEach(record => {
+      const taken = Math.min(record.qty, remaining);
+      record.qty -= taken;
+      remaining -= taken;
+    });
+  });
+
+  product.lots = (product.lots || []).filter(l => l.qty > 0);
+  product.qty = Math.max(0, (product.qty || 0) - quantity);
+  product.updatedAt = typeof nowISO === 'function' ? nowISO() : new Date().toISOString();
+  return allocation;
+}
+
+/**
+ * Put tracked units back in stock (cancelled sale, returned rental).
+ * Changes the product in place, including its qty.
+ * @param {object} product - Product object
+ * @param {object} units - { serials: string[], lots: [{ lot, qty, expiresAt? }] }
+ * @returns {number} Quantity returned
+ */
+function restoreTracked(product, units = {}) {
+  let quantity = 0;
+
+  (units.serials || []).forEach(sn => {
+    const record = (product.serials || []).find(s => s.serial === sn && s.status !== 'in_stock');
+    if (record) {
+      record.status = 'in_stock';
+      quantity++;
+    }
+  });
+
+  (units.lots || []).forEach(({ lot, qty, expiresAt }) => {
+    addLotQuantity(product, lot, qty, { expiresAt });
+    quantity += qty;
+  });
+
+  product.qty = (product.qty || 0) + quantity;
+  product.updatedAt = typeof nowISO === 'function' ? nowISO() : new Date().toISOString();
+  return quantity;
+}
+
+/**
+ * Move tracked units between locations. Stock counts are left to the caller.
+ * @param {object} product - Product object
+ * @param {number} quantity - Quantity moving
+ * @param {string} fromLocationId - Source location
+ * @param {string} toLocationId - Destination location
+ * @param {object} requested - { serials, lots }
+ * @returns {object} { success, serials, lots, error }
+ */
+function moveTracked(product, quantity, fromLocationId, toLocationId, requested = {}) {
+  const allocation = allocateTracked(product, quantity, { ...requested, locationId: fromLocationId });
+  if (!allocation.success || !isTracked(product)) return allocation;
+
+  allocation.serials.forEach(sn => {
+    const record = product.serials.find(s => s.serial === sn && s.status === 'in_stock');
+    record.locationId = toLocationId;
+  });
+
+  allocation.lots.forEach(({ lot, qty }) => {
+    let remaining = qty;
+    getAvailableLots(product, fromLocationId).filter(l => l.lot === lot).forEach(record => {
+      const taken = Math.min(record.qty, remaining);
+      record.qty -= taken;
+      remaining -= taken;
+      if (taken > 0) {
+        addLotQuantity(product, lot, taken, {
+          locationId: toLocationId,
+          receivedAt: record.receivedAt,
+          expiresAt: record.expiresAt
+        });
+      }
+    });
+  });
+
+  product.lots = (product.lots || []).filter(l => l.qty > 0);
+  return allocation;
+}
+
+// ============ CRUD Operations ============
+
+/**
+ * Change how a product is tracked. Switching to lots wraps stock on hand in
+ * an opening lot; switching to serials requires zero stock so every unit
+ * gets a serial when it is received.
+ * @param {string} productId - Product ID
+ * @param {string} mode - 'none', 'serial' or 'lot'
+ * @returns {object} { success: boolean, product?: object, errors?: array }
+ */
+function setTrackingModeCRUD(productId, mode) {
+  try {
+    const product = (window.data || []).find(p => p.id === productId);
+    if (!product) {
+      return { success: false, errors: ['Product not found'] };
+    }
+    if (!TRACKING_MODES.includes(mode)) {
+      return { success: false, errors: [`Unknown tracking mode: ${mode}`] };
+    }
+
+    const current = getTrackingMode(product);
+    if (current === mode) {
+      return { success: true, product };
+    }
+    if (current !== 'none' && getTrackedOnHand(product) > 0) {
+      return { success: false, errors: ['Sell or write off the tracked units in stock before changing tracking'] };
+    }
+    if (mode === 'serial' && (product.qty || 0) > 0) {
+      return { success: false, errors: ['Set stock to 0, then receive each unit with its serial number'] };
+    }
+
+    if (mode === 'lot' && (product.qty || 0) > 0) {
+      const today = (typeof nowISO === 'function' ? nowISO() : new Date().toISOString()).slice(0, 10);
+      product.lots = [createLotRecord({ lot: `OPENING-${today}`, qty: product.qty })];
+    }
+
+    product.tracking = mode;
+    product.updatedAt = typeof nowISO === 'function' ? nowISO() : new Date().toISOString();
+
+    if (typeof saveProductsToStorage === 'function') {
+      saveProductsToStorage();
+    }
+
+    if (typeof EventBus !== 'undefined') {
+      EventBus.emit('product:updated', { id: productId, updates: { tracking: mode }, product });
+    }
+
+    return { success: true, product };
+
+  } catch (err) {
+    console.error('Error setting tracking mode:', err);
+    return { success: false, errors: [err.message] };
+  }
+}
+
+/**
+ * Receive stock into a product, recording serials or the lot
+ * @param {string} productId - Product ID
+ * @param {object} data - { qty, serials: string[], lot, expiresAt, locationId, receivedAt,
+ *   unitCost, landedCost (per unit), receiptId, reference }
+ * @returns {object} { success: boolean, product?: object, qty?: number, errors?: array }
+ */
+function receiveStockCRUD(productId, data = {}) {
+  try {
+    const product = (window.data || []).find(p => p.id === productId);
+    if (!product) {
+      return { success: false, errors: ['Product not found'] };
+    }
+    if (typeof isVariantParent === 'function' && isVariantParent(product)) {
+      return { success: false, errors: ['Product has variants; receive stock into a specific variant'] };
+    }
+
+    const mode = getTrackingMode(product);
+    const errors = [];
+    let qty = Number(data.qty) || 0;
+    let serials = [];
+
+    if (mode === 'serial') {
+      serials = [...new Set((data.serials || []).map(s => String(s).trim()).filter(Boolean))];
+      qty = serials.length;
+      const taken = serials.filter(sn => (product.serials || []).some(s => s.serial === sn));
+      if (taken.length > 0) {
+        errors.push(`Serial already recorded: ${taken.join(', ')}`);
+      }
+    } else if (mode === 'lot' && !String(data.lot || '').trim()) {
+      errors.push('Lot number is required');
+    }
+
+    if ((Number(data.unitCost) || 0) < 0 || (Number(data.landedCost) || 0) < 0) {
+      errors.push('Cost cannot be negative');
+    }
+
+    if (data.expiresAt && !/^\d{4}-\d{2}-\d{2}$/.test(data.expiresAt)) {
+      errors.push('Expiry date must be YYYY-MM-DD');
+    } else if (data.expiresAt && mode !== 'lot') {
+      errors.push('Expiry dates are recorded per lot; track this product by lot');
+    }
+
+    if (qty <= 0) {
+      errors.push(mode === 'serial' ? 'Enter at least one serial number' : 'Quantity must be greater than 0');
+    }
+    if (errors.length > 0) {
+      return { success: false, errors };
+    }
+
+    const receivedAt = data.receivedAt || (typeof nowISO === 'function' ? nowISO() : new Date().toISOString());
+    const locationId = data.locationId || null;
+
+    if (mode === 'serial') {
+      if (!product.serials) product.serials = [];
+      serials.forEach(serial => {
+        product.serials.push(createSerialRecord({ serial, locationId, receivedAt }));
+      });
+    } else if (mode === 'lot') {
+      addLotQuantity(product, String(data.lot).trim(), qty, { locationId, receivedAt, expiresAt: data.expiresAt || null });
+    }
+
+    // Cost layer for valuation; unpriced receipts are costed at product cost
+    const unitCost = data.unitCost !== undefined && data.unitCost !== null && data.unitCost !== ''
+      ? Number(data.unitCost) || 0
+      : Number(product.cost) || 0;
+    if (window.Costing) {
+      window.Costing.addCostLayer(product, qty, unitCost, {
+        landedCost: Number(data.landedCost) || 0,
+        receiptId: data.receiptId,
+        reference: data.reference,
+        receivedAt
+      });
+    }
+
+    const previousStock = { qty: product.qty, looseUnits: product.looseUnits };
+    product.qty = (product.qty || 0) + qty;
+    if (locationId) {
+      if (!product.stockByLocation) product.stockByLocation = {};
+      const stock = product.stockByLocation[locationId] || (product.stockByLocation[locationId] = { qty: 0, looseUnits: 0 });
+      stock.qty += qty;
+    }
+    product.updatedAt = receivedAt;
+
+    if (typeof saveProductsToStorage === 'function') {
+      saveProductsToStorage();
+    }
+    if (window.StockLedger) {
+      window.StockLedger.recordStockMovement(product, previousStock, {
+        reason: 'receipt',
+        reference: data.reference || data.receiptId || '',
+        locationId,
+        note: mode === 'lot' ? `Lot ${String(data.lot).trim()}` : ''
+      });
+    }
+
+    if (typeof EventBus !== 'undefined') {
+      EventBus.emit('product:received', {
+        id: productId,
+        product,
+        qty,
+        serials,
+        lot: mode === 'lot' ? String(data.lot).trim() : null,
+        expiresAt: data.expiresAt || null,
+        unitCost,
+        landedCost: Number(data.landedCost) || 0,
+        receiptId: data.receiptId || null,
+        locationId
+      });
+    }
+
+    return { success: true, product, qty };
+
+  } catch (err) {
+    console.error('Error receiving stock:', err);
+    return { success: false, errors: [err.message] };
+  }
+}
+
+/**
+ * Write off expired lot quantities into the damaged/loss log
+ * @param {string|null} productId - Limit to one product (default: all products)
+ * @returns {object} { success: boolean, qty?: number, records?: array, errors?: array }
+ */
+function writeOffExpiredCRUD(productId = null) {
+  try {
+    const products = (window.data || []).filter(p => !productId || p.id === productId);
+    if (productId && products.length === 0) {
+      return { success: false, errors: ['Product not found'] };
+    }
+
+    const today = todayDate();
+    const expired = products
+      .map(product => ({
+        product,
+        lots: getAvailableLots(product, null, true).filter(l => isLotExpired(l, today))
+      }))
+      .filter(entry => entry.lots.length > 0);
+
+    if (expired.length === 0) {
+      return { success: true, qty: 0, records: [] };
+    }
+
+    const records = [];
+    const write = () => {
+      if (!window.damaged) window.damaged = [];
+      const ts = typeof nowISO === 'function' ? nowISO() : new Date().toISOString();
+
+      expired.forEach(({ product, lots }) => {
+        const previousStock = { qty: product.qty, looseUnits: product.looseUnits };
+        lots.forEach(lot => {
+          const qty = lot.qty;
+          const costPer = Number(product.cost) || 0;
+          records.push({
+            id: typeof uid === 'function' ? uid() : 'dmg-' + Date.now(),
+            itemId: product.id,
+            name: product.name,
+            sku: product.sku || '',
+            qty,
+            costPer,
+            loss: qty * costPer,
+            note: `Expired lot ${lot.lot} (${lot.expiresAt})`,
+            reason: 'expired',
+            lot: lot.lot,
+            ts
+          });
+
+          lot.qty = 0;
+          product.qty = Math.max(0, (product.qty || 0) - qty);
+          const stock = lot.locationId && product.stockByLocation && product.stockByLocation[lot.locationId];
+          if (stock) stock.qty = Math.max(0, (stock.qty || 0) - qty);
+          if (stock && window.Bins) window.Bins.reconcileBinStock(product, lot.locationId);
+        });
+
+        product.lots = product.lots.filter(l => l.qty > 0);
+        product.updatedAt = ts;
+
+        if (window.StockLedger) {
+          window.StockLedger.recordStockMovement(product, previousStock, {
+            reason: 'damage',
+            note: `Expired lot ${lots.map(l => l.lot).join(', ')}`
+          });
+        }
+      });
+
+      window.damaged.unshift(...records);
+      if (typeof saveProductsToStorage === 'function') saveProductsToStorage();
+      if (typeof saveDamaged === 'function') saveDamaged(window.damaged);
+    };
+
+    if (window.Storage && window.Storage.runTransaction) {
+      window.Storage.runTransaction(['data', 'damaged'], write);
+    } else {
+      write();
+    }
+
+    if (typeof EventBus !== 'undefined') {
+      expired.forEach(({ product }) => {
+        const written = records.filter(r => r.itemId === product.id);
+        EventBus.emit('product:written-off', {
+          id: product.id,
+          product,
+          reason: 'expired',
+          qty: written.reduce((sum, r) => sum + r.qty, 0),
+          lots: written.map(r => ({ lot: r.lot, qty: r.qty }))
+        });
+      });
+    }
+
+    return { success: true, qty: records.reduce((sum, r) => sum + r.qty, 0), records };
+
+  } catch (err) {
+    console.error('Error writing off expired stock:', err);
+    return { success: false, errors: [err.message] };
+  }
+}
+
+// ============ Trace ============
+
+/**
+ * Check whether a record's serials/lots include a code
+ * @param {object} record - Line item, invoice item, transfer...
+ * @param {string} code - Serial or lot number (case-insensitive)
+ * @returns {object|null} { kind: 'serial'|'lot', qty } or null
+ */
+function matchTrackedCode(record, code) {
+  if (!record) return null;
+  const needle = code.toLowerCase();
+
+  if ((record.serials || []).some(sn => String(sn).toLowerCase() === needle)) {
+    return { kind: 'serial', qty: 1 };
+  }
+  const lot = (record.lots || []).find(l => String(l.lot).toLowerCase() === needle);
+  if (lot) {
+    return { kind: 'lot', qty: lot.qty };
+  }
+  return null;
+}
+
+/**
+ * Find every movement of a serial or lot number across orders, invoices,
+ * rentals and transfers, e.g. to answer "which customers received lot X"
+ * @param {string} code - Serial or lot number
+ * @returns {Array<object>} { type, id, date, reference, customer, productName, kind, qty, status } newest first
+ */
+function traceTrackedCode(code) {
+  const query = String(code || '').trim();
+  if (!query) return [];
+
+  const rows = [];
+  const productName = (id) => ((window.data || []).find(p => p.id === id) || {}).name || '';
+
+  (window.orders || []).forEach(order => {
+    (order.lineItems || []).forEach(line => {
+      const match = matchTrackedCode(line, query);
+      if (!match) return;
+      rows.push({
+        type: 'order',
+        id: order.id,
+        date: order.fulfilledAt || order.orderDate,
+        reference: order.orderNumber || order.id,
+        customer: order.customerName || '',
+        productName: line.productName || productName(line.productId),
+        kind: match.kind,
+        qty: match.qty,
+        status: order.status
+      });
+    });
+  });
+
+  (window.invoices || []).forEach(invoice => {
+    (invoice.items || []).forEach(item => {
+      const match = matchTrackedCode(item, query);
+      if (!match) return;
+      rows.push({
+        type: 'invoice',
+        id: invoice.id,
+        date: invoice.date,
+        reference: invoice.number || invoice.id,
+        customer: (invoice.customer && invoice.customer.name) || '',
+        productName: item.name || productName(item.productId),
+        kind: match.kind,
+        qty: match.qty,
+        status: invoice.paid ? 'paid' : 'unpaid'
+      });
+    });
+  });
+
+  (window.rentals || []).forEach(rental => {
+    const match = matchTrackedCode(rental, query);
+    if (!match) return;
+    rows.push({
+      type: 'rental',
+      id: rental.id,
+      date: rental.startDate,
+      reference: rental.id,
+      customer: rental.customer || '',
+      productName: rental.equipment || productName(rental.equipmentId),
+      kind: match.kind,
+      qty: match.qty,
+      status: rental.returnDate ? 'returned' : rental.status
+    });
+  });
+
+  (window.transfers || []).forEach(transfer => {
+    const match = matchTrackedCode(transfer, query);
+    if (!match) return;
+    const locationName = (id) => ((window.locations || []).find(l => l.id === id) || {}).name || id;
+    rows.push({
+      type: 'transfer',
+      id: transfer.id,
+      date: transfer.completedAt || transfer.transferDate,
+      reference: `${locationName(transfer.fromLocationId)} → ${locationName(transfer.toLocationId)}`,
+      customer: '',
+      productName: productName(transfer.productId),
+      kind: match.kind,
+      qty: match.qty,
+      status: transfer.status
+    });
+  });
+
+  return rows.sort((a, b) => String(b.date || '').localeCompare(String(a.date || '')));
+}
+
+/**
+ * Find products holding a serial or lot number
+ * @param {string} code - Serial or lot number
+ * @returns {Array<object>} { product, kind, record }
+ */
+function findTrackedUnits(code) {
+  const needle = String(code || '').trim().toLowerCase();
+  if (!needle) return [];
+
+  const found = [];
+  (window.data || []).forEach(product => {
+    (product.serials || []).forEach(record => {
+      if (record.serial.toLowerCase() === needle) found.push({ product, kind: 'serial', record });
+    });
+    (product.lots || []).forEach(record => {
+      if (record.lot.toLowerCase() === needle) found.push({ product, kind: 'lot', record });
+    });
+  });
+  return found;
+}
+
+// ============ Exports (for window object) ============
+
+if (typeof window !== 'undefined') {
+  window.Tracking = {
+    TRACKING_MODES,
+    SERIAL_STATUSES,
+    createSerialRecord,
+    createLotRecord,
+    getTrackingMode,
+    isTracked,
+    isLotExpired,
+    getAvailableSerials,
+    getAvailableLots,
+    getTrackedOnHand,
+    allocateTracked,
+    consumeTracked,
+    restoreTracked,
+    moveTracked,
+    setTrackingModeCRUD,
+    receiveStockCRUD,
+    writeOffExpiredCRUD,
+    traceTrackedCode,
+    findTrackedUnits
+  };
+}
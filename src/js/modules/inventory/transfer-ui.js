@@ -63,12 +63,14 @@ function getTransferColumns(options = {}) {
       label: 'Quantity',
       sortable: true,
       formatter: (value, row) => {
-        const qty = Number(value) || 0;
-        const loose = Number(row.looseUnits) || 0;
-        if (loose > 0) {
-          return `${qty} cases + ${loose} units`;
+        const product = (window.data || []).find(p => p.id === row.productId);
+        const text = formatTransferStock(product, Number(value) || 0, Number(row.looseUnits) || 0);
+        // Show the amount as entered when it was in another unit
+        if (row.unit && typeof row.unitQuantity === 'number' &&
+            (!product || row.unit !== getStockUnitName(product))) {
+          return `${row.unitQuantity} ${row.unit} <span class="muted">(${text})</span>`;
         }
-        return `${qty} cases`;
+        return text;
       }
     },
     {
@@ -207,6 +209,7 @@ function openTransferDialog(transfer = null, preselectedProductId = null) {
   }
 
   // Populate form
+  populateTransferProductOptions();
   if (isEdit) {
     populateTransferForm(transfer);
   } else {
@@ -215,7 +218,7 @@ function openTransferDialog(transfer = null, preselectedProductId = null) {
       const productSelect = document.getElementById('transferProduct');
       if (productSelect) {
         productSelect.value = preselectedProductId;
-        updateTransferAvailableStock();
+        handleTransferProductChange();
       }
     }
   }
@@ -264,6 +267,23 @@ function closeTransferDialog() {
 // FORM HANDLING
 // ============================================================================
 
+/**
+ * Fill the product select with products that hold stock.
+ * Products with variants are left out; each variant is listed instead.
+ */
+function populateTransferProductOptions() {
+  const select = document.getElementById('transferProduct');
+  if (!select) return;
+
+  const esc = window.esc || ((s) => String(s || ''));
+  const products = (window.data || [])
+    .filter(p => !window.isVariantParent || !window.isVariantParent(p))
+    .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+  select.innerHTML = '<option value="">-- Select Product --</option>' +
+    products.map(p => `<option value="${esc(p.id)}">${esc(p.name)}${p.sku ? ` - ${esc(p.sku)}` : ''}</option>`).join('');
+}
+
 /**
  * Populate transfer form with data
  * @param {object} transfer - Transfer data
@@ -277,6 +297,8 @@ function populateTransferForm(transfer) {
   form.querySelector('#transferProduct').value = transfer.productId || '';
   form.querySelector('#transferFrom').value = transfer.fromLocationId || '';
   form.querySelector('#transferTo').value = transfer.toLocationId || '';
+  // Edited in stock units, whatever unit the transfer was entered in
+  populateTransferUnitOptions();
   form.querySelector('#transferQty').value = transfer.quantity || 0;
   form.querySelector('#transferLoose').value = transfer.looseUnits || 0;
   form.querySelector('#transferDate').value = transfer.transferDate || '';
@@ -296,6 +318,7 @@ function clearTransferForm() {
   form.reset();
   form.querySelector('#transferDate').value = new Date().toISOString().split('T')[0];
   form.querySelector('#transferReason').value = 'Restock';
+  populateTransferUnitOptions();
 
   // Clear available stock display
   const availDisplay = document.getElementById('transferAvailableStock');
@@ -316,14 +339,69 @@ function extractTransferFormData() {
     productId: form.querySelector('#transferProduct').value,
     fromLocationId: form.querySelector('#transferFrom').value,
     toLocationId: form.querySelector('#transferTo').value,
-    quantity: parseInt(form.querySelector('#transferQty').value) || 0,
-    looseUnits: parseInt(form.querySelector('#transferLoose').value) || 0,
+    quantity: parseFloat(form.querySelector('#transferQty').value) || 0,
+    unit: form.querySelector('#transferUnit')?.value || '',
+    looseUnits: parseFloat(form.querySelector('#transferLoose').value) || 0,
     transferDate: form.querySelector('#transferDate').value,
     reason: form.querySelector('#transferReason').value,
     notes: form.querySelector('#transferNotes').value.trim()
   };
 }
 
+/**
+ * Describe stock as stock units plus loose base units
+ * @param {object} product - Product (may be missing)
+ * @param {number} qty - Stock units
+ * @param {number} looseUnits - Loose base units
+ * @returns {string} e.g. "4 box + 3 each"
+ */
+function formatTransferStock(product, qty, looseUnits) {
+  const stockUnit = product ? getStockUnitName(product) : 'cases';
+  const baseUnit = product ? getBaseUnitName(product) : 'units';
+  if (looseUnits > 0) {
+    return `${qty} ${stockUnit} + ${looseUnits} ${baseUnit}`;
+  }
+  return `${qty} ${stockUnit}`;
+}
+
+/**
+ * Fill the unit select with the selected product's units, starting on the
+ * stock unit, and name the loose units after its base unit
+ */
+function populateTransferUnitOptions() {
+  const select = document.getElementById('transferUnit');
+  if (!select) return;
+
+  const productId = document.getElementById('transferProduct')?.value;
+  const product = productId ? (window.data || []).find(p => p.id === productId) : null;
+  const esc = window.esc || ((s) => String(s || ''));
+
+  if (!product) {
+    select.innerHTML = '';
+    select.disabled = true;
+    return;
+  }
+
+  const stockUnit = getStockUnitName(product);
+  select.innerHTML = getProductUnits(product)
+    .map(unit => `<option value="${esc(unit.name)}"${unit.name === stockUnit ? ' selected' : ''}>${esc(unit.name)}${unit.factor !== 1 ? ` (${unit.factor} ${esc(getBaseUnitName(product))})` : ''}</option>`)
+    .join('');
+  select.disabled = false;
+
+  const looseLabel = document.getElementById('transferLooseLabel');
+  if (looseLabel) {
+    looseLabel.textContent = `Loose ${getBaseUnitName(product)}`;
+  }
+}
+
+/**
+ * Refresh units and available stock when another product is selected
+ */
+function handleTransferProductChange() {
+  populateTransferUnitOptions();
+  updateTransferAvailableStock();
+}
+
 /**
  * Update available stock display when product/location changes
  */
@@ -341,11 +419,8 @@ function updateTransferAvailableStock() {
 
   if (window.Transfers) {
     const stock = window.Transfers.getAvailableStockAtLocation(productId, fromLocationId);
-    if (stock.looseUnits > 0) {
-      availDisplay.textContent = `${stock.qty} cases + ${stock.looseUnits} units`;
-    } else {
-      availDisplay.textContent = `${stock.qty} cases`;
-    }
+    const product = (window.data || []).find(p => p.id === productId);
+    availDisplay.textContent = formatTransferStock(product, stock.qty, stock.looseUnits);
   }
 }
 
@@ -441,7 +516,8 @@ function viewTransfer(id) {
     `Product: ${product?.name || 'Unknown'}`,
     `From: ${fromLoc?.name || 'Unknown'}`,
     `To: ${toLoc?.name || 'Unknown'}`,
-    `Quantity: ${transfer.quantity} cases${transfer.looseUnits > 0 ? ' + ' + transfer.looseUnits + ' units' : ''}`,
+    `Quantity: ${formatTransferStock(product, transfer.quantity, transfer.looseUnits)}`,
+    transfer.unit && typeof transfer.unitQuantity === 'number' ? `Entered as: ${transfer.unitQuantity} ${transfer.unit}` : '',
     `Date: ${new Date(transfer.transferDate).toLocaleDateString()}`,
     `Status: ${transfer.status}`,
     `Reason: ${transfer.reason}`,
@@ -555,6 +631,49 @@ function showProductTransferHistory(productId) {
   // renderTransferTable('transferHistoryTableBody', transfers, { showActions: false });
 }
 
+// ============================================================================
+// BARCODE SCANNING
+// ============================================================================
+
+/**
+ * Handle a barcode scan while the transfer dialog is open. Scanning the
+ * selected product again adds one (in the selected unit) to the quantity;
+ * another product replaces the selection.
+ * @param {string} code - Scanned code
+ * @param {object|null} product - Matching product
+ */
+function handleTransferScan(code, product) {
+  const productSelect = document.getElementById('transferProduct');
+  const qtyInput = document.getElementById('transferQty');
+  if (!productSelect || !qtyInput) return false;
+
+  if (!product || (window.isVariantParent && window.isVariantParent(product))) {
+    if (window.showToast) {
+      window.showToast(product ? `${product.name} has variants - scan a variant` : `No product found for barcode ${code}`, 'warning');
+    }
+    return;
+  }
+
+  if (productSelect.value === product.id) {
+    qtyInput.value = (parseFloat(qtyInput.value) || 0) + 1;
+    return;
+  }
+
+  productSelect.value = product.id;
+  qtyInput.value = 1;
+  handleTransferProductChange();
+}
+
+if (window.BarcodeScanner) {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => {
+      window.BarcodeScanner.registerScanTarget('transferDialog', handleTransferScan);
+    });
+  } else {
+    window.BarcodeScanner.registerScanTarget('transferDialog', handleTransferScan);
+  }
+}
+
 // ============================================================================
 // EXPORTS
 // ============================================================================
@@ -570,11 +689,15 @@ if (typeof window !== 'undefined') {
     closeTransferDialog,
 
     // Form
+    populateTransferProductOptions,
     populateTransferForm,
     clearTransferForm,
     extractTransferFormData,
+    populateTransferUnitOptions,
+    handleTransferProductChange,
     updateTransferAvailableStock,
     saveTransfer,
+    handleTransferScan,
 
     // Actions
     editTransfer,
@@ -31,9 +31,14 @@ function createTransfer(data = {}) {
     toLocationId: data.toLocationId || '',
     quantity: data.quantity || 0,
     looseUnits: data.looseUnits || 0,
+    // Unit and amount as entered when not in stock units (see applyTransferUnit)
+    unit: data.unit || '',
+    unitQuantity: typeof data.unitQuantity === 'number' ? data.unitQuantity : null,
     transferDate: data.transferDate || new Date().toISOString().split('T')[0],
     status: data.status || 'pending', // pending, completed, cancelled
     reason: data.reason || 'Restock', // Restock, Sale, Damaged, Adjustment, Other
+    serials: Array.isArray(data.serials) ? data.serials : [],
+    lots: Array.isArray(data.lots) ? data.lots : [],
     notes: data.notes || '',
     createdBy: data.createdBy || 'user',
     createdAt: data.createdAt || now,
@@ -43,6 +48,35 @@ function createTransfer(data = {}) {
   };
 }
 
+/**
+ * Convert a transfer entered in any of the product's units into the stock
+ * units (quantity) and loose base units (looseUnits) stock moves in
+ * @param {object} data - Transfer data; quantity is in data.unit, looseUnits
+ *   in base units
+ * @returns {object} Transfer data in stock units, with the entered amount
+ *   kept as unitQuantity
+ */
+function applyTransferUnit(data) {
+  if (!data.unit || !window.data) return data;
+
+  const product = window.data.find(p => p.id === data.productId);
+  if (!product) return data;
+
+  const factor = getUnitFactor(product, data.unit);
+  if (factor === null) {
+    throw new Error(`${data.unit} is not a unit of ${product.name}`);
+  }
+
+  const unitQuantity = Number(data.quantity) || 0;
+  const baseUnits = Math.round((unitQuantity * factor + (Number(data.looseUnits) || 0)) * 1e6) / 1e6;
+  if (!product.measurable && !Number.isInteger(baseUnits)) {
+    throw new Error(`${product.name} can only be moved in whole ${getBaseUnitName(product)}`);
+  }
+
+  const split = splitBaseUnits(product, baseUnits);
+  return { ...data, quantity: split.qty, looseUnits: split.looseUnits, unitQuantity };
+}
+
 // ============ Validation ============
 
 /**
@@ -132,6 +166,8 @@ function validateTransferBusinessRules(transfer) {
     const product = window.Products.findProductById(transfer.productId);
     if (!product) {
       errors.push('Product does not exist');
+    } else if (typeof isVariantParent === 'function' && isVariantParent(product)) {
+      errors.push('Product has variants; choose a specific variant to transfer');
     } else {
       // Check if sufficient stock exists at source location
       const available = getAvailableStockAtLocation(transfer.productId, transfer.fromLocationId);
@@ -166,7 +202,7 @@ function validateTransferBusinessRules(transfer) {
 function createTransferCRUD(data) {
   try {
     // Create transfer object
-    const transfer = createTransfer({ ...data, status: 'pending' });
+    const transfer = createTransfer({ ...applyTransferUnit(data), status: 'pending' });
 
     // Validate structure
     const validation = validateTransfer(transfer);
@@ -246,10 +282,10 @@ function updateTransferCRUD(id, updates) {
       };
     }
 
-    // Apply updates
+    // Apply updates (a new unit means quantity is given in that unit)
     const updated = {
       ...transfer,
-      ...updates,
+      ...('unit' in updates ? applyTransferUnit({ ...transfer, looseUnits: 0, ...updates }) : updates),
       id: transfer.id, // Prevent ID changes
       status: transfer.status, // Prevent direct status changes (use complete/cancel methods)
       updatedAt: new Date().toISOString()
@@ -395,24 +431,29 @@ function completeTransfer(id) {
       };
     }
 
-    // Perform stock adjustment
-    const adjustmentResult = adjustStockForTransfer(transfer);
-    if (!adjustmentResult.success) {
+    // Move stock and mark completed as one write
+    const result = window.Storage.runTransaction(['data', 'transfers'], () => {
+      const adjustmentResult = adjustStockForTransfer(transfer);
+      if (!adjustmentResult.success) {
+        return adjustmentResult;
+      }
+
+      transfer.status = 'completed';
+      transfer.completedAt = new Date().toISOString();
+      transfer.updatedAt = new Date().toISOString();
+
+      saveTransfersToStorage();
+      return { success: true, error: null };
+    });
+
+    if (!result.success) {
       return {
         success: false,
         transfer: null,
-        error: adjustmentResult.error
+        error: result.error
       };
     }
 
-    // Update transfer status
-    transfer.status = 'completed';
-    transfer.completedAt = new Date().toISOString();
-    transfer.updatedAt = new Date().toISOString();
-
-    // Save
-    saveTransfersToStorage();
-
     // Emit event
     if (window.EventBus) {
       window.EventBus.emit('transfer:completed', { transfer });
@@ -496,6 +537,52 @@ function cancelTransfer(id, reason = '') {
   }
 }
 
+/**
+ * Create pending (draft) transfers from replenishment suggestions (see
+ * StockLevels.getReplenishmentSuggestions). Suggestions with nothing to
+ * move are skipped. All transfers are created or none are.
+ * @param {Array<object>} suggestions - { productId, fromLocationId, toLocationId, quantity, looseUnits }
+ * @returns {object} { success: boolean, transfers: Array, error: string|null }
+ */
+function createReplenishmentTransfers(suggestions) {
+  try {
+    const apply = () => {
+      const created = [];
+      const errors = [];
+      suggestions
+        .filter(s => s.fromLocationId && (s.quantity > 0 || s.looseUnits > 0))
+        .forEach(s => {
+          const result = createTransferCRUD({
+            productId: s.productId,
+            fromLocationId: s.fromLocationId,
+            toLocationId: s.toLocationId,
+            quantity: s.quantity,
+            looseUnits: s.looseUnits || 0,
+            reason: 'Restock',
+            notes: 'Replenishment to location min/max'
+          });
+          if (result.success) created.push(result.transfer);
+          else errors.push(result.error);
+        });
+      return errors.length > 0
+        ? { success: false, transfers: [], error: errors.join('; ') }
+        : { success: true, transfers: created, error: null };
+    };
+
+    return window.Storage && typeof window.Storage.runTransaction === 'function'
+      ? window.Storage.runTransaction(['transfers'], apply)
+      : apply();
+
+  } catch (err) {
+    console.error('createReplenishmentTransfers error:', err);
+    return {
+      success: false,
+      transfers: [],
+      error: err.message || 'Unknown error'
+    };
+  }
+}
+
 // ============ Stock Adjustment ============
 
 /**
@@ -514,6 +601,19 @@ function adjustStockForTransfer(transfer) {
       return { success: false, error: 'Product not found' };
     }
 
+    // Serial/lot tracked products record which units moved
+    if (window.Tracking && window.Tracking.isTracked(product)) {
+      const moved = window.Tracking.moveTracked(product, transfer.quantity, transfer.fromLocationId, transfer.toLocationId, {
+        serials: transfer.serials,
+        lots: transfer.lots
+      });
+      if (!moved.success) {
+        return { success: false, error: moved.error };
+      }
+      transfer.serials = moved.serials;
+      transfer.lots = moved.lots;
+    }
+
     // Initialize stockByLocation if not exists
     if (!product.stockByLocation) {
       product.stockByLocation = {};
@@ -542,6 +642,12 @@ function adjustStockForTransfer(transfer) {
       fromStock.looseUnits += casesToBorrow * unitsPerPackage;
     }
 
+    // The stock is picked from the source's bins in path order
+    if (window.Bins) {
+      const baseUnits = transfer.quantity * getUnitsPerPackage(product) + (transfer.looseUnits || 0);
+      window.Bins.takeFromBins(product, transfer.fromLocationId, baseUnits);
+    }
+
     // Add to destination location
     const toStock = product.stockByLocation[transfer.toLocationId];
     toStock.qty += transfer.quantity;
@@ -557,6 +663,12 @@ function adjustStockForTransfer(transfer) {
     // Update total product stock (sum all locations)
     updateProductTotalStock(product);
 
+    if (window.StockLedger) {
+      window.StockLedger.recordStockTransfer(product, transfer.quantity, transfer.fromLocationId, transfer.toLocationId, {
+        reference: transfer.id
+      });
+    }
+
     // Save products
     if (window.Products && typeof window.Products.saveProductsToStorage === 'function') {
       window.Products.saveProductsToStorage();
@@ -767,6 +879,7 @@ if (typeof window !== 'undefined') {
   window.Transfers = {
     // Factory
     createTransfer,
+    applyTransferUnit,
 
     // Validation
     validateTransfer,
@@ -780,6 +893,7 @@ if (typeof window !== 'undefined') {
     // Workflow
     completeTransfer,
     cancelTransfer,
+    createReplenishmentTransfers,
 
     // Stock adjustment
     adjustStockForTransfer,
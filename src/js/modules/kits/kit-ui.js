@@ -347,7 +347,7 @@ function renderComponentSelector() {
           Product
           <select id="componentProductSelect" style="width: 100%;">
             <option value="">Select product...</option>
-            ${allProducts.map(p => `<option value="${p.id}">${p.name} - ${p.sku} (Stock: ${p.qty || 0})</option>`).join('')}
+            ${allProducts.filter(p => !window.isVariantParent || !window.isVariantParent(p)).map(p => `<option value="${p.id}">${p.name} - ${p.sku} (Stock: ${p.qty || 0})</option>`).join('')}
           </select>
         </label>
         <label class="field" style="width: 100px;">
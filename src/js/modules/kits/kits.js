@@ -80,6 +80,8 @@ function validateKit(kit, products = []) {
         const product = products.find(p => p.id === (comp.productId || comp.id));
         if (!product) {
           errors.push(`Component ${index + 1}: Product not found`);
+        } else if (typeof isVariantParent === 'function' && isVariantParent(product)) {
+          errors.push(`Component ${index + 1}: ${product.name} has variants; choose a specific variant`);
         }
       }
     });
@@ -0,0 +1,735 @@
+/**
+ * purchase-order-ui.js - Purchase Order UI
+ *
+ * Dialogs for listing, editing, sending, printing and closing purchase
+ * orders, receiving goods against them at a location, and turning reorder
+ * suggestions or the reorder PO list into draft POs per supplier.
+ */
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Format a purchase order amount
+ * @param {number} value - Amount
+ * @returns {string}
+ */
+function formatPOAmount(value) {
+  return `$${(Number(value) || 0).toFixed(2)}`;
+}
+
+/**
+ * Render a purchase order status, flagging overdue orders
+ * @param {object} po - Purchase order
+ * @returns {string} HTML
+ */
+function formatPOStatus(po) {
+  const label = esc(window.PurchaseOrders.getPurchaseOrderStatusLabel(po.status));
+  return window.PurchaseOrders.isPurchaseOrderOverdue(po)
+    ? `${label} <span class="warn-text">(overdue)</span>`
+    : label;
+}
+
+/**
+ * Build <option>s for a product's units
+ * @param {object} product - Product object
+ * @param {string} selected - Selected unit
+ * @returns {string} HTML
+ */
+function poUnitOptions(product, selected) {
+  if (!product) return '';
+  return getProductUnits(product)
+    .map(unit => `<option value="${esc(unit.name)}"${unit.name === selected ? ' selected' : ''}>${esc(unit.name)}${unit.factor !== 1 ? ` (${unit.factor} ${esc(getBaseUnitName(product))})` : ''}</option>`)
+    .join('');
+}
+
+/**
+ * Build product <option>s for a PO line
+ * @param {string} selected - Selected product ID
+ * @returns {string} HTML
+ */
+function poProductOptions(selected = '') {
+  const products = (window.data || [])
+    .filter(p => !window.isVariantParent || !window.isVariantParent(p))
+    .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+  return '<option value="">-- Select Product --</option>' + products.map(p =>
+    `<option value="${esc(p.id)}"${p.id === selected ? ' selected' : ''}>${esc(p.name)}${p.sku ? ` - ${esc(p.sku)}` : ''}</option>`
+  ).join('');
+}
+
+/**
+ * Get purchase order list column definitions
+ * @returns {Array<object>} Column definitions
+ */
+function getPurchaseOrderColumns() {
+  return [
+    { key: 'number', label: 'PO', formatter: (v, row) => `<a href="#" data-open="${esc(row.id)}">${esc(v)}</a>` },
+    { key: 'supplier', label: 'Supplier', formatter: v => esc(v || '-') },
+    { key: 'status', label: 'Status', formatter: (v, row) => formatPOStatus(row) },
+    { key: 'orderDate', label: 'Ordered', formatter: v => esc(v || '') },
+    { key: 'expectedDate', label: 'Expected', formatter: v => esc(v || '-') },
+    { key: 'locationId', label: 'Receive At', formatter: v => v ? trackingLocationName(v) : '-' },
+    { key: 'lines', label: 'Lines', className: 'right', formatter: v => (v || []).length },
+    { key: 'id', label: 'Total', className: 'right', formatter: (v, row) => formatPOAmount(window.PurchaseOrders.summarizePurchaseOrder(row).total) }
+  ];
+}
+
+// ============================================================================
+// PURCHASE ORDER LIST
+// ============================================================================
+
+/**
+ * Redraw functions of the open purchase order lists
+ */
+const purchaseOrderListRenderers = new Set();
+
+/**
+ * Redraw open purchase order lists (e.g. after another tab changed them)
+ */
+function refreshPurchaseOrderLists() {
+  purchaseOrderListRenderers.forEach(render => render());
+}
+
+/**
+ * Show all purchase orders
+ */
+function openPurchaseOrdersDialog() {
+  if (!window.createDialog || !window.PurchaseOrders) return;
+
+  const statuses = window.PurchaseOrders.PURCHASE_ORDER_STATUSES;
+  const dlg = window.createDialog({
+    id: 'dlgPurchaseOrders_' + Date.now(),
+    title: 'Purchase Orders',
+    className: 'dialog-tracking',
+    content: `
+      <div class="row">
+        <label class="field">Show
+          <select name="status">
+            <option value="open">Open</option>
+            <option value="">All</option>
+            ${statuses.map(s => `<option value="${s}">${esc(window.PurchaseOrders.getPurchaseOrderStatusLabel(s))}</option>`).join('')}
+          </select>
+        </label>
+      </div>
+      <div class="tracking-table-wrap">
+        <table class="small-table">
+          <thead></thead>
+          <tbody></tbody>
+        </table>
+      </div>
+    `,
+    buttons: [
+      { text: 'From Reorder Suggestions', class: 'btn small', onclick: () => openCreateFromSuggestionsDialog() },
+      { text: 'New PO', class: 'btn small primary', onclick: () => openPurchaseOrderEditDialog(null) },
+      { text: 'Close', class: 'btn small', onclick: () => window.hideDialog(dlg) }
+    ]
+  });
+
+  const columns = getPurchaseOrderColumns();
+  const statusSelect = dlg.querySelector('[name="status"]');
+  window.TableRenderer.renderTableHeader(dlg.querySelector('thead'), columns);
+
+  const renderOrders = () => {
+    const status = statusSelect.value;
+    const orders = window.PurchaseOrders.getPurchaseOrders().filter(po => status === 'open'
+      ? window.PurchaseOrders.OPEN_PURCHASE_ORDER_STATUSES.includes(po.status)
+      : !status || po.status === status);
+    window.TableRenderer.renderTable(dlg.querySelector('tbody'), orders, columns, {
+      emptyMessage: 'No purchase orders. Create one with New PO or from reorder suggestions.'
+    });
+  };
+
+  statusSelect.addEventListener('change', renderOrders);
+  dlg.querySelector('tbody').addEventListener('click', e => {
+    const link = e.target.closest('[data-open]');
+    if (!link) return;
+    e.preventDefault();
+    openPurchaseOrderDialog(link.dataset.open);
+  });
+
+  if (window.EventBus) {
+    const unsubscribe = window.EventBus.on('purchaseOrder:*', renderOrders);
+    dlg.addEventListener('close', unsubscribe);
+  }
+  purchaseOrderListRenderers.add(renderOrders);
+  dlg.addEventListener('close', () => purchaseOrderListRenderers.delete(renderOrders));
+
+  renderOrders();
+  showTrackingDialog(dlg);
+}
+
+// ============================================================================
+// CREATE FROM SUGGESTIONS / PO LIST
+// ============================================================================
+
+/**
+ * Report the outcome of creating POs in bulk
+ * @param {object} result - Result of createPurchaseOrdersFromSuggestions/List
+ * @returns {boolean} True if any PO was created
+ */
+function reportCreatedPurchaseOrders(result) {
+  if (result.purchaseOrders.length > 0) {
+    window.showToast(`Created ${result.purchaseOrders.length} draft purchase order(s)`, 'success');
+  }
+  if (result.errors.length > 0) {
+    window.showToast(result.errors.join(', '), result.purchaseOrders.length > 0 ? 'warning' : 'error');
+  }
+  return result.purchaseOrders.length > 0;
+}
+
+/**
+ * Turn reorder suggestions into draft POs, one per supplier
+ */
+function openCreateFromSuggestionsDialog() {
+  if (!window.createDialog || !window.PurchaseOrders) return;
+
+  const dlg = window.createDialog({
+    id: 'dlgPOFromSuggestions_' + Date.now(),
+    title: 'Purchase Orders from Reorder Suggestions',
+    content: `
+      <form class="po-suggest-form">
+        <div class="muted">Creates one draft PO per supplier for products at or below their reorder point.
+          Quantities already on open POs are subtracted and rounded up to the supplier's unit, minimum order and pack size.</div>
+        <label class="field">Receive at
+          <select name="locationId">${trackingLocationOptions(null)}</select>
+        </label>
+        <label class="field">Expected date <input type="date" name="expectedDate" placeholder="From supplier lead times"></label>
+        <div class="muted">Leave the expected date blank to use each supplier's lead time.</div>
+        <div class="btn-group">
+          <button type="button" class="btn" data-action="cancel">Cancel</button>
+          <button type="submit" class="btn primary">Create POs</button>
+        </div>
+      </form>
+    `
+  });
+
+  const form = dlg.querySelector('form');
+  form.querySelector('[data-action="cancel"]').addEventListener('click', () => window.hideDialog(dlg));
+  form.addEventListener('submit', e => {
+    e.preventDefault();
+    const result = window.PurchaseOrders.createPurchaseOrdersFromSuggestions(window.data || [], {
+      locationId: form.elements.locationId.value || null,
+      expectedDate: form.elements.expectedDate.value || null
+    });
+    if (reportCreatedPurchaseOrders(result)) window.hideDialog(dlg);
+  });
+
+  showTrackingDialog(dlg);
+}
+
+/**
+ * Turn the reorder PO list into draft POs, one per supplier
+ * @param {object} list - { productId: units }
+ * @returns {boolean} True if any PO was created (the list can be cleared)
+ */
+function createPurchaseOrdersFromList(list) {
+  if (!window.PurchaseOrders) return false;
+  const created = reportCreatedPurchaseOrders(window.PurchaseOrders.createPurchaseOrdersFromList(list));
+  if (created) openPurchaseOrdersDialog();
+  return created;
+}
+
+// ============================================================================
+// EDIT DIALOG
+// ============================================================================
+
+/**
+ * Build a line row for the edit dialog
+ * @param {object} line - Purchase order line (optional)
+ * @returns {string} HTML
+ */
+function poLineRow(line = {}) {
+  const product = (window.data || []).find(p => p.id === line.productId);
+  return `
+    <tr class="po-line">
+      <td><select class="po-product">${poProductOptions(line.productId)}</select></td>
+      <td><input type="number" class="po-qty" min="0" step="any" value="${line.quantity || 1}"></td>
+      <td><select class="po-unit">${poUnitOptions(product, line.unit)}</select></td>
+      <td><input type="number" class="po-cost" min="0" step="0.01" value="${line.unitCost || 0}"></td>
+      <td class="right po-line-total">-</td>
+      <td><button type="button" class="btn-icon po-remove" title="Remove">🗑️</button></td>
+    </tr>
+  `;
+}
+
+/**
+ * Create or edit a purchase order
+ * @param {string|null} poId - Purchase order ID (null for a new PO)
+ * @param {object} options - { productId } to start a new PO with
+ */
+function openPurchaseOrderEditDialog(poId, options = {}) {
+  if (!window.createDialog || !window.PurchaseOrders) return;
+
+  const existing = poId ? window.PurchaseOrders.getPurchaseOrder(poId) : null;
+  if (poId && !existing) return;
+
+  const po = existing || window.PurchaseOrders.createPurchaseOrder();
+  const linesLocked = !!existing && existing.receipts.length > 0;
+  const suppliers = window.Suppliers ? window.Suppliers.getSuppliers().map(s => s.name) : [];
+  const datalistId = 'poSuppliers_' + Date.now();
+
+  const dlg = window.createDialog({
+    id: 'dlgPurchaseOrderEdit_' + Date.now(),
+    title: existing ? `Edit ${existing.number}` : 'New Purchase Order',
+    className: 'dialog-receipt',
+    content: `
+      <form class="po-form">
+        <div class="row">
+          <label class="field">Supplier <input name="supplier" list="${datalistId}" value="${esc(po.supplier)}"></label>
+          <datalist id="${datalistId}">${suppliers.map(s => `<option value="${esc(s)}"></option>`).join('')}</datalist>
+          <label class="field">Supplier ref <input name="reference" value="${esc(po.reference)}" placeholder="Quote / order number"></label>
+        </div>
+        <div class="row">
+          <label class="field">Order date <input type="date" name="orderDate" value="${esc(po.orderDate)}" required></label>
+          <label class="field">Expected <input type="date" name="expectedDate" value="${esc(po.expectedDate || '')}"></label>
+          <label class="field">Receive at
+            <select name="locationId">${trackingLocationOptions(po.locationId)}</select>
+          </label>
+        </div>
+        ${linesLocked ? '<div class="muted">Lines cannot be changed after receiving has started.</div>' : ''}
+        <div class="receipt-table-wrap">
+          <table class="small-table">
+            <thead>
+              <tr><th>Product</th><th>Qty</th><th>Unit</th><th>Cost / Unit</th><th class="right">Line Total</th><th></th></tr>
+            </thead>
+            <tbody>${(po.lines.length > 0 ? po.lines : [{ productId: options.productId || '' }]).map(poLineRow).join('')}</tbody>
+          </table>
+        </div>
+        <button type="button" class="btn small" data-action="add-line">+ Add Line</button>
+        <div class="right"><strong class="po-total"></strong></div>
+        <label class="field">Notes <textarea name="notes" rows="2">${esc(po.notes)}</textarea></label>
+        <div class="btn-group">
+          <button type="button" class="btn" data-action="cancel">Cancel</button>
+          <button type="submit" class="btn primary">Save</button>
+        </div>
+      </form>
+    `
+  });
+
+  const form = dlg.querySelector('form');
+  const tbody = dlg.querySelector('tbody');
+  const productOf = row => (window.data || []).find(p => p.id === row.querySelector('.po-product').value);
+
+  const updateTotals = () => {
+    let total = 0;
+    tbody.querySelectorAll('.po-line').forEach(row => {
+      const lineTotal = (parseFloat(row.querySelector('.po-qty').value) || 0) * (parseFloat(row.querySelector('.po-cost').value) || 0);
+      row.querySelector('.po-line-total').textContent = formatPOAmount(lineTotal);
+      total += lineTotal;
+    });
+    form.querySelector('.po-total').textContent = `Total: ${formatPOAmount(total)}`;
+  };
+
+  // Until an expected date is entered, follow the supplier's lead time
+  let expectedFromLeadTime = !po.expectedDate;
+  const fillExpectedDate = () => {
+    if (!expectedFromLeadTime) return;
+    const productIds = Array.from(tbody.querySelectorAll('.po-product')).map(select => select.value).filter(Boolean);
+    form.elements.expectedDate.value = window.Suppliers.getExpectedDeliveryDate(
+      form.elements.supplier.value, productIds, form.elements.orderDate.value) || '';
+  };
+
+  // A new product starts at the supplier's minimum order, in the unit and
+  // at the price on their price list (else its purchase unit and cost)
+  const applyProduct = row => {
+    const product = productOf(row);
+    const unitSelect = row.querySelector('.po-unit');
+    if (!product) {
+      unitSelect.innerHTML = '';
+      return;
+    }
+    if (!form.elements.supplier.value && product.supplier) {
+      form.elements.supplier.value = product.supplier;
+    }
+    const supplier = form.elements.supplier.value;
+    const terms = window.Suppliers.getSupplierTerms(product, supplier);
+    const line = window.PurchaseOrders.createPurchaseOrderLineFromProduct(product, 1, '', supplier);
+    unitSelect.innerHTML = poUnitOptions(product, line.unit);
+    row.querySelector('.po-qty').value = window.Suppliers.applySupplierOrderRules(terms, 1);
+    row.querySelector('.po-cost').value = line.unitCost;
+    fillExpectedDate();
+  };
+
+  // Keep the cost per stock unit when the unit changes
+  const changeUnit = (row, previousUnit) => {
+    const product = productOf(row);
+    const ratio = product ? convertUnits(product, 1, row.querySelector('.po-unit').value, previousUnit) : null;
+    if (ratio) {
+      const cost = row.querySelector('.po-cost');
+      cost.value = Math.round((parseFloat(cost.value) || 0) * ratio * 10000) / 10000;
+    }
+  };
+
+  if (linesLocked) {
+    tbody.querySelectorAll('input, select, button').forEach(el => { el.disabled = true; });
+    form.querySelector('[data-action="add-line"]').disabled = true;
+  } else if (!existing && options.productId) {
+    applyProduct(tbody.querySelector('.po-line'));
+  }
+
+  form.elements.supplier.addEventListener('change', fillExpectedDate);
+  form.elements.orderDate.addEventListener('change', fillExpectedDate);
+  form.elements.expectedDate.addEventListener('input', () => { expectedFromLeadTime = !form.elements.expectedDate.value; });
+
+  tbody.addEventListener('focusin', e => {
+    if (e.target.matches('.po-unit')) e.target.dataset.previous = e.target.value;
+  });
+  tbody.addEventListener('change', e => {
+    const row = e.target.closest('.po-line');
+    if (e.target.matches('.po-product')) applyProduct(row);
+    if (e.target.matches('.po-unit')) {
+      changeUnit(row, e.target.dataset.previous || '');
+      e.target.dataset.previous = e.target.value;
+    }
+    updateTotals();
+  });
+  tbody.addEventListener('input', updateTotals);
+  tbody.addEventListener('click', e => {
+    if (!e.target.closest('.po-remove')) return;
+    if (tbody.querySelectorAll('.po-line').length > 1) {
+      e.target.closest('tr').remove();
+      updateTotals();
+    }
+  });
+  form.querySelector('[data-action="add-line"]').addEventListener('click', () => {
+    tbody.insertAdjacentHTML('beforeend', poLineRow());
+    updateTotals();
+  });
+  form.querySelector('[data-action="cancel"]').addEventListener('click', () => window.hideDialog(dlg));
+
+  form.addEventListener('submit', e => {
+    e.preventDefault();
+    const data = {
+      supplier: form.elements.supplier.value.trim(),
+      reference: form.elements.reference.value.trim(),
+      orderDate: form.elements.orderDate.value,
+      expectedDate: form.elements.expectedDate.value || null,
+      locationId: form.elements.locationId.value || null,
+      notes: form.elements.notes.value.trim()
+    };
+    if (!linesLocked) {
+      data.lines = Array.from(tbody.querySelectorAll('.po-line'))
+        .filter(row => row.querySelector('.po-product').value)
+        .map(row => ({
+          productId: row.querySelector('.po-product').value,
+          supplierSku: productOf(row) ? window.Suppliers.getSupplierTerms(productOf(row), data.supplier).supplierSku : '',
+          quantity: parseFloat(row.querySelector('.po-qty').value) || 0,
+          unit: row.querySelector('.po-unit').value,
+          unitCost: parseFloat(row.querySelector('.po-cost').value) || 0
+        }));
+    }
+
+    const result = existing
+      ? window.PurchaseOrders.updatePurchaseOrderCRUD(existing.id, data)
+      : window.PurchaseOrders.createPurchaseOrderCRUD(data);
+
+    if (!result.success) {
+      window.showToast(result.errors.join(', '), 'error');
+      return;
+    }
+
+    window.showToast(`${result.purchaseOrder.number} saved`, 'success');
+    window.hideDialog(dlg);
+    if (!existing) openPurchaseOrderDialog(result.purchaseOrder.id);
+  });
+
+  updateTotals();
+  showTrackingDialog(dlg);
+}
+
+// ============================================================================
+// PURCHASE ORDER DIALOG
+// ============================================================================
+
+/**
+ * Show a purchase order with its lines and receipts, and its actions
+ * @param {string} poId - Purchase order ID
+ */
+function openPurchaseOrderDialog(poId) {
+  if (!window.createDialog || !window.PurchaseOrders) return;
+
+  const PO = window.PurchaseOrders;
+  const po = PO.getPurchaseOrder(poId);
+  if (!po) return;
+
+  const canEdit = !['received', 'closed'].includes(po.status);
+  const lineColumns = [
+    { key: 'sku', label: 'SKU', formatter: (v, row) => esc(v || '-') + (row.supplierSku ? `<br><span class="muted">${esc(row.supplierSku)}</span>` : '') },
+    { key: 'productName', label: 'Product', formatter: v => esc(v) },
+    { key: 'quantity', label: 'Ordered', className: 'right', formatter: (v, row) => `${v} ${esc(row.unit)}` },
+    { key: 'receivedQty', label: 'Received', className: 'right' },
+    { key: 'id', label: 'Outstanding', className: 'right', formatter: (v, row) => PO.getOutstandingQuantity(row) },
+    { key: 'unitCost', label: 'Cost / Unit', className: 'right', formatter: v => formatPOAmount(v) },
+    { key: 'productId', label: 'Line Total', className: 'right', formatter: (v, row) => formatPOAmount(row.quantity * row.unitCost) }
+  ];
+  const receiptColumns = [
+    { key: 'receivedAt', label: 'Received', formatter: v => esc(new Date(v).toLocaleString()) },
+    { key: 'locationId', label: 'Location', formatter: v => v ? trackingLocationName(v) : '-' },
+    { key: 'reference', label: 'Reference', formatter: v => esc(v || '-') },
+    { key: 'lines', label: 'Lines', formatter: v => esc((v || []).map(entry => {
+      const line = po.lines.find(l => l.id === entry.lineId);
+      return line ? `${entry.qty} ${line.unit} ${line.productName}` : `${entry.qty}`;
+    }).join(', ')) }
+  ];
+
+  const summary = PO.summarizePurchaseOrder(po);
+  const dlg = window.createDialog({
+    id: 'dlgPurchaseOrder_' + Date.now(),
+    title: `${po.number}${po.supplier ? ` - ${po.supplier}` : ''}`,
+    className: 'dialog-tracking',
+    content: `
+      <div class="muted">${[
+        formatPOStatus(po),
+        `ordered ${esc(po.orderDate)}`,
+        po.expectedDate ? `expected ${esc(po.expectedDate)}` : '',
+        po.locationId ? `receive at ${trackingLocationName(po.locationId)}` : '',
+        po.reference ? `supplier ref ${esc(po.reference)}` : '',
+        `total ${formatPOAmount(summary.total)}`
+      ].filter(Boolean).join(' · ')}</div>
+      ${po.notes ? `<div class="muted">${esc(po.notes)}</div>` : ''}
+      <div class="tracking-table-wrap">
+        <table class="small-table po-lines">
+          <thead></thead>
+          <tbody></tbody>
+        </table>
+      </div>
+      ${po.receipts.length > 0 ? `
+        <h3>Receipts</h3>
+        <table class="small-table po-receipts">
+          <thead></thead>
+          <tbody></tbody>
+        </table>
+      ` : ''}
+    `,
+    buttons: [
+      { text: 'Print', class: 'btn small', onclick: () => printPurchaseOrder(po) },
+      ...(canEdit ? [{ text: 'Edit', class: 'btn small', onclick: () => { window.hideDialog(dlg); openPurchaseOrderEditDialog(po.id); } }] : []),
+      ...(po.receipts.length === 0 ? [{ text: 'Delete', class: 'btn small danger', onclick: () => deletePurchaseOrder() }] : []),
+      ...(po.status !== 'closed' ? [{ text: 'Close PO', class: 'btn small danger', onclick: () => closePurchaseOrder() }] : []),
+      ...(po.status === 'draft' ? [{ text: 'Mark Sent', class: 'btn small primary', onclick: () => sendPurchaseOrder() }] : []),
+      ...(['sent', 'partial'].includes(po.status) ? [{ text: 'Receive', class: 'btn small primary', onclick: () => { window.hideDialog(dlg); openReceivePurchaseOrderDialog(po.id); } }] : []),
+      { text: 'Close', class: 'btn small', onclick: () => window.hideDialog(dlg) }
+    ]
+  });
+
+  window.TableRenderer.renderTableHeader(dlg.querySelector('.po-lines thead'), lineColumns);
+  window.TableRenderer.renderTable(dlg.querySelector('.po-lines tbody'), po.lines, lineColumns, {
+    emptyMessage: 'No lines.'
+  });
+  if (po.receipts.length > 0) {
+    window.TableRenderer.renderTableHeader(dlg.querySelector('.po-receipts thead'), receiptColumns);
+    window.TableRenderer.renderTable(dlg.querySelector('.po-receipts tbody'), po.receipts.slice().reverse(), receiptColumns, {});
+  }
+
+  // Reopen so buttons and status reflect the change
+  const reopen = () => {
+    window.hideDialog(dlg);
+    openPurchaseOrderDialog(po.id);
+  };
+
+  const sendPurchaseOrder = () => {
+    const result = PO.sendPurchaseOrderCRUD(po.id);
+    if (!result.success) {
+      window.showToast(result.errors.join(', '), 'error');
+      return;
+    }
+    window.showToast(`${po.number} marked as sent`, 'success');
+    if (confirm('Print the purchase order to send to the supplier?')) printPurchaseOrder(po);
+    reopen();
+  };
+
+  const closePurchaseOrder = () => {
+    const outstanding = PO.summarizePurchaseOrder(po).outstandingLines;
+    const note = outstanding > 0 && po.status !== 'draft' ? `\n\n${outstanding} line(s) have not been fully received and will no longer be expected.` : '';
+    if (!confirm(`Close ${po.number}?${note}`)) return;
+    const result = PO.closePurchaseOrderCRUD(po.id);
+    if (!result.success) {
+      window.showToast(result.errors.join(', '), 'error');
+      return;
+    }
+    window.showToast(`${po.number} closed`, 'success');
+    reopen();
+  };
+
+  const deletePurchaseOrder = () => {
+    if (!confirm(`Delete ${po.number}?`)) return;
+    const result = PO.deletePurchaseOrderCRUD(po.id);
+    if (!result.success) {
+      window.showToast(result.errors.join(', '), 'error');
+      return;
+    }
+    window.showToast(`${po.number} deleted`, 'success');
+    window.hideDialog(dlg);
+  };
+
+  showTrackingDialog(dlg);
+}
+
+/**
+ * Print a purchase order
+ * @param {object} po - Purchase order
+ */
+function printPurchaseOrder(po) {
+  const settings = window.Storage ? window.Storage.getStoredSettings() : (window.settings || {});
+  window.openPurchaseOrderPrintWindow(po, settings);
+}
+
+// ============================================================================
+// RECEIVE DIALOG
+// ============================================================================
+
+/**
+ * Build a receive row for an outstanding line
+ * @param {object} line - Purchase order line
+ * @returns {string} HTML
+ */
+function poReceiveRow(line) {
+  const product = (window.data || []).find(p => p.id === line.productId);
+  const mode = product && window.Tracking ? window.Tracking.getTrackingMode(product) : 'none';
+  const outstanding = window.PurchaseOrders.getOutstandingQuantity(line);
+
+  return `
+    <tr class="po-receive-line" data-line="${esc(line.id)}" data-mode="${mode}">
+      <td>${esc(line.productName)}${line.sku ? ` <span class="muted">${esc(line.sku)}</span>` : ''}</td>
+      <td class="right">${outstanding} ${esc(line.unit)}</td>
+      <td><input type="number" class="po-receive-qty" min="0" step="any" value="${mode === 'serial' ? '' : outstanding}"${mode === 'serial' ? ' disabled' : ''}></td>
+      <td><input class="po-receive-units" placeholder="${mode === 'serial' ? 'Serials, comma separated' : mode === 'lot' ? 'Lot number' : ''}"${mode === 'none' ? ' disabled' : ''}></td>
+      <td><input type="date" class="po-receive-expires"${mode === 'lot' ? '' : ' disabled'}></td>
+    </tr>
+  `;
+}
+
+/**
+ * Receive goods against a purchase order
+ * @param {string} poId - Purchase order ID
+ */
+function openReceivePurchaseOrderDialog(poId) {
+  if (!window.createDialog || !window.PurchaseOrders) return;
+
+  const po = window.PurchaseOrders.getPurchaseOrder(poId);
+  if (!po) return;
+
+  const today = new Date().toISOString().split('T')[0];
+  const outstanding = po.lines.filter(line => window.PurchaseOrders.getOutstandingQuantity(line) > 0);
+
+  const dlg = window.createDialog({
+    id: 'dlgReceivePO_' + Date.now(),
+    title: `Receive ${po.number}`,
+    className: 'dialog-receipt',
+    content: `
+      <form class="po-receive-form">
+        <div class="row">
+          <label class="field">Reference <input name="reference" placeholder="Packing slip / supplier invoice"></label>
+          <label class="field">Location
+            <select name="locationId">${trackingLocationOptions(po.locationId)}</select>
+          </label>
+          <label class="field">Received <input type="date" name="receivedAt" value="${today}"></label>
+        </div>
+        <div class="receipt-table-wrap">
+          <table class="small-table">
+            <thead>
+              <tr><th>Product</th><th class="right">Outstanding</th><th>Receive</th><th>Lot / Serials</th><th>Expires</th></tr>
+            </thead>
+            <tbody>${outstanding.map(poReceiveRow).join('')}</tbody>
+          </table>
+        </div>
+        <div class="row">
+          <label class="field">Freight <input type="number" class="receipt-charge" data-label="Freight" min="0" step="0.01" value="0"></label>
+          <label class="field">Duty <input type="number" class="receipt-charge" data-label="Duty" min="0" step="0.01" value="0"></label>
+          <label class="field">Other <input type="number" class="receipt-charge" data-label="Other" min="0" step="0.01" value="0"></label>
+          <label class="field">Allocate by
+            <select name="allocateBy">
+              <option value="value">Line value</option>
+              <option value="quantity">Quantity</option>
+            </select>
+          </label>
+        </div>
+        <label class="field inline"><input type="checkbox" name="printLabels"> Print labels for the received items</label>
+        <div class="btn-group">
+          <button type="button" class="btn" data-action="cancel">Cancel</button>
+          <button type="submit" class="btn primary">Receive</button>
+        </div>
+      </form>
+    `
+  });
+
+  const form = dlg.querySelector('form');
+  form.querySelector('[data-action="cancel"]').addEventListener('click', () => window.hideDialog(dlg));
+
+  form.addEventListener('submit', e => {
+    e.preventDefault();
+    const lines = Array.from(dlg.querySelectorAll('.po-receive-line')).map(row => {
+      const units = row.querySelector('.po-receive-units').value.trim();
+      return {
+        lineId: row.dataset.line,
+        qty: parseFloat(row.querySelector('.po-receive-qty').value) || 0,
+        serials: row.dataset.mode === 'serial' ? units.split(/[\n,]/).map(s => s.trim()).filter(Boolean) : [],
+        lot: row.dataset.mode === 'lot' ? units : '',
+        expiresAt: row.querySelector('.po-receive-expires').value || null
+      };
+    });
+    const receivedAt = form.elements.receivedAt.value;
+
+    const result = window.PurchaseOrders.receivePurchaseOrderCRUD(po.id, {
+      lines,
+      locationId: form.elements.locationId.value || null,
+      reference: form.elements.reference.value.trim(),
+      receivedAt: receivedAt ? new Date(receivedAt).toISOString() : undefined,
+      charges: Array.from(dlg.querySelectorAll('.receipt-charge'))
+        .map(input => ({ label: input.dataset.label, amount: parseFloat(input.value) || 0 }))
+        .filter(c => c.amount > 0),
+      allocateBy: form.elements.allocateBy.value
+    });
+
+    if (!result.success) {
+      window.showToast(result.errors.join(', '), 'error');
+      return;
+    }
+
+    window.showToast(`Received ${result.receipt.lines.length} line(s) on ${po.number} - ${window.PurchaseOrders.getPurchaseOrderStatusLabel(po.status).toLowerCase()}`, 'success');
+    window.hideDialog(dlg);
+    refreshTrackedProducts();
+
+    if (form.elements.printLabels.checked && window.LabelsUI) {
+      // Labels are per stock unit
+      window.LabelsUI.printReceiptLabels(result.receipt.lines.map(entry => {
+        const line = po.lines.find(l => l.id === entry.lineId);
+        const product = (window.data || []).find(p => p.id === line.productId);
+        return { productId: line.productId, qty: product ? convertUnits(product, entry.qty, line.unit, '') : entry.qty };
+      }));
+    }
+  });
+
+  showTrackingDialog(dlg);
+}
+
+/**
+ * Wire up the Purchase Orders button in the toolbar
+ */
+function bindPurchaseOrderButtons() {
+  const btn = document.getElementById('btnPurchaseOrders');
+  if (btn) {
+    btn.addEventListener('click', () => openPurchaseOrdersDialog());
+  }
+}
+
+// Auto-initialize when DOM is ready
+if (typeof window !== 'undefined') {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', bindPurchaseOrderButtons);
+  } else {
+    bindPurchaseOrderButtons();
+  }
+
+  window.PurchaseOrderUI = {
+    openPurchaseOrdersDialog,
+    refreshPurchaseOrderLists,
+    openPurchaseOrderDialog,
+    openPurchaseOrderEditDialog,
+    openReceivePurchaseOrderDialog,
+    openCreateFromSuggestionsDialog,
+    createPurchaseOrdersFromList
+  };
+}
@@ -0,0 +1,746 @@
+/* ============================================
+   PURCHASE ORDERS MODULE
+   CodeLapras - Purchasing & Receiving Against POs
+   ============================================ */
+
+// A purchase order goes draft -> sent -> partially received -> received,
+// and can be closed at any point (short-closing whatever is still
+// outstanding). Each line is ordered in one of the product's units
+// (default: its purchase unit) at a cost per that unit; receiving converts
+// the received amount into stock units and books it through
+// Costing.receiveGoodsCRUD at the chosen location.
+//
+// The reorder list in the inventory screen (inv.po, productId -> units)
+// stays a scratch list; createPurchaseOrdersFromList turns it into draft
+// POs, one per supplier.
+//
+// Lines are priced from the supplier's price list (see suppliers.js), in
+// the unit the supplier sells in and rounded up to their minimum order and
+// pack size; products without one fall back to their purchase unit and cost.
+
+/**
+ * Purchase order statuses, in workflow order
+ */
+const PURCHASE_ORDER_STATUSES = ['draft', 'sent', 'partial', 'received', 'closed'];
+
+/**
+ * Display names for PURCHASE_ORDER_STATUSES
+ */
+const PURCHASE_ORDER_STATUS_LABELS = {
+  draft: 'Draft',
+  sent: 'Sent',
+  partial: 'Partially received',
+  received: 'Received',
+  closed: 'Closed'
+};
+
+/**
+ * Statuses that still expect goods
+ */
+const OPEN_PURCHASE_ORDER_STATUSES = ['draft', 'sent', 'partial'];
+
+/**
+ * Get reference to global purchase orders array
+ * @returns {Array} Purchase orders array
+ */
+function getPurchaseOrdersArray() {
+  if (!window.purchaseOrders) {
+    window.purchaseOrders = typeof loadPurchaseOrders === 'function' ? loadPurchaseOrders() : [];
+  }
+  return window.purchaseOrders;
+}
+
+/**
+ * Save purchase orders to storage
+ */
+function savePurchaseOrdersToStorage() {
+  if (typeof savePurchaseOrders === 'function') {
+    savePurchaseOrders(getPurchaseOrdersArray());
+  }
+}
+
+// ============ Factory ============
+
+/**
+ * Generate the next purchase order number (PO-YYYY-NNN)
+ * @returns {string} PO number
+ */
+function generatePurchaseOrderNumber() {
+  const prefix = `PO-${new Date().getFullYear()}-`;
+  const numbers = getPurchaseOrdersArray()
+    .filter(po => po.number && po.number.startsWith(prefix))
+    .map(po => parseInt(po.number.slice(prefix.length), 10) || 0);
+
+  const next = (numbers.length > 0 ? Math.max(...numbers) : 0) + 1;
+  return `${prefix}${String(next).padStart(3, '0')}`;
+}
+
+/**
+ * Create a purchase order object with default values
+ * @param {object} data - Initial purchase order data
+ * @returns {object} Purchase order
+ */
+function createPurchaseOrder(data = {}) {
+  const now = new Date().toISOString();
+  return {
+    id: data.id || (typeof uid === 'function' ? uid() : 'po-' + Date.now()),
+    number: data.number || generatePurchaseOrderNumber(),
+    supplier: String(data.supplier || '').trim(),
+    status: data.status || 'draft',
+    orderDate: data.orderDate || now.split('T')[0],
+    expectedDate: data.expectedDate || null,
+    locationId: data.locationId || null, // where goods are received by default
+    reference: data.reference || '', // supplier's order / quote number
+    lines: Array.isArray(data.lines) ? data.lines.map(createPurchaseOrderLine) : [],
+    receipts: Array.isArray(data.receipts) ? data.receipts : [],
+    notes: data.notes || '',
+    createdAt: data.createdAt || now,
+    sentAt: data.sentAt || null,
+    receivedAt: data.receivedAt || null,
+    closedAt: data.closedAt || null,
+    updatedAt: data.updatedAt || now
+  };
+}
+
+/**
+ * Create a purchase order line
+ * @param {object} data - { productId, supplierSku, unit, quantity, unitCost, receivedQty }
+ * @returns {object} Line; quantity, receivedQty and unitCost are in unit
+ */
+function createPurchaseOrderLine(data = {}) {
+  const product = (window.data || []).find(p => p.id === data.productId);
+  return {
+    id: data.id || (typeof uid === 'function' ? uid() : 'pol-' + Date.now() + Math.random().toString(36).slice(2, 6)),
+    productId: data.productId || '',
+    productName: data.productName || (product ? product.name : ''),
+    sku: data.sku || (product ? product.sku || '' : ''),
+    supplierSku: data.supplierSku || '',
+    unit: data.unit || (product ? getDefaultUnit(product, 'purchase') : ''),
+    quantity: Number(data.quantity) || 0,
+    unitCost: Number(data.unitCost) || 0,
+    receivedQty: Number(data.receivedQty) || 0
+  };
+}
+
+/**
+ * Create a line for a product, priced from the supplier's price list or
+ * else the product's cost
+ * @param {object} product - Product object
+ * @param {number} quantity - Quantity in unit
+ * @param {string} unit - Unit (default: the unit the supplier sells in)
+ * @param {string} supplierName - Supplier (default: the product's supplier)
+ * @returns {object} Line
+ */
+function createPurchaseOrderLineFromProduct(product, quantity, unit = '', supplierName = product.supplier) {
+  const terms = window.Suppliers.getSupplierTerms(product, supplierName);
+  const lineUnit = unit || terms.unit;
+  const perTermsUnit = convertUnits(product, 1, lineUnit, terms.unit);
+  return createPurchaseOrderLine({
+    productId: product.id,
+    supplierSku: terms.supplierSku,
+    unit: lineUnit,
+    quantity,
+    unitCost: Math.round(terms.unitCost * (perTermsUnit || 1) * 10000) / 10000
+  });
+}
+
+/**
+ * Line for ordering a number of stock units of a product, in the unit the
+ * supplier sells in, rounded up to whole units, their minimum order and
+ * pack size
+ * @param {object} product - Product object
+ * @param {number} quantity - Quantity in fromUnit
+ * @param {string} fromUnit - Unit of quantity (empty: stock unit)
+ * @returns {object|null} { product, unit, quantity }, or null for nothing
+ */
+function createSupplierOrderEntry(product, quantity, fromUnit = '') {
+  const terms = window.Suppliers.getSupplierTerms(product);
+  const inUnit = convertUnits(product, quantity, fromUnit, terms.unit);
+  if (!(inUnit > 0)) return null;
+  return {
+    product,
+    unit: terms.unit,
+    quantity: window.Suppliers.applySupplierOrderRules(terms, Math.ceil(inUnit - 1e-9))
+  };
+}
+
+// ============ Helpers ============
+
+/**
+ * Status display name
+ * @param {string} status - Status
+ * @returns {string}
+ */
+function getPurchaseOrderStatusLabel(status) {
+  return PURCHASE_ORDER_STATUS_LABELS[status] || status;
+}
+
+/**
+ * Quantity of a line still to be received
+ * @param {object} line - Purchase order line
+ * @returns {number} Quantity in the line's unit
+ */
+function getOutstandingQuantity(line) {
+  return Math.max(0, Math.round(((Number(line.quantity) || 0) - (Number(line.receivedQty) || 0)) * 1e6) / 1e6);
+}
+
+/**
+ * Totals for a purchase order
+ * @param {object} po - Purchase order
+ * @returns {object} { lines, total, receivedValue, outstandingLines }
+ */
+function summarizePurchaseOrder(po) {
+  const lines = po.lines || [];
+  return {
+    lines: lines.length,
+    total: Math.round(lines.reduce((sum, l) => sum + l.quantity * l.unitCost, 0) * 100) / 100,
+    receivedValue: Math.round(lines.reduce((sum, l) => sum + l.receivedQty * l.unitCost, 0) * 100) / 100,
+    outstandingLines: lines.filter(l => getOutstandingQuantity(l) > 0).length
+  };
+}
+
+/**
+ * Check if a purchase order is past its expected date with goods outstanding
+ * @param {object} po - Purchase order
+ * @returns {boolean}
+ */
+function isPurchaseOrderOverdue(po) {
+  if (!po.expectedDate || !['sent', 'partial'].includes(po.status)) return false;
+  return po.expectedDate < new Date().toISOString().split('T')[0];
+}
+
+/**
+ * Stock units of a product still expected on open purchase orders
+ * @param {string} productId - Product ID
+ * @returns {number} Quantity in stock units
+ */
+function getOnOrderQuantity(productId) {
+  const product = (window.data || []).find(p => p.id === productId);
+  if (!product) return 0;
+
+  return getPurchaseOrdersArray()
+    .filter(po => OPEN_PURCHASE_ORDER_STATUSES.includes(po.status))
+    .reduce((sum, po) => sum + po.lines
+      .filter(line => line.productId === productId)
+      .reduce((lineSum, line) => lineSum + (convertUnits(product, getOutstandingQuantity(line), line.unit, '') || 0), 0), 0);
+}
+
+// ============ Validation ============
+
+/**
+ * Validate a purchase order
+ * @param {object} po - Purchase order
+ * @returns {object} { valid: boolean, errors: string[] }
+ */
+function validatePurchaseOrder(po) {
+  const errors = [];
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+  if (!PURCHASE_ORDER_STATUSES.includes(po.status)) {
+    errors.push(`Unknown status: ${po.status}`);
+  }
+  if (!datePattern.test(po.orderDate || '')) {
+    errors.push('Order date must be YYYY-MM-DD');
+  }
+  if (po.expectedDate) {
+    if (!datePattern.test(po.expectedDate)) {
+      errors.push('Expected date must be YYYY-MM-DD');
+    } else if (po.expectedDate < po.orderDate) {
+      errors.push('Expected date cannot be before the order date');
+    }
+  }
+  if (po.locationId && !(window.locations || []).some(l => l.id === po.locationId)) {
+    errors.push('Receiving location not found');
+  }
+
+  if (po.lines.length === 0) {
+    errors.push('Add at least one product');
+  }
+
+  po.lines.forEach(line => {
+    const product = (window.data || []).find(p => p.id === line.productId);
+    const name = product ? product.name : (line.productName || line.productId);
+    if (!product) {
+      errors.push(`${name || 'Line'}: product not found`);
+      return;
+    }
+    if (typeof isVariantParent === 'function' && isVariantParent(product)) {
+      errors.push(`${name}: order a specific variant`);
+    }
+    if (!(line.quantity > 0)) {
+      errors.push(`${name}: quantity must be greater than 0`);
+    }
+    if (line.unitCost < 0) {
+      errors.push(`${name}: cost cannot be negative`);
+    }
+    if (getUnitFactor(product, line.unit) === null) {
+      errors.push(`${name}: ${line.unit} is not a unit of this product`);
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+// ============ CRUD Operations ============
+
+/**
+ * Get a purchase order
+ * @param {string} id - Purchase order ID
+ * @returns {object|null}
+ */
+function getPurchaseOrder(id) {
+  return getPurchaseOrdersArray().find(po => po.id === id) || null;
+}
+
+/**
+ * Get purchase orders, newest first
+ * @param {string|null} status - Only this status (optional)
+ * @returns {Array<object>}
+ */
+function getPurchaseOrders(status = null) {
+  return getPurchaseOrdersArray()
+    .filter(po => !status || po.status === status)
+    .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+}
+
+/**
+ * Create a draft purchase order
+ * @param {object} data - Purchase order data
+ * @returns {object} { success: boolean, purchaseOrder?: object, errors?: array }
+ */
+function createPurchaseOrderCRUD(data = {}) {
+  try {
+    const po = createPurchaseOrder({ ...data, status: 'draft', receipts: [] });
+    po.lines.forEach(line => { line.receivedQty = 0; });
+
+    const validation = validatePurchaseOrder(po);
+    if (!validation.valid) {
+      return { success: false, errors: validation.errors };
+    }
+
+    getPurchaseOrdersArray().unshift(po);
+    savePurchaseOrdersToStorage();
+
+    if (typeof EventBus !== 'undefined') {
+      EventBus.emit('purchaseOrder:created', { id: po.id, purchaseOrder: po });
+    }
+
+    return { success: true, purchaseOrder: po };
+
+  } catch (err) {
+    console.error('Error creating purchase order:', err);
+    return { success: false, errors: [err.message] };
+  }
+}
+
+/**
+ * Update a purchase order. Lines can be changed until receiving starts;
+ * received and closed orders are kept as they are.
+ * @param {string} id - Purchase order ID
+ * @param {object} updates - Fields to update (status changes go through
+ *   send/receive/close)
+ * @returns {object} { success: boolean, purchaseOrder?: object, errors?: array }
+ */
+function updatePurchaseOrderCRUD(id, updates = {}) {
+  try {
+    const orders = getPurchaseOrdersArray();
+    const index = orders.findIndex(po => po.id === id);
+    if (index === -1) {
+      return { success: false, errors: ['Purchase order not found'] };
+    }
+
+    const existing = orders[index];
+    if (['received', 'closed'].includes(existing.status)) {
+      return { success: false, errors: [`${getPurchaseOrderStatusLabel(existing.status)} purchase orders cannot be changed`] };
+    }
+    if (updates.lines && existing.receipts.length > 0) {
+      return { success: false, errors: ['Lines cannot be changed after receiving has started'] };
+    }
+
+    const updated = createPurchaseOrder({
+      ...existing,
+      ...updates,
+      id: existing.id,
+      number: existing.number,
+      status: existing.status,
+      receipts: existing.receipts,
+      lines: updates.lines ? updates.lines.map(line => ({ ...line, receivedQty: 0 })) : existing.lines,
+      createdAt: existing.createdAt,
+      updatedAt: new Date().toISOString()
+    });
+
+    const validation = validatePurchaseOrder(updated);
+    if (!validation.valid) {
+      return { success: false, errors: validation.errors };
+    }
+
+    orders[index] = updated;
+    savePurchaseOrdersToStorage();
+
+    if (typeof EventBus !== 'undefined') {
+      EventBus.emit('purchaseOrder:updated', { id, purchaseOrder: updated });
+    }
+
+    return { success: true, purchaseOrder: updated };
+
+  } catch (err) {
+    console.error('Error updating purchase order:', err);
+    return { success: false, errors: [err.message] };
+  }
+}
+
+/**
+ * Mark a draft purchase order as sent to the supplier
+ * @param {string} id - Purchase order ID
+ * @returns {object} { success: boolean, purchaseOrder?: object, errors?: array }
+ */
+function sendPurchaseOrderCRUD(id) {
+  try {
+    const po = getPurchaseOrder(id);
+    if (!po) {
+      return { success: false, errors: ['Purchase order not found'] };
+    }
+    if (po.status !== 'draft') {
+      return { success: false, errors: [`Purchase order is already ${getPurchaseOrderStatusLabel(po.status).toLowerCase()}`] };
+    }
+
+    po.status = 'sent';
+    po.sentAt = new Date().toISOString();
+    po.updatedAt = po.sentAt;
+    savePurchaseOrdersToStorage();
+
+    if (typeof EventBus !== 'undefined') {
+      EventBus.emit('purchaseOrder:sent', { id, purchaseOrder: po });
+    }
+
+    return { success: true, purchaseOrder: po };
+
+  } catch (err) {
+    console.error('Error sending purchase order:', err);
+    return { success: false, errors: [err.message] };
+  }
+}
+
+/**
+ * Receive goods against a purchase order. Stock is added at the receiving
+ * location with the line cost (per stock unit) as its cost layer.
+ * @param {string} id - Purchase order ID
+ * @param {object} data - Receipt
+ * @param {Array} data.lines - [{ lineId, qty (in the line's unit), serials, lot, expiresAt }]
+ * @param {string} data.locationId - Receiving location (default: the PO's)
+ * @param {string} data.reference - Packing slip / supplier invoice
+ * @param {string} data.receivedAt - ISO date
+ * @param {Array} data.charges - Landed costs [{ label, amount }]
+ * @param {string} data.allocateBy - 'value' or 'quantity'
+ * @returns {object} { success: boolean, purchaseOrder?: object, receipt?: object, errors?: array }
+ */
+function receivePurchaseOrderCRUD(id, data = {}) {
+  try {
+    const po = getPurchaseOrder(id);
+    if (!po) {
+      return { success: false, errors: ['Purchase order not found'] };
+    }
+    if (!['sent', 'partial'].includes(po.status)) {
+      return {
+        success: false,
+        errors: [po.status === 'draft'
+          ? 'Send the purchase order before receiving against it'
+          : `Purchase order is ${getPurchaseOrderStatusLabel(po.status).toLowerCase()}`]
+      };
+    }
+    if (!window.Costing) {
+      return { success: false, errors: ['Receiving is not available'] };
+    }
+
+    const locationId = data.locationId !== undefined ? data.locationId || null : po.locationId;
+    if (locationId && !(window.locations || []).some(l => l.id === locationId)) {
+      return { success: false, errors: ['Receiving location not found'] };
+    }
+
+    const errors = [];
+    const entries = [];
+
+    (data.lines || []).forEach(entry => {
+      const line = po.lines.find(l => l.id === entry.lineId);
+      if (!line) {
+        errors.push('Purchase order line not found');
+        return;
+      }
+      const product = (window.data || []).find(p => p.id === line.productId);
+      if (!product) {
+        errors.push(`${line.productName}: product no longer exists`);
+        return;
+      }
+
+      // Serial-tracked lines are counted by their serials, in stock units
+      const serialTracked = window.Tracking && window.Tracking.getTrackingMode(product) === 'serial';
+      const serials = serialTracked ? (entry.serials || []).map(s => String(s).trim()).filter(Boolean) : [];
+      const lineQty = serialTracked ? convertUnits(product, serials.length, '', line.unit) : Number(entry.qty) || 0;
+      if (!(lineQty > 0)) return;
+
+      const stockQty = convertUnits(product, lineQty, line.unit, '');
+      const stockUnit = getStockUnitName(product);
+      if (stockQty === null) {
+        errors.push(`${product.name}: ${line.unit} is not a unit of this product`);
+        return;
+      }
+      if (!Number.isInteger(stockQty)) {
+        errors.push(`${product.name}: ${lineQty} ${line.unit} is ${stockQty} ${stockUnit}; receive whole ${stockUnit} quantities`);
+        return;
+      }
+
+      const outstanding = getOutstandingQuantity(line);
+      if (lineQty > outstanding + 1e-9) {
+        errors.push(`${product.name}: only ${outstanding} ${line.unit} outstanding`);
+        return;
+      }
+
+      entries.push({
+        line,
+        lineQty,
+        goods: {
+          productId: product.id,
+          qty: stockQty,
+          unitCost: Math.round(line.unitCost * lineQty / stockQty * 10000) / 10000,
+          serials,
+          lot: entry.lot || '',
+          expiresAt: entry.expiresAt || null
+        }
+      });
+    });
+
+    if (errors.length > 0) {
+      return { success: false, errors };
+    }
+    if (entries.length === 0) {
+      return { success: false, errors: ['Enter a quantity to receive'] };
+    }
+
+    const receivedAt = data.receivedAt || new Date().toISOString();
+    let receipt = null;
+
+    const result = window.Storage.runTransaction(['purchaseOrders', 'data'], () => {
+      const received = window.Costing.receiveGoodsCRUD({
+        lines: entries.map(e => e.goods),
+        charges: data.charges,
+        allocateBy: data.allocateBy,
+        locationId,
+        reference: [po.number, data.reference].filter(Boolean).join(' / '),
+        receivedAt
+      });
+      if (!received.success) return received;
+
+      entries.forEach(({ line, lineQty }) => {
+        line.receivedQty = Math.round((line.receivedQty + lineQty) * 1e6) / 1e6;
+      });
+
+      receipt = {
+        id: received.receiptId,
+        receivedAt,
+        locationId,
+        reference: data.reference || '',
+        lines: entries.map(({ line, lineQty }) => ({ lineId: line.id, qty: lineQty }))
+      };
+      po.receipts.push(receipt);
+
+      const complete = po.lines.every(line => getOutstandingQuantity(line) === 0);
+      po.status = complete ? 'received' : 'partial';
+      if (complete) po.receivedAt = receivedAt;
+      po.updatedAt = new Date().toISOString();
+
+      savePurchaseOrdersToStorage();
+      return { success: true };
+    });
+
+    if (!result.success) {
+      return result;
+    }
+
+    if (typeof EventBus !== 'undefined') {
+      EventBus.emit('purchaseOrder:received', { id, purchaseOrder: po, receipt });
+    }
+
+    return { success: true, purchaseOrder: po, receipt };
+
+  } catch (err) {
+    console.error('Error receiving purchase order:', err);
+    return { success: false, errors: [err.message] };
+  }
+}
+
+/**
+ * Close a purchase order; anything not yet received is no longer expected
+ * @param {string} id - Purchase order ID
+ * @returns {object} { success: boolean, purchaseOrder?: object, errors?: array }
+ */
+function closePurchaseOrderCRUD(id) {
+  try {
+    const po = getPurchaseOrder(id);
+    if (!po) {
+      return { success: false, errors: ['Purchase order not found'] };
+    }
+    if (po.status === 'closed') {
+      return { success: false, errors: ['Purchase order is already closed'] };
+    }
+
+    po.status = 'closed';
+    po.closedAt = new Date().toISOString();
+    po.updatedAt = po.closedAt;
+    savePurchaseOrdersToStorage();
+
+    if (typeof EventBus !== 'undefined') {
+      EventBus.emit('purchaseOrder:closed', { id, purchaseOrder: po });
+    }
+
+    return { success: true, purchaseOrder: po };
+
+  } catch (err) {
+    console.error('Error closing purchase order:', err);
+    return { success: false, errors: [err.message] };
+  }
+}
+
+/**
+ * Delete a purchase order that nothing has been received against
+ * @param {string} id - Purchase order ID
+ * @returns {object} { success: boolean, errors?: array }
+ */
+function deletePurchaseOrderCRUD(id) {
+  try {
+    const orders = getPurchaseOrdersArray();
+    const index = orders.findIndex(po => po.id === id);
+    if (index === -1) {
+      return { success: false, errors: ['Purchase order not found'] };
+    }
+    if (orders[index].receipts.length > 0) {
+      return { success: false, errors: ['Purchase orders with receipts are kept for the record; close it instead'] };
+    }
+
+    const [deleted] = orders.splice(index, 1);
+    savePurchaseOrdersToStorage();
+
+    if (typeof EventBus !== 'undefined') {
+      EventBus.emit('purchaseOrder:deleted', { id, purchaseOrder: deleted });
+    }
+
+    return { success: true };
+
+  } catch (err) {
+    console.error('Error deleting purchase order:', err);
+    return { success: false, errors: [err.message] };
+  }
+}
+
+// ============ Creating POs in Bulk ============
+
+/**
+ * Create one draft purchase order per supplier. Without an expected date
+ * each order is expected after its supplier's lead time.
+ * @param {Array<object>} entries - [{ product, quantity, unit }]
+ * @param {object} options - { locationId, expectedDate }
+ * @returns {object} { success: boolean, purchaseOrders: array, errors: array }
+ */
+function createPurchaseOrdersBySupplier(entries, options = {}) {
+  // Group under the supplier record's name, whatever case products use
+  const groups = groupBySupplier(entries.map(entry => ({
+    ...entry,
+    supplier: window.Suppliers.getSupplierTerms(entry.product).supplier
+  })));
+  const purchaseOrders = [];
+  const errors = [];
+
+  Object.values(groups).forEach(group => {
+    const result = createPurchaseOrderCRUD({
+      supplier: group[0].supplier || '',
+      locationId: options.locationId || null,
+      expectedDate: options.expectedDate ||
+        window.Suppliers.getExpectedDeliveryDate(group[0].supplier, group.map(entry => entry.product.id)),
+      lines: group.map(entry => createPurchaseOrderLineFromProduct(entry.product, entry.quantity, entry.unit))
+    });
+    if (result.success) {
+      purchaseOrders.push(result.purchaseOrder);
+    } else {
+      errors.push(`${group[0].supplier || 'No supplier'}: ${result.errors.join(', ')}`);
+    }
+  });
+
+  return { success: errors.length === 0 && purchaseOrders.length > 0, purchaseOrders, errors };
+}
+
+/**
+ * Turn reorder suggestions into draft purchase orders grouped by supplier.
+ * Stock already on open purchase orders is subtracted, and quantities are
+ * rounded up to the supplier's unit, minimum order and pack size.
+ * @param {Array<object>} products - Products (default: window.data)
+ * @param {object} options - { locationId, expectedDate }
+ * @returns {object} { success: boolean, purchaseOrders: array, errors: array }
+ */
+function createPurchaseOrdersFromSuggestions(products = window.data || [], options = {}) {
+  const entries = getReorderSuggestions(products)
+    .filter(s => typeof isVariantParent !== 'function' || !isVariantParent(s))
+    .map(suggestion => {
+      const product = products.find(p => p.id === suggestion.id);
+      const needed = suggestion.suggestedOrderQty - getOnOrderQuantity(suggestion.id);
+      if (!product || needed <= 0) return null;
+      return createSupplierOrderEntry(product, needed);
+    })
+    .filter(Boolean);
+
+  if (entries.length === 0) {
+    return { success: false, purchaseOrders: [], errors: ['Nothing to reorder that is not already on order'] };
+  }
+  return createPurchaseOrdersBySupplier(entries, options);
+}
+
+/**
+ * Turn the reorder PO list (inv.po: productId -> units) into draft purchase
+ * orders grouped by supplier, rounding up to the supplier's unit, minimum
+ * order and pack size
+ * @param {object} list - { productId: units }
+ * @param {object} options - { locationId, expectedDate }
+ * @returns {object} { success: boolean, purchaseOrders: array, errors: array }
+ */
+function createPurchaseOrdersFromList(list = window.po || {}, options = {}) {
+  const entries = Object.entries(list || {})
+    .map(([productId, units]) => {
+      const product = (window.data || []).find(p => p.id === productId);
+      if (!product || !(Number(units) > 0)) return null;
+      return createSupplierOrderEntry(product, Number(units), getBaseUnitName(product));
+    })
+    .filter(Boolean);
+
+  if (entries.length === 0) {
+    return { success: false, purchaseOrders: [], errors: ['The PO list is empty'] };
+  }
+  return createPurchaseOrdersBySupplier(entries, options);
+}
+
+// ============ Exports (for window object) ============
+
+if (typeof window !== 'undefined') {
+  window.PurchaseOrders = {
+    PURCHASE_ORDER_STATUSES,
+    PURCHASE_ORDER_STATUS_LABELS,
+    OPEN_PURCHASE_ORDER_STATUSES,
+    createPurchaseOrder,
+    createPurchaseOrderLine,
+    createPurchaseOrderLineFromProduct,
+    generatePurchaseOrderNumber,
+    getPurchaseOrderStatusLabel,
+    getOutstandingQuantity,
+    summarizePurchaseOrder,
+    isPurchaseOrderOverdue,
+    getOnOrderQuantity,
+    validatePurchaseOrder,
+    getPurchaseOrders,
+    getPurchaseOrder,
+    createPurchaseOrderCRUD,
+    updatePurchaseOrderCRUD,
+    sendPurchaseOrderCRUD,
+    receivePurchaseOrderCRUD,
+    closePurchaseOrderCRUD,
+    deletePurchaseOrderCRUD,
+    createPurchaseOrdersFromSuggestions,
+    createPurchaseOrdersFromList
+  };
+}
@@ -0,0 +1,332 @@
+/**
+ * supplier-ui.js - Supplier Management UI
+ *
+ * Dialogs for supplier records (contact details and lead time) and their
+ * price lists (supplier SKU, unit, cost, minimum order and pack size per
+ * product), plus the supplier suggestions in the product dialog.
+ */
+
+// ============================================================================
+// TABLE COLUMN DEFINITIONS
+// ============================================================================
+
+/**
+ * Get supplier list column definitions
+ * @returns {Array<object>} Column definitions
+ */
+function getSupplierColumns() {
+  return [
+    { key: 'name', label: 'Supplier', formatter: v => esc(v) },
+    { key: 'contactName', label: 'Contact', formatter: (v, row) =>
+      [v, row.email, row.phone].filter(Boolean).map(esc).join('<br>') || '<span class="muted">-</span>' },
+    { key: 'leadTimeDays', label: 'Lead Time', className: 'right', formatter: v => (v !== null && v !== undefined ? `${v} day(s)` : '-') },
+    { key: 'productCount', label: 'Products', className: 'right' },
+    { key: 'items', label: 'Price List', className: 'right', formatter: v => (v || []).length },
+    { key: 'id', label: '', formatter: v => `
+      <button class="btn small" data-action="edit" data-id="${esc(v)}">Edit</button>
+      <button class="btn small danger" data-action="delete" data-id="${esc(v)}">Delete</button>` }
+  ];
+}
+
+// ============================================================================
+// SUPPLIER LIST DIALOG
+// ============================================================================
+
+/**
+ * Show all suppliers
+ */
+function openSuppliersDialog() {
+  if (!window.createDialog || !window.Suppliers) return;
+
+  const dlg = window.createDialog({
+    id: 'dlgSuppliers_' + Date.now(),
+    title: 'Suppliers',
+    className: 'dialog-tracking',
+    content: `
+      <div class="muted">Products are linked to a supplier by the Supplier field in the product dialog.</div>
+      <div class="tracking-table-wrap">
+        <table class="small-table">
+          <thead></thead>
+          <tbody></tbody>
+        </table>
+      </div>
+    `,
+    buttons: [
+      { text: 'New Supplier', class: 'btn small primary', onclick: () => openSupplierEditDialog(null) },
+      { text: 'Close', class: 'btn small', onclick: () => window.hideDialog(dlg) }
+    ]
+  });
+
+  const columns = getSupplierColumns();
+  window.TableRenderer.renderTableHeader(dlg.querySelector('thead'), columns);
+
+  const renderSuppliers = () => {
+    const rows = window.Suppliers.getSuppliers().map(supplier => ({
+      ...supplier,
+      productCount: window.Suppliers.getSupplierProducts(supplier.id).length
+    }));
+    window.TableRenderer.renderTable(dlg.querySelector('tbody'), rows, columns, {
+      emptyMessage: 'No suppliers yet. Add one with New Supplier or give a product a supplier.'
+    });
+  };
+
+  dlg.querySelector('tbody').addEventListener('click', e => {
+    const btn = e.target.closest('[data-action]');
+    if (!btn) return;
+    if (btn.dataset.action === 'edit') openSupplierEditDialog(btn.dataset.id);
+    else if (btn.dataset.action === 'delete') deleteSupplier(btn.dataset.id);
+  });
+
+  if (window.EventBus) {
+    const unsubscribe = window.EventBus.on('supplier:*', renderSuppliers);
+    dlg.addEventListener('close', unsubscribe);
+  }
+
+  renderSuppliers();
+  showTrackingDialog(dlg);
+}
+
+/**
+ * Delete a supplier after confirmation
+ * @param {string} id - Supplier ID
+ */
+function deleteSupplier(id) {
+  const supplier = window.Suppliers.getSupplier(id);
+  if (!supplier) return;
+
+  const count = window.Suppliers.getSupplierProducts(id).length;
+  const note = count > 0 ? `\n\n${count} product(s) will be left without a supplier.` : '';
+  if (!confirm(`Delete supplier "${supplier.name}"?${note}`)) return;
+
+  const result = window.Suppliers.deleteSupplierCRUD(id);
+  if (!result.success) {
+    window.showToast(result.errors.join(', '), 'error');
+    return;
+  }
+
+  window.showToast(result.cleared > 0 ? `Supplier deleted, ${result.cleared} product(s) updated` : 'Supplier deleted', 'success');
+  if (result.cleared > 0) refreshTrackedProducts();
+}
+
+// ============================================================================
+// SUPPLIER EDIT DIALOG
+// ============================================================================
+
+/**
+ * Render one row of the price list editor
+ * @param {object} item - Price list item
+ * @returns {string} HTML
+ */
+function renderSupplierItemRow(item = {}) {
+  const product = (window.data || []).find(p => p.id === item.productId);
+  const value = v => (v === null || v === undefined ? '' : v);
+  return `
+    <tr class="supplier-item">
+      <td><select class="item-product">${poProductOptions(item.productId)}</select></td>
+      <td><input class="item-sku" value="${esc(item.supplierSku || '')}"></td>
+      <td><select class="item-unit">${supplierItemUnitOptions(product, item.unit)}</select></td>
+      <td><input type="number" class="item-cost" min="0" step="0.01" value="${value(item.cost)}" placeholder="${product ? esc(window.Suppliers.getSupplierTerms(product, '').unitCost) : ''}"></td>
+      <td><input type="number" class="item-moq" min="0" step="any" value="${item.minOrderQty || ''}"></td>
+      <td><input type="number" class="item-pack" min="0" step="any" value="${item.packSize || ''}"></td>
+      <td><input type="number" class="item-lead" min="0" step="1" value="${value(item.leadTimeDays)}"></td>
+      <td><button type="button" class="btn-icon" data-action="remove-item" title="Remove">🗑️</button></td>
+    </tr>
+  `;
+}
+
+/**
+ * Unit options for a price list item; the blank option is the product's
+ * purchase unit
+ * @param {object} product - Product object
+ * @param {string} selected - Selected unit
+ * @returns {string} HTML
+ */
+function supplierItemUnitOptions(product, selected) {
+  if (!product) return '';
+  return `<option value="">Purchase unit (${esc(getDefaultUnit(product, 'purchase'))})</option>` + poUnitOptions(product, selected);
+}
+
+/**
+ * Add or edit a supplier and its price list
+ * @param {string|null} supplierId - Supplier ID (null for a new supplier)
+ */
+function openSupplierEditDialog(supplierId) {
+  if (!window.createDialog || !window.Suppliers) return;
+
+  const existing = supplierId ? window.Suppliers.getSupplier(supplierId) : null;
+  if (supplierId && !existing) return;
+
+  const supplier = existing || window.Suppliers.createSupplier();
+  const value = v => (v === null || v === undefined ? '' : v);
+
+  const dlg = window.createDialog({
+    id: 'dlgSupplier_' + Date.now(),
+    title: existing ? `Edit Supplier - ${existing.name}` : 'New Supplier',
+    className: 'dialog-receipt',
+    content: `
+      <form class="supplier-form">
+        <div class="row">
+          <label class="field">Name <input name="name" value="${esc(supplier.name)}" required></label>
+          <label class="field">Contact <input name="contactName" value="${esc(supplier.contactName)}"></label>
+          <label class="field">Our account # <input name="accountNumber" value="${esc(supplier.accountNumber)}"></label>
+        </div>
+        <div class="row">
+          <label class="field">Email <input type="email" name="email" value="${esc(supplier.email)}"></label>
+          <label class="field">Phone <input name="phone" value="${esc(supplier.phone)}"></label>
+          <label class="field">Website <input name="website" value="${esc(supplier.website)}"></label>
+        </div>
+        <div class="row">
+          <label class="field">Address <textarea name="address" rows="2">${esc(supplier.address)}</textarea></label>
+          <label class="field">Lead time (days) <input type="number" name="leadTimeDays" min="0" step="1" value="${value(supplier.leadTimeDays)}"></label>
+        </div>
+        <h3>Price list</h3>
+        <div class="muted">Cost, minimum order and pack size are per the item's unit. Blank cost uses the product's cost; blank lead time uses the supplier's.</div>
+        <div class="receipt-table-wrap">
+          <table class="small-table">
+            <thead>
+              <tr><th>Product</th><th>Their SKU</th><th>Unit</th><th>Cost / Unit</th><th>Min Order</th><th>Pack Size</th><th>Lead Days</th><th></th></tr>
+            </thead>
+            <tbody class="supplier-items">${supplier.items.map(renderSupplierItemRow).join('')}</tbody>
+          </table>
+        </div>
+        <div class="btn-group">
+          <button type="button" class="btn small" data-action="add-item">+ Add Product</button>
+          <button type="button" class="btn small" data-action="add-products">Add Products Supplied</button>
+        </div>
+        <label class="field">Notes <textarea name="notes" rows="2">${esc(supplier.notes)}</textarea></label>
+        <div class="btn-group">
+          <button type="button" class="btn" data-action="cancel">Cancel</button>
+          <button type="submit" class="btn primary">Save</button>
+        </div>
+      </form>
+    `
+  });
+
+  const form = dlg.querySelector('form');
+  const itemBody = form.querySelector('.supplier-items');
+
+  const readItems = () => Array.from(itemBody.querySelectorAll('.supplier-item'))
+    .filter(row => row.querySelector('.item-product').value)
+    .map(row => ({
+      productId: row.querySelector('.item-product').value,
+      supplierSku: row.querySelector('.item-sku').value.trim(),
+      unit: row.querySelector('.item-unit').value,
+      cost: row.querySelector('.item-cost').value,
+      minOrderQty: row.querySelector('.item-moq').value,
+      packSize: row.querySelector('.item-pack').value,
+      leadTimeDays: row.querySelector('.item-lead').value
+    }));
+
+  itemBody.addEventListener('change', e => {
+    if (!e.target.matches('.item-product')) return;
+    const row = e.target.closest('tr');
+    row.outerHTML = renderSupplierItemRow({ productId: e.target.value });
+  });
+  itemBody.addEventListener('click', e => {
+    const btn = e.target.closest('[data-action="remove-item"]');
+    if (btn) btn.closest('tr').remove();
+  });
+  form.querySelector('[data-action="add-item"]').addEventListener('click', () => {
+    itemBody.insertAdjacentHTML('beforeend', renderSupplierItemRow());
+  });
+  // Add a row for each product naming this supplier that isn't listed yet
+  form.querySelector('[data-action="add-products"]').addEventListener('click', () => {
+    const listed = new Set(readItems().map(item => item.productId));
+    const products = existing ? window.Suppliers.getSupplierProducts(existing.id).filter(p => !listed.has(p.id)) : [];
+    if (products.length === 0) {
+      window.showToast('No other products name this supplier', 'info');
+      return;
+    }
+    itemBody.insertAdjacentHTML('beforeend', products.map(p => renderSupplierItemRow({ productId: p.id })).join(''));
+  });
+  form.querySelector('[data-action="cancel"]').addEventListener('click', () => window.hideDialog(dlg));
+
+  form.addEventListener('submit', e => {
+    e.preventDefault();
+    const data = {
+      name: form.elements.name.value.trim(),
+      contactName: form.elements.contactName.value.trim(),
+      accountNumber: form.elements.accountNumber.value.trim(),
+      email: form.elements.email.value.trim(),
+      phone: form.elements.phone.value.trim(),
+      website: form.elements.website.value.trim(),
+      address: form.elements.address.value.trim(),
+      leadTimeDays: form.elements.leadTimeDays.value,
+      items: readItems(),
+      notes: form.elements.notes.value.trim()
+    };
+
+    const result = existing
+      ? window.Suppliers.updateSupplierCRUD(existing.id, data)
+      : window.Suppliers.createSupplierCRUD(data);
+
+    if (!result.success) {
+      window.showToast(result.errors.join(', '), 'error');
+      return;
+    }
+
+    window.showToast(result.renamed > 0 ? `Supplier saved, ${result.renamed} product(s) updated` : 'Supplier saved', 'success');
+    if (result.renamed > 0) refreshTrackedProducts();
+    window.hideDialog(dlg);
+  });
+
+  showTrackingDialog(dlg);
+}
+
+// ============================================================================
+// PRODUCT DIALOG INTEGRATION
+// ============================================================================
+
+/**
+ * Fill the supplier suggestions for the product dialog's supplier field
+ */
+function refreshSupplierNameList() {
+  const list = document.getElementById('supplierNameList');
+  if (!list || !window.Suppliers) return;
+  list.innerHTML = window.Suppliers.getSuppliers()
+    .map(supplier => `<option value="${esc(supplier.name)}"></option>`)
+    .join('');
+}
+
+/**
+ * Wire up the Suppliers button and load supplier records once app data is
+ * available
+ */
+function bindSupplierUI() {
+  const btn = document.getElementById('btnSuppliers');
+  if (btn) {
+    btn.addEventListener('click', () => openSuppliersDialog());
+  }
+
+  if (window.EventBus) {
+    window.EventBus.on('supplier:*', refreshSupplierNameList);
+  }
+
+  if (typeof window.whenAppReady === 'function') {
+    window.whenAppReady().then(initSupplierRecords);
+  }
+}
+
+/**
+ * Load supplier records, adding any that products already name
+ */
+function initSupplierRecords() {
+  if (!window.Suppliers) return;
+  window.Suppliers.loadSuppliersFromStorage();
+  refreshSupplierNameList();
+}
+
+// Auto-initialize when DOM is ready
+if (typeof window !== 'undefined') {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', bindSupplierUI);
+  } else {
+    bindSupplierUI();
+  }
+
+  window.SupplierUI = {
+    openSuppliersDialog,
+    openSupplierEditDialog,
+    refreshSupplierNameList
+  };
+}
@@ -0,0 +1,548 @@
+/* ============================================
+   SUPPLIERS MODULE
+   CodeLapras - Supplier Records & Price Lists
+   ============================================ */
+
+// Products still name their preferred supplier in the free-text `supplier`
+// field; a supplier record with the same name (case-insensitive) adds
+// contact details, a lead time and a price list. Each price list item is a
+// product's terms with that supplier: their SKU, the unit they sell in, the
+// cost per that unit, a minimum order quantity and a pack size (both in
+// that unit), and optionally its own lead time.
+//
+// Reorder quantities and purchase orders use these terms when they exist,
+// falling back to the product's purchase unit and cost.
+
+/**
+ * Get reference to global suppliers array
+ * @returns {Array} Suppliers array
+ */
+function getSuppliersArray() {
+  if (!window.suppliers) {
+    window.suppliers = typeof loadSuppliers === 'function' ? loadSuppliers() : [];
+  }
+  return window.suppliers;
+}
+
+/**
+ * Save suppliers to storage
+ */
+function saveSuppliersToStorage() {
+  if (typeof saveSuppliers === 'function') {
+    saveSuppliers(getSuppliersArray());
+  }
+}
+
+/**
+ * Load suppliers from storage, adding records for suppliers that products
+ * name but that have none yet
+ * @returns {Array} Suppliers array
+ */
+function loadSuppliersFromStorage() {
+  window.suppliers = typeof loadSuppliers === 'function' ? loadSuppliers() : [];
+  syncSuppliersFromProducts();
+  return window.suppliers;
+}
+
+// ============ Factory ============
+
+/**
+ * Parse an optional number field
+ * @param {*} value - Value from a form or record
+ * @returns {number|null} Number, or null when blank
+ */
+function optionalSupplierNumber(value) {
+  return value === '' || value === null || value === undefined || isNaN(Number(value)) ? null : Number(value);
+}
+
+/**
+ * Create a supplier object with default values
+ * @param {object} data - Initial supplier data
+ * @returns {object} Supplier
+ */
+function createSupplier(data = {}) {
+  const now = new Date().toISOString();
+  return {
+    id: data.id || (typeof uid === 'function' ? uid() : 'sup-' + Date.now()),
+    name: String(data.name || '').trim(),
+    contactName: data.contactName || '',
+    email: data.email || '',
+    phone: data.phone || '',
+    address: data.address || '',
+    website: data.website || '',
+    accountNumber: data.accountNumber || '', // our account with them
+    leadTimeDays: optionalSupplierNumber(data.leadTimeDays),
+    items: Array.isArray(data.items) ? data.items.map(createSupplierItem) : [],
+    notes: data.notes || '',
+    createdAt: data.createdAt || now,
+    updatedAt: data.updatedAt || now
+  };
+}
+
+/**
+ * Create a price list item
+ * @param {object} data - { productId, supplierSku, unit, cost, minOrderQty, packSize, leadTimeDays }
+ * @returns {object} Item; cost, minOrderQty and packSize are in unit
+ */
+function createSupplierItem(data = {}) {
+  return {
+    productId: data.productId || '',
+    supplierSku: String(data.supplierSku || '').trim(),
+    unit: data.unit || '', // empty: the product's purchase unit
+    cost: optionalSupplierNumber(data.cost), // null: the product's cost
+    minOrderQty: Number(data.minOrderQty) || 0,
+    packSize: Number(data.packSize) || 0, // order in multiples of this
+    leadTimeDays: optionalSupplierNumber(data.leadTimeDays) // null: the supplier's
+  };
+}
+
+// ============ Validation ============
+
+/**
+ * Validate a supplier
+ * @param {object} supplier - Supplier to validate
+ * @returns {object} { valid: boolean, errors: string[] }
+ */
+function validateSupplier(supplier) {
+  const errors = [];
+
+  if (!supplier.name) {
+    errors.push('Supplier name is required');
+  } else {
+    const duplicate = getSuppliersArray().find(s =>
+      s.id !== supplier.id && s.name.toLowerCase() === supplier.name.toLowerCase());
+    if (duplicate) errors.push(`A supplier named "${supplier.name}" already exists`);
+  }
+
+  if (supplier.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(supplier.email)) {
+    errors.push('Invalid email format');
+  }
+  if (supplier.leadTimeDays !== null && supplier.leadTimeDays < 0) {
+    errors.push('Lead time cannot be negative');
+  }
+
+  const seen = new Set();
+  supplier.items.forEach(item => {
+    const product = (window.data || []).find(p => p.id === item.productId);
+    if (!product) {
+      errors.push(`${item.productId || 'Price list item'}: product not found`);
+      return;
+    }
+    if (seen.has(item.productId)) {
+      errors.push(`${product.name} is on the price list more than once`);
+    }
+    seen.add(item.productId);
+
+    if (item.unit && getUnitFactor(product, item.unit) === null) {
+      errors.push(`${product.name}: ${item.unit} is not a unit of this product`);
+    }
+    if (item.cost !== null && item.cost < 0) {
+      errors.push(`${product.name}: cost cannot be negative`);
+    }
+    if (item.minOrderQty < 0 || item.packSize < 0) {
+      errors.push(`${product.name}: minimum order and pack size cannot be negative`);
+    }
+    if (item.leadTimeDays !== null && item.leadTimeDays < 0) {
+      errors.push(`${product.name}: lead time cannot be negative`);
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+// ============ Queries ============
+
+/**
+ * Get a supplier
+ * @param {string} id - Supplier ID
+ * @returns {object|null}
+ */
+function getSupplier(id) {
+  return getSuppliersArray().find(s => s.id === id) || null;
+}
+
+/**
+ * Get all suppliers, sorted by name
+ * @returns {Array<object>}
+ */
+function getSuppliers() {
+  return getSuppliersArray().slice().sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Find a supplier by name (case-insensitive)
+ * @param {string} name - Supplier name
+ * @returns {object|null}
+ */
+function findSupplierByName(name) {
+  const search = String(name || '').trim().toLowerCase();
+  if (!search) return null;
+  return getSuppliersArray().find(s => s.name.toLowerCase() === search) || null;
+}
+
+/**
+ * Products whose preferred supplier this is
+ * @param {string} id - Supplier ID
+ * @returns {Array<object>}
+ */
+function getSupplierProducts(id) {
+  const supplier = getSupplier(id);
+  if (!supplier) return [];
+  return (window.data || []).filter(p =>
+    String(p.supplier || '').trim().toLowerCase() === supplier.name.toLowerCase());
+}
+
+/**
+ * A product's terms with a supplier, falling back to the product's purchase
+ * unit and cost where the supplier's price list has no entry
+ * @param {object} product - Product object
+ * @param {string} supplierName - Supplier (default: the product's supplier)
+ * @returns {object} { supplierId, supplier, supplierSku, unit, unitCost,
+ *   minOrderQty, packSize, leadTimeDays, priceListed }
+ */
+function getSupplierTerms(product, supplierName = product.supplier) {
+  const supplier = findSupplierByName(supplierName);
+  const item = supplier ? supplier.items.find(i => i.productId === product.id) || null : null;
+  const unit = item && item.unit && getUnitFactor(product, item.unit) !== null
+    ? item.unit
+    : getDefaultUnit(product, 'purchase');
+  // Product cost is per stock unit
+  const productCost = (Number(product.cost) || 0) * (convertUnits(product, 1, unit, '') || 1);
+
+  return {
+    supplierId: supplier ? supplier.id : null,
+    supplier: supplier ? supplier.name : String(supplierName || '').trim(),
+    supplierSku: item ? item.supplierSku : '',
+    unit,
+    unitCost: Math.round((item && item.cost !== null ? item.cost : productCost) * 10000) / 10000,
+    minOrderQty: item ? item.minOrderQty : 0,
+    packSize: item ? item.packSize : 0,
+    leadTimeDays: item && item.leadTimeDays !== null ? item.leadTimeDays : (supplier ? supplier.leadTimeDays : null),
+    priceListed: !!item
+  };
+}
+
+/**
+ * Raise a quantity to the minimum order and round it up to whole packs
+ * @param {object} terms - Terms from getSupplierTerms
+ * @param {number} quantity - Quantity in terms.unit
+ * @returns {number} Quantity in terms.unit (0 stays 0)
+ */
+function applySupplierOrderRules(terms, quantity) {
+  let qty = Number(quantity) || 0;
+  if (qty <= 0) return 0;
+
+  qty = Math.max(qty, terms.minOrderQty || 0);
+  if (terms.packSize > 0) {
+    qty = Math.ceil(qty / terms.packSize - 1e-9) * terms.packSize;
+  }
+  return Math.round(qty * 1e6) / 1e6;
+}
+
+/**
+ * Round an order quantity to the supplier's minimum order and pack size.
+ * Without either the quantity is returned unchanged.
+ * @param {object} product - Product object
+ * @param {number} quantity - Quantity in unit
+ * @param {string} unit - Unit of quantity (empty: stock unit)
+ * @returns {number} Quantity in unit
+ */
+function roundOrderQuantity(product, quantity, unit = '') {
+  const terms = getSupplierTerms(product);
+  if (!(quantity > 0) || (!(terms.minOrderQty > 0) && !(terms.packSize > 0))) return quantity;
+
+  const inTermsUnit = convertUnits(product, quantity, unit, terms.unit);
+  if (inTermsUnit === null) return quantity;
+  const rounded = applySupplierOrderRules(terms, Math.ceil(inTermsUnit - 1e-9));
+  return convertUnits(product, rounded, terms.unit, unit);
+}
+
+/**
+ * Estimated cost of ordering a quantity from the product's supplier
+ * @param {object} product - Product object
+ * @param {number} quantity - Quantity in unit
+ * @param {string} unit - Unit of quantity (empty: stock unit)
+ * @returns {number|null} Cost, or null when the supplier has no price for it
+ */
+function estimateSupplierCost(product, quantity, unit = '') {
+  const terms = getSupplierTerms(product);
+  if (!terms.priceListed) return null;
+
+  const inTermsUnit = convertUnits(product, quantity, unit, terms.unit);
+  if (inTermsUnit === null) return null;
+  return Math.round(applySupplierOrderRules(terms, Math.ceil(inTermsUnit - 1e-9)) * terms.unitCost * 100) / 100;
+}
+
+/**
+ * Lead time for ordering products from a supplier: the longest of the
+ * products' own lead times, else the supplier's
+ * @param {string} supplierName - Supplier name
+ * @param {Array<string>} productIds - Products being ordered (optional)
+ * @returns {number|null} Days, or null when unknown
+ */
+function getSupplierLeadTime(supplierName, productIds = []) {
+  const supplier = findSupplierByName(supplierName);
+  if (!supplier) return null;
+
+  const times = productIds
+    .map(id => supplier.items.find(i => i.productId === id))
+    .map(item => (item && item.leadTimeDays !== null ? item.leadTimeDays : supplier.leadTimeDays))
+    .filter(days => days !== null);
+
+  if (times.length === 0) return supplier.leadTimeDays;
+  return Math.max(...times);
+}
+
+/**
+ * Expected delivery date for an order placed on orderDate
+ * @param {string} supplierName - Supplier name
+ * @param {Array<string>} productIds - Products being ordered (optional)
+ * @param {string} orderDate - YYYY-MM-DD (default: today)
+ * @returns {string|null} YYYY-MM-DD, or null when the lead time is unknown
+ */
+function getExpectedDeliveryDate(supplierName, productIds = [], orderDate = null) {
+  const days = getSupplierLeadTime(supplierName, productIds);
+  if (days === null) return null;
+
+  const date = new Date(`${orderDate || new Date().toISOString().split('T')[0]}T00:00:00Z`);
+  if (isNaN(date.getTime())) return null;
+  date.setUTCDate(date.getUTCDate() + Math.ceil(days));
+  return date.toISOString().split('T')[0];
+}
+
+// ============ CRUD Operations ============
+
+/**
+ * Make sure a supplier name has a record
+ * @param {string} name - Supplier name
+ * @returns {object|null} Supplier (null for a blank name)
+ */
+function ensureSupplier(name) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) return null;
+
+  let supplier = findSupplierByName(trimmed);
+  if (!supplier) {
+    supplier = createSupplier({ name: trimmed });
+    getSuppliersArray().push(supplier);
+    saveSuppliersToStorage();
+    if (typeof EventBus !== 'undefined') {
+      EventBus.emit('supplier:created', { id: supplier.id, supplier });
+    }
+  }
+  return supplier;
+}
+
+/**
+ * Create supplier records for suppliers products already name
+ * @param {Array<object>} products - Products (default: window.data)
+ * @returns {number} Number of suppliers created
+ */
+function syncSuppliersFromProducts(products = window.data || []) {
+  const before = getSuppliersArray().length;
+  products.forEach(product => ensureSupplier(product.supplier));
+  return getSuppliersArray().length - before;
+}
+
+/**
+ * Point products and open purchase orders at a supplier's new name
+ * @param {string} oldName - Name before the change
+ * @param {string} newName - Name after the change ('' to clear)
+ * @returns {object} { products: array, purchaseOrders: array } that changed
+ */
+function renameSupplierReferences(oldName, newName) {
+  const old = oldName.toLowerCase();
+  const now = new Date().toISOString();
+
+  const products = (window.data || []).filter(p => String(p.supplier || '').trim().toLowerCase() === old);
+  products.forEach(product => {
+    product.supplier = newName;
+    product.updatedAt = now;
+  });
+
+  // Received and closed orders keep the name they were placed under
+  const purchaseOrders = window.PurchaseOrders
+    ? window.PurchaseOrders.getPurchaseOrders().filter(po =>
+      window.PurchaseOrders.OPEN_PURCHASE_ORDER_STATUSES.includes(po.status) &&
+      po.supplier.toLowerCase() === old)
+    : [];
+  purchaseOrders.forEach(po => {
+    po.supplier = newName;
+    po.updatedAt = now;
+  });
+
+  return { products, purchaseOrders };
+}
+
+/**
+ * Save suppliers and the products and purchase orders a change touched
+ * @param {object} changed - { products, purchaseOrders }
+ */
+function saveSupplierChanges(changed) {
+  const save = () => {
+    saveSuppliersToStorage();
+    if (changed.products.length > 0) {
+      if (typeof saveProductsToStorage === 'function') saveProductsToStorage();
+      else if (typeof saveProducts === 'function') saveProducts(window.data);
+    }
+    if (changed.purchaseOrders.length > 0 && typeof savePurchaseOrders === 'function') {
+      savePurchaseOrders(window.purchaseOrders);
+    }
+    return { success: true };
+  };
+
+  if (window.Storage && typeof window.Storage.runTransaction === 'function') {
+    window.Storage.runTransaction(['suppliers', 'data', 'purchaseOrders'], save);
+  } else {
+    save();
+  }
+
+  if (typeof EventBus !== 'undefined') {
+    changed.products.forEach(product => {
+      EventBus.emit('product:updated', {
+        id: product.id,
+        updates: { supplier: product.supplier },
+        product
+      });
+    });
+  }
+}
+
+/**
+ * Create a supplier
+ * @param {object} data - Supplier data
+ * @returns {object} { success: boolean, supplier?: object, errors?: array }
+ */
+function createSupplierCRUD(data = {}) {
+  try {
+    const supplier = createSupplier(data);
+
+    const validation = validateSupplier(supplier);
+    if (!validation.valid) {
+      return { success: false, errors: validation.errors };
+    }
+
+    getSuppliersArray().push(supplier);
+    saveSuppliersToStorage();
+
+    if (typeof EventBus !== 'undefined') {
+      EventBus.emit('supplier:created', { id: supplier.id, supplier });
+    }
+
+    return { success: true, supplier };
+
+  } catch (err) {
+    console.error('Error creating supplier:', err);
+    return { success: false, errors: [err.message] };
+  }
+}
+
+/**
+ * Update a supplier. Renaming it renames the supplier on its products and
+ * open purchase orders.
+ * @param {string} id - Supplier ID
+ * @param {object} updates - Fields to update
+ * @returns {object} { success: boolean, supplier?: object, renamed?: number, errors?: array }
+ */
+function updateSupplierCRUD(id, updates = {}) {
+  try {
+    const suppliers = getSuppliersArray();
+    const index = suppliers.findIndex(s => s.id === id);
+    if (index === -1) {
+      return { success: false, errors: ['Supplier not found'] };
+    }
+
+    const existing = suppliers[index];
+    const updated = createSupplier({
+      ...existing,
+      ...updates,
+      id: existing.id,
+      createdAt: existing.createdAt,
+      updatedAt: new Date().toISOString()
+    });
+
+    const validation = validateSupplier(updated);
+    if (!validation.valid) {
+      return { success: false, errors: validation.errors };
+    }
+
+    suppliers[index] = updated;
+    const changed = updated.name !== existing.name
+      ? renameSupplierReferences(existing.name, updated.name)
+      : { products: [], purchaseOrders: [] };
+    saveSupplierChanges(changed);
+
+    if (typeof EventBus !== 'undefined') {
+      EventBus.emit('supplier:updated', { id, supplier: updated });
+    }
+
+    return { success: true, supplier: updated, renamed: changed.products.length };
+
+  } catch (err) {
+    console.error('Error updating supplier:', err);
+    return { success: false, errors: [err.message] };
+  }
+}
+
+/**
+ * Delete a supplier. Its products are left without a supplier; purchase
+ * orders keep the name.
+ * @param {string} id - Supplier ID
+ * @returns {object} { success: boolean, cleared?: number, errors?: array }
+ */
+function deleteSupplierCRUD(id) {
+  try {
+    const suppliers = getSuppliersArray();
+    const index = suppliers.findIndex(s => s.id === id);
+    if (index === -1) {
+      return { success: false, errors: ['Supplier not found'] };
+    }
+
+    const supplier = suppliers[index];
+    const products = getSupplierProducts(id);
+    const now = new Date().toISOString();
+    products.forEach(product => {
+      product.supplier = '';
+      product.updatedAt = now;
+    });
+
+    suppliers.splice(index, 1);
+    saveSupplierChanges({ products, purchaseOrders: [] });
+
+    if (typeof EventBus !== 'undefined') {
+      EventBus.emit('supplier:deleted', { id, supplier });
+    }
+
+    return { success: true, cleared: products.length };
+
+  } catch (err) {
+    console.error('Error deleting supplier:', err);
+    return { success: false, errors: [err.message] };
+  }
+}
+
+// ============ Exports (for window object) ============
+
+if (typeof window !== 'undefined') {
+  window.Suppliers = {
+    createSupplier,
+    createSupplierItem,
+    validateSupplier,
+    getSupplier,
+    getSuppliers,
+    findSupplierByName,
+    getSupplierProducts,
+    getSupplierTerms,
+    applySupplierOrderRules,
+    roundOrderQuantity,
+    estimateSupplierCost,
+    getSupplierLeadTime,
+    getExpectedDeliveryDate,
+    ensureSupplier,
+    syncSuppliersFromProducts,
+    createSupplierCRUD,
+    updateSupplierCRUD,
+    deleteSupplierCRUD,
+    loadSuppliersFromStorage
+  };
+}
@@ -267,6 +267,23 @@ const RentalUI = (function () {
         }
       });
     }
+
+    select.addEventListener('change', populateSerialOptions);
+  }
+
+  /**
+   * Offer the in-stock serials of the selected product
+   */
+  function populateSerialOptions() {
+    const list = $('#rentalSerialOptions');
+    if (!list) return;
+
+    const product = (window.data || []).find(p => p.id === $('#rentalEquipmentId').value);
+    const serials = product && window.Tracking && window.Tracking.getTrackingMode(product) === 'serial'
+      ? window.Tracking.getAvailableSerials(product)
+      : [];
+
+    list.innerHTML = serials.map(s => `<option value="${esc(s.serial)}">`).join('');
   }
 
   /**
@@ -279,6 +296,11 @@ const RentalUI = (function () {
     $('#rentalEquipment').value = rental.equipment || '';
     $('#rentalEquipmentId').value = rental.equipmentId || '';
     $('#rentalQty').value = rental.qty || 1;
+    if ($('#rentalSerials')) {
+      // Units are checked out when the rental is created
+      $('#rentalSerials').value = (rental.serials || []).join(', ');
+      $('#rentalSerials').disabled = true;
+    }
     $('#rentalStartDate').value = rental.startDate ? rental.startDate.split('T')[0] : '';
     $('#rentalDueDate').value = rental.dueDate ? rental.dueDate.split('T')[0] : '';
     $('#rentalReturnDate').value = rental.returnDate ? rental.returnDate.split('T')[0] : '';
@@ -301,6 +323,10 @@ const RentalUI = (function () {
     $('#rentalEquipment').value = '';
     $('#rentalEquipmentId').value = '';
     $('#rentalQty').value = 1;
+    if ($('#rentalSerials')) {
+      $('#rentalSerials').value = '';
+      $('#rentalSerials').disabled = false;
+    }
     $('#rentalStartDate').value = '';
     $('#rentalDueDate').value = '';
     $('#rentalReturnDate').value = '';
@@ -317,7 +343,7 @@ const RentalUI = (function () {
    * Extract rental form data
    */
   function extractRentalFormData() {
-    return {
+    const data = {
       id: $('#rentalId').value || undefined,
       customer: $('#rentalCustomer').value.trim(),
       customerId: $('#rentalCustomerId').value || undefined,
@@ -335,6 +361,14 @@ const RentalUI = (function () {
       status: $('#rentalStatus').value || 'active',
       notes: $('#rentalNotes').value.trim()
     };
+
+    // Serials can only be chosen for a new rental
+    const serialInput = $('#rentalSerials');
+    if (serialInput && !serialInput.disabled) {
+      data.serials = serialInput.value.split(',').map(s => s.trim()).filter(Boolean);
+    }
+
+    return data;
   }
 
   /**
@@ -371,6 +405,10 @@ const RentalUI = (function () {
       } else {
         // Create new
         rental = createRentalCRUD(data);
+        if (!rental.success) {
+          showNotification(rental.errors.join(', '), 'error');
+          return;
+        }
         showNotification('Rental created successfully', 'success');
       }
 
@@ -464,20 +502,23 @@ const RentalUI = (function () {
       // Get company settings
       const settings = typeof loadSettings === 'function' ? loadSettings() : {};
 
-      // Generate invoice using rental module function
-      const invoice = generateRentalInvoice(rental, settings);
-
-      if (typeof Invoices !== 'undefined' && typeof Invoices.createInvoice === 'function') {
-        // Save invoice to invoices module
-        const savedInvoice = Invoices.createInvoice(invoice);
+      if (typeof invoiceRentalCRUD === 'function' && typeof createInvoiceCRUD === 'function') {
+        // Create the invoice and link it to the rental in one write
+        const result = invoiceRentalCRUD(rentalId, settings);
+        if (!result.success) {
+          showNotification(result.errors.join(', '), 'error');
+          return;
+        }
         showNotification('Invoice created successfully', 'success');
+        refreshRentalTable();
 
         // Optionally open invoice
         if (typeof InvoiceUI !== 'undefined' && typeof InvoiceUI.showInvoiceDialog === 'function') {
-          InvoiceUI.showInvoiceDialog(savedInvoice.id);
+          InvoiceUI.showInvoiceDialog(result.invoice.id);
         }
       } else {
         // Fallback: just show the invoice data
+        const invoice = generateRentalInvoice(rental, settings);
         console.log('Generated Invoice:', invoice);
         showNotification('Invoice generated (Invoices module not available)', 'warning');
       }
@@ -547,8 +588,12 @@ const RentalUI = (function () {
       eventBus.on('rental:returned', () => refreshRentalTable());
     }
 
-    // Update overdue count on load
-    updateOverdueCount();
+    // Update overdue count once the app has loaded its data
+    if (typeof window.whenAppReady === 'function') {
+      window.whenAppReady().then(updateOverdueCount);
+    } else {
+      updateOverdueCount();
+    }
   }
 
   // Public API
@@ -17,6 +17,8 @@ function createRental(data = {}) {
     customerId: data.customerId || '',
     equipment: data.equipment || '',
     equipmentId: data.equipmentId || '',
+    serials: Array.isArray(data.serials) ? data.serials : [],
+    lots: Array.isArray(data.lots) ? data.lots : [],
     qty: typeof data.qty === 'number' ? data.qty : 1,
     startDate: data.startDate || data.start || (typeof nowISO === 'function' ? nowISO() : new Date().toISOString()),
     dueDate: data.dueDate || data.due || '',
@@ -27,6 +29,7 @@ function createRental(data = {}) {
     payDate: data.payDate || null,
     lateFee: typeof data.lateFee === 'number' ? data.lateFee : 0,
     status: data.status || 'active',
+    invoiceId: data.invoiceId || null,
     notes: data.notes || '',
     createdAt: data.createdAt || (typeof nowISO === 'function' ? nowISO() : new Date().toISOString()),
     updatedAt: typeof nowISO === 'function' ? nowISO() : new Date().toISOString()
@@ -167,6 +170,9 @@ function generateRentalInvoice(rental, settings = {}) {
   const items = [
     {
       name: `Rental: ${rental.equipment}`,
+      productId: rental.equipmentId || '',
+      serials: rental.serials || [],
+      lots: rental.lots || [],
       qty: rental.qty || 1,
       price: rental.fee || 0,
       total: (rental.qty || 1) * (rental.fee || 0)
@@ -286,6 +292,69 @@ function sortRentals(rentals, sortBy = 'startDate', ascending = false) {
   return sorted;
 }
 
+// ============ Tracked Equipment ============
+
+/**
+ * Get the serial/lot tracked product a rental is for
+ * @param {object} rental - Rental object
+ * @returns {object|null} Product, or null when not tracked
+ */
+function getTrackedRentalProduct(rental) {
+  if (!rental || !rental.equipmentId || !window.Tracking) return null;
+  const product = (window.data || []).find(p => p.id === rental.equipmentId);
+  return product && window.Tracking.isTracked(product) ? product : null;
+}
+
+/**
+ * Take the rented serials/lots out of stock and record them on the rental
+ * @param {object} rental - Rental object (changed in place)
+ * @returns {object} { success: boolean, error: string|null }
+ */
+function checkOutRentalUnits(rental) {
+  const product = getTrackedRentalProduct(rental);
+  if (!product) return { success: true, error: null };
+
+  const previousStock = { qty: product.qty, looseUnits: product.looseUnits };
+  const allocation = window.Tracking.consumeTracked(product, rental.qty || 1, {
+    serials: rental.serials,
+    lots: rental.lots
+  }, 'rented');
+  if (!allocation.success) {
+    return { success: false, error: allocation.error };
+  }
+
+  rental.serials = allocation.serials;
+  rental.lots = allocation.lots;
+  saveProductsToStorage();
+  if (window.StockLedger) {
+    window.StockLedger.recordStockMovement(product, previousStock, {
+      reason: 'rental',
+      reference: rental.customer || ''
+    });
+  }
+  return { success: true, error: null };
+}
+
+/**
+ * Put a rental's serials/lots back in stock
+ * @param {object} rental - Rental object
+ */
+function checkInRentalUnits(rental) {
+  const product = getTrackedRentalProduct(rental);
+  if (!product) return;
+
+  const previousStock = { qty: product.qty, looseUnits: product.looseUnits };
+  window.Tracking.restoreTracked(product, { serials: rental.serials, lots: rental.lots });
+  saveProductsToStorage();
+  if (window.StockLedger) {
+    window.StockLedger.recordStockMovement(product, previousStock, {
+      reason: 'return',
+      reference: rental.customer || '',
+      note: 'Rental returned'
+    });
+  }
+}
+
 // ============ CRUD Operations ============
 
 function getAllRentals() {
@@ -305,8 +374,21 @@ function createRentalCRUD(rentalData) {
       return { success: false, errors: validation.errors };
     }
     if (!window.rentals) window.rentals = [];
-    window.rentals.push(rental);
-    saveRentalsToStorage();
+
+    // Tracked equipment leaves stock with the rental, in one write
+    const result = window.Storage.runTransaction(['rentals', 'data'], () => {
+      if (!rental.returnDate) {
+        const checkedOut = checkOutRentalUnits(rental);
+        if (!checkedOut.success) return checkedOut;
+      }
+      window.rentals.push(rental);
+      saveRentalsToStorage();
+      return { success: true, error: null };
+    });
+    if (!result.success) {
+      return { success: false, errors: [result.error] };
+    }
+
     if (typeof EventBus !== 'undefined') {
       EventBus.emit('rental:created', { id: rental.id, rental });
     }
@@ -325,8 +407,12 @@ function updateRentalCRUD(id, updates) {
     if (!validation.isValid) {
       return { success: false, errors: validation.errors };
     }
-    Object.assign(rental, updated);
-    saveRentalsToStorage();
+    window.Storage.runTransaction(['rentals', 'data'], () => {
+      // Entering a return date puts tracked equipment back in stock
+      if (!rental.returnDate && updated.returnDate) checkInRentalUnits(rental);
+      Object.assign(rental, updated);
+      saveRentalsToStorage();
+    });
     if (typeof EventBus !== 'undefined') {
       EventBus.emit('rental:updated', { id, updates, rental: updated });
     }
@@ -340,8 +426,12 @@ function deleteRentalCRUD(id) {
   try {
     const index = window.rentals.findIndex(r => r.id === id);
     if (index === -1) return { success: false, errors: ['Rental not found'] };
-    const deleted = window.rentals.splice(index, 1)[0];
-    saveRentalsToStorage();
+    const deleted = window.Storage.runTransaction(['rentals', 'data'], () => {
+      const removed = window.rentals.splice(index, 1)[0];
+      if (!removed.returnDate) checkInRentalUnits(removed);
+      saveRentalsToStorage();
+      return removed;
+    });
     if (typeof EventBus !== 'undefined') {
       EventBus.emit('rental:deleted', { id, rental: deleted });
     }
@@ -356,8 +446,11 @@ function markRentalReturnedCRUD(id, returnDate = null) {
     const rental = getRental(id);
     if (!rental) return { success: false, errors: ['Rental not found'] };
     const returned = markRentalReturned(rental, returnDate);
-    Object.assign(rental, returned);
-    saveRentalsToStorage();
+    window.Storage.runTransaction(['rentals', 'data'], () => {
+      if (!rental.returnDate) checkInRentalUnits(rental);
+      Object.assign(rental, returned);
+      saveRentalsToStorage();
+    });
     if (typeof EventBus !== 'undefined') {
       EventBus.emit('rental:returned', { id, returnDate: returned.returnDate, rental: returned });
     }
@@ -367,6 +460,37 @@ function markRentalReturnedCRUD(id, returnDate = null) {
   }
 }
 
+/**
+ * Create an invoice for a rental and link it back to the rental.
+ * Both records are written together or not at all.
+ * @param {string} id - Rental ID
+ * @param {object} settings - App settings (invoice prefix, tax default)
+ * @returns {object} { success: boolean, rental?: object, invoice?: object, errors?: array }
+ */
+function invoiceRentalCRUD(id, settings = {}) {
+  try {
+    const rental = getRental(id);
+    if (!rental) return { success: false, errors: ['Rental not found'] };
+
+    const result = window.Storage.runTransaction(['rentals', 'invoices'], () => {
+      const created = createInvoiceCRUD(generateRentalInvoice(rental, settings), settings);
+      if (!created.success) return created;
+
+      rental.invoiceId = created.invoice.id;
+      rental.updatedAt = typeof nowISO === 'function' ? nowISO() : new Date().toISOString();
+      saveRentalsToStorage();
+      return { success: true, rental, invoice: created.invoice };
+    });
+
+    if (result.success && typeof EventBus !== 'undefined') {
+      EventBus.emit('rental:invoiced', { id, invoiceId: result.invoice.id, rental: result.rental });
+    }
+    return result;
+  } catch (err) {
+    return { success: false, errors: [err.message] };
+  }
+}
+
 function saveRentalsToStorage() {
   if (typeof saveRentals === 'function') {
     saveRentals(window.rentals || []);
@@ -392,5 +516,6 @@ if (typeof window !== 'undefined') {
   window.updateRentalCRUD = updateRentalCRUD;
   window.deleteRentalCRUD = deleteRentalCRUD;
   window.markRentalReturnedCRUD = markRentalReturnedCRUD;
+  window.invoiceRentalCRUD = invoiceRentalCRUD;
   window.saveRentalsToStorage = saveRentalsToStorage;
 }
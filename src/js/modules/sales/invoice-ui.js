@@ -179,7 +179,7 @@ function renderInvoiceTable(containerId, invoices, options = {}) {
   // Build table rows
   let html = '';
   invoices.forEach(invoice => {
-    html += '<tr>';
+    html += `<tr data-id="${invoice.id}">`;
     columns.forEach(col => {
       const value = invoice[col.key];
       const formattedValue = col.formatter ? col.formatter(value, invoice) : (value || '');
@@ -218,6 +218,12 @@ function attachInvoiceTableListeners(tbody) {
   tbody.querySelectorAll('[data-action="delete-invoice"]').forEach(btn => {
     btn.addEventListener('click', handleDeleteInvoice);
   });
+
+  // Right-click menu (attached once; rows are re-rendered inside the same tbody)
+  if (window.ContextMenu && !tbody.dataset.contextMenu) {
+    window.ContextMenu.attach(tbody, 'tr[data-id]', 'invoice-row');
+    tbody.dataset.contextMenu = 'invoice-row';
+  }
 }
 
 // ============================================================================
@@ -252,8 +258,8 @@ function handlePaidStatusChange(event) {
       }
 
       // Emit event for other modules
-      if (window.eventBus) {
-        window.eventBus.emit('invoice:updated', { invoice, field: 'paid', value: isPaid });
+      if (window.EventBus) {
+        window.EventBus.emit('invoice:updated', { invoice, field: 'paid', value: isPaid });
       }
     }
   }
@@ -348,8 +354,8 @@ function handleDeleteInvoice(event) {
       }
 
       // Emit event
-      if (window.eventBus) {
-        window.eventBus.emit('invoice:deleted', { invoiceId });
+      if (window.EventBus) {
+        window.EventBus.emit('invoice:deleted', { invoiceId });
       }
     }
   }
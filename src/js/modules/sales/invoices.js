@@ -441,10 +441,12 @@ function createInvoiceCRUD(invoiceData, settings = {}) {
     // 6. Save to storage
     saveInvoicesToStorage();
 
-    // 7. Emit event
-    if (typeof EventBus !== 'undefined') {
-      EventBus.emit('invoice:created', { id: withTotals.id, invoice: withTotals });
-    }
+    // 7. Emit event (deferred until any enclosing transaction is written)
+    window.Storage.afterCommit(() => {
+      if (typeof EventBus !== 'undefined') {
+        EventBus.emit('invoice:created', { id: withTotals.id, invoice: withTotals });
+      }
+    });
 
     // 8. Return success
     return { success: true, invoice: withTotals };
@@ -16,11 +16,20 @@ function createLineItem(data = {}) {
     productId: data.productId || '',
     productName: data.productName || '',
     sku: data.sku || '',
+    variantOptions: data.variantOptions || null,
+    serials: Array.isArray(data.serials) ? data.serials : [],
+    lots: Array.isArray(data.lots) ? data.lots : [],
     quantity: typeof data.quantity === 'number' ? data.quantity : 1,
+    // Unit the quantity and price are in, and its size in base units when
+    // the line was made; lines without a unit are in the stock unit
+    unit: data.unit || '',
+    unitFactor: typeof data.unitFactor === 'number' ? data.unitFactor : null,
     unitPrice: typeof data.unitPrice === 'number' ? data.unitPrice : 0,
     discount: typeof data.discount === 'number' ? data.discount : 0,
     discountType: data.discountType || 'percentage', // percentage or fixed
     taxRate: typeof data.taxRate === 'number' ? data.taxRate : 0,
+    unitCost: typeof data.unitCost === 'number' ? data.unitCost : null, // set when fulfilled
+    cogs: typeof data.cogs === 'number' ? data.cogs : null,
     notes: data.notes || '',
     createdAt: data.createdAt || now,
     updatedAt: data.updatedAt || now
@@ -32,23 +41,46 @@ function createLineItem(data = {}) {
  * @param {object} product - Product object
  * @param {number} quantity - Quantity to order
  * @param {number} taxRate - Tax rate percentage
+ * @param {string} unit - Unit to sell in (default: the product's sales unit)
  * @returns {object} Line item object
  */
-function createLineItemFromProduct(product, quantity = 1, taxRate = 0) {
+function createLineItemFromProduct(product, quantity = 1, taxRate = 0, unit) {
   if (!product) return null;
 
+  // Product prices are per base unit
+  const unitName = unit || (typeof getDefaultUnit === 'function' ? getDefaultUnit(product, 'sales') : '');
+  const factor = (typeof getUnitFactor === 'function' && getUnitFactor(product, unitName)) || 1;
+
   return createLineItem({
     productId: product.id,
     productName: product.name || '',
     sku: product.sku || '',
+    variantOptions: product.variantOptions || null,
     quantity: quantity,
-    unitPrice: product.price || 0,
+    unit: unitName,
+    unitFactor: factor,
+    unitPrice: Math.round((product.price || 0) * factor * 100) / 100,
     taxRate: taxRate,
     discount: 0,
     discountType: 'percentage'
   });
 }
 
+/**
+ * Quantity of a line item in the product's base units
+ * @param {object} lineItem - Line item object
+ * @param {object} product - Product object
+ * @returns {number|null} Base units, or null when the line's unit isn't
+ *   one of the product's units
+ */
+function getLineItemBaseQuantity(lineItem, product) {
+  const factor = typeof lineItem.unitFactor === 'number'
+    ? lineItem.unitFactor
+    : (typeof getUnitFactor === 'function' ? getUnitFactor(product, lineItem.unit) : 1);
+  if (factor === null) return null;
+  return Math.round((lineItem.quantity || 0) * factor * 1e6) / 1e6;
+}
+
 // ============ Calculations ============
 
 /**
@@ -113,6 +145,25 @@ function calculateLineTotal(lineItem) {
   return afterDiscount + tax;
 }
 
+/**
+ * Calculate line item margin (revenue after discount, before tax, less cost)
+ * @param {object} lineItem - Line item object
+ * @returns {object|null} { revenue, cogs, margin, marginPct }, or null until
+ *   the line has been costed at fulfillment
+ */
+function calculateLineMargin(lineItem) {
+  if (typeof lineItem.cogs !== 'number') return null;
+
+  const revenue = calculateLineAfterDiscount(lineItem);
+  const margin = revenue - lineItem.cogs;
+  return {
+    revenue,
+    cogs: lineItem.cogs,
+    margin,
+    marginPct: revenue > 0 ? (margin / revenue) * 100 : 0
+  };
+}
+
 /**
  * Calculate all line item totals and update the object
  * @param {object} lineItem - Line item object
@@ -194,17 +245,32 @@ function validateLineItemStock(lineItem, product) {
     return { valid: false, errors };
   }
 
-  // Calculate total available stock
-  const availableQty = product.qty || 0;
-  const requestedQty = lineItem.quantity || 0;
+  if (typeof isVariantParent === 'function' && isVariantParent(product)) {
+    errors.push('Product has variants; choose a specific variant');
+    return { valid: false, errors };
+  }
+
+  const requestedUnits = getLineItemBaseQuantity(lineItem, product);
+  if (requestedUnits === null) {
+    errors.push(`${lineItem.unit} is not a unit of ${product.name}`);
+    return { valid: false, errors };
+  }
+
+  // Compare in base units, so loose units count and any sales unit works
+  const availableUnits = typeof calculateTotalUnits === 'function'
+    ? calculateTotalUnits(product)
+    : (product.qty || 0);
 
-  if (requestedQty > availableQty) {
+  if (requestedUnits > availableUnits) {
+    const factor = requestedUnits / (lineItem.quantity || 1);
+    const availableQty = Math.floor(availableUnits / factor * 100) / 100;
+    const unit = lineItem.unit ? ` ${lineItem.unit}` : '';
     errors.push(
-      `Insufficient stock. Available: ${availableQty}, Requested: ${requestedQty}`
+      `Insufficient stock. Available: ${availableQty}${unit}, Requested: ${lineItem.quantity || 0}${unit}`
     );
   }
 
-  if (availableQty === 0) {
+  if (availableUnits === 0) {
     errors.push('Product is out of stock');
   }
 
@@ -301,7 +367,8 @@ function applyTaxToLineItems(lineItems = [], taxRate) {
  */
 function formatLineItem(lineItem) {
   const calculated = calculateLineItemTotals(lineItem);
-  return `${lineItem.productName} × ${lineItem.quantity} @ $${lineItem.unitPrice.toFixed(2)} = $${calculated.total.toFixed(2)}`;
+  const unit = lineItem.unit ? ` ${lineItem.unit}` : '';
+  return `${lineItem.productName} × ${lineItem.quantity}${unit} @ $${lineItem.unitPrice.toFixed(2)} = $${calculated.total.toFixed(2)}`;
 }
 
 /**
@@ -312,7 +379,12 @@ function formatLineItem(lineItem) {
 function cloneLineItem(lineItem) {
   return createLineItem({
     ...lineItem,
-    id: undefined // Will generate new ID
+    id: undefined, // Will generate new ID
+    // Units and costs are assigned again when the copy is fulfilled
+    serials: [],
+    lots: [],
+    unitCost: null,
+    cogs: null
   });
 }
 
@@ -323,6 +395,7 @@ if (typeof window !== 'undefined') {
     // Factory
     createLineItem,
     createLineItemFromProduct,
+    getLineItemBaseQuantity,
 
     // Calculations
     calculateLineSubtotal,
@@ -330,6 +403,7 @@ if (typeof window !== 'undefined') {
     calculateLineAfterDiscount,
     calculateLineTax,
     calculateLineTotal,
+    calculateLineMargin,
     calculateLineItemTotals,
 
     // Validation
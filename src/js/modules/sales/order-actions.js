@@ -103,11 +103,6 @@ function registerOrderActions() {
           if (window.Notifications) {
             window.Notifications.success('Order deleted successfully');
           }
-
-          // Emit event
-          if (window.EventBus) {
-            window.EventBus.emit('order:deleted', { id: data.id });
-          }
         } else {
           if (window.Notifications) {
             window.Notifications.error(result.error || 'Failed to delete order');
@@ -222,11 +217,6 @@ function registerOrderActions() {
           if (window.Notifications) {
             window.Notifications.success('Order fulfilled successfully. Stock deducted.');
           }
-
-          // Emit event
-          if (window.EventBus) {
-            window.EventBus.emit('order:fulfilled', { id: data.id, order: result.order });
-          }
         } else {
           if (window.Notifications) {
             window.Notifications.error(result.error || 'Failed to fulfill order');
@@ -264,11 +254,6 @@ function registerOrderActions() {
           if (window.Notifications) {
             window.Notifications.success('Order cancelled');
           }
-
-          // Emit event
-          if (window.EventBus) {
-            window.EventBus.emit('order:cancelled', { id: data.id });
-          }
         } else {
           if (window.Notifications) {
             window.Notifications.error(result.error || 'Failed to cancel order');
@@ -327,6 +312,46 @@ function registerOrderActions() {
     }
   });
 
+  // Print Pick List
+  AR.register('pick-order', {
+    label: 'Pick List',
+    icon: '📋',
+    handler: (data) => {
+      if (!data || !data.id) return;
+
+      const order = window.Orders && window.Orders.getOrderById ? window.Orders.getOrderById(data.id) : null;
+      if (!order) {
+        if (window.Notifications) {
+          window.Notifications.error('Order not found');
+        }
+        return;
+      }
+
+      if (typeof window.openPickListPrintWindow === 'function') {
+        window.openPickListPrintWindow([order]);
+      }
+    }
+  });
+
+  // Print Pick List for every open order
+  AR.register('pick-pending-orders', {
+    label: 'Pick List (Open Orders)',
+    icon: '📋',
+    handler: () => {
+      const open = (window.orders || []).filter(o => o.status === 'pending' || o.status === 'draft');
+      if (open.length === 0) {
+        if (window.Notifications) {
+          window.Notifications.warning('No open orders to pick');
+        }
+        return;
+      }
+
+      if (typeof window.openPickListPrintWindow === 'function') {
+        window.openPickListPrintWindow(open);
+      }
+    }
+  });
+
   // ============================================================================
   // EXPORT ACTIONS
   // ============================================================================
@@ -408,6 +433,7 @@ function registerOrderContextMenus() {
     { label: 'Cancel', action: 'cancel-order', icon: '❌', danger: true },
     { separator: true },
     { label: 'Print', action: 'print-order', icon: '🖨️' },
+    { label: 'Pick List', action: 'pick-order', icon: '📋' },
     { separator: true },
     { label: 'Delete', action: 'delete-order', icon: '🗑️', danger: true }
   ]);
@@ -110,6 +110,21 @@ function getOrderColumns(options = {}) {
     })
   });
 
+  // Margin column (known once the order is fulfilled and costed)
+  columns.push({
+    key: 'cogs',
+    label: 'Margin',
+    sortable: true,
+    className: 'right',
+    formatter: (value, row) => {
+      if (typeof value !== 'number') return '<span class="muted">-</span>';
+      const revenue = (row.total || 0) - (row.taxAmount || 0);
+      const margin = revenue - value;
+      const pct = revenue > 0 ? Math.round((margin / revenue) * 100) : 0;
+      return `$${margin.toFixed(2)}<br><span class="muted">${pct}% &middot; cost $${value.toFixed(2)}</span>`;
+    }
+  });
+
   // Payment Status column
   columns.push({
     key: 'paymentStatus',
@@ -142,6 +157,7 @@ function getOrderColumns(options = {}) {
         `;
 
         if (canFulfill) {
+          html += `<button class="btn-icon" data-action="pick-order" data-id="${row.id}" title="Pick List">📋</button>`;
           html += `<button class="btn-icon" data-action="fulfill-order" data-id="${row.id}" title="Fulfill">✅</button>`;
         }
 
@@ -253,6 +269,11 @@ function openOrderDialog(order = null) {
 
   currentOrderDialogData = order;
 
+  // Ship-from options
+  if (window.LocationUI) {
+    window.LocationUI.renderLocationSelector('order_locationId');
+  }
+
   // Populate form
   populateOrderForm(order);
 
@@ -296,7 +317,7 @@ function populateOrderForm(order) {
   // Set basic fields
   const fields = [
     'id', 'orderNumber', 'customerId', 'customerName',
-    'orderDate', 'status', 'discount', 'discountType',
+    'orderDate', 'status', 'locationId', 'discount', 'discountType',
     'taxRate', 'notes', 'shippingAddress', 'paymentMethod', 'paymentStatus'
   ];
 
@@ -354,7 +375,7 @@ function extractOrderFormData() {
   // Extract basic fields
   const fields = [
     'id', 'orderNumber', 'customerId', 'customerName',
-    'orderDate', 'status', 'discount', 'discountType',
+    'orderDate', 'status', 'locationId', 'discount', 'discountType',
     'taxRate', 'notes', 'shippingAddress', 'paymentMethod', 'paymentStatus'
   ];
 
@@ -445,7 +466,10 @@ function renderLineItemsTable(lineItems = []) {
           <input type="hidden" class="line-item-product-id" value="${escapeHtml(item.productId || '')}">
         </td>
         <td><input type="text" class="line-item-sku" value="${escapeHtml(item.sku || '')}" readonly style="width:80px"></td>
-        <td><input type="number" class="line-item-quantity" value="${item.quantity || 1}" min="1" step="1" style="width:60px"></td>
+        <td>
+          <input type="number" class="line-item-quantity" value="${item.quantity || 1}" min="${isMeasurableLine(item) ? '0' : '1'}" step="${isMeasurableLine(item) ? 'any' : '1'}" style="width:60px">
+          ${renderLineItemUnitSelect(item)}
+        </td>
         <td><input type="number" class="line-item-unit-price" value="${item.unitPrice || 0}" min="0" step="0.01" style="width:80px"></td>
         <td><span class="line-item-subtotal">$${subtotal.toFixed(2)}</span></td>
         <td>
@@ -470,6 +494,61 @@ function renderLineItemsTable(lineItems = []) {
   attachLineItemHandlers();
 }
 
+/**
+ * Check if a line's product is sold by measure (fractional quantities)
+ * @param {object} item - Line item
+ * @returns {boolean}
+ */
+function isMeasurableLine(item) {
+  const product = (window.data || []).find(p => p.id === item.productId);
+  return !!(product && product.measurable);
+}
+
+/**
+ * Render the unit select for a line: the product's units, each with its
+ * size in base units. Lines without a unit are in the stock unit.
+ * @param {object} item - Line item
+ * @returns {string} HTML
+ */
+function renderLineItemUnitSelect(item) {
+  const product = (window.data || []).find(p => p.id === item.productId);
+  if (!product || typeof getProductUnits !== 'function') return '';
+
+  const units = getProductUnits(product);
+  const selected = item.unit || getStockUnitName(product);
+  // Keep a unit the product no longer has, at the size it was sold in
+  if (!units.some(u => u.name === selected)) {
+    units.push({ name: selected, factor: item.unitFactor || getUnitsPerPackage(product) });
+  }
+  const current = units.find(u => u.name === selected);
+  const factor = typeof item.unitFactor === 'number' ? item.unitFactor : current.factor;
+
+  return `
+    <select class="line-item-unit" data-factor="${factor}" style="width:80px">
+      ${units.map(u => `<option value="${escapeHtml(u.name)}" data-factor="${u.factor}" ${u.name === selected ? 'selected' : ''}>${escapeHtml(u.name)}</option>`).join('')}
+    </select>
+  `;
+}
+
+/**
+ * Change a line's unit, scaling its unit price to the new unit's size
+ * @param {HTMLSelectElement} select - The line's unit select
+ */
+function changeLineItemUnit(select) {
+  const row = select.closest('tr');
+  const priceInput = row?.querySelector('.line-item-unit-price');
+  const option = select.selectedOptions[0];
+  if (!priceInput || !option) return;
+
+  const previous = parseFloat(select.dataset.factor) || 1;
+  const factor = parseFloat(option.dataset.factor) || 1;
+  const price = parseFloat(priceInput.value) || 0;
+  priceInput.value = Math.round(price * factor / previous * 100) / 100;
+  select.dataset.factor = factor;
+
+  recalculateLineItem(row);
+}
+
 /**
  * Attach event handlers to line item inputs
  */
@@ -484,10 +563,12 @@ function attachLineItemHandlers() {
     }
   });
 
-  // Handle discount type change
+  // Handle discount type and unit changes
   tbody.addEventListener('change', (e) => {
     if (e.target.matches('.line-item-discount-type')) {
       recalculateLineItem(e.target.closest('tr'));
+    } else if (e.target.matches('.line-item-unit')) {
+      changeLineItemUnit(e.target);
     }
   });
 
@@ -601,6 +682,9 @@ function extractLineItemsFromTable() {
     const productName = row.querySelector('.line-item-product-name')?.value;
     const sku = row.querySelector('.line-item-sku')?.value;
     const quantity = parseFloat(row.querySelector('.line-item-quantity')?.value) || 1;
+    const unitSelect = row.querySelector('.line-item-unit');
+    const unit = unitSelect?.value || '';
+    const unitFactor = unitSelect ? parseFloat(unitSelect.dataset.factor) || null : null;
     const unitPrice = parseFloat(row.querySelector('.line-item-unit-price')?.value) || 0;
     const discount = parseFloat(row.querySelector('.line-item-discount')?.value) || 0;
     const discountType = row.querySelector('.line-item-discount-type')?.value || 'percentage';
@@ -612,6 +696,8 @@ function extractLineItemsFromTable() {
         productName,
         sku,
         quantity,
+        unit,
+        unitFactor,
         unitPrice,
         discount,
         discountType,
@@ -663,20 +749,57 @@ function openProductSelector() {
     return;
   }
 
-  // Create line item from product
-  const taxRate = parseFloat(document.getElementById('order_taxRate')?.value) || 0;
-  const lineItem = window.LineItems?.createLineItemFromProduct(product, 1, taxRate) || {
+  addLineItem(createLineItemForProduct(product));
+}
+
+/**
+ * Create a line item for a product at its category's tax rate, else the order's
+ * @param {object} product - Product
+ * @param {number} quantity - Quantity (default: 1)
+ * @returns {object} Line item
+ */
+function createLineItemForProduct(product, quantity = 1) {
+  // The product's category tax rate, else the order's
+  const categoryTax = window.Categories ? window.Categories.getProductCategorySettings(product).taxRate : null;
+  const taxRate = categoryTax !== null
+    ? categoryTax
+    : parseFloat(document.getElementById('order_taxRate')?.value) || 0;
+  return window.LineItems?.createLineItemFromProduct(product, quantity, taxRate) || {
     productId: product.id,
     productName: product.name,
     sku: product.sku,
-    quantity: 1,
+    quantity,
     unitPrice: product.price || 0,
     discount: 0,
     discountType: 'percentage',
     taxRate: taxRate
   };
+}
+
+/**
+ * Handle a barcode scan while the order dialog is open: add one more of the
+ * product, on its existing line if it already has one
+ * @param {string} code - Scanned code
+ * @param {object|null} product - Matching product
+ */
+function handleOrderScan(code, product) {
+  if (!product) {
+    if (window.Notifications) {
+      window.Notifications.error(`No product found for barcode ${code}`);
+    }
+    return;
+  }
 
-  addLineItem(lineItem);
+  const lineItems = extractLineItemsFromTable();
+  const existing = lineItems.find(item => item.productId === product.id);
+  if (!existing) {
+    addLineItem(createLineItemForProduct(product));
+    return;
+  }
+
+  existing.quantity += 1;
+  renderLineItemsTable(lineItems);
+  recalculateOrderTotals();
 }
 
 // ============================================================================
@@ -725,6 +848,11 @@ function initializeOrderUI() {
     orderTaxRate.addEventListener('input', recalculateOrderTotals);
   }
 
+  // Scanned products go straight onto the order
+  if (window.BarcodeScanner) {
+    window.BarcodeScanner.registerScanTarget('orderDialog', handleOrderScan);
+  }
+
   console.log('✅ Order UI initialized');
 }
 
@@ -759,6 +887,8 @@ if (typeof window !== 'undefined') {
     addLineItem,
     removeLineItem,
     openProductSelector,
+    createLineItemForProduct,
+    handleOrderScan,
     recalculateLineItem,
     recalculateOrderTotals,
     updateOrderTotalsDisplay,
@@ -58,6 +58,7 @@ function createOrder(data = {}) {
     customerPhone: data.customerPhone || '',
     orderDate: data.orderDate || today,
     status: data.status || 'draft', // draft, pending, fulfilled, cancelled
+    locationId: data.locationId || '', // ships from ('' = stock is not taken from a location)
     lineItems: Array.isArray(data.lineItems) ? data.lineItems : [],
     subtotal: typeof data.subtotal === 'number' ? data.subtotal : 0,
     discount: typeof data.discount === 'number' ? data.discount : 0,
@@ -65,6 +66,7 @@ function createOrder(data = {}) {
     taxRate: typeof data.taxRate === 'number' ? data.taxRate : 0,
     taxAmount: typeof data.taxAmount === 'number' ? data.taxAmount : 0,
     total: typeof data.total === 'number' ? data.total : 0,
+    cogs: typeof data.cogs === 'number' ? data.cogs : null, // set when fulfilled
     notes: data.notes || '',
     shippingAddress: data.shippingAddress || '',
     billingAddress: data.billingAddress || '',
@@ -229,6 +231,22 @@ function validateOrder(order) {
   };
 }
 
+/**
+ * Total base units an order takes from each product, summed across lines
+ * (lines with an unknown product or unit are left out)
+ * @param {object} order - Order object
+ * @returns {Map<object, number>} product -> base units
+ */
+function getOrderBaseUnitsByProduct(order) {
+  const needed = new Map();
+  (order.lineItems || []).forEach(lineItem => {
+    const product = (window.data || []).find(p => p.id === lineItem.productId);
+    const baseUnits = product ? window.LineItems.getLineItemBaseQuantity(lineItem, product) : null;
+    if (baseUnits !== null) needed.set(product, (needed.get(product) || 0) + baseUnits);
+  });
+  return needed;
+}
+
 /**
  * Validate order stock availability
  * @param {object} order - Order to validate
@@ -248,6 +266,7 @@ function validateOrderStock(order) {
   }
 
   // Check stock for each line item
+  const failed = new Set();
   (order.lineItems || []).forEach((lineItem, index) => {
     const product = window.data.find(p => p.id === lineItem.productId);
 
@@ -259,9 +278,30 @@ function validateOrderStock(order) {
     const stockValidation = window.LineItems.validateLineItemStock(lineItem, product);
     if (!stockValidation.valid) {
       errors.push(`Line ${index + 1} (${lineItem.productName}): ${stockValidation.errors.join(', ')}`);
+      failed.add(product);
     }
   });
 
+  // Lines for the same product draw on the same stock
+  const needed = getOrderBaseUnitsByProduct(order);
+  needed.forEach((baseUnits, product) => {
+    const available = calculateTotalUnits(product);
+    if (!failed.has(product) && baseUnits > available + 1e-9) {
+      errors.push(`${product.name}: order needs ${baseUnits} ${getBaseUnitName(product)}, only ${available} in stock`);
+    }
+  });
+
+  // Orders shipping from a location need the stock there
+  if (order.locationId && window.Bins) {
+    needed.forEach((baseUnits, product) => {
+      const available = window.Bins.getLocationBaseUnits(product, order.locationId);
+      if (baseUnits > available + 1e-9) {
+        const locationName = window.Locations ? (window.Locations.getLocationById(order.locationId) || {}).name : '';
+        errors.push(`${product.name}: only ${available} ${getBaseUnitName(product)} at ${locationName || 'this location'}`);
+      }
+    });
+  }
+
   return {
     valid: errors.length === 0,
     errors
@@ -525,24 +565,30 @@ function fulfillOrder(id) {
       };
     }
 
-    // Deduct stock for each line item
-    const deductionResult = deductStockForOrder(order);
-    if (!deductionResult.success) {
+    // Deduct stock and mark fulfilled as one write, so a failure part way
+    // through leaves both products and orders untouched
+    const result = window.Storage.runTransaction(['data', 'orders'], () => {
+      const deductionResult = deductStockForOrder(order);
+      if (!deductionResult.success) {
+        return deductionResult;
+      }
+
+      order.status = 'fulfilled';
+      order.fulfilledAt = new Date().toISOString();
+      order.updatedAt = new Date().toISOString();
+
+      saveOrdersToStorage();
+      return { success: true, error: null };
+    });
+
+    if (!result.success) {
       return {
         success: false,
         order: null,
-        error: deductionResult.error
+        error: result.error
       };
     }
 
-    // Update order status
-    order.status = 'fulfilled';
-    order.fulfilledAt = new Date().toISOString();
-    order.updatedAt = new Date().toISOString();
-
-    // Save
-    saveOrdersToStorage();
-
     // Emit event
     if (window.EventBus) {
       window.EventBus.emit('order:fulfilled', { order });
@@ -638,6 +684,8 @@ function cancelOrder(id, reason = '') {
 
 /**
  * Deduct stock for all line items in order
+ * Also records each line's cost of goods sold (lineItem.unitCost/cogs) and
+ * the order total (order.cogs) for margin reporting.
  * @param {object} order - Order object
  * @returns {object} { success: boolean, error: string|null }
  */
@@ -647,10 +695,20 @@ function deductStockForOrder(order) {
       return { success: false, error: 'Products not loaded' };
     }
 
-    if (!window.Products) {
+    if (typeof adjustStockInUnits !== 'function') {
       return { success: false, error: 'Products module not available' };
     }
 
+    // Refuse rather than clamp at zero, which would under-record the sale
+    for (const [product, baseUnits] of getOrderBaseUnitsByProduct(order)) {
+      if (baseUnits > calculateTotalUnits(product) + 1e-9) {
+        return {
+          success: false,
+          error: `Failed to deduct stock for ${product.name}: only ${calculateTotalUnits(product)} ${getBaseUnitName(product)} in stock`
+        };
+      }
+    }
+
     // Deduct stock for each line item
     for (const lineItem of order.lineItems) {
       const product = window.data.find(p => p.id === lineItem.productId);
@@ -661,19 +719,79 @@ function deductStockForOrder(order) {
         };
       }
 
-      // Deduct quantity
-      const result = window.Products.adjustQuantity(product, -lineItem.quantity);
-      if (!result.success) {
+      // Lines can be in any of the product's units; stock is kept in
+      // stock units (qty) plus loose base units
+      const baseUnits = window.LineItems.getLineItemBaseQuantity(lineItem, product);
+      if (baseUnits === null) {
+        return { success: false, error: `${lineItem.productName}: unknown unit ${lineItem.unit}` };
+      }
+      const perPackage = getUnitsPerPackage(product);
+      const stockQty = Math.round(baseUnits / perPackage * 1e6) / 1e6;
+
+      const tracked = window.Tracking && window.Tracking.isTracked(product);
+      if (tracked && !Number.isInteger(stockQty)) {
         return {
           success: false,
-          error: `Failed to deduct stock for ${lineItem.productName}: ${result.error}`
+          error: `${lineItem.productName}: tracked stock can only be sold in whole ${getStockUnitName(product)} units`
         };
       }
+
+      // Cost of goods sold, from the layers this stock came from
+      if (window.Costing) {
+        const cost = window.Costing.consumeCostLayers(product, stockQty);
+        lineItem.unitCost = stockQty === lineItem.quantity
+          ? cost.unitCost
+          : Math.round(cost.cogs / (lineItem.quantity || 1) * 100) / 100;
+        lineItem.cogs = cost.cogs;
+      }
+
+      const previousStock = { qty: product.qty, looseUnits: product.looseUnits };
+
+      // Serial/lot tracked products record which units were sold
+      if (tracked) {
+        const allocation = window.Tracking.consumeTracked(product, stockQty, {
+          serials: lineItem.serials,
+          lots: lineItem.lots,
+          locationId: order.locationId || undefined
+        }, 'sold');
+        if (!allocation.success) {
+          return { success: false, error: `${lineItem.productName}: ${allocation.error}` };
+        }
+        lineItem.serials = allocation.serials;
+        lineItem.lots = allocation.lots;
+      } else {
+        // Deduct in base units, opening packages as needed
+        // (adjustStockInUnits returns a copy, apply it in place)
+        Object.assign(product, adjustStockInUnits(product, -baseUnits, getBaseUnitName(product)));
+      }
+
+      // Orders shipping from a location take its stock, emptying its bins
+      // in pick order
+      if (order.locationId) {
+        deductLocationStock(product, order.locationId, baseUnits);
+        if (window.Bins) {
+          lineItem.picks = window.Bins.takeFromBins(product, order.locationId, baseUnits)
+            .map(pick => ({ binId: pick.binId, path: pick.path, baseUnits: pick.baseUnits }));
+        }
+      }
+
+      // Written once the fulfilment transaction commits
+      if (window.StockLedger) {
+        window.StockLedger.recordStockMovement(product, previousStock, {
+          reason: 'sale',
+          reference: order.orderNumber,
+          locationId: order.locationId || null
+        });
+      }
+    }
+
+    if (window.Costing) {
+      order.cogs = Math.round(order.lineItems.reduce((sum, item) => sum + (item.cogs || 0), 0) * 100) / 100;
     }
 
     // Save products
-    if (window.Products && typeof window.Products.saveProductsToStorage === 'function') {
-      window.Products.saveProductsToStorage();
+    if (typeof saveProductsToStorage === 'function') {
+      saveProductsToStorage();
     } else if (typeof saveProducts === 'function') {
       saveProducts(window.data);
     }
@@ -689,6 +807,20 @@ function deductStockForOrder(order) {
   }
 }
 
+/**
+ * Take base units out of a product's stock at a location
+ * @param {object} product - Product object
+ * @param {string} locationId - Location ID
+ * @param {number} baseUnits - Base units leaving the location
+ */
+function deductLocationStock(product, locationId, baseUnits) {
+  if (!product.stockByLocation) product.stockByLocation = {};
+  const stock = product.stockByLocation[locationId] || { qty: 0, looseUnits: 0 };
+  const perPackage = getUnitsPerPackage(product);
+  const remaining = (Number(stock.qty) || 0) * perPackage + (Number(stock.looseUnits) || 0) - baseUnits;
+  product.stockByLocation[locationId] = splitBaseUnits(product, remaining);
+}
+
 // ============ Query Functions ============
 
 /**
@@ -765,7 +897,13 @@ function getOrderStats() {
     cancelled: orders.filter(o => o.status === 'cancelled').length,
     totalRevenue: orders
       .filter(o => o.status === 'fulfilled')
-      .reduce((sum, o) => sum + (o.total || 0), 0)
+      .reduce((sum, o) => sum + (o.total || 0), 0),
+    totalCogs: orders
+      .filter(o => o.status === 'fulfilled')
+      .reduce((sum, o) => sum + (o.cogs || 0), 0),
+    grossMargin: orders
+      .filter(o => o.status === 'fulfilled' && typeof o.cogs === 'number')
+      .reduce((sum, o) => sum + ((o.total || 0) - (o.taxAmount || 0) - o.cogs), 0)
   };
 }
 
@@ -0,0 +1,240 @@
+/**
+ * encryption-ui.js - Encryption Settings
+ *
+ * Dialogs for turning at-rest encryption on or off and changing the
+ * passphrase, opened from the Settings dialog.
+ */
+
+// ============================================================================
+// STATUS
+// ============================================================================
+
+/**
+ * Update the encryption status text and buttons in Settings
+ */
+function updateEncryptionStatus() {
+  const enabled = window.Encryption && window.Encryption.isEnabled();
+
+  const status = document.getElementById('encryptionStatus');
+  if (status) {
+    status.textContent = enabled ? 'Encryption: on' : 'Encryption: off';
+  }
+
+  const toggle = document.getElementById('btnEncryption');
+  if (toggle) {
+    toggle.textContent = enabled ? 'Turn Off Encryption' : 'Encrypt Data';
+  }
+
+  const change = document.getElementById('btnChangePassphrase');
+  if (change) {
+    change.style.display = enabled ? '' : 'none';
+  }
+}
+
+// ============================================================================
+// DIALOG
+// ============================================================================
+
+/**
+ * Open a dialog asking for one or more passphrases
+ * @param {object} config - Dialog configuration
+ * @param {string} config.title - Dialog title
+ * @param {string} config.message - Explanation shown above the fields
+ * @param {Array<object>} config.fields - [{ name, label, autocomplete }]
+ * @param {string} config.submitText - Submit button label
+ * @param {Function} config.onSubmit - async (values) => { success, error }
+ */
+function openPassphraseDialog(config) {
+  if (!window.createDialog) return;
+
+  const esc = window.escapeHtml || (v => String(v ?? ''));
+  const fields = config.fields.map(f => `
+    <label class="field">${esc(f.label)}
+      <input type="password" name="${f.name}" autocomplete="${f.autocomplete || 'new-password'}" required>
+    </label>
+  `).join('');
+
+  const dlg = window.createDialog({
+    id: 'dlgPassphrase_' + Date.now(),
+    title: config.title,
+    content: `
+      <form class="passphrase-form">
+        <p class="muted">${esc(config.message)}</p>
+        ${fields}
+        <div class="unlock-error warn-text" role="alert"></div>
+        <div class="btn-group">
+          <button type="button" class="btn" data-action="cancel">Cancel</button>
+          <button type="submit" class="btn primary">${esc(config.submitText)}</button>
+        </div>
+      </form>
+    `
+  });
+
+  const form = dlg.querySelector('form');
+  const error = dlg.querySelector('.unlock-error');
+  const submit = form.querySelector('button[type="submit"]');
+
+  form.querySelector('[data-action="cancel"]').addEventListener('click', () => window.hideDialog(dlg));
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const values = {};
+    config.fields.forEach(f => {
+      values[f.name] = form.elements[f.name].value;
+    });
+
+    submit.disabled = true;
+    error.textContent = '';
+
+    const result = await config.onSubmit(values);
+    submit.disabled = false;
+
+    if (!result.success) {
+      error.textContent = result.error;
+      return;
+    }
+
+    window.hideDialog(dlg);
+    updateEncryptionStatus();
+  });
+
+  window.showDialog(dlg);
+
+  // Clean up after close
+  dlg.addEventListener('close', () => {
+    setTimeout(() => {
+      if (dlg.parentNode) {
+        dlg.parentNode.removeChild(dlg);
+      }
+    }, 500);
+  });
+}
+
+/**
+ * Check that the new passphrase was typed the same twice
+ * @param {object} values - Form values
+ * @returns {string|null} Error message or null
+ */
+function checkConfirmation(values) {
+  if (values.passphrase !== values.confirm) {
+    return 'The passphrases do not match';
+  }
+  return window.Encryption.validatePassphrase(values.passphrase);
+}
+
+// ============================================================================
+// ACTIONS
+// ============================================================================
+
+/**
+ * Ask for a new passphrase and encrypt stored data
+ */
+function showEnableEncryption() {
+  openPassphraseDialog({
+    title: 'Encrypt Data',
+    message: 'Stored data and downloaded backups will be encrypted with this passphrase. ' +
+      'It is asked for every time the app opens. If you forget it, the data cannot be recovered.',
+    fields: [
+      { name: 'passphrase', label: 'Passphrase' },
+      { name: 'confirm', label: 'Confirm passphrase' }
+    ],
+    submitText: 'Encrypt',
+    onSubmit: async (values) => {
+      const invalid = checkConfirmation(values);
+      if (invalid) return { success: false, error: invalid };
+
+      const result = await window.Encryption.enable(values.passphrase);
+      if (result.success && window.showSuccess) {
+        window.showSuccess('Data is now encrypted');
+      }
+      return result;
+    }
+  });
+}
+
+/**
+ * Ask for the passphrase and store data in plaintext again
+ */
+function showDisableEncryption() {
+  openPassphraseDialog({
+    title: 'Turn Off Encryption',
+    message: 'Stored data will be saved without encryption again.',
+    fields: [
+      { name: 'passphrase', label: 'Current passphrase', autocomplete: 'current-password' }
+    ],
+    submitText: 'Turn Off',
+    onSubmit: async (values) => {
+      const result = await window.Encryption.disable(values.passphrase);
+      if (result.success && window.showSuccess) {
+        window.showSuccess('Encryption turned off');
+      }
+      return result;
+    }
+  });
+}
+
+/**
+ * Ask for the current and new passphrase and re-encrypt stored data
+ */
+function showChangePassphrase() {
+  openPassphraseDialog({
+    title: 'Change Passphrase',
+    message: 'Stored data will be re-encrypted with the new passphrase. ' +
+      'Backups downloaded earlier still need the old one.',
+    fields: [
+      { name: 'current', label: 'Current passphrase', autocomplete: 'current-password' },
+      { name: 'passphrase', label: 'New passphrase' },
+      { name: 'confirm', label: 'Confirm new passphrase' }
+    ],
+    submitText: 'Change',
+    onSubmit: async (values) => {
+      const invalid = checkConfirmation(values);
+      if (invalid) return { success: false, error: invalid };
+
+      const result = await window.Encryption.changePassphrase(values.current, values.passphrase);
+      if (result.success && window.showSuccess) {
+        window.showSuccess('Passphrase changed');
+      }
+      return result;
+    }
+  });
+}
+
+/**
+ * Wire up the encryption buttons in Settings
+ */
+function bindEncryptionButtons() {
+  const toggle = document.getElementById('btnEncryption');
+  if (toggle) {
+    toggle.addEventListener('click', () => {
+      if (window.Encryption.isEnabled()) {
+        showDisableEncryption();
+      } else {
+        showEnableEncryption();
+      }
+    });
+  }
+
+  const change = document.getElementById('btnChangePassphrase');
+  if (change) {
+    change.addEventListener('click', showChangePassphrase);
+  }
+
+  updateEncryptionStatus();
+}
+
+// Auto-initialize when DOM is ready
+if (typeof window !== 'undefined') {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', bindEncryptionButtons);
+  } else {
+    bindEncryptionButtons();
+  }
+
+  window.EncryptionUI = {
+    updateEncryptionStatus,
+    showEnableEncryption,
+    showDisableEncryption,
+    showChangePassphrase
+  };
+}
@@ -7,7 +7,7 @@
  */
 
 import { showNotification } from '../../ui/notifications.js';
-import { downloadFile } from './export-import.js';
+import { downloadJSONFile } from './export-import.js';
 import EventBus from '../../core/eventBus.js';
 
 // Auto-backup timer ID
@@ -23,6 +23,7 @@ export function createBackupPayload() {
   return {
     ts: nowISO,
     version: 1,
+    dataVersion: window.Storage ? window.Storage.DATA_VERSION : 0,
     appName: 'CodeLapras',
     data: window.data || [],           // products
     order: window.order || [],         // orders
@@ -71,12 +72,12 @@ export function createBackup(manual = true, download = true) {
   const keep = Math.max(1, Number(settings.backupKeep || 5));
   const trimmedBackups = backups.slice(-keep);
 
-  // Save to localStorage
-  localStorage.setItem('inv.backups', JSON.stringify(trimmedBackups));
+  // Save through the storage layer (IndexedDB when available)
+  saveBackupHistory(trimmedBackups);
 
   // Download if manual or requested
   if (download && manual) {
-    downloadFile(JSON.stringify(payload, null, 2), name, 'application/json');
+    downloadJSONFile(payload, name);
   }
 
   // Update last backup timestamp
@@ -101,6 +102,9 @@ export function createBackup(manual = true, download = true) {
  */
 export function getBackupHistory() {
   try {
+    if (window.Storage && window.Storage.LS) {
+      return window.Storage.LS.get('inv.backups', []);
+    }
     const stored = localStorage.getItem('inv.backups');
     return stored ? JSON.parse(stored) : [];
   } catch (error) {
@@ -109,6 +113,18 @@ export function getBackupHistory() {
   }
 }
 
+/**
+ * Persist backup history
+ * @param {Array} backups - Backup objects to store
+ */
+function saveBackupHistory(backups) {
+  if (window.Storage && window.Storage.LS) {
+    window.Storage.LS.set('inv.backups', backups);
+  } else {
+    localStorage.setItem('inv.backups', JSON.stringify(backups));
+  }
+}
+
 /**
  * Restore from backup
  * @param {number} backupIndex - Index of backup in history
@@ -138,7 +154,8 @@ export function restoreFromBackup(backupIndex) {
   }
 
   try {
-    const obj = backup.data;
+    // Bring older backups up to the current schema first
+    const obj = window.Storage ? window.Storage.migrateBackupObject(backup.data) : backup.data;
 
     // Restore data
     if (obj.data) window.data = obj.data;
@@ -165,6 +182,9 @@ export function restoreFromBackup(backupIndex) {
     if (typeof window.saveAll === 'function') {
       window.saveAll();
     }
+    if (window.Storage) {
+      window.Storage.setDataVersion(window.Storage.DATA_VERSION);
+    }
 
     // Emit event
     EventBus.emit('backup:restored', { name: backup.name, timestamp: backup.ts });
@@ -201,7 +221,7 @@ export function deleteBackup(backupIndex) {
   }
 
   backups.splice(backupIndex, 1);
-  localStorage.setItem('inv.backups', JSON.stringify(backups));
+  saveBackupHistory(backups);
 
   showNotification('Backup deleted', 'success');
 
@@ -223,9 +243,9 @@ export function downloadBackup(backupIndex) {
 
   const backup = backups[backupIndex];
 
-  downloadFile(JSON.stringify(backup.data, null, 2), backup.name, 'application/json');
-
-  showNotification(`Downloaded: ${backup.name}`, 'success');
+  downloadJSONFile(backup.data, backup.name).then(saved => {
+    if (saved) showNotification(`Downloaded: ${backup.name}`, 'success');
+  });
 }
 
 /**
@@ -24,6 +24,15 @@ function createSettings(data = {}) {
     companyWebsite: data.companyWebsite || '',
     logo: data.logo || '',
 
+    // Audit
+    currentUser: data.currentUser || '',
+    eventJournal: !!data.eventJournal,
+
+    // Stock
+    expiryWarningDays: data.expiryWarningDays > 0 ? data.expiryWarningDays : 30,
+    costingMethod: data.costingMethod === 'average' ? 'average' : 'fifo',
+    scannerEnabled: data.scannerEnabled !== false,
+
     // Appearance
     themeMode: data.themeMode || 'dark',
     highContrast: !!data.highContrast,
@@ -18,6 +18,7 @@ export function exportToJSON(download = true) {
   const exportData = {
     ts: new Date().toISOString(),
     version: 1,
+    dataVersion: window.Storage ? window.Storage.DATA_VERSION : 0,
     appName: 'CodeLapras',
     data: window.data || [],           // products
     order: window.order || [],         // orders
@@ -37,8 +38,9 @@ export function exportToJSON(download = true) {
 
   if (download) {
     const filename = `codelapras-export-${new Date().toISOString().slice(0, 10)}.json`;
-    downloadFile(JSON.stringify(exportData, null, 2), filename, 'application/json');
-    showNotification(`Data exported to ${filename}`, 'success');
+    downloadJSONFile(exportData, filename).then(saved => {
+      if (saved) showNotification(`Data exported to ${filename}`, 'success');
+    });
   }
 
   EventBus.emit('data:exported', { format: 'json', timestamp: exportData.ts });
@@ -144,7 +146,16 @@ export async function importFromJSON(file) {
 
   try {
     const text = await file.text();
-    const data = JSON.parse(text);
+    let data = JSON.parse(text);
+
+    // Files exported while encryption was on need the passphrase they were made with
+    if (window.Encryption && window.Encryption.isEncryptedFile(data)) {
+      const passphrase = prompt(`${file.name} is encrypted. Enter the passphrase it was exported with:`);
+      if (passphrase === null) {
+        return;
+      }
+      data = await window.Encryption.openFile(data, passphrase);
+    }
 
     // Validate import data
     const validation = validateImportData(data);
@@ -168,6 +179,11 @@ export async function importFromJSON(file) {
       return;
     }
 
+    // Bring older exports up to the current schema
+    if (window.Storage) {
+      data = window.Storage.migrateBackupObject(data);
+    }
+
     // Apply import
     if (data.data) window.data = data.data;
     if (data.order) window.order = data.order;
@@ -185,6 +201,9 @@ export async function importFromJSON(file) {
     if (typeof window.saveAll === 'function') {
       window.saveAll();
     }
+    if (window.Storage) {
+      window.Storage.setDataVersion(window.Storage.DATA_VERSION);
+    }
 
     showNotification('Data imported successfully! Refreshing...', 'success');
 
@@ -310,6 +329,27 @@ export function validateImportData(data) {
   };
 }
 
+/**
+ * Download a backup/export object as JSON.
+ * Encrypted with the storage passphrase when encryption is on.
+ * @param {Object} payload - Object to save
+ * @param {string} filename - Filename
+ * @returns {Promise<boolean>} True if the file was saved
+ */
+export async function downloadJSONFile(payload, filename) {
+  try {
+    const content = window.Encryption
+      ? await window.Encryption.protectFile(payload)
+      : JSON.stringify(payload, null, 2);
+    downloadFile(content, filename, 'application/json');
+    return true;
+  } catch (error) {
+    console.error('[Export] Error preparing file:', error);
+    showNotification(`Error saving ${filename}: ${error.message}`, 'error');
+    return false;
+  }
+}
+
 /**
  * Download file helper
  * @param {string} content - File content
@@ -357,5 +397,6 @@ export default {
   importInventoryFromCSV,
   validateImportData,
   downloadFile,
+  downloadJSONFile,
   selectFileForImport
 };
@@ -147,6 +147,10 @@ function populateSettingsForm() {
   setValue('setTax', settings.taxDefault || 0);
   setValue('setInvPrefix', settings.invPrefix || 'INV-');
   setValue('setKitMarkup', settings.kitMarkup || 50);
+  setValue('setCurrentUser', settings.currentUser || '');
+  setValue('setExpiryWarningDays', settings.expiryWarningDays || 30);
+  setValue('setCostingMethod', settings.costingMethod || 'fifo');
+  setValue('setBarcodeScanner', settings.scannerEnabled === false ? 'off' : 'on');
 
   // Company info
   setValue('setCompanyName', settings.companyName || '');
@@ -174,6 +178,7 @@ function populateSettingsForm() {
 
   // Backup
   setChecked('setBackupReminders', settings.backupReminders || false);
+  setChecked('setEventJournal', settings.eventJournal || false);
   setValue('setAutoBackupFreq', settings.autoBackupFreq || 'off');
   setValue('setBackupKeep', settings.backupKeep || 5);
 }
@@ -187,6 +192,10 @@ function saveSettingsFromDialog() {
     taxDefault: parseFloat(getValue('setTax')) || 0,
     invPrefix: getValue('setInvPrefix') || 'INV-',
     kitMarkup: parseFloat(getValue('setKitMarkup')) || 50,
+    currentUser: (getValue('setCurrentUser') || '').trim(),
+    expiryWarningDays: parseInt(getValue('setExpiryWarningDays')) || 30,
+    costingMethod: getValue('setCostingMethod') || 'fifo',
+    scannerEnabled: getValue('setBarcodeScanner') !== 'off',
 
     // Company info
     companyName: getValue('setCompanyName') || '',
@@ -214,6 +223,7 @@ function saveSettingsFromDialog() {
 
     // Backup
     backupReminders: getChecked('setBackupReminders'),
+    eventJournal: getChecked('setEventJournal'),
     autoBackupFreq: getValue('setAutoBackupFreq') || 'off',
     backupKeep: parseInt(getValue('setBackupKeep')) || 5
   };
@@ -689,6 +689,7 @@ export default {
 
 // Expose to window for inline event handlers
 window.shipmentUI = {
+  refreshShipmentData,
   editShipment,
   deleteShipment,
   trackShipment,
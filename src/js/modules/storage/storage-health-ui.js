@@ -0,0 +1,209 @@
+/**
+ * storage-health-ui.js - Storage Usage Dialog
+ *
+ * Shows how much storage each collection uses and offers cleanups:
+ * pruning backups, compressing photos and archiving old orders.
+ */
+
+// ============================================================================
+// TABLE COLUMN DEFINITIONS
+// ============================================================================
+
+/**
+ * Get usage table column definitions
+ * @returns {Array<object>} Column definitions
+ */
+function getUsageColumns() {
+  return [
+    { key: 'label', label: 'Collection' },
+    { key: 'records', label: 'Records', className: 'right' },
+    { key: 'bytes', label: 'Size', className: 'right', formatter: v => formatBytes(v) },
+    { key: 'photoBytes', label: 'Photos', className: 'right', formatter: v => v ? formatBytes(v) : '' }
+  ];
+}
+
+// ============================================================================
+// DIALOG
+// ============================================================================
+
+/**
+ * Render usage summary and table into the dialog
+ * @param {HTMLElement} dlg - Dialog element
+ */
+async function renderStorageUsage(dlg) {
+  const usage = await window.StorageHealth.getStorageUsage();
+  const percent = Math.min(100, Math.round(usage.ratio * 100));
+
+  const summary = dlg.querySelector('.storage-summary');
+  summary.innerHTML = `
+    <div>${formatBytes(usage.used)} of about ${formatBytes(usage.quota)} used (${percent}%) &middot; ${esc(usage.backend)}</div>
+    <div class="storage-meter storage-${usage.level}"><span style="width:${percent}%"></span></div>
+  `;
+
+  const columns = getUsageColumns();
+  window.TableRenderer.renderTableHeader(dlg.querySelector('thead'), columns);
+  window.TableRenderer.renderTable(dlg.querySelector('tbody'), usage.breakdown, columns, {
+    emptyMessage: 'Nothing stored yet.'
+  });
+
+  const archivable = window.StorageHealth.getArchivableOrders(Number(dlg.querySelector('#storageArchiveDays').value) || 0);
+  dlg.querySelector('.storage-archive-count').textContent = `${archivable.length} order${archivable.length === 1 ? '' : 's'}`;
+
+  const audit = window.AuditLog ? window.AuditLog.getAuditLog().length : 0;
+  dlg.querySelector('.storage-audit-count').textContent = `${audit} entr${audit === 1 ? 'y' : 'ies'}`;
+
+  const backups = (usage.breakdown.find(r => r.name === 'BACKUPS') || {}).records || 0;
+  dlg.querySelector('.storage-backup-count').textContent = `${backups} stored`;
+}
+
+/**
+ * Run a cleanup, report the result and refresh the dialog
+ * @param {HTMLElement} dlg - Dialog element
+ * @param {HTMLButtonElement} button - Button that started it
+ * @param {Function} fn - Cleanup returning (a promise of) a result with bytesFreed
+ * @param {Function} describe - (result) => message
+ */
+async function runCleanup(dlg, button, fn, describe) {
+  button.disabled = true;
+  try {
+    const result = await fn();
+    if (result.error) {
+      window.showToast(result.error, 'error');
+    } else {
+      window.showToast(`${describe(result)} Freed ${formatBytes(result.bytesFreed)}.`, 'success');
+    }
+  } catch (err) {
+    console.error('Storage cleanup failed:', err);
+    window.showToast(`Cleanup failed: ${err.message}`, 'error');
+  } finally {
+    button.disabled = false;
+    renderStorageUsage(dlg);
+  }
+}
+
+/**
+ * Open the storage usage dialog
+ */
+function openStorageDialog() {
+  if (!window.createDialog || !window.TableRenderer || !window.StorageHealth) return;
+
+  const existing = document.querySelector('.dialog-storage[open]');
+  if (existing) return;
+
+  const dlg = window.createDialog({
+    id: 'dlgStorage_' + Date.now(),
+    title: 'Storage Usage',
+    className: 'dialog-storage',
+    content: `
+      <div class="storage-summary"></div>
+      <div class="storage-table-wrap">
+        <table class="small-table">
+          <thead></thead>
+          <tbody></tbody>
+        </table>
+      </div>
+      <h3>Free up space</h3>
+      <div class="storage-cleanups">
+        <div class="field inline">
+          <span>Backups (<span class="storage-backup-count"></span>) &mdash; keep newest</span>
+          <input type="number" id="storageKeepBackups" min="0" step="1" value="3" style="width:70px">
+          <button class="btn small" data-cleanup="backups">Prune Backups</button>
+        </div>
+        <div class="field inline">
+          <span>Product and kit photos &mdash; shrink to 800px</span>
+          <button class="btn small" data-cleanup="photos">Compress Photos</button>
+        </div>
+        <div class="field inline">
+          <span>Fulfilled/cancelled orders older than</span>
+          <input type="number" id="storageArchiveDays" min="0" step="1" value="90" style="width:70px">
+          <span>days (<span class="storage-archive-count"></span>)</span>
+          <button class="btn small" data-cleanup="orders">Archive Orders</button>
+        </div>
+        <div class="field inline">
+          <span>Audit log (<span class="storage-audit-count"></span>) &mdash; keep newest</span>
+          <input type="number" id="storageKeepAudit" min="0" step="1" value="${window.AuditLog ? window.AuditLog.AUDIT_MAX_ENTRIES : 5000}" style="width:70px">
+          <button class="btn small" data-cleanup="audit">Archive Audit Log</button>
+        </div>
+        <div class="muted">Archived orders and audit entries are downloaded as a file, then removed from this browser.</div>
+      </div>
+    `,
+    buttons: [
+      { text: 'Close', class: 'btn small', onclick: () => window.hideDialog(dlg) }
+    ]
+  });
+
+  const SH = window.StorageHealth;
+
+  dlg.querySelector('[data-cleanup="backups"]').addEventListener('click', e => {
+    const keep = Math.max(0, Number(dlg.querySelector('#storageKeepBackups').value) || 0);
+    runCleanup(dlg, e.currentTarget, () => SH.pruneBackups(keep),
+      r => `Removed ${r.removed} backup${r.removed === 1 ? '' : 's'}.`);
+  });
+
+  dlg.querySelector('[data-cleanup="photos"]').addEventListener('click', e => {
+    runCleanup(dlg, e.currentTarget, () => SH.compressPhotos(),
+      r => `Compressed ${r.compressed} photo${r.compressed === 1 ? '' : 's'}.`);
+  });
+
+  dlg.querySelector('[data-cleanup="orders"]').addEventListener('click', e => {
+    const days = Math.max(0, Number(dlg.querySelector('#storageArchiveDays').value) || 0);
+    const count = SH.getArchivableOrders(days).length;
+    if (count === 0) {
+      window.showToast('No orders to archive', 'info');
+      return;
+    }
+    if (!confirm(`Download and remove ${count} order${count === 1 ? '' : 's'}?`)) return;
+    runCleanup(dlg, e.currentTarget, () => SH.archiveFulfilledOrders(days),
+      r => `Archived ${r.archived} order${r.archived === 1 ? '' : 's'} to ${r.fileName}.`);
+  });
+
+  dlg.querySelector('[data-cleanup="audit"]').addEventListener('click', e => {
+    const keep = Math.max(0, Number(dlg.querySelector('#storageKeepAudit').value) || 0);
+    const count = window.AuditLog ? window.AuditLog.getArchivableAuditEntries(keep).length : 0;
+    if (count === 0) {
+      window.showToast('No audit entries to archive', 'info');
+      return;
+    }
+    if (!confirm(`Download and remove ${count} audit entr${count === 1 ? 'y' : 'ies'}?`)) return;
+    runCleanup(dlg, e.currentTarget, () => SH.archiveAuditLog(keep),
+      r => `Archived ${r.archived} audit entr${r.archived === 1 ? 'y' : 'ies'} to ${r.fileName}.`);
+  });
+
+  dlg.querySelector('#storageArchiveDays').addEventListener('input', () => renderStorageUsage(dlg));
+
+  renderStorageUsage(dlg);
+  window.showDialog(dlg);
+
+  // Clean up after close
+  dlg.addEventListener('close', () => {
+    setTimeout(() => {
+      if (dlg.parentNode) {
+        dlg.parentNode.removeChild(dlg);
+      }
+    }, 500);
+  });
+}
+
+/**
+ * Wire up the Storage Usage button in Settings
+ */
+function bindStorageButtons() {
+  const btn = document.getElementById('btnStorageUsage');
+  if (btn) {
+    btn.addEventListener('click', openStorageDialog);
+  }
+}
+
+// Auto-initialize when DOM is ready
+if (typeof window !== 'undefined') {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', bindStorageButtons);
+  } else {
+    bindStorageButtons();
+  }
+
+  window.StorageHealthUI = {
+    getUsageColumns,
+    openStorageDialog
+  };
+}
@@ -0,0 +1,522 @@
+/* ============================================
+   STORAGE HEALTH MODULE
+   CodeLapras - Quota Monitoring & Cleanup
+   ============================================ */
+
+// Tracks how much of the browser's storage quota the app uses, broken down
+// by collection, and warns before it runs out. Sizes are estimates: stored
+// strings are counted at two bytes per character, which is how browsers
+// account for localStorage.
+
+/**
+ * Share of the quota at which a warning is shown
+ */
+const STORAGE_WARN_RATIO = 0.8;
+
+/**
+ * Share of the quota at which the warning becomes an error
+ */
+const STORAGE_CRITICAL_RATIO = 0.95;
+
+/**
+ * Usual per-site localStorage limit; browsers do not report it
+ */
+const LOCAL_STORAGE_QUOTA = 5 * 1024 * 1024;
+
+/**
+ * Delay before re-checking usage after a write (ms)
+ */
+const HEALTH_CHECK_DELAY = 2000;
+
+/**
+ * Display names for STORAGE_KEYS entries
+ */
+const STORAGE_COLLECTION_LABELS = {
+  DATA: 'Products',
+  ORDER: 'Current order',
+  PO: 'Reorder PO list',
+  THEME: 'Theme',
+  DAMAGED: 'Damaged items',
+  INVOICES: 'Invoices',
+  KITS: 'Kits',
+  SETTINGS: 'Settings',
+  SNAPSHOTS: 'Snapshots',
+  STATS_VIEW: 'Stats view',
+  SNAPS: 'Stock snapshots',
+  BACKUPS: 'Backups',
+  PAYROLL_PERIODS: 'Payroll periods',
+  DEDUCTIONS: 'Deductions',
+  EMPLOYEES: 'Employees',
+  SCHEDULES: 'Schedules',
+  TIMESHEETS: 'Timesheets',
+  TASKS: 'Tasks',
+  RENTALS: 'Rentals',
+  SUBSCRIPTIONS: 'Subscriptions',
+  SHIPMENTS: 'Shipments',
+  CALENDAR_EVENTS: 'Calendar events',
+  CALENDAR_NOTES: 'Calendar notes',
+  PAY_PERIOD: 'Pay period',
+  TRANSFERS: 'Transfers',
+  LOCATIONS: 'Locations',
+  BINS: 'Bins',
+  CATEGORIES: 'Categories',
+  COUNT_SESSIONS: 'Count sessions',
+  PURCHASE_ORDERS: 'Purchase orders',
+  SUPPLIERS: 'Suppliers',
+  ORDERS: 'Orders',
+  CUSTOMERS: 'Customers',
+  CONTACTS: 'Contacts',
+  ACCOUNTS: 'Accounts',
+  AUDIT_LOG: 'Audit log',
+  EVENT_JOURNAL: 'Event journal',
+  STOCK_MOVEMENTS: 'Stock movements'
+};
+
+/**
+ * Order statuses that can be archived
+ */
+const ARCHIVABLE_ORDER_STATUSES = ['fulfilled', 'cancelled'];
+
+// ============ State ============
+
+let healthTimer = null;
+let notifiedLevel = 'ok';
+let lastQuotaToastAt = 0;
+
+// ============ Measuring ============
+
+/**
+ * Measure one stored value
+ * @param {string|null} raw - Stored string
+ * @returns {object} { bytes, photoBytes, records }
+ */
+function measureStoredValue(raw) {
+  if (!raw) {
+    return { bytes: 0, photoBytes: 0, records: 0 };
+  }
+
+  let photoBytes = 0;
+  const photos = raw.match(/"data:[^"]*"/g);
+  if (photos) {
+    photos.forEach(p => { photoBytes += p.length * 2; });
+  }
+
+  let records = 0;
+  try {
+    const parsed = JSON.parse(raw);
+    records = Array.isArray(parsed) ? parsed.length : (parsed && typeof parsed === 'object' ? Object.keys(parsed).length : 1);
+  } catch {}
+
+  return { bytes: raw.length * 2, photoBytes, records };
+}
+
+/**
+ * Get the adapter that holds the stored bytes
+ * @returns {object}
+ */
+function getBackingAdapter() {
+  const active = window.StorageAdapters.getStorageAdapter();
+  return active.inner || active;
+}
+
+/**
+ * Estimate storage used per collection
+ * @returns {Array<object>} [{ name, key, label, bytes, photoBytes, records }] largest first
+ */
+function getUsageBreakdown() {
+  const adapter = window.StorageAdapters.getStorageAdapter();
+  const backing = getBackingAdapter();
+  const keys = window.Storage.STORAGE_KEYS;
+  const known = new Set();
+  const rows = [];
+
+  Object.keys(keys).forEach(name => {
+    const key = keys[name];
+    known.add(key);
+    // Measure what is actually stored (ciphertext when encryption is on)
+    const stored = measureStoredValue(backing.getItem(key));
+    const plain = backing === adapter ? stored : measureStoredValue(adapter.getItem(key));
+    if (stored.bytes === 0) return;
+    rows.push({
+      name,
+      key,
+      label: STORAGE_COLLECTION_LABELS[name] || name,
+      bytes: stored.bytes,
+      photoBytes: plain.photoBytes,
+      records: plain.records
+    });
+  });
+
+  // Everything else the app keeps under inv.*
+  let otherBytes = 0;
+  backing.keys().forEach(key => {
+    if (!key || known.has(key) || !key.startsWith('inv.')) return;
+    otherBytes += (key.length + (backing.getItem(key) || '').length) * 2;
+  });
+  if (otherBytes > 0) {
+    rows.push({ name: 'OTHER', key: 'inv.*', label: 'Other', bytes: otherBytes, photoBytes: 0, records: 0 });
+  }
+
+  return rows.sort((a, b) => b.bytes - a.bytes);
+}
+
+/**
+ * Get total usage and the quota it counts against
+ * @returns {Promise<object>} { used, quota, ratio, level, backend, breakdown }
+ */
+async function getStorageUsage() {
+  const breakdown = getUsageBreakdown();
+  const backend = getBackingAdapter().name;
+  let used = breakdown.reduce((sum, row) => sum + row.bytes, 0);
+  let quota = LOCAL_STORAGE_QUOTA;
+
+  // IndexedDB shares the site's much larger quota, which the browser reports
+  if (backend === 'indexedDB' && typeof navigator !== 'undefined' && navigator.storage && navigator.storage.estimate) {
+    try {
+      const estimate = await navigator.storage.estimate();
+      if (estimate.quota) {
+        quota = estimate.quota;
+        used = Math.max(used, estimate.usage || 0);
+      }
+    } catch {}
+  }
+
+  const ratio = quota > 0 ? used / quota : 0;
+  const level = ratio >= STORAGE_CRITICAL_RATIO ? 'critical' : ratio >= STORAGE_WARN_RATIO ? 'warning' : 'ok';
+
+  return { used, quota, ratio, level, backend, breakdown };
+}
+
+// ============ Monitoring ============
+
+/**
+ * Check usage and warn once each time a threshold is crossed
+ * @returns {Promise<object>} Result of getStorageUsage()
+ */
+async function checkStorageHealth() {
+  const usage = await getStorageUsage();
+  const rank = { ok: 0, warning: 1, critical: 2 };
+
+  if (rank[usage.level] > rank[notifiedLevel]) {
+    const percent = Math.round(usage.ratio * 100);
+    const message = `Storage is ${percent}% full (${formatBytes(usage.used)} of ${formatBytes(usage.quota)}). Free up space before saving fails.`;
+
+    if (window.EventBus) {
+      window.EventBus.emit('storage:quota-warning', { level: usage.level, used: usage.used, quota: usage.quota });
+    }
+
+    if (typeof window.showToast === 'function') {
+      window.showToast(message, usage.level === 'critical' ? 'error' : 'warning', 10000, {
+        action: { label: 'Free up space', onClick: openStorageCleanup }
+      });
+    }
+  }
+
+  notifiedLevel = usage.level;
+  return usage;
+}
+
+/**
+ * Re-check usage shortly after writes, once per burst
+ */
+function scheduleHealthCheck() {
+  if (healthTimer) return;
+  healthTimer = setTimeout(() => {
+    healthTimer = null;
+    checkStorageHealth().catch(err => console.warn('Storage health check failed:', err));
+  }, HEALTH_CHECK_DELAY);
+}
+
+/**
+ * Tell the user a save failed because storage is full
+ * @param {object} payload - storage:quota-exceeded payload
+ */
+function handleQuotaExceeded(payload) {
+  notifiedLevel = 'critical';
+
+  // One notice per burst of failed writes
+  if (Date.now() - lastQuotaToastAt < 10000) return;
+  lastQuotaToastAt = Date.now();
+
+  const message = 'Storage is full - the last change could not be saved. Free up space and try again.';
+  console.error('Storage quota exceeded while saving', payload && payload.key);
+
+  if (typeof window.showToast === 'function') {
+    window.showToast(message, 'error', 0, {
+      action: { label: 'Free up space', onClick: openStorageCleanup }
+    });
+  }
+}
+
+/**
+ * Open the storage usage dialog if its UI is loaded
+ */
+function openStorageCleanup() {
+  if (window.StorageHealthUI) {
+    window.StorageHealthUI.openStorageDialog();
+  }
+}
+
+// ============ Cleanups ============
+
+/**
+ * Emit a cleanup event and re-check usage
+ * @param {string} action - Cleanup name
+ * @param {object} result - Cleanup result
+ */
+function finishCleanup(action, result) {
+  notifiedLevel = 'ok';
+  if (window.EventBus) {
+    window.EventBus.emit('storage:cleaned', { action, ...result });
+  }
+  scheduleHealthCheck();
+}
+
+/**
+ * Keep only the newest backups
+ * @param {number} keep - Number of backups to keep
+ * @returns {object} { removed, bytesFreed }
+ */
+function pruneBackups(keep = 3) {
+  const key = window.Storage.STORAGE_KEYS.BACKUPS;
+  const before = window.Storage.LS.get(key, []);
+  if (!Array.isArray(before) || before.length <= keep) {
+    return { removed: 0, bytesFreed: 0 };
+  }
+
+  // Backups are stored newest-first or oldest-first depending on who saved
+  // them, so pick the newest by date and keep the list in its stored order
+  const sizeBefore = JSON.stringify(before).length * 2;
+  const backupTime = backup => new Date((backup && (backup.ts || backup.timestamp)) || 0).getTime() || 0;
+  const newest = new Set(before
+    .slice()
+    .sort((a, b) => backupTime(b) - backupTime(a))
+    .slice(0, Math.max(0, keep)));
+  const kept = before.filter(backup => newest.has(backup));
+
+  if (!window.Storage.LS.trySet(key, kept)) {
+    return { removed: 0, bytesFreed: 0, error: 'Could not save the pruned backup list' };
+  }
+  window.backups = kept;
+
+  const result = { removed: before.length - kept.length, bytesFreed: sizeBefore - JSON.stringify(kept).length * 2 };
+  finishCleanup('prune-backups', result);
+  return result;
+}
+
+/**
+ * Re-encode an image data URI smaller
+ * @param {string} dataUrl - Image data URI
+ * @param {number} maxDim - Longest side in pixels
+ * @param {number} quality - WebP quality (0-1)
+ * @returns {Promise<string>} New data URI
+ */
+function shrinkDataURL(dataUrl, maxDim, quality) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      const scale = Math.min(1, maxDim / Math.max(img.width, img.height));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.max(1, Math.round(img.width * scale));
+      canvas.height = Math.max(1, Math.round(img.height * scale));
+      canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+      resolve(canvas.toDataURL('image/webp', quality));
+    };
+    img.onerror = () => reject(new Error('Could not read image'));
+    img.src = dataUrl;
+  });
+}
+
+/**
+ * Shrink product and kit photos stored as data URIs.
+ * A photo is only replaced when the new version is smaller.
+ * @param {object} options - { maxDim: 800, quality: 0.7 }
+ * @returns {Promise<object>} { compressed, bytesFreed }
+ */
+async function compressPhotos(options = {}) {
+  const { maxDim = 800, quality = 0.7 } = options;
+  const collections = [
+    { field: 'data', save: list => window.Storage.saveProducts(list) },
+    { field: 'kits', save: list => window.Storage.saveKits(list) }
+  ];
+
+  let compressed = 0;
+  let bytesFreed = 0;
+
+  for (const { field, save } of collections) {
+    const list = window[field];
+    if (!Array.isArray(list)) continue;
+
+    let changed = false;
+    for (const item of list) {
+      if (typeof item.photo !== 'string' || !item.photo.startsWith('data:image/')) continue;
+      try {
+        const smaller = await shrinkDataURL(item.photo, maxDim, quality);
+        if (smaller.length < item.photo.length) {
+          bytesFreed += (item.photo.length - smaller.length) * 2;
+          item.photo = smaller;
+          compressed++;
+          changed = true;
+        }
+      } catch (err) {
+        console.warn(`Skipped photo of ${item.name || item.id}:`, err);
+      }
+    }
+
+    if (changed) save(list);
+  }
+
+  const result = { compressed, bytesFreed };
+  finishCleanup('compress-photos', result);
+  return result;
+}
+
+/**
+ * Find orders that can be archived
+ * @param {number} olderThanDays - Minimum age in days (by fulfilled/updated date)
+ * @returns {Array} Orders
+ */
+function getArchivableOrders(olderThanDays = 90) {
+  const cutoff = Date.now() - olderThanDays * 86400000;
+  return (window.orders || []).filter(order => {
+    if (!ARCHIVABLE_ORDER_STATUSES.includes(order.status)) return false;
+    const when = new Date(order.fulfilledAt || order.updatedAt || order.createdAt).getTime();
+    return !isNaN(when) && when < cutoff;
+  });
+}
+
+/**
+ * Download old fulfilled/cancelled orders as a file and remove them from storage
+ * @param {number} olderThanDays - Minimum age in days
+ * @returns {Promise<object>} { archived, bytesFreed, fileName }
+ */
+async function archiveFulfilledOrders(olderThanDays = 90) {
+  const archivable = getArchivableOrders(olderThanDays);
+  if (archivable.length === 0) {
+    return { archived: 0, bytesFreed: 0, fileName: null };
+  }
+
+  // Save the file first so nothing is removed that was not archived
+  const payload = {
+    ts: new Date().toISOString(),
+    appName: 'CodeLapras',
+    type: 'orders-archive',
+    orders: archivable
+  };
+  const content = window.Encryption
+    ? await window.Encryption.protectFile(payload)
+    : JSON.stringify(payload, null, 2);
+  const fileName = `orders-archive-${_stamp()}.json`;
+  downloadArchiveFile(content, fileName);
+
+  const ids = new Set(archivable.map(o => o.id));
+  const bytesFreed = JSON.stringify(archivable).length * 2;
+
+  window.Storage.runTransaction(['orders'], () => {
+    const remaining = window.orders.filter(o => !ids.has(o.id));
+    window.orders.length = 0;
+    remaining.forEach(o => window.orders.push(o));
+    window.Storage.LS.set(window.Storage.STORAGE_KEYS.ORDERS, window.orders);
+    return { success: true };
+  });
+
+  const result = { archived: archivable.length, bytesFreed, fileName };
+  finishCleanup('archive-orders', result);
+  return result;
+}
+
+/**
+ * Download audit entries beyond the newest `keep` as a file and remove them from storage
+ * @param {number} keep - Entries to keep in the browser
+ * @returns {Promise<object>} { archived, bytesFreed, fileName }
+ */
+async function archiveAuditLog(keep) {
+  const archivable = window.AuditLog ? window.AuditLog.getArchivableAuditEntries(keep) : [];
+  if (archivable.length === 0) {
+    return { archived: 0, bytesFreed: 0, fileName: null };
+  }
+
+  // Save the file first so nothing is removed that was not archived
+  const payload = {
+    ts: new Date().toISOString(),
+    appName: 'CodeLapras',
+    type: 'audit-archive',
+    entries: archivable
+  };
+  const content = window.Encryption
+    ? await window.Encryption.protectFile(payload)
+    : JSON.stringify(payload, null, 2);
+  const fileName = `audit-archive-${_stamp()}.json`;
+  downloadArchiveFile(content, fileName);
+
+  const bytesFreed = JSON.stringify(archivable).length * 2;
+  if (!window.AuditLog.removeAuditEntries(archivable)) {
+    return { archived: 0, bytesFreed: 0, fileName, error: 'Audit log could not be saved after archiving' };
+  }
+
+  const result = { archived: archivable.length, bytesFreed, fileName };
+  finishCleanup('archive-audit', result);
+  return result;
+}
+
+/**
+ * Trigger a browser download
+ * @param {string} content - File contents
+ * @param {string} fileName - File name
+ */
+function downloadArchiveFile(content, fileName) {
+  const blob = new Blob([content], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+// ============ Initialization ============
+
+/**
+ * Start watching writes and check usage once
+ */
+function initStorageHealth() {
+  if (!window.Storage || !window.StorageAdapters) return;
+
+  window.Storage.onStorageWrite(scheduleHealthCheck);
+
+  if (window.EventBus) {
+    window.EventBus.on('storage:quota-exceeded', handleQuotaExceeded);
+  }
+
+  scheduleHealthCheck();
+}
+
+if (typeof window !== 'undefined') {
+  const start = () => {
+    if (typeof window.whenAppReady === 'function') {
+      window.whenAppReady().then(initStorageHealth);
+    } else {
+      initStorageHealth();
+    }
+  };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', start);
+  } else {
+    start();
+  }
+
+  window.StorageHealth = {
+    getUsageBreakdown,
+    getStorageUsage,
+    checkStorageHealth,
+    pruneBackups,
+    compressPhotos,
+    getArchivableOrders,
+    archiveFulfilledOrders,
+    archiveAuditLog,
+    measureStoredValue
+  };
+}
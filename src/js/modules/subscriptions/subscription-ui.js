@@ -273,6 +273,7 @@ const SubscriptionUI = (function () {
     setField('#subscriptionStatus', '#subStatus', subscription.status);
     setField('#subscriptionAutoRenew', '#subAutoRenew', subscription.autoRenew);
     setField('#subscriptionNotes', '#subNotes', subscription.notes);
+    setField('#subscriptionItems', '#subItems', formatSubscriptionItems(subscription.items));
   }
 
   /**
@@ -302,6 +303,7 @@ const SubscriptionUI = (function () {
     clearField('#subscriptionStatus', '#subStatus');
     clearField('#subscriptionAutoRenew', '#subAutoRenew');
     clearField('#subscriptionNotes', '#subNotes');
+    clearField('#subscriptionItems', '#subItems');
   }
 
   /**
@@ -324,6 +326,7 @@ const SubscriptionUI = (function () {
     const statusField = getField('#subscriptionStatus', '#subStatus');
     const autoRenewField = getField('#subscriptionAutoRenew', '#subAutoRenew');
     const notesField = getField('#subscriptionNotes', '#subNotes');
+    const itemsField = getField('#subscriptionItems', '#subItems');
 
     return {
       id: idField?.value || undefined,
@@ -337,7 +340,8 @@ const SubscriptionUI = (function () {
       lastBillingDate: lastBillingField?.value ? new Date(lastBillingField.value).toISOString() : null,
       status: statusField?.value || 'active',
       autoRenew: autoRenewField?.checked || false,
-      notes: notesField?.value.trim() || ''
+      notes: notesField?.value.trim() || '',
+      itemsText: itemsField?.value || ''
     };
   }
 
@@ -370,6 +374,16 @@ const SubscriptionUI = (function () {
       return;
     }
 
+    const parsed = parseSubscriptionItems(data.itemsText);
+    if (parsed.errors.length > 0) {
+      showNotification(parsed.errors.join(', '), 'error');
+      const itemsField = $('#subscriptionItems') || $('#subItems');
+      itemsField?.focus();
+      return;
+    }
+    data.items = parsed.items;
+    delete data.itemsText;
+
     try {
       let subscription;
       if (subscriptionId) {
@@ -524,16 +538,26 @@ const SubscriptionUI = (function () {
     const billingDate = prompt(`Billing Date (YYYY-MM-DD):`, new Date().toISOString().split('T')[0]);
     if (!billingDate) return;
 
+    // Optionally generate invoice (saved together with the billing)
+    const generateInv = confirm('Generate invoice for this billing?');
+
     try {
-      const updatedSubscription = processBillingCRUD(subscriptionId, new Date(billingDate).toISOString());
+      const settings = typeof loadSettings === 'function' ? loadSettings() : {};
+      const result = billSubscriptionCRUD(subscriptionId, new Date(billingDate).toISOString(), {
+        invoice: generateInv,
+        settings
+      });
 
-      const nextPaymentDate = formatDate(updatedSubscription.nextBillingDate);
+      if (!result.success) {
+        showNotification(result.errors.join(', '), 'error');
+        return;
+      }
+
+      const nextPaymentDate = formatDate(result.subscription.nextPayDate);
       showNotification(`Billing processed! Next payment: ${nextPaymentDate}`, 'success');
 
-      // Optionally generate invoice
-      const generateInv = confirm('Generate invoice for this billing?');
-      if (generateInv) {
-        generateInvoice(subscriptionId);
+      if (result.invoice && typeof InvoiceUI !== 'undefined' && typeof InvoiceUI.showInvoiceDialog === 'function') {
+        InvoiceUI.showInvoiceDialog(result.invoice.id);
       }
 
       refreshSubscriptionTable();
@@ -660,8 +684,12 @@ const SubscriptionUI = (function () {
       eventBus.on('subscription:billed', () => refreshSubscriptionTable());
     }
 
-    // Update metrics on load
-    updateMetricsBadges();
+    // Update metrics once the app has loaded its data
+    if (typeof window.whenAppReady === 'function') {
+      window.whenAppReady().then(updateMetricsBadges);
+    } else {
+      updateMetricsBadges();
+    }
   }
 
   // Public API
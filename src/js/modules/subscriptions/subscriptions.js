@@ -21,9 +21,12 @@ function createSubscription(data = {}) {
     startDate: data.startDate || data.start || (typeof nowISO === 'function' ? nowISO() : new Date().toISOString()),
     nextPayDate: data.nextPayDate || data.nextPay || '',
     prevPayDate: data.prevPayDate || data.prevPay || null,
+    lastInvoiceId: data.lastInvoiceId || null,
     status: data.status || 'active',
     autoRenew: data.autoRenew !== undefined ? !!data.autoRenew : true,
     notes: data.notes || '',
+    items: Array.isArray(data.items) ? data.items : [], // products shipped each cycle [{ productId, quantity, unit }]
+    fulfillments: Array.isArray(data.fulfillments) ? data.fulfillments : [], // shipped items [{ date, items }]
     createdAt: data.createdAt || (typeof nowISO === 'function' ? nowISO() : new Date().toISOString()),
     updatedAt: typeof nowISO === 'function' ? nowISO() : new Date().toISOString()
   };
@@ -61,12 +64,90 @@ function validateSubscription(subscription) {
     errors.push('Invalid billing cycle');
   }
 
+  (subscription.items || []).forEach((item, i) => {
+    if (!item.productId) {
+      errors.push(`Item ${i + 1}: product is required`);
+    }
+    if (typeof item.quantity !== 'number' || !(item.quantity > 0)) {
+      errors.push(`Item ${i + 1}: quantity must be greater than 0`);
+    }
+  });
+
   return {
     isValid: errors.length === 0,
     errors
   };
 }
 
+// ============ Subscription Items ============
+
+/**
+ * Parse the products shipped each cycle from text, one "SKU x quantity
+ * [unit]" per line (a product name works in place of the SKU; quantity
+ * defaults to 1)
+ * @param {string} text - Item lines
+ * @param {Array} products - Products to match (default: window.data)
+ * @returns {object} { items: Array, errors: string[] }
+ */
+function parseSubscriptionItems(text, products = window.data || []) {
+  const items = [];
+  const errors = [];
+
+  String(text || '').split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+    const match = line.match(/^(.+?)(?:\s+[x×*]\s*(\d+(?:\.\d+)?)(?:\s+(.+))?)?$/i);
+    const key = match[1].trim().toLowerCase();
+    const product = products.find(p => String(p.sku || '').trim().toLowerCase() === key) ||
+      products.find(p => String(p.name || '').trim().toLowerCase() === key);
+    if (!product) {
+      errors.push(`No product with SKU or name "${match[1].trim()}"`);
+      return;
+    }
+    const unit = (match[3] || '').trim();
+    if (unit && typeof getProductUnits === 'function' && !getProductUnits(product).some(u => u.name.toLowerCase() === unit.toLowerCase())) {
+      errors.push(`${product.name}: unknown unit "${unit}"`);
+      return;
+    }
+    items.push({ productId: product.id, quantity: match[2] ? Number(match[2]) : 1, unit });
+  });
+
+  return { items, errors };
+}
+
+/**
+ * Format subscription items as text for editing (see parseSubscriptionItems)
+ * @param {Array} items - Subscription items
+ * @param {Array} products - Products (default: window.data)
+ * @returns {string}
+ */
+function formatSubscriptionItems(items, products = window.data || []) {
+  return (items || []).map(item => {
+    const product = products.find(p => p.id === item.productId);
+    const label = product ? (product.sku || product.name) : item.productId;
+    return `${label} x ${item.quantity}${item.unit ? ' ' + item.unit : ''}`;
+  }).join('\n');
+}
+
+/**
+ * Record that a cycle's items were shipped
+ * @param {object} subscription - Subscription object
+ * @param {string} date - Fulfillment date (ISO string)
+ * @returns {object} Updated subscription (unchanged when it has no items)
+ */
+function recordSubscriptionFulfillment(subscription, date = null) {
+  if (!subscription || !(subscription.items || []).length) return subscription;
+
+  return {
+    ...subscription,
+    fulfillments: [
+      ...(subscription.fulfillments || []),
+      {
+        date: date || (typeof nowISO === 'function' ? nowISO() : new Date().toISOString()),
+        items: subscription.items.map(item => ({ ...item }))
+      }
+    ]
+  };
+}
+
 // ============ Billing Cycle Management ============
 
 /**
@@ -163,7 +244,7 @@ function cancelSubscription(subscription) {
 }
 
 /**
- * Process billing (record payment and calculate next date)
+ * Process billing (record payment, the cycle's fulfillment and the next date)
  * @param {object} subscription - Subscription object
  * @param {string} paymentDate - Payment date (ISO string)
  * @returns {object} Updated subscription
@@ -175,7 +256,7 @@ function processBilling(subscription, paymentDate = null) {
   const nextBilling = calculateNextBillingDate(subscription, paidDate);
 
   return {
-    ...subscription,
+    ...recordSubscriptionFulfillment(subscription, paidDate),
     prevPayDate: paidDate,
     nextPayDate: nextBilling,
     updatedAt: typeof nowISO === 'function' ? nowISO() : new Date().toISOString()
@@ -425,17 +506,117 @@ function deleteSubscriptionCRUD(id) {
   }
 }
 
+/**
+ * Take a cycle's items out of stock and record them in the stock ledger.
+ * Changes window.data in place; call inside a transaction that covers it.
+ * @param {object} subscription - Subscription object
+ * @returns {object} { success: boolean, errors?: string[] }
+ */
+function deductSubscriptionStock(subscription) {
+  const items = subscription.items || [];
+  if (items.length === 0) return { success: true };
+
+  // Items for the same product draw on the same stock
+  const needed = new Map();
+  for (const item of items) {
+    const product = (window.data || []).find(p => p.id === item.productId);
+    if (!product) return { success: false, errors: [`Product ${item.productId} not found`] };
+    const factor = getUnitFactor(product, item.unit);
+    if (factor === null) return { success: false, errors: [`${product.name}: unknown unit "${item.unit}"`] };
+    needed.set(product, (needed.get(product) || 0) + (Number(item.quantity) || 0) * factor);
+  }
+
+  for (const [product, baseUnits] of needed) {
+    const available = calculateTotalUnits(product);
+    if (baseUnits > available + 1e-9) {
+      return { success: false, errors: [`${product.name}: only ${available} ${getBaseUnitName(product)} in stock`] };
+    }
+  }
+
+  for (const [product, baseUnits] of needed) {
+    const previousStock = { qty: product.qty, looseUnits: product.looseUnits };
+    const stockQty = Math.round(baseUnits / getUnitsPerPackage(product) * 1e6) / 1e6;
+
+    if (window.Costing) {
+      window.Costing.consumeCostLayers(product, stockQty);
+    }
+
+    if (window.Tracking && window.Tracking.isTracked(product)) {
+      const allocation = window.Tracking.consumeTracked(product, stockQty, {}, 'sold');
+      if (!allocation.success) return { success: false, errors: [`${product.name}: ${allocation.error}`] };
+    } else {
+      Object.assign(product, adjustStockInUnits(product, -baseUnits, getBaseUnitName(product)));
+    }
+
+    if (window.StockLedger) {
+      window.StockLedger.recordStockMovement(product, previousStock, {
+        reason: 'sale',
+        reference: subscription.plan || subscription.id,
+        note: subscription.customer ? `Subscription: ${subscription.customer}` : 'Subscription'
+      });
+    }
+  }
+
+  saveProductsToStorage();
+  return { success: true };
+}
+
+/**
+ * Record a billing: the payment, the next date and, when the plan ships
+ * items, their fulfillment and the stock it takes
+ * @param {string} id - Subscription ID
+ * @param {string} paymentDate - Payment date (ISO string)
+ * @returns {object} { success: boolean, subscription?: object, errors?: array }
+ */
 function processBillingCRUD(id, paymentDate = null) {
   try {
-    const subscription = getSubscription(id);
-    if (!subscription) return { success: false, errors: ['Subscription not found'] };
-    const processed = processBilling(subscription, paymentDate);
-    Object.assign(subscription, processed);
-    saveSubscriptionsToStorage();
-    if (typeof EventBus !== 'undefined') {
-      EventBus.emit('subscription:billed', { id, paymentDate: processed.prevPayDate, subscription: processed });
-    }
-    return { success: true, subscription: processed };
+    return window.Storage.runTransaction(['subscriptions', 'data'], () => {
+      const subscription = getSubscription(id);
+      if (!subscription) return { success: false, errors: ['Subscription not found'] };
+
+      const deducted = deductSubscriptionStock(subscription);
+      if (!deducted.success) return deducted;
+
+      const processed = processBilling(subscription, paymentDate);
+      Object.assign(subscription, processed);
+      saveSubscriptionsToStorage();
+      window.Storage.afterCommit(() => {
+        if (typeof EventBus !== 'undefined') {
+          EventBus.emit('subscription:billed', { id, paymentDate: processed.prevPayDate, subscription: processed });
+        }
+      });
+      return { success: true, subscription: processed };
+    });
+  } catch (err) {
+    return { success: false, errors: [err.message] };
+  }
+}
+
+/**
+ * Record a billing and, optionally, create its invoice.
+ * The subscription update, the stock it ships and the invoice are written
+ * together or not at all.
+ * @param {string} id - Subscription ID
+ * @param {string} paymentDate - Payment date (ISO string)
+ * @param {object} options - { invoice: boolean, settings: object }
+ * @returns {object} { success: boolean, subscription?: object, invoice?: object, errors?: array }
+ */
+function billSubscriptionCRUD(id, paymentDate = null, options = {}) {
+  const { invoice = false, settings = {} } = options;
+  try {
+    return window.Storage.runTransaction(['subscriptions', 'invoices', 'data'], () => {
+      const billed = processBillingCRUD(id, paymentDate);
+      if (!billed.success) return billed;
+      if (!invoice) return billed;
+
+      const subscription = getSubscription(id);
+      const created = createInvoiceCRUD(generateSubscriptionInvoice(subscription, settings), settings);
+      if (!created.success) return created;
+
+      subscription.lastInvoiceId = created.invoice.id;
+      saveSubscriptionsToStorage();
+      return { success: true, subscription: { ...subscription }, invoice: created.invoice };
+    });
   } catch (err) {
     return { success: false, errors: [err.message] };
   }
@@ -500,6 +681,9 @@ function saveSubscriptionsToStorage() {
 if (typeof window !== 'undefined') {
   window.createSubscription = createSubscription;
   window.validateSubscription = validateSubscription;
+  window.parseSubscriptionItems = parseSubscriptionItems;
+  window.formatSubscriptionItems = formatSubscriptionItems;
+  window.recordSubscriptionFulfillment = recordSubscriptionFulfillment;
   window.calculateNextBillingDate = calculateNextBillingDate;
   window.isBillingDue = isBillingDue;
   window.pauseSubscription = pauseSubscription;
@@ -518,6 +702,7 @@ if (typeof window !== 'undefined') {
   window.updateSubscriptionCRUD = updateSubscriptionCRUD;
   window.deleteSubscriptionCRUD = deleteSubscriptionCRUD;
   window.processBillingCRUD = processBillingCRUD;
+  window.billSubscriptionCRUD = billSubscriptionCRUD;
   window.pauseSubscriptionCRUD = pauseSubscriptionCRUD;
   window.resumeSubscriptionCRUD = resumeSubscriptionCRUD;
   window.cancelSubscriptionCRUD = cancelSubscriptionCRUD;
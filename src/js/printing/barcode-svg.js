@@ -0,0 +1,640 @@
+/**
+ * Barcode SVG Module
+ * Pure-JS encoders for Code 128, EAN-13, UPC-A and QR codes, rendered as
+ * SVG strings for printed labels. No external library or canvas needed.
+ *
+ * Linear barcodes are drawn in module units and stretch to the width they
+ * are given; the human-readable text is left to the caller.
+ */
+
+// ============================================================================
+// CODE 128
+// ============================================================================
+
+/**
+ * Bar/space widths for Code 128 values 0-106 (103-105 start A/B/C, 106 stop)
+ */
+const CODE128_PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+
+const CODE128_START_B = 104;
+const CODE128_START_C = 105;
+const CODE128_CODE_B = 100;
+const CODE128_CODE_C = 99;
+const CODE128_STOP = 106;
+
+/**
+ * Length of the run of digits starting at a position
+ * @param {string} text - Text
+ * @param {number} start - Start index
+ * @returns {number}
+ */
+function countDigitRun(text, start) {
+  let i = start;
+  while (i < text.length && text.charCodeAt(i) >= 48 && text.charCodeAt(i) <= 57) i++;
+  return i - start;
+}
+
+/**
+ * Encode text as Code 128 symbol values, using code set C for runs of
+ * digits and code set B for everything else
+ * @param {string} text - Printable ASCII text
+ * @returns {number[]} Symbol values including start, checksum and stop
+ */
+function encodeCode128(text) {
+  const value = String(text == null ? '' : text);
+  if (!value) throw new Error('Nothing to encode');
+  for (let i = 0; i < value.length; i++) {
+    const code = value.charCodeAt(i);
+    if (code < 32 || code > 126) {
+      throw new Error('Code 128 labels support printable ASCII only');
+    }
+  }
+
+  const symbols = [];
+  const leadingDigits = countDigitRun(value, 0);
+  let codeSet = (leadingDigits === value.length && leadingDigits % 2 === 0) || leadingDigits >= 4 ? 'C' : 'B';
+  symbols.push(codeSet === 'C' ? CODE128_START_C : CODE128_START_B);
+
+  let i = 0;
+  while (i < value.length) {
+    const run = countDigitRun(value, i);
+
+    if (codeSet === 'C') {
+      if (run >= 2) {
+        symbols.push(Number(value.substr(i, 2)));
+        i += 2;
+        continue;
+      }
+      symbols.push(CODE128_CODE_B);
+      codeSet = 'B';
+    }
+
+    // Switch to C for long digit runs; an odd run starts with one digit in B
+    const atEnd = i + run === value.length;
+    if (run >= 6 || (atEnd && run >= 4)) {
+      if (run % 2 === 1) {
+        symbols.push(value.charCodeAt(i) - 32);
+        i++;
+      }
+      symbols.push(CODE128_CODE_C);
+      codeSet = 'C';
+      continue;
+    }
+
+    symbols.push(value.charCodeAt(i) - 32);
+    i++;
+  }
+
+  const checksum = symbols.reduce((sum, symbol, index) => sum + symbol * (index || 1), 0) % 103;
+  symbols.push(checksum, CODE128_STOP);
+  return symbols;
+}
+
+/**
+ * Turn Code 128 symbol values into a module string ('1' bar, '0' space)
+ * @param {number[]} symbols - Symbol values
+ * @returns {string}
+ */
+function code128Modules(symbols) {
+  return symbols.map(symbol => {
+    let modules = '';
+    CODE128_PATTERNS[symbol].split('').forEach((width, index) => {
+      modules += (index % 2 === 0 ? '1' : '0').repeat(Number(width));
+    });
+    return modules;
+  }).join('');
+}
+
+// ============================================================================
+// EAN-13 / UPC-A
+// ============================================================================
+
+const EAN_L_CODES = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+const EAN_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+/**
+ * Calculate the check digit for an EAN/UPC number
+ * @param {string} digits - Digits without the check digit
+ * @returns {number}
+ */
+function calculateEanCheckDigit(digits) {
+  let sum = 0;
+  // Weights run 3, 1, 3... from the rightmost digit
+  for (let i = digits.length - 1, weight = 3; i >= 0; i--, weight = 4 - weight) {
+    sum += Number(digits[i]) * weight;
+  }
+  return (10 - (sum % 10)) % 10;
+}
+
+/**
+ * Complete or validate an EAN-13 number
+ * @param {string} value - 12 digits (check digit added) or 13 digits
+ * @returns {string} 13 digits
+ */
+function normalizeEan13(value) {
+  const digits = String(value || '').trim();
+  if (!/^\d{12,13}$/.test(digits)) {
+    throw new Error('EAN-13 needs 12 or 13 digits');
+  }
+  const check = calculateEanCheckDigit(digits.slice(0, 12));
+  if (digits.length === 13 && Number(digits[12]) !== check) {
+    throw new Error(`EAN-13 check digit should be ${check}`);
+  }
+  return digits.slice(0, 12) + check;
+}
+
+/**
+ * Complete or validate a UPC-A number
+ * @param {string} value - 11 digits (check digit added) or 12 digits
+ * @returns {string} 12 digits
+ */
+function normalizeUpcA(value) {
+  const digits = String(value || '').trim();
+  if (!/^\d{11,12}$/.test(digits)) {
+    throw new Error('UPC-A needs 11 or 12 digits');
+  }
+  const check = calculateEanCheckDigit(digits.slice(0, 11));
+  if (digits.length === 12 && Number(digits[11]) !== check) {
+    throw new Error(`UPC-A check digit should be ${check}`);
+  }
+  return digits.slice(0, 11) + check;
+}
+
+/**
+ * Encode an EAN-13 number as modules. UPC-A is EAN-13 with a leading zero.
+ * @param {string} value - EAN-13 number
+ * @returns {string} Module string ('1' bar, '0' space), 95 modules
+ */
+function encodeEan13(value) {
+  const digits = normalizeEan13(value);
+  const parity = EAN_PARITY[Number(digits[0])];
+  const rCode = d => EAN_L_CODES[d].replace(/./g, bit => (bit === '1' ? '0' : '1'));
+
+  let modules = '101';
+  for (let i = 1; i <= 6; i++) {
+    const d = Number(digits[i]);
+    modules += parity[i - 1] === 'L' ? EAN_L_CODES[d] : rCode(d).split('').reverse().join('');
+  }
+  modules += '01010';
+  for (let i = 7; i <= 12; i++) {
+    modules += rCode(Number(digits[i]));
+  }
+  return modules + '101';
+}
+
+/**
+ * Whether a module belongs to an EAN guard pattern (drawn taller)
+ * @param {number} index - Module index
+ * @returns {boolean}
+ */
+function isEanGuardModule(index) {
+  return index < 3 || (index >= 45 && index < 50) || index >= 92;
+}
+
+// ============================================================================
+// QR CODE
+// ============================================================================
+
+const QR_EC_LEVELS = { L: 1, M: 0, Q: 3, H: 2 };
+
+/**
+ * Total codewords and block layout per version (1-10) and error correction
+ * level: [ecPerBlock, blocks, dataPerBlock, blocks2, dataPerBlock2]
+ */
+const QR_VERSIONS = [
+  null,
+  { total: 26, L: [7, 1, 19], M: [10, 1, 16], Q: [13, 1, 13], H: [17, 1, 9] },
+  { total: 44, L: [10, 1, 34], M: [16, 1, 28], Q: [22, 1, 22], H: [28, 1, 16] },
+  { total: 70, L: [15, 1, 55], M: [26, 1, 44], Q: [18, 2, 17], H: [22, 2, 13] },
+  { total: 100, L: [20, 1, 80], M: [18, 2, 32], Q: [26, 2, 24], H: [16, 4, 9] },
+  { total: 134, L: [26, 1, 108], M: [24, 2, 43], Q: [18, 2, 15, 2, 16], H: [22, 2, 11, 2, 12] },
+  { total: 172, L: [18, 2, 68], M: [16, 4, 27], Q: [24, 4, 19], H: [28, 4, 15] },
+  { total: 196, L: [20, 2, 78], M: [18, 4, 31], Q: [18, 2, 14, 4, 15], H: [26, 4, 13, 1, 14] },
+  { total: 242, L: [24, 2, 97], M: [22, 2, 38, 2, 39], Q: [22, 4, 18, 2, 19], H: [26, 4, 14, 2, 15] },
+  { total: 292, L: [30, 2, 116], M: [22, 3, 36, 2, 37], Q: [20, 4, 16, 4, 17], H: [24, 4, 12, 4, 13] },
+  { total: 346, L: [18, 2, 68, 2, 69], M: [26, 4, 43, 1, 44], Q: [24, 6, 19, 2, 20], H: [28, 6, 15, 2, 16] }
+];
+
+const QR_ALIGNMENT_POSITIONS = [
+  null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34],
+  [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]
+];
+
+/**
+ * Multiply in GF(256) with the QR polynomial
+ * @param {number} x - Factor
+ * @param {number} y - Factor
+ * @returns {number}
+ */
+function qrMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11D);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+/**
+ * Reed-Solomon error correction codewords for a block
+ * @param {number[]} data - Data codewords
+ * @param {number} degree - Number of error correction codewords
+ * @returns {number[]}
+ */
+function qrErrorCorrection(data, degree) {
+  const divisor = new Array(degree).fill(0);
+  divisor[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      divisor[j] = qrMultiply(divisor[j], root);
+      if (j + 1 < degree) divisor[j] ^= divisor[j + 1];
+    }
+    root = qrMultiply(root, 0x02);
+  }
+
+  const result = new Array(degree).fill(0);
+  data.forEach(b => {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => {
+      result[i] ^= qrMultiply(coef, factor);
+    });
+  });
+  return result;
+}
+
+/**
+ * Split a version's codewords into blocks
+ * @param {number} version - Version 1-10
+ * @param {string} level - L, M, Q or H
+ * @returns {object} { ec, blocks: [dataLength...] }
+ */
+function qrBlockLayout(version, level) {
+  const [ec, count1, size1, count2 = 0, size2 = 0] = QR_VERSIONS[version][level];
+  return {
+    ec,
+    blocks: new Array(count1).fill(size1).concat(new Array(count2).fill(size2))
+  };
+}
+
+/**
+ * Encode text into the data and error correction codewords (byte mode)
+ * @param {string} text - Text
+ * @param {string} level - L, M, Q or H
+ * @returns {object} { version, codewords }
+ */
+function encodeQRCodewords(text, level) {
+  const bytes = Array.from(new TextEncoder().encode(String(text)));
+
+  let version = 0;
+  let capacity = 0;
+  for (let v = 1; v < QR_VERSIONS.length; v++) {
+    capacity = qrBlockLayout(v, level).blocks.reduce((sum, n) => sum + n, 0);
+    const countBits = v < 10 ? 8 : 16;
+    if (4 + countBits + bytes.length * 8 <= capacity * 8) {
+      version = v;
+      break;
+    }
+  }
+  if (!version) {
+    throw new Error('Text is too long for a label QR code');
+  }
+
+  const bits = [];
+  const push = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+  push(0x4, 4);
+  push(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach(b => push(b, 8));
+  push(0, Math.min(4, capacity * 8 - bits.length));
+  push(0, (8 - (bits.length % 8)) % 8);
+
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  for (let pad = 0xEC; data.length < capacity; pad ^= 0xEC ^ 0x11) data.push(pad);
+
+  // Split into blocks, add error correction, then interleave
+  const layout = qrBlockLayout(version, level);
+  const blocks = [];
+  let offset = 0;
+  layout.blocks.forEach(size => {
+    const block = data.slice(offset, offset + size);
+    offset += size;
+    blocks.push({ data: block, ec: qrErrorCorrection(block, layout.ec) });
+  });
+
+  const codewords = [];
+  const longest = Math.max(...layout.blocks);
+  for (let i = 0; i < longest; i++) {
+    blocks.forEach(block => {
+      if (i < block.data.length) codewords.push(block.data[i]);
+    });
+  }
+  for (let i = 0; i < layout.ec; i++) {
+    blocks.forEach(block => codewords.push(block.ec[i]));
+  }
+
+  return { version, codewords };
+}
+
+/**
+ * Whether a QR mask inverts a module
+ * @param {number} mask - Mask 0-7
+ * @param {number} x - Column
+ * @param {number} y - Row
+ * @returns {boolean}
+ */
+function qrMaskApplies(mask, x, y) {
+  switch (mask) {
+    case 0: return (x + y) % 2 === 0;
+    case 1: return y % 2 === 0;
+    case 2: return x % 3 === 0;
+    case 3: return (x + y) % 3 === 0;
+    case 4: return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0;
+    case 5: return (x * y) % 2 + (x * y) % 3 === 0;
+    case 6: return ((x * y) % 2 + (x * y) % 3) % 2 === 0;
+    default: return ((x + y) % 2 + (x * y) % 3) % 2 === 0;
+  }
+}
+
+/**
+ * Score a finished symbol; lower is easier for scanners to read
+ * @param {boolean[][]} modules - Module grid
+ * @returns {number}
+ */
+function qrPenalty(modules) {
+  const size = modules.length;
+  let penalty = 0;
+  let dark = 0;
+
+  const scoreLine = line => {
+    // Runs of five or more modules of one colour
+    let runLength = 1;
+    for (let i = 1; i <= line.length; i++) {
+      if (i < line.length && line[i] === line[i - 1]) {
+        runLength++;
+      } else {
+        if (runLength >= 5) penalty += runLength - 2;
+        runLength = 1;
+      }
+    }
+    // Patterns that look like a finder (1:1:3:1:1 with light space beside)
+    const text = line.map(m => (m ? '1' : '0')).join('');
+    const finders = text.match(/(?=(00001011101|10111010000))/g);
+    if (finders) penalty += finders.length * 40;
+  };
+
+  for (let y = 0; y < size; y++) {
+    scoreLine(modules[y]);
+    scoreLine(modules.map(row => row[y]));
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark++;
+      if (x < size - 1 && y < size - 1) {
+        const c = modules[y][x];
+        if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) penalty += 3;
+      }
+    }
+  }
+
+  const total = size * size;
+  penalty += Math.floor(Math.abs(dark * 20 - total * 10) / total) * 10;
+  return penalty;
+}
+
+/**
+ * Encode text as a QR code module grid
+ * @param {string} text - Text to encode
+ * @param {object} options - { level: 'L'|'M'|'Q'|'H' } (default: M)
+ * @returns {boolean[][]} Rows of modules, true = dark
+ */
+function encodeQRCode(text, options = {}) {
+  const level = QR_EC_LEVELS[options.level] !== undefined ? options.level : 'M';
+  const { version, codewords } = encodeQRCodewords(text, level);
+  const size = version * 4 + 17;
+
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+  const setFunction = (x, y, isDark) => {
+    modules[y][x] = isDark;
+    reserved[y][x] = true;
+  };
+
+  // Timing patterns, finders and alignment patterns
+  for (let i = 0; i < size; i++) {
+    setFunction(6, i, i % 2 === 0);
+    setFunction(i, 6, i % 2 === 0);
+  }
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x < 0 || y < 0 || x >= size || y >= size) continue;
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        setFunction(x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  });
+  const positions = QR_ALIGNMENT_POSITIONS[version];
+  const last = positions.length - 1;
+  positions.forEach((px, i) => {
+    positions.forEach((py, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          setFunction(px + dx, py + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+
+  const drawFormatBits = mask => {
+    const data = (QR_EC_LEVELS[level] << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((data << 10) | rem) ^ 0x5412;
+    const bit = i => ((bits >>> i) & 1) === 1;
+
+    for (let i = 0; i <= 5; i++) setFunction(8, i, bit(i));
+    setFunction(8, 7, bit(6));
+    setFunction(8, 8, bit(7));
+    setFunction(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) setFunction(14 - i, 8, bit(i));
+    for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, bit(i));
+    setFunction(8, size - 8, true);
+  };
+  drawFormatBits(0);
+
+  if (version >= 7) {
+    let rem = version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+    const bits = (version << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const isDark = ((bits >>> i) & 1) === 1;
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      setFunction(a, b, isDark);
+      setFunction(b, a, isDark);
+    }
+  }
+
+  // Data in two-column zigzags from the bottom right
+  let bitIndex = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vert : vert;
+        if (!reserved[y][x] && bitIndex < codewords.length * 8) {
+          modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) === 1;
+          bitIndex++;
+        }
+      }
+    }
+  }
+
+  // Pick the mask that scores best
+  const applyMask = mask => {
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (!reserved[y][x] && qrMaskApplies(mask, x, y)) modules[y][x] = !modules[y][x];
+      }
+    }
+  };
+  let bestMask = 0;
+  let bestPenalty = Infinity;
+  for (let mask = 0; mask < 8; mask++) {
+    applyMask(mask);
+    drawFormatBits(mask);
+    const penalty = qrPenalty(modules);
+    if (penalty < bestPenalty) {
+      bestMask = mask;
+      bestPenalty = penalty;
+    }
+    applyMask(mask);
+  }
+  applyMask(bestMask);
+  drawFormatBits(bestMask);
+
+  return modules;
+}
+
+// ============================================================================
+// SVG RENDERING
+// ============================================================================
+
+/**
+ * Pick a barcode format for a value: valid UPC-A and EAN-13 numbers keep
+ * their retail symbology, anything else is Code 128
+ * @param {string} value - Code to print
+ * @returns {string} 'upca', 'ean13' or 'code128'
+ */
+function detectBarcodeFormat(value) {
+  const digits = String(value || '').trim();
+  if (/^\d{12}$/.test(digits) && calculateEanCheckDigit(digits.slice(0, 11)) === Number(digits[11])) {
+    return 'upca';
+  }
+  if (/^\d{13}$/.test(digits) && calculateEanCheckDigit(digits.slice(0, 12)) === Number(digits[12])) {
+    return 'ean13';
+  }
+  return 'code128';
+}
+
+/**
+ * Render a linear barcode as SVG
+ * @param {string} value - Code to encode
+ * @param {object} options - { format: 'auto'|'code128'|'ean13'|'upca', height, quietZone }
+ * @returns {string} SVG markup, stretched to its container's width
+ */
+function renderBarcodeSVG(value, options = {}) {
+  const format = !options.format || options.format === 'auto' ? detectBarcodeFormat(value) : options.format;
+  const height = options.height || 50;
+  const quiet = options.quietZone !== undefined ? options.quietZone : 10;
+
+  let modules;
+  let guards = false;
+  if (format === 'ean13') {
+    modules = encodeEan13(value);
+    guards = true;
+  } else if (format === 'upca') {
+    modules = encodeEan13('0' + normalizeUpcA(value));
+    guards = true;
+  } else if (format === 'code128') {
+    modules = code128Modules(encodeCode128(value));
+  } else {
+    throw new Error(`Unknown barcode format: ${format}`);
+  }
+
+  // One rect per bar; retail guard bars run a little longer
+  const barHeight = guards ? height * 0.88 : height;
+  const rects = [];
+  for (let i = 0; i < modules.length;) {
+    if (modules[i] !== '1') {
+      i++;
+      continue;
+    }
+    let width = 1;
+    while (modules[i + width] === '1' && (!guards || isEanGuardModule(i) === isEanGuardModule(i + width))) width++;
+    const h = guards && isEanGuardModule(i) ? height : barHeight;
+    rects.push(`<rect x="${i + quiet}" y="0" width="${width}" height="${h}"/>`);
+    i += width;
+  }
+
+  const width = modules.length + quiet * 2;
+  return `<svg class="barcode" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" shape-rendering="crispEdges" role="img" aria-label="${format} ${String(value).replace(/[&"<>]/g, '')}"><g fill="#000">${rects.join('')}</g></svg>`;
+}
+
+/**
+ * Render a QR code as SVG
+ * @param {string} text - Text to encode
+ * @param {object} options - { level: 'L'|'M'|'Q'|'H', quietZone }
+ * @returns {string} SVG markup (square, scales to its container)
+ */
+function renderQRCodeSVG(text, options = {}) {
+  const modules = encodeQRCode(text, options);
+  const quiet = options.quietZone !== undefined ? options.quietZone : 4;
+  const size = modules.length + quiet * 2;
+
+  let path = '';
+  modules.forEach((row, y) => {
+    row.forEach((isDark, x) => {
+      if (isDark) path += `M${x + quiet},${y + quiet}h1v1h-1z`;
+    });
+  });
+
+  return `<svg class="qrcode" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges" role="img" aria-label="QR code"><rect width="${size}" height="${size}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+}
+
+// Expose functions to global window object for non-module usage
+if (typeof window !== 'undefined') {
+  window.BarcodeSVG = {
+    encodeCode128,
+    encodeEan13,
+    encodeQRCode,
+    calculateEanCheckDigit,
+    normalizeEan13,
+    normalizeUpcA,
+    detectBarcodeFormat,
+    renderBarcodeSVG,
+    renderQRCodeSVG
+  };
+}
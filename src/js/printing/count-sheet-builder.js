@@ -0,0 +1,199 @@
+/**
+ * Count Sheet Builder Module
+ * Printable sheets for stock count sessions, with write-in columns for
+ * counted packages and loose units. Blind sheets leave out expected stock.
+ */
+
+/**
+ * Generate CSS styles for count sheets
+ * @returns {string} CSS string
+ */
+function generateCountSheetCSS() {
+  return `
+    body {
+      font: 13px/1.45 system-ui, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif;
+      color: #111;
+      background: #fff;
+      padding: 24px;
+      margin: 0;
+    }
+    h1 {
+      font-size: 22px;
+      margin: 0 0 4px;
+    }
+    .meta {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 6px 24px;
+      margin-bottom: 12px;
+    }
+    table {
+      width: 100%;
+      border-collapse: collapse;
+    }
+    th, td {
+      border: 1px solid #ccc;
+      padding: 6px 8px;
+      text-align: left;
+    }
+    th {
+      background: #f3f6fa;
+    }
+    thead {
+      display: table-header-group;
+    }
+    tr {
+      page-break-inside: avoid;
+    }
+    .right {
+      text-align: right;
+    }
+    .write-in {
+      width: 90px;
+    }
+    .muted {
+      color: #666;
+    }
+    .signoff {
+      display: flex;
+      gap: 48px;
+      margin-top: 32px;
+    }
+    .signoff div {
+      flex: 1;
+      border-top: 1px solid #999;
+      padding-top: 4px;
+    }
+    .printbar {
+      position: sticky;
+      top: 0;
+      background: #fff;
+      padding-bottom: 8px;
+      margin-bottom: 8px;
+      border-bottom: 1px solid #eee;
+    }
+    .btn {
+      border: 1px solid #ccc;
+      padding: 8px 16px;
+      border-radius: 6px;
+      background: #fafafa;
+      cursor: pointer;
+      font-size: 14px;
+      margin-right: 8px;
+    }
+    @media print {
+      .printbar {
+        display: none;
+      }
+      body {
+        padding: 12px;
+      }
+    }
+  `;
+}
+
+/**
+ * Generate count sheet HTML
+ * @param {Object} session - Count session
+ * @param {Object} options - { blind } (default: the session's own setting)
+ * @returns {string} Complete HTML document
+ */
+function generateCountSheetHTML(session, options = {}) {
+  const blind = options.blind !== undefined ? !!options.blind : !!session.blind;
+  const location = session.locationId
+    ? (window.locations || []).find(l => l.id === session.locationId)
+    : null;
+
+  const rows = (session.lines || []).map((line, i) => {
+    const perPackage = line.unitsPerPackage || 1;
+    return `
+      <tr>
+        <td class="right">${i + 1}</td>
+        <td>${escapeHTML(line.sku || '')}</td>
+        <td>${escapeHTML(line.productName || '')}</td>
+        <td class="right">${perPackage}</td>
+        ${blind ? '' : `<td class="right">${line.expectedQty}${line.expectedLoose ? ` + ${line.expectedLoose}` : ''}</td>`}
+        <td class="write-in"></td>
+        <td class="write-in">${perPackage > 1 ? '' : '<span class="muted">-</span>'}</td>
+      </tr>
+    `;
+  }).join('');
+
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${escapeHTML(session.name || 'Count Sheet')}</title>
+        <style>${generateCountSheetCSS()}</style>
+      </head>
+      <body>
+        <div class="printbar">
+          <button class="btn" onclick="window.print()">Print / Save as PDF</button>
+          <button class="btn" onclick="window.close()">Close</button>
+        </div>
+
+        <h1>${escapeHTML(session.name || 'Count Sheet')}</h1>
+        <div class="meta">
+          <div><strong>Location:</strong> ${escapeHTML(location ? location.name : 'All stock')}</div>
+          ${session.category ? `<div><strong>Category:</strong> ${escapeHTML(session.category)}</div>` : ''}
+          <div><strong>Started:</strong> ${escapeHTML(new Date(session.createdAt).toLocaleString())}</div>
+          <div><strong>Lines:</strong> ${(session.lines || []).length}</div>
+          ${blind ? '<div class="muted">Blind count - expected quantities are not shown</div>' : ''}
+        </div>
+
+        <table>
+          <thead>
+            <tr>
+              <th class="right">#</th>
+              <th>SKU</th>
+              <th>Product</th>
+              <th class="right">Units / Pkg</th>
+              ${blind ? '' : '<th class="right">Expected</th>'}
+              <th>Counted Pkgs</th>
+              <th>Loose Units</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+
+        <div class="signoff">
+          <div>Counted by</div>
+          <div>Checked by</div>
+          <div>Date</div>
+        </div>
+      </body>
+    </html>
+  `;
+}
+
+/**
+ * Open a count sheet in a new print window
+ * @param {Object} session - Count session
+ * @param {Object} options - { blind }
+ * @returns {Window|null} Window object or null if blocked
+ */
+function openCountSheetPrintWindow(session, options = {}) {
+  const html = generateCountSheetHTML(session, options);
+
+  const w = window.open('', '_blank', 'width=980,height=900,scrollbars=yes,resizable=yes');
+
+  if (!w) {
+    alert('Popup blocked. Please allow popups for this site to print count sheets.');
+    return null;
+  }
+
+  w.document.open();
+  w.document.write(html);
+  w.document.close();
+  w.document.title = session.name || 'Count Sheet';
+
+  return w;
+}
+
+// Expose functions to global window object for non-module usage
+if (typeof window !== 'undefined') {
+  window.generateCountSheetHTML = generateCountSheetHTML;
+  window.openCountSheetPrintWindow = openCountSheetPrintWindow;
+}
@@ -535,24 +535,23 @@ function generatePaperLabel(shipment) {
  */
 function getCompanyAddress() {
   // Try to get from settings
-  const settings = localStorage.getItem('inv.settings');
-  if (settings) {
-    try {
-      const parsed = JSON.parse(settings);
-      if (parsed.company) {
-        return {
-          name: parsed.company.name || 'Your Company',
-          line1: parsed.company.address || '',
-          line2: parsed.company.address2 || '',
-          city: parsed.company.city || '',
-          state: parsed.company.state || '',
-          zip: parsed.company.zip || '',
-          phone: parsed.company.phone || ''
-        };
-      }
-    } catch (error) {
-      console.error('[Label Builder] Error parsing settings:', error);
+  try {
+    const parsed = window.Storage && window.Storage.LS
+      ? window.Storage.LS.get('inv.settings', null)
+      : JSON.parse(localStorage.getItem('inv.settings') || 'null');
+    if (parsed && parsed.company) {
+      return {
+        name: parsed.company.name || 'Your Company',
+        line1: parsed.company.address || '',
+        line2: parsed.company.address2 || '',
+        city: parsed.company.city || '',
+        state: parsed.company.state || '',
+        zip: parsed.company.zip || '',
+        phone: parsed.company.phone || ''
+      };
     }
+  } catch (error) {
+    console.error('[Label Builder] Error parsing settings:', error);
   }
 
   // Default fallback
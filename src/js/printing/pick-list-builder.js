@@ -0,0 +1,235 @@
+/**
+ * Pick List Builder Module
+ * Printable pick lists for orders, one line per bin in path order so the
+ * picker walks each location once (see bins.js getPickList).
+ */
+
+/**
+ * Generate CSS styles for pick lists
+ * @returns {string} CSS string
+ */
+function generatePickListCSS() {
+  return `
+    body {
+      font: 13px/1.45 system-ui, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif;
+      color: #111;
+      background: #fff;
+      padding: 24px;
+      margin: 0;
+    }
+    h1 {
+      font-size: 22px;
+      margin: 0 0 4px;
+    }
+    h2 {
+      font-size: 16px;
+      margin: 18px 0 6px;
+    }
+    .meta {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 6px 24px;
+      margin-bottom: 12px;
+    }
+    table {
+      width: 100%;
+      border-collapse: collapse;
+    }
+    th, td {
+      border: 1px solid #ccc;
+      padding: 6px 8px;
+      text-align: left;
+    }
+    th {
+      background: #f3f6fa;
+    }
+    thead {
+      display: table-header-group;
+    }
+    tr {
+      page-break-inside: avoid;
+    }
+    .right {
+      text-align: right;
+    }
+    .bin {
+      font-family: ui-monospace, Menlo, Consolas, monospace;
+      font-weight: bold;
+      white-space: nowrap;
+    }
+    .check {
+      width: 60px;
+    }
+    .short {
+      color: #b00020;
+    }
+    .muted {
+      color: #666;
+    }
+    .signoff {
+      display: flex;
+      gap: 48px;
+      margin-top: 32px;
+    }
+    .signoff div {
+      flex: 1;
+      border-top: 1px solid #999;
+      padding-top: 4px;
+    }
+    .printbar {
+      position: sticky;
+      top: 0;
+      background: #fff;
+      padding-bottom: 8px;
+      margin-bottom: 8px;
+      border-bottom: 1px solid #eee;
+    }
+    .btn {
+      border: 1px solid #ccc;
+      padding: 8px 16px;
+      border-radius: 6px;
+      background: #fafafa;
+      cursor: pointer;
+      font-size: 14px;
+      margin-right: 8px;
+    }
+    @media print {
+      .printbar {
+        display: none;
+      }
+      body {
+        padding: 12px;
+      }
+    }
+  `;
+}
+
+/**
+ * Format a pick quantity in stock units plus loose base units
+ * @param {Object} product - Product object
+ * @param {number} baseUnits - Quantity in base units
+ * @returns {string}
+ */
+function formatPickQuantity(product, baseUnits) {
+  if (getUnitsPerPackage(product) === 1) return `${baseUnits} ${getBaseUnitName(product)}`;
+  const { qty, looseUnits } = splitBaseUnits(product, baseUnits);
+  const parts = [];
+  if (qty > 0) parts.push(`${qty} ${getStockUnitName(product)}`);
+  if (looseUnits > 0) parts.push(`${looseUnits} ${getBaseUnitName(product)}`);
+  return parts.join(' + ') || '0';
+}
+
+/**
+ * Generate pick list HTML
+ * @param {Array} orders - Orders to pick
+ * @returns {string} Complete HTML document
+ */
+function generatePickListHTML(orders) {
+  const rows = window.Bins.getPickList(orders);
+  const locationName = id => {
+    const location = (window.locations || []).find(l => l.id === id);
+    return location ? location.name : 'No location';
+  };
+
+  const sections = [];
+  rows.forEach(row => {
+    let section = sections[sections.length - 1];
+    if (!section || section.locationId !== row.locationId) {
+      section = { locationId: row.locationId, rows: [] };
+      sections.push(section);
+    }
+    section.rows.push(row);
+  });
+
+  const tables = sections.map(section => `
+    <h2>${escapeHTML(locationName(section.locationId))}</h2>
+    <table>
+      <thead>
+        <tr>
+          <th>Bin</th>
+          <th>SKU</th>
+          <th>Product</th>
+          <th class="right">Pick</th>
+          <th>Orders</th>
+          <th class="check">Picked</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${section.rows.map(row => `
+          <tr${row.short ? ' class="short"' : ''}>
+            <td class="bin">${row.path ? escapeHTML(row.path) : `<span class="muted">${row.short ? 'Short' : 'Not in a bin'}</span>`}</td>
+            <td>${escapeHTML(row.product.sku || '')}</td>
+            <td>${escapeHTML(row.product.name || '')}</td>
+            <td class="right">${escapeHTML(formatPickQuantity(row.product, row.baseUnits))}</td>
+            <td>${escapeHTML(row.orderNumbers.join(', '))}</td>
+            <td class="check"></td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `).join('');
+
+  const title = orders.length === 1 ? `Pick List - ${orders[0].orderNumber}` : 'Pick List';
+
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${escapeHTML(title)}</title>
+        <style>${generatePickListCSS()}</style>
+      </head>
+      <body>
+        <div class="printbar">
+          <button class="btn" onclick="window.print()">Print / Save as PDF</button>
+          <button class="btn" onclick="window.close()">Close</button>
+        </div>
+
+        <h1>${escapeHTML(title)}</h1>
+        <div class="meta">
+          <div><strong>Orders:</strong> ${escapeHTML(orders.map(o => o.orderNumber).join(', '))}</div>
+          <div><strong>Printed:</strong> ${escapeHTML(new Date().toLocaleString())}</div>
+          <div><strong>Lines:</strong> ${rows.length}</div>
+        </div>
+
+        ${tables || '<p class="muted">Nothing to pick.</p>'}
+
+        <div class="signoff">
+          <div>Picked by</div>
+          <div>Checked by</div>
+          <div>Date</div>
+        </div>
+      </body>
+    </html>
+  `;
+}
+
+/**
+ * Open a pick list in a new print window
+ * @param {Array} orders - Orders to pick
+ * @returns {Window|null} Window object or null if blocked
+ */
+function openPickListPrintWindow(orders) {
+  const html = generatePickListHTML(orders);
+
+  const w = window.open('', '_blank', 'width=980,height=900,scrollbars=yes,resizable=yes');
+
+  if (!w) {
+    alert('Popup blocked. Please allow popups for this site to print pick lists.');
+    return null;
+  }
+
+  w.document.open();
+  w.document.write(html);
+  w.document.close();
+  w.document.title = 'Pick List';
+
+  return w;
+}
+
+// Expose functions to global window object for non-module usage
+if (typeof window !== 'undefined') {
+  window.generatePickListHTML = generatePickListHTML;
+  window.openPickListPrintWindow = openPickListPrintWindow;
+}
@@ -0,0 +1,364 @@
+/**
+ * Product Label Builder Module
+ * Printable product and shelf labels with name, SKU, price and a barcode
+ * (Code 128, EAN-13/UPC-A or QR, see barcode-svg.js), laid out on label
+ * sheets such as Avery 5160 or on single thermal labels.
+ */
+
+/**
+ * Label stock. Sizes are in inches; sheets are US Letter.
+ */
+const LABEL_LAYOUTS = {
+  avery5160: {
+    name: 'Avery 5160 (30 per sheet, 2⅝" x 1")',
+    page: { width: 8.5, height: 11 },
+    label: { width: 2.625, height: 1 },
+    columns: 3,
+    rows: 10,
+    margin: { top: 0.5, left: 0.1875 },
+    gap: { column: 0.125, row: 0 }
+  },
+  avery5163: {
+    name: 'Avery 5163 (10 per sheet, 4" x 2")',
+    page: { width: 8.5, height: 11 },
+    label: { width: 4, height: 2 },
+    columns: 2,
+    rows: 5,
+    margin: { top: 0.5, left: 0.15625 },
+    gap: { column: 0.1875, row: 0 }
+  },
+  thermal4x6: {
+    name: 'Thermal 4" x 6"',
+    page: { width: 4, height: 6 },
+    label: { width: 4, height: 6 },
+    columns: 1,
+    rows: 1,
+    margin: { top: 0, left: 0 },
+    gap: { column: 0, row: 0 }
+  },
+  thermal2x1: {
+    name: 'Thermal 2" x 1"',
+    page: { width: 2, height: 1 },
+    label: { width: 2, height: 1 },
+    columns: 1,
+    rows: 1,
+    margin: { top: 0, left: 0 },
+    gap: { column: 0, row: 0 }
+  }
+};
+
+/**
+ * Barcode types offered for labels
+ */
+const LABEL_BARCODE_FORMATS = {
+  auto: 'Automatic (UPC/EAN, else Code 128)',
+  code128: 'Code 128',
+  ean13: 'EAN-13',
+  upca: 'UPC-A',
+  qr: 'QR code',
+  none: 'No barcode'
+};
+
+/**
+ * Code printed on a product's label: its first barcode, else its SKU
+ * @param {Object} product - Product
+ * @returns {string}
+ */
+function getLabelCode(product) {
+  return (Array.isArray(product.barcodes) && product.barcodes[0]) || product.sku || '';
+}
+
+/**
+ * Format a price for a label
+ * @param {number} value - Price
+ * @param {string} currency - Currency code
+ * @returns {string}
+ */
+function formatLabelPrice(value, currency = 'USD') {
+  try {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(Number(value) || 0);
+  } catch (e) {
+    return '$' + (Number(value) || 0).toFixed(2);
+  }
+}
+
+/**
+ * Render the barcode for a label, or a note when it can't be encoded
+ * @param {string} code - Code to encode
+ * @param {string} format - Key of LABEL_BARCODE_FORMATS
+ * @returns {string} HTML
+ */
+function renderLabelBarcode(code, format) {
+  if (format === 'none') return '';
+  if (!code) return '<div class="label-nocode">No SKU or barcode</div>';
+
+  try {
+    if (format === 'qr') {
+      return `<div class="label-qr">${window.BarcodeSVG.renderQRCodeSVG(code)}</div>`;
+    }
+    return `<div class="label-barcode">${window.BarcodeSVG.renderBarcodeSVG(code, { format })}</div>`;
+  } catch (e) {
+    return `<div class="label-nocode">${escapeHTML(e.message)}</div>`;
+  }
+}
+
+/**
+ * Expand products into one entry per label
+ * @param {Array<Object>} products - Products
+ * @param {Object} options - { copies: number, quantities: { productId: n } }
+ * @returns {Array<Object>} Products, repeated once per label
+ */
+function buildLabelList(products, options = {}) {
+  const copies = Math.max(1, parseInt(options.copies, 10) || 1);
+  const labels = [];
+  products.forEach(product => {
+    const count = options.quantities && options.quantities[product.id] !== undefined
+      ? Math.max(0, parseInt(options.quantities[product.id], 10) || 0)
+      : copies;
+    for (let i = 0; i < count; i++) labels.push(product);
+  });
+  return labels;
+}
+
+/**
+ * Generate CSS styles for a label layout
+ * @param {Object} layout - Entry of LABEL_LAYOUTS
+ * @returns {string} CSS string
+ */
+function generateProductLabelCSS(layout) {
+  const { page, label, margin, gap, columns } = layout;
+  const small = label.height < 1.5;
+  return `
+    @page {
+      size: ${page.width}in ${page.height}in;
+      margin: 0;
+    }
+    * {
+      box-sizing: border-box;
+    }
+    body {
+      margin: 0;
+      font-family: Arial, Helvetica, sans-serif;
+      color: #000;
+      background: #fff;
+    }
+    .sheet {
+      width: ${page.width}in;
+      height: ${page.height}in;
+      padding: ${margin.top}in 0 0 ${margin.left}in;
+      display: grid;
+      grid-template-columns: repeat(${columns}, ${label.width}in);
+      grid-auto-rows: ${label.height}in;
+      column-gap: ${gap.column}in;
+      row-gap: ${gap.row}in;
+      overflow: hidden;
+      page-break-after: always;
+    }
+    .sheet:last-child {
+      page-break-after: auto;
+    }
+    .label {
+      width: ${label.width}in;
+      height: ${label.height}in;
+      padding: ${small ? '0.06in 0.1in' : '0.15in'};
+      overflow: hidden;
+      display: flex;
+      flex-direction: column;
+      justify-content: center;
+      gap: ${small ? '1px' : '4px'};
+    }
+    .label-name {
+      font-weight: bold;
+      font-size: ${small ? '8pt' : '14pt'};
+      line-height: 1.15;
+      white-space: nowrap;
+      overflow: hidden;
+      text-overflow: ellipsis;
+    }
+    .label-meta {
+      display: flex;
+      justify-content: space-between;
+      align-items: baseline;
+      font-size: ${small ? '7pt' : '11pt'};
+    }
+    .label-price {
+      font-weight: bold;
+      font-size: ${small ? '9pt' : '20pt'};
+    }
+    .label-body {
+      display: flex;
+      align-items: center;
+      gap: 6px;
+      min-height: 0;
+      flex: 1;
+    }
+    .label-barcode {
+      flex: 1;
+      height: 100%;
+      min-height: 0;
+    }
+    .label-barcode svg {
+      width: 100%;
+      height: 100%;
+      display: block;
+    }
+    .label-qr {
+      height: 100%;
+      aspect-ratio: 1;
+    }
+    .label-qr svg {
+      width: 100%;
+      height: 100%;
+      display: block;
+    }
+    .label-code {
+      font-family: 'Courier New', monospace;
+      font-size: ${small ? '7pt' : '10pt'};
+      text-align: center;
+      letter-spacing: 1px;
+    }
+    .label-nocode {
+      flex: 1;
+      font-size: 7pt;
+      color: #666;
+      text-align: center;
+    }
+    .printbar {
+      padding: 8px;
+      border-bottom: 1px solid #eee;
+    }
+    .btn {
+      border: 1px solid #ccc;
+      padding: 8px 16px;
+      border-radius: 6px;
+      background: #fafafa;
+      cursor: pointer;
+      font-size: 14px;
+      margin-right: 8px;
+    }
+    @media screen {
+      body {
+        background: #e5e5e5;
+      }
+      .sheet {
+        background: #fff;
+        margin: 12px auto;
+        box-shadow: 0 1px 4px rgba(0, 0, 0, 0.25);
+      }
+      .label {
+        outline: 1px dashed #ddd;
+      }
+    }
+    @media print {
+      .printbar {
+        display: none;
+      }
+    }
+  `;
+}
+
+/**
+ * Generate one label
+ * @param {Object} product - Product
+ * @param {Object} options - { format, showName, showSku, showPrice, currency }
+ * @returns {string} HTML
+ */
+function generateProductLabel(product, options) {
+  const code = getLabelCode(product);
+  const linear = options.format !== 'qr' && options.format !== 'none';
+
+  return `
+    <div class="label">
+      ${options.showName ? `<div class="label-name">${escapeHTML(product.name || '')}</div>` : ''}
+      <div class="label-body">${renderLabelBarcode(code, options.format)}</div>
+      ${linear && code ? `<div class="label-code">${escapeHTML(code)}</div>` : ''}
+      <div class="label-meta">
+        <span>${options.showSku && product.sku ? escapeHTML(product.sku) : ''}</span>
+        ${options.showPrice ? `<span class="label-price">${escapeHTML(formatLabelPrice(product.price, options.currency))}</span>` : ''}
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Generate a document of product labels
+ * @param {Array<Object>} labels - One product per label (see buildLabelList)
+ * @param {Object} options - { layout, format, showName, showSku, showPrice,
+ *   currency, startPosition (1-based label to start at on the first sheet) }
+ * @returns {string} Complete HTML document
+ */
+function generateProductLabelsHTML(labels, options = {}) {
+  const layout = LABEL_LAYOUTS[options.layout] || LABEL_LAYOUTS.avery5160;
+  const perSheet = layout.columns * layout.rows;
+  const settings = {
+    format: LABEL_BARCODE_FORMATS[options.format] ? options.format : 'auto',
+    showName: options.showName !== false,
+    showSku: options.showSku !== false,
+    showPrice: options.showPrice !== false,
+    currency: options.currency || 'USD'
+  };
+
+  // Leave already-used positions on a partly used sheet empty
+  const skip = Math.min(perSheet - 1, Math.max(0, (parseInt(options.startPosition, 10) || 1) - 1));
+  const cells = new Array(skip).fill('<div></div>')
+    .concat(labels.map(product => generateProductLabel(product, settings)));
+
+  const sheets = [];
+  for (let i = 0; i < cells.length; i += perSheet) {
+    sheets.push(`<div class="sheet">${cells.slice(i, i + perSheet).join('')}</div>`);
+  }
+
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Product Labels</title>
+        <style>${generateProductLabelCSS(layout)}</style>
+      </head>
+      <body>
+        <div class="printbar">
+          <button class="btn" onclick="window.print()">Print</button>
+          <button class="btn" onclick="window.close()">Close</button>
+          <span>${labels.length} label(s) on ${sheets.length} ${layout.rows * layout.columns > 1 ? 'sheet(s)' : 'page(s)'} - ${escapeHTML(layout.name)}</span>
+        </div>
+        ${sheets.join('')}
+      </body>
+    </html>
+  `;
+}
+
+/**
+ * Open product labels in a new print window
+ * @param {Array<Object>} labels - One product per label
+ * @param {Object} options - See generateProductLabelsHTML
+ * @returns {Window|null} Window object or null if blocked
+ */
+function openProductLabelsPrintWindow(labels, options = {}) {
+  const html = generateProductLabelsHTML(labels, options);
+
+  const w = window.open('', '_blank', 'width=980,height=900,scrollbars=yes,resizable=yes');
+
+  if (!w) {
+    alert('Popup blocked. Please allow popups for this site to print labels.');
+    return null;
+  }
+
+  w.document.open();
+  w.document.write(html);
+  w.document.close();
+  w.document.title = 'Product Labels';
+
+  return w;
+}
+
+// Expose functions to global window object for non-module usage
+if (typeof window !== 'undefined') {
+  window.LABEL_LAYOUTS = LABEL_LAYOUTS;
+  window.LABEL_BARCODE_FORMATS = LABEL_BARCODE_FORMATS;
+  window.getLabelCode = getLabelCode;
+  window.buildLabelList = buildLabelList;
+  window.generateProductLabelsHTML = generateProductLabelsHTML;
+  window.openProductLabelsPrintWindow = openProductLabelsPrintWindow;
+}
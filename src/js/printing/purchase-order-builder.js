@@ -0,0 +1,231 @@
+/**
+ * Purchase Order Builder Module
+ * Printable purchase orders for sending to suppliers (see
+ * purchasing/purchase-orders.js), with ordered and received quantities.
+ */
+
+/**
+ * Format an amount on a purchase order
+ * @param {number} value - Amount
+ * @param {string} currency - Currency code
+ * @returns {string}
+ */
+function formatPurchaseOrderAmount(value, currency = 'USD') {
+  try {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(Number(value) || 0);
+  } catch (e) {
+    return '$' + (Number(value) || 0).toFixed(2);
+  }
+}
+
+/**
+ * Generate CSS styles for purchase orders
+ * @returns {string} CSS string
+ */
+function generatePurchaseOrderCSS() {
+  return `
+    body {
+      font: 14px/1.45 system-ui, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif;
+      color: #111;
+      background: #fff;
+      padding: 24px;
+      margin: 0;
+    }
+    h1, h3 {
+      margin: 0 0 8px;
+    }
+    .row {
+      display: flex;
+      gap: 24px;
+      align-items: flex-start;
+      margin-bottom: 12px;
+    }
+    .col {
+      flex: 1;
+    }
+    table {
+      width: 100%;
+      border-collapse: collapse;
+      margin-top: 12px;
+    }
+    th, td {
+      border: 1px solid #ddd;
+      padding: 8px;
+      text-align: left;
+    }
+    th {
+      background: #f3f6fa;
+    }
+    tr {
+      page-break-inside: avoid;
+    }
+    .right {
+      text-align: right;
+    }
+    .muted {
+      color: #666;
+    }
+    .logo {
+      height: 48px;
+      object-fit: contain;
+    }
+    pre {
+      font: inherit;
+      white-space: pre-wrap;
+      margin: 0;
+    }
+    .printbar {
+      position: sticky;
+      top: 0;
+      background: #fff;
+      padding-bottom: 8px;
+      margin-bottom: 8px;
+      border-bottom: 1px solid #eee;
+    }
+    .btn {
+      border: 1px solid #ccc;
+      padding: 8px 16px;
+      border-radius: 6px;
+      background: #fafafa;
+      cursor: pointer;
+      font-size: 14px;
+      margin-right: 8px;
+    }
+    @media print {
+      .printbar {
+        display: none;
+      }
+      body {
+        padding: 12px;
+      }
+    }
+  `;
+}
+
+/**
+ * Generate purchase order HTML
+ * @param {Object} po - Purchase order
+ * @param {Object} settings - App settings (currency, logo)
+ * @returns {string} Complete HTML document
+ */
+function generatePurchaseOrderHTML(po, settings = {}) {
+  const currency = settings.currency || 'USD';
+  const fmt = value => formatPurchaseOrderAmount(value, currency);
+  const location = po.locationId
+    ? (window.locations || []).find(l => l.id === po.locationId)
+    : null;
+  const showReceived = (po.lines || []).some(line => line.receivedQty > 0);
+  const showSupplierSku = (po.lines || []).some(line => line.supplierSku);
+  const total = (po.lines || []).reduce((sum, line) => sum + line.quantity * line.unitCost, 0);
+
+  const rows = (po.lines || []).map((line, i) => `
+    <tr>
+      <td class="right">${i + 1}</td>
+      ${showSupplierSku ? `<td>${escapeHTML(line.supplierSku || '')}</td>` : ''}
+      <td>${escapeHTML(line.sku || '')}</td>
+      <td>${escapeHTML(line.productName || '')}</td>
+      <td class="right">${line.quantity} ${escapeHTML(line.unit || '')}</td>
+      ${showReceived ? `<td class="right">${line.receivedQty}</td>` : ''}
+      <td class="right">${fmt(line.unitCost)}</td>
+      <td class="right">${fmt(line.quantity * line.unitCost)}</td>
+    </tr>
+  `).join('');
+
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${escapeHTML(po.number || 'Purchase Order')}</title>
+        <style>${generatePurchaseOrderCSS()}</style>
+      </head>
+      <body>
+        <div class="printbar">
+          <button class="btn" onclick="window.print()">Print / Save as PDF</button>
+          <button class="btn" onclick="window.close()">Close</button>
+        </div>
+
+        <div class="row">
+          <div class="col" style="display: flex; align-items: center; gap: 12px;">
+            ${settings.logo ? `<img class="logo" src="${escapeHTML(settings.logo)}" alt="Company Logo">` : ''}
+            <div>
+              <h1>Purchase Order</h1>
+              <div class="muted">${escapeHTML(po.number || '')}</div>
+            </div>
+          </div>
+          <div class="col" style="text-align: right;">
+            <div><strong>Order date:</strong> ${escapeHTML(po.orderDate || '')}</div>
+            ${po.expectedDate ? `<div><strong>Expected:</strong> ${escapeHTML(po.expectedDate)}</div>` : ''}
+            ${po.reference ? `<div><strong>Your ref:</strong> ${escapeHTML(po.reference)}</div>` : ''}
+          </div>
+        </div>
+
+        <div class="row">
+          <div class="col">
+            <h3>Supplier</h3>
+            <pre>${escapeHTML(po.supplier || 'No supplier')}</pre>
+          </div>
+          <div class="col">
+            <h3>Deliver To</h3>
+            <pre>${escapeHTML(location ? [location.name, location.address].filter(Boolean).join('\n') : '')}</pre>
+          </div>
+        </div>
+
+        <table>
+          <thead>
+            <tr>
+              <th class="right">#</th>
+              ${showSupplierSku ? '<th>Your SKU</th>' : ''}
+              <th>SKU</th>
+              <th>Item</th>
+              <th class="right">Qty</th>
+              ${showReceived ? '<th class="right">Received</th>' : ''}
+              <th class="right">Unit Cost</th>
+              <th class="right">Line Total</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+        <div class="right" style="margin-top: 8px;"><strong>Total: ${fmt(total)}</strong></div>
+
+        ${po.notes ? `
+          <div style="margin-top: 16px;">
+            <h3>Notes</h3>
+            <pre class="muted">${escapeHTML(po.notes)}</pre>
+          </div>
+        ` : ''}
+      </body>
+    </html>
+  `;
+}
+
+/**
+ * Open a purchase order in a new print window
+ * @param {Object} po - Purchase order
+ * @param {Object} settings - App settings
+ * @returns {Window|null} Window object or null if blocked
+ */
+function openPurchaseOrderPrintWindow(po, settings = {}) {
+  const html = generatePurchaseOrderHTML(po, settings);
+
+  const w = window.open('', '_blank', 'width=920,height=900,scrollbars=yes,resizable=yes');
+
+  if (!w) {
+    alert('Popup blocked. Please allow popups for this site to print purchase orders.');
+    return null;
+  }
+
+  w.document.open();
+  w.document.write(html);
+  w.document.close();
+  w.document.title = po.number || 'Purchase Order';
+
+  return w;
+}
+
+// Expose functions to global window object for non-module usage
+if (typeof window !== 'undefined') {
+  window.generatePurchaseOrderHTML = generatePurchaseOrderHTML;
+  window.openPurchaseOrderPrintWindow = openPurchaseOrderPrintWindow;
+}
@@ -322,6 +322,7 @@ function registerDefaultContextMenus() {
     { separator: true },
     { label: 'View Details', action: 'view-product', icon: '👁️' },
     { label: 'Stock History', action: 'view-history', icon: '📊' },
+    { label: 'History', action: 'product-audit-history', icon: '🕘' },
     { separator: true },
     { label: 'Delete', action: 'delete-product', icon: '🗑️', danger: true }
   ]);
@@ -334,6 +335,7 @@ function registerDefaultContextMenus() {
     { separator: true },
     { label: 'Create Invoice', action: 'create-invoice', icon: '📄' },
     { label: 'Print Order', action: 'print-order', icon: '🖨️' },
+    { label: 'History', action: 'order-audit-history', icon: '🕘' },
     { separator: true },
     { label: 'Cancel Order', action: 'cancel-order', icon: '✕', danger: true }
   ]);
@@ -347,8 +349,15 @@ function registerDefaultContextMenus() {
     { label: 'Send Email', action: 'email-customer', icon: '📧' },
     { label: 'Call Customer', action: 'call-customer', icon: '📞' },
     { separator: true },
+    { label: 'History', action: 'customer-audit-history', icon: '🕘' },
+    { separator: true },
     { label: 'Delete', action: 'delete-customer', icon: '🗑️', danger: true }
   ]);
+
+  // Invoice row menu
+  ContextMenu.register('invoice-row', [
+    { label: 'History', action: 'invoice-audit-history', icon: '🕘' }
+  ]);
 }
 
 // ============================================================================
@@ -42,9 +42,12 @@ function initToastContainer() {
  * @param {string} message - Message to display
  * @param {string} type - Toast type: 'success', 'error', 'warning', 'info' (default: 'info')
  * @param {number} duration - Duration in milliseconds (0 = no auto-dismiss, default: 4000)
+ * @param {object} options - Configuration options
+ * @param {object} options.action - Button shown in the toast: { label, onClick }
+ * @param {boolean} options.undo - Offer Undo for the change just made (default: true for success toasts)
  * @returns {string} Toast ID for manual dismissal
  */
-function showToast(message, type = 'info', duration = 4000) {
+function showToast(message, type = 'info', duration = 4000, options = {}) {
   initToastContainer();
 
   // Generate unique ID
@@ -67,13 +70,28 @@ function showToast(message, type = 'info', duration = 4000) {
 
   const icon = icons[type] || icons.info;
 
+  // Success toasts offer to undo the change they report
+  let action = options.action || null;
+  if (!action && type === 'success' && options.undo !== false) {
+    action = getUndoAction(toastId);
+  }
+
   // Toast content
   toast.innerHTML = `
     <span class="toast-icon">${icon}</span>
     <span class="toast-message">${escapeHtml(message)}</span>
+    ${action ? `<button class="toast-action">${escapeHtml(action.label)}</button>` : ''}
     <button class="toast-close" aria-label="Close">&times;</button>
   `;
 
+  // Add action button handler
+  if (action) {
+    toast.querySelector('.toast-action').addEventListener('click', () => {
+      dismissToast(toastId);
+      action.onClick();
+    });
+  }
+
   // Add close button handler
   const closeBtn = toast.querySelector('.toast-close');
   closeBtn.addEventListener('click', () => dismissToast(toastId));
@@ -97,6 +115,30 @@ function showToast(message, type = 'info', duration = 4000) {
   return toastId;
 }
 
+/**
+ * Build an Undo action for the change made just before a success toast
+ * @param {string} toastId - Toast being shown
+ * @returns {object|null} { label, onClick } or null if there is nothing to undo
+ */
+function getUndoAction(toastId) {
+  if (!window.UndoHistory) return null;
+
+  const entryId = window.UndoHistory.latestEntryId();
+  if (!entryId) return null;
+
+  return {
+    label: 'Undo',
+    onClick: () => {
+      const result = window.UndoHistory.undo(entryId);
+      if (result.success) {
+        showToast(`Undone: ${result.label}`, 'info', 3000);
+      } else {
+        showToast(result.error, 'warning');
+      }
+    }
+  };
+}
+
 /**
  * Dismiss a toast notification
  * @param {string} toastId - Toast ID to dismiss
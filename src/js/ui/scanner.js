@@ -0,0 +1,233 @@
+/**
+ * scanner.js - Barcode Scanner Input
+ *
+ * USB and keyboard-wedge scanners "type" a code much faster than a person
+ * and finish it with Enter. This module watches for those bursts, resolves
+ * the code with findProductBySku (SKU or any product barcode) and hands it
+ * to whichever screen is in front:
+ * - a dialog registered with registerScanTarget() (order, transfer,
+ *   receipt, stock count)
+ * - otherwise the default handler (jump to the product in the inventory table)
+ *
+ * A burst that started in a text field has its characters removed again
+ * when a scan target takes it. When nothing takes the scan the keys are left
+ * alone, so typing in forms is never affected.
+ *
+ * Usage:
+ * const unregister = BarcodeScanner.registerScanTarget(dlg, (code, product) => {
+ *   if (!product) return false; // not handled
+ *   addLine(product);
+ * });
+ */
+
+// ============================================================================
+// BARCODE SCANNER
+// ============================================================================
+
+const BarcodeScanner = (() => {
+  // Scanners send a key every few milliseconds; people rarely manage 40ms
+  const SCAN_MAX_KEY_GAP_MS = 40;
+  const SCAN_MIN_LENGTH = 4;
+
+  const targets = new Map();
+  let defaultHandler = null;
+  let buffer = '';
+  let lastKeyTime = 0;
+  let burstTarget = null;
+  let burstValue = null;
+
+  /**
+   * Whether scanning is switched on in settings
+   * @returns {boolean}
+   */
+  function isEnabled() {
+    const settings = window.Storage ? window.Storage.getStoredSettings() : (window.settings || {});
+    return !settings || settings.scannerEnabled !== false;
+  }
+
+  /**
+   * Check if an element takes typed text
+   * @param {HTMLElement} el - Element
+   * @returns {boolean}
+   */
+  function isTextField(el) {
+    if (!el) return false;
+    const tagName = el.tagName?.toLowerCase() || '';
+    if (tagName === 'textarea') return true;
+    if (tagName === 'input') {
+      return !['checkbox', 'radio', 'button', 'submit', 'file', 'range', 'color'].includes(el.type);
+    }
+    return !!el.isContentEditable;
+  }
+
+  /**
+   * Check if a static (non-stacked) dialog is showing
+   * @param {HTMLElement} el - Dialog element
+   * @returns {boolean}
+   */
+  function isShowing(el) {
+    if (!el || !el.isConnected) return false;
+    if (el.tagName === 'DIALOG') return el.open;
+    return window.getComputedStyle(el).display !== 'none';
+  }
+
+  /**
+   * Find the handler for the screen in front
+   * @param {HTMLElement} source - Element that had focus when the scan began
+   * @returns {Function|null} Handler, or null when the scan should be ignored
+   */
+  function resolveHandler(source) {
+    const active = typeof window.getActiveDialog === 'function' ? window.getActiveDialog() : null;
+    if (active) return targets.get(active) || null;
+
+    for (const [el, handler] of targets) {
+      if (isShowing(el)) return handler;
+    }
+
+    // Don't steal codes typed into an ordinary field (search box, forms)
+    if (isTextField(source)) return null;
+    return defaultHandler;
+  }
+
+  /**
+   * Forget the current burst
+   */
+  function resetBurst() {
+    buffer = '';
+    burstTarget = null;
+    burstValue = null;
+  }
+
+  return {
+    SCAN_MAX_KEY_GAP_MS,
+    SCAN_MIN_LENGTH,
+
+    /**
+     * Send scans to a handler while a dialog is showing
+     * @param {HTMLElement|string} elOrId - Dialog element or its id
+     * @param {Function} handler - (code, product) => false when not handled
+     * @returns {Function} Unregister function
+     */
+    registerScanTarget(elOrId, handler) {
+      const el = typeof elOrId === 'string' ? document.getElementById(elOrId) : elOrId;
+      if (!el || typeof handler !== 'function') return () => {};
+
+      targets.set(el, handler);
+      return () => {
+        if (targets.get(el) === handler) targets.delete(el);
+      };
+    },
+
+    /**
+     * Set the handler used when no dialog is open
+     * @param {Function} handler - (code, product) => false when not handled
+     */
+    setDefaultScanHandler(handler) {
+      defaultHandler = typeof handler === 'function' ? handler : null;
+    },
+
+    /**
+     * Route a scanned code to the screen in front
+     * @param {string} code - Scanned code
+     * @param {HTMLElement} source - Focused element (default: document.activeElement)
+     * @returns {boolean} True if a handler took the scan
+     */
+    handleScan(code, source = document.activeElement) {
+      const value = String(code || '').trim();
+      if (!value) return false;
+
+      const handler = resolveHandler(source);
+      if (!handler) return false;
+
+      const product = typeof window.findProductBySku === 'function'
+        ? window.findProductBySku(window.data || [], value)
+        : null;
+
+      let handled = false;
+      try {
+        handled = handler(value, product) !== false;
+      } catch (error) {
+        console.error(`Error handling scan "${value}":`, error);
+      }
+
+      if (handled && window.EventBus) {
+        window.EventBus.emit('barcode:scanned', { code: value, product });
+      }
+      return handled;
+    },
+
+    /**
+     * Handle keyboard event
+     * @param {KeyboardEvent} e - Keyboard event
+     */
+    handleKeydown(e) {
+      const now = Date.now();
+      const gap = now - lastKeyTime;
+
+      if (e.key === 'Enter') {
+        const code = buffer;
+        const target = burstTarget;
+        const value = burstValue;
+        resetBurst();
+
+        if (code.length < SCAN_MIN_LENGTH || gap > SCAN_MAX_KEY_GAP_MS * 2) return;
+        if (!isEnabled()) return;
+
+        // Take the scanned characters back out of the field first, so a
+        // handler that writes into the same field isn't overwritten
+        const restore = target && value !== null && target.value !== undefined;
+        const typed = restore ? target.value : null;
+        if (restore) target.value = value;
+
+        if (!this.handleScan(code, target)) {
+          if (restore) target.value = typed;
+          return;
+        }
+
+        e.preventDefault();
+        e.stopPropagation();
+        return;
+      }
+
+      // Shift comes with upper-case characters; other keys end the burst
+      if (e.key === 'Shift') return;
+      if (!e.key || e.key.length !== 1 || e.ctrlKey || e.metaKey || e.altKey) {
+        resetBurst();
+        return;
+      }
+
+      if (gap > SCAN_MAX_KEY_GAP_MS || !buffer) {
+        resetBurst();
+        burstTarget = document.activeElement;
+        burstValue = isTextField(burstTarget) && burstTarget.value !== undefined ? burstTarget.value : null;
+      }
+      buffer += e.key;
+      lastKeyTime = now;
+    },
+
+    /**
+     * Initialize scanner system
+     */
+    init() {
+      // Capture phase, so Enter handlers in forms never see a scan
+      window.addEventListener('keydown', (e) => this.handleKeydown(e), true);
+    }
+  };
+})();
+
+// ============================================================================
+// AUTO-INITIALIZATION
+// ============================================================================
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => BarcodeScanner.init());
+} else {
+  BarcodeScanner.init();
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+// Make available globally
+window.BarcodeScanner = BarcodeScanner;
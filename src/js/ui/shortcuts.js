@@ -412,6 +412,21 @@ function registerDefaultShortcuts() {
     }
   });
 
+  // Undo / redo data changes
+  ShortcutManager.register('Ctrl+Z', {
+    description: 'Undo last change',
+    category: 'Data',
+    action: 'undo',
+    handler: () => runHistoryStep('undo')
+  });
+
+  ShortcutManager.register('Ctrl+Shift+Z', {
+    description: 'Redo last undone change',
+    category: 'Data',
+    action: 'redo',
+    handler: () => runHistoryStep('redo')
+  });
+
   // New item
   ShortcutManager.register('Ctrl+N', {
     description: 'Create new item',
@@ -452,6 +467,24 @@ function registerDefaultShortcuts() {
   });
 }
 
+/**
+ * Run an undo or redo step and report the outcome
+ * @param {string} step - 'undo' or 'redo'
+ */
+function runHistoryStep(step) {
+  if (!window.UndoHistory) return;
+
+  const result = window.UndoHistory[step]();
+  if (typeof showToast !== 'function') return;
+
+  if (result.success) {
+    const verb = step === 'undo' ? 'Undone' : 'Redone';
+    showToast(`${verb}: ${result.label}`, 'info', 3000);
+  } else {
+    showToast(result.error, 'info', 2000);
+  }
+}
+
 // ============================================================================
 // AUTO-INITIALIZATION
 // ============================================================================